@@ -1,9 +1,11 @@
 import passport from 'passport';
+import jwt from 'jsonwebtoken';
 import { Strategy as JwtStrategy, ExtractJwt } from 'passport-jwt';
 import { Strategy as LocalStrategy } from 'passport-local';
 import { db } from './db.js';
-import bcrypt from 'bcryptjs';
 import logger from '../utils/logger.js';
+import passwordHasher from '../utils/passwordHasher.js';
+import keyStore from '../utils/keyStore.js';
 
 /**
  * Passport configuration
@@ -13,7 +15,13 @@ import logger from '../utils/logger.js';
 // JWT Strategy
 passport.use(new JwtStrategy({
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-  secretOrKey: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
+  // Resolve the public key by the token's kid from the signing key store
+  secretOrKeyProvider: (req, rawJwtToken, done) => {
+    const decoded = jwt.decode(rawJwtToken, { complete: true });
+    const key = keyStore.getVerificationKey(decoded?.header?.kid);
+    done(null, key?.publicKey || null);
+  },
+  algorithms: keyStore.SUPPORTED_ALGORITHMS,
   issuer: 'erp-system',
   audience: 'erp-users'
 }, async (payload, done) => {
@@ -57,7 +65,7 @@ passport.use(new LocalStrategy({
       return done(null, false, { message: 'Account is deactivated' });
     }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await passwordHasher.verify(password, user.password);
     if (!isPasswordValid) {
       return done(null, false, { message: 'Invalid credentials' });
     }
@@ -0,0 +1,152 @@
+import { body, query, validationResult } from 'express-validator';
+import apiTokenService from '../services/apiTokenService.js';
+import auditService from '../services/auditService.js';
+import { sendSuccessResponse, sendErrorResponse, sendPaginatedResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * API token controller
+ * Admin management of database-backed API tokens
+ */
+
+export const getApiTokens = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const {
+    page = 1,
+    limit = 10,
+    userId = null,
+    clientId = null,
+    includeRevoked = 'false'
+  } = req.query;
+
+  try {
+    const result = await apiTokenService.getTokens({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      userId,
+      clientId,
+      includeRevoked: includeRevoked === 'true'
+    });
+
+    sendPaginatedResponse(res, result.tokens, result.pagination, 'API tokens retrieved successfully');
+  } catch (error) {
+    logger.error('Get API tokens failed', { error: error.message, query: req.query });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const createApiToken = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { userId = null, description = null, scopes, expiresAt = null } = req.body;
+
+  try {
+    const result = await apiTokenService.issueToken({
+      userId,
+      description,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'api_token_management',
+      action: 'api_token_created',
+      details: {
+        tokenId: result.apiToken.id,
+        prefix: result.apiToken.prefix,
+        tokenUserId: userId,
+        scopes,
+        expiresAt
+      },
+      ip: req.ip
+    });
+
+    // The token is shown once; only its hash is stored
+    sendSuccessResponse(res, 'API token created successfully', result, 201);
+  } catch (error) {
+    logger.error('Create API token failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const revokeApiToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const apiToken = await apiTokenService.revokeToken(id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'api_token_management',
+      action: 'api_token_revoked',
+      details: { tokenId: apiToken.id, prefix: apiToken.prefix },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'API token revoked successfully', apiToken);
+  } catch (error) {
+    logger.error('Revoke API token failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Lets a service check which token it is presenting and what it may do
+export const getCurrentApiToken = asyncHandler(async (req, res) => {
+  sendSuccessResponse(res, 'API token retrieved successfully', req.apiToken);
+});
+
+// Validation rules
+export const getApiTokensValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('userId')
+    .optional()
+    .isString()
+    .withMessage('User ID must be a string'),
+  query('clientId')
+    .optional()
+    .isString()
+    .withMessage('Client ID must be a string'),
+  query('includeRevoked')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeRevoked must be true or false')
+];
+
+export const createApiTokenValidation = [
+  body('userId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('User ID must be a string'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('scopes')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Between 1 and 50 scopes are required'),
+  body('scopes.*')
+    .matches(apiTokenService.API_SCOPE_PATTERN)
+    .withMessage('Scopes must look like action:resource, e.g. read:finance'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future')
+];
@@ -1,5 +1,6 @@
 import { query, validationResult } from 'express-validator';
 import auditService from '../services/auditService.js';
+import roleService from '../services/roleService.js';
 import { sendSuccessResponse, sendErrorResponse, sendPaginatedResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
 import logger from '../utils/logger.js';
 
@@ -239,6 +240,17 @@ export const getAvailableActions = asyncHandler(async (req, res) => {
   }
 });
 
+export const getMfaCompliance = asyncHandler(async (req, res) => {
+  try {
+    const report = await roleService.getMfaComplianceReport();
+
+    sendSuccessResponse(res, 'MFA compliance report retrieved successfully', report);
+  } catch (error) {
+    logger.error('Get MFA compliance report failed', { error: error.message });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
 export const cleanupOldLogs = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -2,14 +2,46 @@ import { body, validationResult } from 'express-validator';
 import authService from '../services/authService.js';
 import userService from '../services/userService.js';
 import auditService from '../services/auditService.js';
+import tokenService from '../services/tokenService.js';
+import oidcService from '../services/oidcService.js';
+import apiTokenService from '../services/apiTokenService.js';
+import ssoService from '../services/ssoService.js';
+import samlService from '../services/samlService.js';
+import magicLinkService from '../services/magicLinkService.js';
+import webauthnService from '../services/webauthnService.js';
+import trustedDeviceService from '../services/trustedDeviceService.js';
+import mfaOtpService from '../services/mfaOtpService.js';
+import { PasswordPolicyError } from '../services/passwordPolicyService.js';
 import { sendSuccessResponse, sendErrorResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
 import logger from '../utils/logger.js';
+import { readCookie } from '../utils/cookieUtils.js';
 
 /**
  * Authentication controller
  * Handles user authentication, registration, and password management
  */
 
+// Signed token of a browser the user trusted to skip MFA; sent only to the auth endpoints
+const TRUSTED_DEVICE_COOKIE = 'erp_trusted_device';
+const TRUSTED_DEVICE_COOKIE_PATH = '/api/auth';
+
+const trustedDeviceCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: TRUSTED_DEVICE_COOKIE_PATH
+});
+
+const clearTrustedDeviceCookie = (res) => {
+  res.clearCookie(TRUSTED_DEVICE_COOKIE, trustedDeviceCookieOptions());
+};
+
+// Emailed and texted codes are limited per user; the error says when the next one can be sent
+const sendRetryLaterResponse = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return sendErrorResponse(res, error.message, 429, { retryAfter: error.retryAfter });
+};
+
 export const register = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -18,6 +50,7 @@ export const register = asyncHandler(async (req, res) => {
 
   const { email, password, firstName, lastName, roleId } = req.body;
   const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
 
   try {
     const result = await authService.register({
@@ -26,7 +59,8 @@ export const register = asyncHandler(async (req, res) => {
       firstName,
       lastName,
       roleId,
-      ip
+      ip,
+      userAgent
     });
 
     // Log registration
@@ -37,21 +71,47 @@ export const register = asyncHandler(async (req, res) => {
 
     sendSuccessResponse(res, 'User registered successfully', {
       user: result.user,
-      tokens: result.tokens
+      tokens: result.tokens,
+      sessionId: result.sessionId
     }, 201);
   } catch (error) {
     logger.error('Registration failed', { error: error.message, email, ip });
+
+    if (error instanceof PasswordPolicyError) {
+      return sendErrorResponse(res, error.message, 400, { errors: error.violations });
+    }
+
     sendErrorResponse(res, error.message, 400);
   }
 });
 
+const sendMFAChallenge = (res, result) => {
+  return sendSuccessResponse(res, 'MFA token required', {
+    requiresMFA: true,
+    mfaChallengeToken: result.mfaChallengeToken,
+    methods: result.methods,
+    destinations: result.destinations,
+    webauthnOptions: result.webauthnOptions
+  });
+};
+
+// Role requires MFA (or an administrator reset it) and the account has none: the ticket only allows setting MFA up
+const sendMFAEnrollment = (res, result) => {
+  return sendSuccessResponse(res, 'MFA enrollment required', {
+    requiresMFAEnrollment: true,
+    mfaEnrollmentToken: result.mfaEnrollmentToken,
+    availableMethods: result.availableMethods,
+    deadline: result.deadline
+  });
+};
+
 export const login = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
   }
 
-  const { email, password, mfaToken } = req.body;
+  const { email, password } = req.body;
   const ip = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent');
 
@@ -59,16 +119,26 @@ export const login = asyncHandler(async (req, res) => {
     const result = await authService.login({
       email,
       password,
-      mfaToken,
       ip,
-      userAgent
+      userAgent,
+      trustedDeviceToken: readCookie(req, TRUSTED_DEVICE_COOKIE)
     });
 
-    // Check if MFA is required
+    // Check if MFA is required; the ticket continues the sign-in at /mfa/verify
     if (result.requiresMFA) {
-      return sendSuccessResponse(res, 'MFA token required', {
-        requiresMFA: true,
-        userId: result.userId
+      return sendMFAChallenge(res, result);
+    }
+
+    if (result.requiresMFAEnrollment) {
+      return sendMFAEnrollment(res, result);
+    }
+
+    // Temporary or expired password: only a password change token is issued
+    if (result.requiresPasswordChange) {
+      return sendSuccessResponse(res, 'Password change required', {
+        requiresPasswordChange: true,
+        reason: result.reason,
+        passwordChangeToken: result.passwordChangeToken
       });
     }
 
@@ -81,14 +151,404 @@ export const login = asyncHandler(async (req, res) => {
     sendSuccessResponse(res, 'Login successful', {
       user: result.user,
       tokens: result.tokens,
-      sessionId: result.sessionId
+      sessionId: result.sessionId,
+      passwordExpiresAt: result.passwordExpiresAt,
+      // Set during the grace period of a role that requires MFA
+      mfaEnrollmentDeadline: result.mfaEnrollmentDeadline || null
     });
   } catch (error) {
     logger.error('Login failed', { error: error.message, email, ip });
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 401);
+  }
+});
+
+export const completeRequiredPasswordChange = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { passwordChangeToken, newPassword } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await authService.completeRequiredPasswordChange(passwordChangeToken, newPassword, {
+      ip,
+      userAgent
+    });
+
+    await auditService.logAuthEvent('password_changed', result.user.id, { atLogin: true }, ip);
+    await auditService.logAuthEvent('user_logged_in', result.user.id, {
+      email: result.user.email,
+      sessionId: result.sessionId
+    }, ip);
+
+    sendSuccessResponse(res, 'Password changed successfully', {
+      user: result.user,
+      tokens: result.tokens,
+      sessionId: result.sessionId
+    });
+  } catch (error) {
+    logger.error('Required password change failed', { error: error.message, ip });
+
+    if (error instanceof PasswordPolicyError) {
+      return sendErrorResponse(res, error.message, 400, { errors: error.violations });
+    }
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
     sendErrorResponse(res, error.message, 401);
   }
 });
 
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { email } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await magicLinkService.requestMagicLink(email, { ip, userAgent });
+
+    await auditService.logAuthEvent('magic_link_requested', result.userId, {
+      email,
+      issued: result.issued,
+      reason: result.reason
+    }, ip);
+
+    // Same answer whether or not a link was sent; the nonce binds any link to this browser
+    sendSuccessResponse(res, 'If sign-in links are enabled for that account, one has been sent', {
+      nonce: result.nonce
+    });
+  } catch (error) {
+    logger.error('Magic link request failed', { error: error.message, email, ip });
+    sendErrorResponse(res, 'Failed to send sign-in link', 500);
+  }
+});
+
+export const verifyMagicLink = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { token, nonce } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await magicLinkService.verifyMagicLink(token, nonce, {
+      ip,
+      userAgent,
+      trustedDeviceToken: readCookie(req, TRUSTED_DEVICE_COOKIE)
+    });
+
+    // The link is spent whether or not the sign-in still needs a second factor
+    await auditService.logAuthEvent('magic_link_used', result.user?.id || result.userId, {
+      sessionId: result.sessionId || null,
+      requiresMFA: Boolean(result.requiresMFA),
+      requiresMFAEnrollment: Boolean(result.requiresMFAEnrollment)
+    }, ip);
+
+    if (result.requiresMFA) {
+      return sendMFAChallenge(res, result);
+    }
+
+    if (result.requiresMFAEnrollment) {
+      return sendMFAEnrollment(res, result);
+    }
+
+    await auditService.logAuthEvent('user_logged_in', result.user.id, {
+      email: result.user.email,
+      sessionId: result.sessionId,
+      method: 'magic_link'
+    }, ip);
+
+    sendSuccessResponse(res, 'Login successful', {
+      user: result.user,
+      tokens: result.tokens,
+      sessionId: result.sessionId,
+      mfaEnrollmentDeadline: result.mfaEnrollmentDeadline || null
+    });
+  } catch (error) {
+    logger.error('Magic link sign-in failed', { error: error.message, ip });
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 401);
+  }
+});
+
+export const verifyMFA = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { mfaChallengeToken, mfaToken, webauthnResponse, trustDevice } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await authService.verifyMFAChallenge(mfaChallengeToken, {
+      mfaToken,
+      webauthnResponse,
+      trustDevice: trustDevice === true,
+      ip,
+      userAgent
+    });
+
+    // No code or passkey response yet: a renewed prompt for the same challenge
+    if (result.requiresMFA) {
+      return sendMFAChallenge(res, result);
+    }
+
+    if (result.requiresPasswordChange) {
+      return sendSuccessResponse(res, 'Password change required', {
+        requiresPasswordChange: true,
+        reason: result.reason,
+        passwordChangeToken: result.passwordChangeToken
+      });
+    }
+
+    await auditService.logAuthEvent('user_logged_in', result.user.id, {
+      email: result.user.email,
+      sessionId: result.sessionId,
+      method: result.method,
+      mfa: true
+    }, ip);
+
+    if (result.trustedDevice) {
+      res.cookie(TRUSTED_DEVICE_COOKIE, result.trustedDevice.token, {
+        ...trustedDeviceCookieOptions(),
+        maxAge: result.trustedDevice.expiresAt.getTime() - Date.now()
+      });
+
+      await auditService.logAuthEvent('trusted_device_added', result.user.id, {
+        deviceId: result.trustedDevice.id,
+        expiresAt: result.trustedDevice.expiresAt
+      }, ip);
+    }
+
+    sendSuccessResponse(res, 'Login successful', {
+      user: result.user,
+      tokens: result.tokens,
+      sessionId: result.sessionId,
+      passwordExpiresAt: result.passwordExpiresAt,
+      trustedUntil: result.trustedDevice?.expiresAt || null
+    });
+  } catch (error) {
+    logger.error('MFA verification failed', { error: error.message, ip });
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 401);
+  }
+});
+
+// Email or text a sign-in code for an open MFA challenge
+export const sendMFAChallengeCode = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { mfaChallengeToken, method } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+
+  try {
+    const delivery = await authService.sendMFAChallengeCode(mfaChallengeToken, { method, ip });
+    sendSuccessResponse(res, 'Verification code sent', delivery);
+  } catch (error) {
+    logger.error('MFA sign-in code request failed', { error: error.message, method, ip });
+
+    if (error.retryAfter !== undefined) {
+      return sendRetryLaterResponse(res, error);
+    }
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Required enrollment, step one: a pending authenticator secret, or a code sent by email or SMS
+export const setupRequiredMFA = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { mfaEnrollmentToken, type, phoneNumber } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+
+  try {
+    const mfaData = await authService.setupRequiredMFA(mfaEnrollmentToken, { type, phoneNumber, ip });
+    sendSuccessResponse(res, 'MFA setup initiated', mfaData);
+  } catch (error) {
+    logger.error('Required MFA setup failed', { error: error.message, ip });
+
+    if (error.retryAfter !== undefined) {
+      return sendRetryLaterResponse(res, error);
+    }
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Required enrollment, step two: confirm the first code and finish the interrupted sign-in
+export const completeRequiredMFAEnrollment = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { mfaEnrollmentToken, token } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await authService.completeRequiredMFAEnrollment(mfaEnrollmentToken, token, { ip, userAgent });
+
+    if (result.requiresPasswordChange) {
+      return sendSuccessResponse(res, 'Password change required', {
+        requiresPasswordChange: true,
+        reason: result.reason,
+        passwordChangeToken: result.passwordChangeToken,
+        backupCodes: result.backupCodes
+      });
+    }
+
+    await auditService.logAuthEvent('mfa_enabled', result.user.id, { required: true, type: result.type }, ip);
+    await auditService.logAuthEvent('user_logged_in', result.user.id, {
+      email: result.user.email,
+      sessionId: result.sessionId,
+      method: result.method,
+      mfa: true
+    }, ip);
+
+    sendSuccessResponse(res, 'MFA enabled and login successful', {
+      user: result.user,
+      tokens: result.tokens,
+      sessionId: result.sessionId,
+      passwordExpiresAt: result.passwordExpiresAt,
+      backupCodes: result.backupCodes
+    });
+  } catch (error) {
+    logger.error('Required MFA enrollment failed', { error: error.message, ip });
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Methods the signed-in user can confirm their identity with before a sensitive operation
+export const getReauthenticationOptions = asyncHandler(async (req, res) => {
+  if (req.user.clientId) {
+    return sendErrorResponse(res, 'This operation is not available to OAuth clients', 403);
+  }
+
+  try {
+    const options = await authService.getReauthenticationOptions(req.user.id);
+    sendSuccessResponse(res, 'Re-authentication options', options);
+  } catch (error) {
+    logger.error('Failed to get re-authentication options', { error: error.message, userId: req.user.id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Email or text a code to the signed-in user, e.g. to re-authenticate
+export const sendVerificationCode = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  if (req.user.clientId) {
+    return sendErrorResponse(res, 'This operation is not available to OAuth clients', 403);
+  }
+
+  const { method } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+
+  try {
+    const delivery = await authService.sendVerificationCode(req.user.id, { method, ip });
+    sendSuccessResponse(res, 'Verification code sent', delivery);
+  } catch (error) {
+    logger.error('Verification code request failed', { error: error.message, userId: req.user.id, method });
+
+    if (error.retryAfter !== undefined) {
+      return sendRetryLaterResponse(res, error);
+    }
+
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Step-up: failures answer 400 rather than 401 so clients do not treat them as an expired session
+export const reauthenticate = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  if (req.user.clientId) {
+    return sendErrorResponse(res, 'This operation is not available to OAuth clients', 403);
+  }
+
+  const { password, mfaToken, webauthnResponse } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+
+  try {
+    const result = await authService.reauthenticate(req.user.id, req.user.sessionId, {
+      password,
+      mfaToken,
+      webauthnResponse,
+      ip
+    });
+
+    await auditService.logAuthEvent('user_reauthenticated', req.user.id, {
+      sessionId: req.user.sessionId,
+      amr: result.amr
+    }, ip);
+
+    sendSuccessResponse(res, 'Identity confirmed', result);
+  } catch (error) {
+    logger.error('Re-authentication failed', { error: error.message, userId: req.user.id, ip });
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
 export const refreshToken = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -96,9 +556,11 @@ export const refreshToken = asyncHandler(async (req, res) => {
   }
 
   const { refreshToken } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
 
   try {
-    const result = await authService.refreshToken(refreshToken);
+    const result = await authService.refreshToken(refreshToken, { ip, userAgent });
 
     sendSuccessResponse(res, 'Token refreshed successfully', result);
   } catch (error) {
@@ -108,7 +570,8 @@ export const refreshToken = asyncHandler(async (req, res) => {
 });
 
 export const logout = asyncHandler(async (req, res) => {
-  const { sessionId } = req.body;
+  // Fall back to the session the access token is bound to
+  const sessionId = req.body.sessionId || req.user.sessionId;
   const userId = req.user.id;
 
   try {
@@ -131,6 +594,7 @@ export const logoutAll = asyncHandler(async (req, res) => {
 
   try {
     await authService.logoutAll(userId);
+    clearTrustedDeviceCookie(res);
 
     // Log logout all
     await auditService.logAuthEvent('user_logged_out_all', userId, {}, req.ip);
@@ -153,6 +617,7 @@ export const changePassword = asyncHandler(async (req, res) => {
 
   try {
     await authService.changePassword(userId, currentPassword, newPassword);
+    clearTrustedDeviceCookie(res);
 
     // Log password change
     await auditService.logAuthEvent('password_changed', userId, {}, req.ip);
@@ -160,6 +625,11 @@ export const changePassword = asyncHandler(async (req, res) => {
     sendSuccessResponse(res, 'Password changed successfully');
   } catch (error) {
     logger.error('Password change failed', { error: error.message, userId });
+
+    if (error instanceof PasswordPolicyError) {
+      return sendErrorResponse(res, error.message, 400, { errors: error.violations });
+    }
+
     sendErrorResponse(res, error.message, 400);
   }
 });
@@ -200,6 +670,7 @@ export const completePasswordReset = asyncHandler(async (req, res) => {
 
   try {
     await authService.completePasswordReset(resetToken, newPassword);
+    clearTrustedDeviceCookie(res);
 
     // Log password reset completion
     await auditService.logAuthEvent('password_reset_completed', null, {
@@ -210,23 +681,43 @@ export const completePasswordReset = asyncHandler(async (req, res) => {
     sendSuccessResponse(res, 'Password reset successfully');
   } catch (error) {
     logger.error('Password reset completion failed', { error: error.message, ip });
+
+    if (error instanceof PasswordPolicyError) {
+      return sendErrorResponse(res, error.message, 400, { errors: error.violations });
+    }
+
     sendErrorResponse(res, error.message, 400);
   }
 });
 
 export const setupMFA = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { type = 'totp', phoneNumber } = req.body;
   const userId = req.user.id;
 
   try {
-    const mfaData = await authService.setupMFA(userId);
+    const mfaData = await authService.setupMFA(userId, { type, phoneNumber, ip: req.ip });
 
     // Log MFA setup initiation
-    await auditService.logAuthEvent('mfa_setup_initiated', userId, {}, req.ip);
+    await auditService.logAuthEvent('mfa_setup_initiated', userId, { type }, req.ip);
 
     sendSuccessResponse(res, 'MFA setup data generated', mfaData);
   } catch (error) {
-    logger.error('MFA setup failed', { error: error.message, userId });
-    sendErrorResponse(res, error.message, 500);
+    logger.error('MFA setup failed', { error: error.message, userId, type });
+
+    if (error.retryAfter !== undefined) {
+      return sendRetryLaterResponse(res, error);
+    }
+
+    if (error.message === 'This MFA method is already enabled') {
+      return sendErrorResponse(res, error.message, 409);
+    }
+
+    sendErrorResponse(res, error.message, error.message.endsWith('not available') ? 400 : 500);
   }
 });
 
@@ -236,15 +727,15 @@ export const enableMFA = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
   }
 
-  const { token, secret } = req.body;
+  const { token } = req.body;
   const userId = req.user.id;
 
   try {
-    const { backupCodes } = await authService.enableMFA(userId, token, secret);
+    const { backupCodes, type } = await authService.enableMFA(userId, token);
 
     // Log MFA enablement
-    await auditService.logAuthEvent('mfa_enabled', userId, {}, req.ip);
-    sendSuccessResponse(res, 'MFA enabled successfully', { backupCodes });
+    await auditService.logAuthEvent('mfa_enabled', userId, { type }, req.ip);
+    sendSuccessResponse(res, 'MFA enabled successfully', { backupCodes, type });
   } catch (error) {
     logger.error('MFA enable failed', { error: error.message, userId });
     sendErrorResponse(res, error.message, 400);
@@ -273,6 +764,122 @@ export const disableMFA = asyncHandler(async (req, res) => {
   }
 });
 
+export const listMFAMethods = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const methods = await authService.listMFAMethods(userId);
+    sendSuccessResponse(res, 'MFA methods retrieved', methods);
+  } catch (error) {
+    logger.error('MFA method list failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const removeMFAMethod = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { methodId } = req.params;
+
+  try {
+    const method = await authService.removeMFAMethod(userId, methodId);
+
+    await auditService.logAuthEvent('mfa_method_removed', userId, method, req.ip);
+
+    sendSuccessResponse(res, 'MFA method removed', method);
+  } catch (error) {
+    logger.error('MFA method removal failed', { error: error.message, userId, methodId });
+    sendErrorResponse(res, error.message, error.message === 'MFA method not found' ? 404 : 400);
+  }
+});
+
+export const getBackupCodeStatus = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const status = await authService.getBackupCodeStatus(userId);
+    sendSuccessResponse(res, 'Backup code status retrieved', status);
+  } catch (error) {
+    logger.error('Backup code status failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+// Browsers that skip MFA; `current` marks the one making the request
+export const getTrustedDevices = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const currentId = await trustedDeviceService.getTrustedDeviceId(readCookie(req, TRUSTED_DEVICE_COOKIE), userId);
+    const devices = await trustedDeviceService.listTrustedDevices(userId);
+
+    sendSuccessResponse(res, 'Trusted devices retrieved', devices.map(device => ({
+      ...device,
+      current: device.id === currentId
+    })));
+  } catch (error) {
+    logger.error('List trusted devices failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const revokeTrustedDevice = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { deviceId } = req.params;
+
+  try {
+    const currentId = await trustedDeviceService.getTrustedDeviceId(readCookie(req, TRUSTED_DEVICE_COOKIE), userId);
+    await trustedDeviceService.revokeTrustedDevice(userId, deviceId);
+
+    if (currentId === deviceId) {
+      clearTrustedDeviceCookie(res);
+    }
+
+    await auditService.logAuthEvent('trusted_device_revoked', userId, { deviceId }, req.ip);
+
+    sendSuccessResponse(res, 'Trusted device revoked');
+  } catch (error) {
+    logger.error('Revoke trusted device failed', { error: error.message, userId, deviceId });
+    sendErrorResponse(res, error.message, error.message === 'Trusted device not found' ? 404 : 500);
+  }
+});
+
+export const revokeAllTrustedDevices = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const count = await trustedDeviceService.revokeAllTrustedDevices(userId);
+    clearTrustedDeviceCookie(res);
+
+    await auditService.logAuthEvent('trusted_devices_revoked', userId, { count }, req.ip);
+
+    sendSuccessResponse(res, 'All trusted devices revoked', { count });
+  } catch (error) {
+    logger.error('Revoke all trusted devices failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { password, token } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const { backupCodes } = await authService.regenerateBackupCodes(userId, password, token);
+
+    await auditService.logAuthEvent('mfa_backup_codes_regenerated', userId, {}, req.ip);
+
+    sendSuccessResponse(res, 'Backup codes regenerated successfully', { backupCodes });
+  } catch (error) {
+    logger.error('Backup code regeneration failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
 export const getProfile = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
@@ -341,6 +948,17 @@ export const resendEmailVerification = asyncHandler(async (req, res) => {
 export const cleanupExpiredTokens = asyncHandler(async (req, res) => {
   try {
     await authService.cleanupExpiredResetTokens();
+    await authService.cleanupExpiredMfaEnrollments();
+    await authService.cleanupExpiredMfaChallenges();
+    await mfaOtpService.cleanupExpiredCodes();
+    await tokenService.cleanupExpiredRefreshTokens();
+    await oidcService.cleanupExpiredAuthorizationCodes();
+    await apiTokenService.cleanupExpiredApiTokens();
+    await ssoService.cleanupExpiredLoginTickets();
+    await samlService.cleanupExpiredSamlRecords();
+    await magicLinkService.cleanupExpiredMagicLinks();
+    await webauthnService.cleanupExpiredChallenges();
+    await trustedDeviceService.cleanupExpiredTrustedDevices();
     sendSuccessResponse(res, 'Expired tokens cleaned up successfully');
   } catch (error) {
     logger.error('Token cleanup failed', { error: error.message });
@@ -349,16 +967,35 @@ export const cleanupExpiredTokens = asyncHandler(async (req, res) => {
 });
 
 // Validation rules
+
+// A 6-digit code (authenticator app, email or SMS) or a backup code
+const isMfaCode = (value) => /^\d{6}$/.test(value) || /^[A-F0-9]{8}$/i.test(value);
+
+const MFA_METHOD_TYPES = ['totp', 'email', 'sms'];
+const OTP_METHOD_TYPES = ['email', 'sms'];
+
+// Type and phone number of a method being set up; SMS needs an E.164 number
+const mfaMethodSetupRules = [
+  body('type')
+    .optional()
+    .isIn(MFA_METHOD_TYPES)
+    .withMessage(`Type must be one of: ${MFA_METHOD_TYPES.join(', ')}`),
+  body('phoneNumber')
+    .if(body('type').equals('sms'))
+    .matches(/^\+[1-9]\d{7,14}$/)
+    .withMessage('Enter the phone number in international format, e.g. +14155550123')
+];
+
 export const registerValidation = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
+  // Strength rules come from the password policy, enforced by the service
   body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('firstName')
     .trim()
     .isLength({ min: 1, max: 50 })
@@ -380,12 +1017,100 @@ export const loginValidation = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required'),
+    .withMessage('Password is required')
+];
+
+export const magicLinkRequestValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+export const magicLinkVerifyValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Sign-in link token is required'),
+  body('nonce')
+    .isString()
+    .notEmpty()
+    .withMessage('Open the link in the browser where you requested it')
+];
+
+export const mfaVerifyValidation = [
+  body('mfaChallengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA challenge is required'),
+  body('mfaToken')
+    .optional()
+    .custom(isMfaCode)
+    .withMessage('Provide a 6-digit code or 8-character backup code'),
+  body('webauthnResponse')
+    .optional()
+    .isObject()
+    .withMessage('Passkey response must be an object'),
+  body('trustDevice')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('trustDevice must be a boolean')
+];
+
+export const mfaChallengeCodeValidation = [
+  body('mfaChallengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA challenge is required'),
+  body('method')
+    .isIn(OTP_METHOD_TYPES)
+    .withMessage(`Method must be one of: ${OTP_METHOD_TYPES.join(', ')}`)
+];
+
+export const sendVerificationCodeValidation = [
+  body('method')
+    .isIn(OTP_METHOD_TYPES)
+    .withMessage(`Method must be one of: ${OTP_METHOD_TYPES.join(', ')}`)
+];
+
+export const mfaSetupValidation = mfaMethodSetupRules;
+
+export const mfaEnrollmentSetupValidation = [
+  body('mfaEnrollmentToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA enrollment ticket is required'),
+  ...mfaMethodSetupRules
+];
+
+export const mfaEnrollmentCompleteValidation = [
+  body('mfaEnrollmentToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA enrollment ticket is required'),
+  body('token')
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code')
+];
+
+export const reauthenticateValidation = [
+  body('password')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Password must not be empty'),
   body('mfaToken')
     .optional()
-    .isLength({ min: 6, max: 6 })
-    .isNumeric()
-    .withMessage('MFA token must be 6 digits')
+    .custom(isMfaCode)
+    .withMessage('Provide a 6-digit code or 8-character backup code'),
+  body('webauthnResponse')
+    .optional()
+    .isObject()
+    .withMessage('Passkey response must be an object'),
+  body()
+    .custom(({ password, mfaToken, webauthnResponse }) =>
+      [password, mfaToken, webauthnResponse].filter(value => value !== undefined).length === 1)
+    .withMessage('Provide exactly one of password, mfaToken or webauthnResponse')
 ];
 
 export const refreshTokenValidation = [
@@ -399,10 +1124,20 @@ export const changePasswordValidation = [
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+export const requiredPasswordChangeValidation = [
+  body('passwordChangeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Password change token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
 ];
 
 export const passwordResetValidation = [
@@ -417,25 +1152,31 @@ export const completePasswordResetValidation = [
     .notEmpty()
     .withMessage('Reset token is required'),
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
 ];
 
 export const mfaValidation = [
   body('token')
-    .custom((value) => {
-      if (!value) return false;
-      const isTotp = /^\d{6}$/.test(value);
-      const isBackup = /^[A-F0-9]{8}$/i.test(value);
-      return isTotp || isBackup;
-    })
-    .withMessage('Provide a 6-digit code or 8-character backup code'),
-  body('secret')
-    .optional()
-    .isLength({ min: 32 })
-    .withMessage('MFA secret must be at least 32 characters')
+    .custom((value) => !!value && isMfaCode(value))
+    .withMessage('Provide a 6-digit code or 8-character backup code')
+];
+
+// Enrollment is confirmed against the secret or code issued by setup, so only the code is accepted
+export const enableMFAValidation = [
+  body('token')
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code')
+];
+
+export const regenerateBackupCodesValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('token')
+    .matches(/^\d{6}$/)
+    .withMessage('Enter a 6-digit code from one of your MFA methods')
 ];
 
 export const updateProfileValidation = [
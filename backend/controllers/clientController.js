@@ -0,0 +1,249 @@
+import { body, query, validationResult } from 'express-validator';
+import clientService from '../services/clientService.js';
+import auditService from '../services/auditService.js';
+import { sendSuccessResponse, sendErrorResponse, sendPaginatedResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * OAuth client controller
+ * Admin management of relying-party applications
+ */
+
+export const getClients = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const {
+    page = 1,
+    limit = 10,
+    search = '',
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = req.query;
+
+  try {
+    const result = await clientService.getClients({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      search,
+      sortBy,
+      sortOrder
+    });
+
+    sendPaginatedResponse(res, result.clients, result.pagination, 'Clients retrieved successfully');
+  } catch (error) {
+    logger.error('Get clients failed', { error: error.message, query: req.query });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const getClientById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const client = await clientService.getClientById(id);
+
+    sendSuccessResponse(res, 'Client retrieved successfully', client);
+  } catch (error) {
+    logger.error('Get client by ID failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 404);
+  }
+});
+
+export const createClient = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  try {
+    const result = await clientService.createClient(req.body, req.user.id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'client_management',
+      action: 'client_created',
+      details: {
+        clientId: result.client.clientId,
+        name: result.client.name,
+        redirectUris: result.client.redirectUris,
+        grantTypes: result.client.grantTypes,
+        scopes: result.client.scopes
+      },
+      ip: req.ip
+    });
+
+    // The secret is shown once; only its hash is stored
+    sendSuccessResponse(res, 'Client created successfully', result, 201);
+  } catch (error) {
+    logger.error('Create client failed', { error: error.message, name: req.body.name });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const updateClient = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const updateData = req.body;
+
+  try {
+    const client = await clientService.updateClient(id, updateData);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'client_management',
+      action: 'client_updated',
+      details: {
+        clientId: client.clientId,
+        name: client.name,
+        changes: updateData
+      },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'Client updated successfully', client);
+  } catch (error) {
+    logger.error('Update client failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const rotateClientSecret = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await clientService.rotateClientSecret(id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'client_management',
+      action: 'client_secret_rotated',
+      details: { clientId: result.client.clientId },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'Client secret rotated successfully', result);
+  } catch (error) {
+    logger.error('Rotate client secret failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const deleteClient = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const client = await clientService.deleteClient(id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'client_management',
+      action: 'client_deleted',
+      details: { clientId: client.clientId, name: client.name },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'Client deleted successfully');
+  } catch (error) {
+    logger.error('Delete client failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Validation rules
+const isRedirectUri = (value) => {
+  const url = new URL(value);
+  // Plain http is only acceptable for local development
+  if (url.protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(url.hostname)) {
+    throw new Error('Redirect URIs must use https (http is allowed for localhost)');
+  }
+  if (url.hash) {
+    throw new Error('Redirect URIs must not contain a fragment');
+  }
+  return true;
+};
+
+const clientFieldValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Client name must be between 1 and 100 characters'),
+    body('logoUrl')
+      .optional({ values: 'falsy' })
+      .isURL({ protocols: ['https'], require_protocol: true })
+      .withMessage('Logo URL must be an https URL'),
+    field('redirectUris')
+      .isArray({ max: 20 })
+      .withMessage('At most 20 redirect URIs are allowed'),
+    body('redirectUris.*')
+      .isString()
+      .custom(isRedirectUri),
+    body('grantTypes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('At least one grant type is required'),
+    body('grantTypes.*')
+      .isIn(clientService.SUPPORTED_GRANT_TYPES)
+      .withMessage('Unsupported grant type'),
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .custom(clientService.isSupportedScope)
+      .withMessage('Unsupported scope'),
+    body('trusted')
+      .optional()
+      .isBoolean()
+      .withMessage('trusted must be a boolean')
+  ];
+};
+
+export const getClientsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term must be less than 100 characters'),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'name', 'clientId'])
+    .withMessage('Invalid sort field'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+export const createClientValidation = [
+  ...clientFieldValidation(false),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+];
+
+export const updateClientValidation = [
+  ...clientFieldValidation(true),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
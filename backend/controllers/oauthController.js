@@ -0,0 +1,264 @@
+import { query, body, validationResult } from 'express-validator';
+import oidcService, { OAuthError } from '../services/oidcService.js';
+import { sendSuccessResponse, sendErrorResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * OAuth 2.0 / OpenID Connect controller
+ * Protocol endpoints answer in RFC 6749 format; the consent endpoints used by the ERP front end keep the usual envelope
+ */
+
+const sendOAuthError = (res, error) => {
+  if (!(error instanceof OAuthError)) {
+    logger.error('OAuth request failed', { error: error.message });
+    error = new OAuthError('server_error', 'The request could not be processed', 500);
+  }
+
+  if (error.statusCode === 401 && error.error === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(error.statusCode).json({
+    error: error.error,
+    error_description: error.message
+  });
+};
+
+const getClientCredentials = (req) => {
+  const header = req.get('Authorization');
+
+  // client_secret_basic takes precedence over client_secret_post
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+};
+
+const getAuthorizationParams = (source) => {
+  const keys = [
+    'response_type', 'client_id', 'redirect_uri', 'scope', 'state',
+    'nonce', 'code_challenge', 'code_challenge_method'
+  ];
+
+  return keys.reduce((params, key) => {
+    if (source[key] !== undefined) params[key] = source[key];
+    return params;
+  }, {});
+};
+
+export const authorize = asyncHandler(async (req, res) => {
+  const params = getAuthorizationParams(req.query);
+
+  try {
+    await oidcService.validateAuthorizationRequest(params);
+  } catch (error) {
+    if (error instanceof OAuthError && error.redirectable) {
+      return res.redirect(oidcService.buildRedirectUrl(params.redirect_uri, {
+        error: error.error,
+        error_description: error.message,
+        state: params.state
+      }));
+    }
+    return sendOAuthError(res, error);
+  }
+
+  // Sign-in and consent happen in the ERP front end, which calls back into /oauth/consent
+  const consentUrl = new URL('/oauth/consent', process.env.FRONTEND_URL || 'http://localhost:5173');
+  consentUrl.search = new URLSearchParams(params).toString();
+  res.redirect(consentUrl.toString());
+});
+
+export const getConsent = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const params = getAuthorizationParams(req.query);
+
+  try {
+    const request = await oidcService.validateAuthorizationRequest(params);
+
+    sendSuccessResponse(res, 'Authorization request retrieved successfully', {
+      client: {
+        clientId: request.client.clientId,
+        name: request.client.name,
+        logoUrl: request.client.logoUrl,
+        trusted: request.client.trusted
+      },
+      scopes: request.scopes
+    });
+  } catch (error) {
+    if (error instanceof OAuthError && error.redirectable) {
+      return sendErrorResponse(res, error.message, 400, {
+        error: error.error,
+        redirectUrl: oidcService.buildRedirectUrl(params.redirect_uri, {
+          error: error.error,
+          error_description: error.message,
+          state: params.state
+        })
+      });
+    }
+    sendErrorResponse(res, error.message, error.statusCode || 400);
+  }
+});
+
+export const submitConsent = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  // Tokens held by another client must not be able to grant consent on the user's behalf
+  if (req.user.clientId) {
+    return sendErrorResponse(res, 'Consent can only be given from the ERP application', 403);
+  }
+
+  const params = getAuthorizationParams(req.body);
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const request = await oidcService.validateAuthorizationRequest(params);
+
+    if (req.body.decision !== 'approve') {
+      logger.auth('oidc_authorization_denied', req.user, { clientId: request.client.clientId, ip });
+
+      return sendSuccessResponse(res, 'Authorization denied', {
+        redirectUrl: oidcService.buildRedirectUrl(request.redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state: request.state
+        })
+      });
+    }
+
+    const code = await oidcService.createAuthorizationCode(req.user, request, {
+      sessionId: req.user.sessionId,
+      ip,
+      userAgent
+    });
+
+    sendSuccessResponse(res, 'Authorization granted', {
+      redirectUrl: oidcService.buildRedirectUrl(request.redirectUri, {
+        code,
+        state: request.state,
+        iss: oidcService.getIssuer()
+      })
+    });
+  } catch (error) {
+    if (error instanceof OAuthError && error.redirectable) {
+      return sendErrorResponse(res, error.message, 400, {
+        error: error.error,
+        redirectUrl: oidcService.buildRedirectUrl(params.redirect_uri, {
+          error: error.error,
+          error_description: error.message,
+          state: params.state
+        })
+      });
+    }
+    sendErrorResponse(res, error.message, error.statusCode || 400);
+  }
+});
+
+export const token = asyncHandler(async (req, res) => {
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const client = await oidcService.authenticateClient(getClientCredentials(req));
+
+    let result;
+    switch (req.body.grant_type) {
+      case 'authorization_code':
+        result = await oidcService.exchangeAuthorizationCode(client, req.body, { ip });
+        break;
+      case 'refresh_token':
+        result = await oidcService.refreshClientTokens(client, req.body, { ip, userAgent });
+        break;
+      case 'client_credentials':
+        result = await oidcService.issueClientCredentialsToken(client, req.body);
+        break;
+      default:
+        throw new OAuthError('unsupported_grant_type', 'Unsupported grant_type');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    res.json(result);
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+export const introspect = asyncHandler(async (req, res) => {
+  try {
+    const client = await oidcService.authenticateClient(getClientCredentials(req));
+    const result = await oidcService.introspectToken(client, req.body);
+
+    res.set('Cache-Control', 'no-store');
+    res.json(result);
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+export const revoke = asyncHandler(async (req, res) => {
+  const ip = req.ip || req.connection.remoteAddress;
+
+  try {
+    const client = await oidcService.authenticateClient(getClientCredentials(req));
+    await oidcService.revokeToken(client, req.body, { ip });
+
+    // Answered the same whether or not the token was valid
+    res.set('Cache-Control', 'no-store');
+    res.status(200).end();
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+export const userInfo = asyncHandler(async (req, res) => {
+  try {
+    const claims = await oidcService.getUserInfo(req.user.id, req.user.scope);
+
+    res.set('Cache-Control', 'no-store');
+    res.json(claims);
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+// Validation rules
+export const consentQueryValidation = [
+  query('client_id')
+    .notEmpty()
+    .withMessage('client_id is required'),
+  query('redirect_uri')
+    .notEmpty()
+    .withMessage('redirect_uri is required')
+];
+
+export const consentValidation = [
+  body('client_id')
+    .notEmpty()
+    .withMessage('client_id is required'),
+  body('redirect_uri')
+    .notEmpty()
+    .withMessage('redirect_uri is required'),
+  body('decision')
+    .isIn(['approve', 'deny'])
+    .withMessage('decision must be approve or deny')
+];
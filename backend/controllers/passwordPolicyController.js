@@ -0,0 +1,83 @@
+import { body, validationResult } from 'express-validator';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import auditService from '../services/auditService.js';
+import { sendSuccessResponse, sendErrorResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Password policy controller
+ * Publishes the active policy to the forms and lets administrators change it
+ */
+
+const toResponse = (policy) => {
+  const { updatedBy, ...publicPolicy } = policy;
+  return publicPolicy;
+};
+
+export const getPolicy = asyncHandler(async (req, res) => {
+  try {
+    const policy = await passwordPolicyService.getPolicy();
+
+    sendSuccessResponse(res, 'Password policy retrieved successfully', toResponse(policy));
+  } catch (error) {
+    logger.error('Get password policy failed', { error: error.message });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const updatePolicy = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  try {
+    const policy = await passwordPolicyService.updatePolicy(req.body, req.user.id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'password_policy',
+      action: 'password_policy_updated',
+      details: { changes: req.body },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'Password policy updated successfully', toResponse(policy));
+  } catch (error) {
+    logger.error('Update password policy failed', { error: error.message });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Validation rules
+export const updatePolicyValidation = [
+  body('minLength')
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .withMessage('Minimum length must be between 6 and 128'),
+  body('maxLength')
+    .optional()
+    .isInt({ min: 8, max: 1024 })
+    .withMessage('Maximum length must be between 8 and 1024'),
+  body(['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'disallowPersonalInfo', 'disallowBreached'])
+    .optional()
+    .isBoolean()
+    .withMessage('Character class, personal information and breached password rules must be booleans'),
+  body('disallowedWords')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Disallowed words must be a list of at most 1000 words'),
+  body('disallowedWords.*')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 64 })
+    .withMessage('Each disallowed word must be between 3 and 64 characters'),
+  body('historyCount')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('Password history must be between 0 and 24 passwords'),
+  body('maxAgeDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Maximum password age must be between 0 and 3650 days')
+];
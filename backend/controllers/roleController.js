@@ -64,10 +64,10 @@ export const createRole = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
   }
 
-  const { name, scope } = req.body;
+  const { name, scope, magicLinkEnabled, mfaRequired, mfaGracePeriodDays } = req.body;
 
   try {
-    const role = await roleService.createRole({ name, scope });
+    const role = await roleService.createRole({ name, scope, magicLinkEnabled, mfaRequired, mfaGracePeriodDays });
 
     // Log role creation
     await auditService.createAuditLog({
@@ -77,7 +77,10 @@ export const createRole = asyncHandler(async (req, res) => {
       details: { 
         roleId: role.id,
         roleName: role.name,
-        scope: role.scope
+        scope: role.scope,
+        magicLinkEnabled: role.magicLinkEnabled,
+        mfaRequired: role.mfaRequired,
+        mfaGracePeriodDays: role.mfaGracePeriodDays
       },
       ip: req.ip
     });
@@ -315,7 +318,22 @@ export const createRoleValidation = [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Scope must be less than 50 characters')
+    .withMessage('Scope must be less than 50 characters'),
+  body('magicLinkEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Magic link sign-in must be true or false')
+    .toBoolean(),
+  body('mfaRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('MFA requirement must be true or false')
+    .toBoolean(),
+  body('mfaGracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('MFA grace period must be between 0 and 90 days')
+    .toInt()
 ];
 
 export const updateRoleValidation = [
@@ -330,7 +348,22 @@ export const updateRoleValidation = [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Scope must be less than 50 characters')
+    .withMessage('Scope must be less than 50 characters'),
+  body('magicLinkEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Magic link sign-in must be true or false')
+    .toBoolean(),
+  body('mfaRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('MFA requirement must be true or false')
+    .toBoolean(),
+  body('mfaGracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('MFA grace period must be between 0 and 90 days')
+    .toInt()
 ];
 
 export const assignRoleValidation = [
@@ -0,0 +1,354 @@
+import { body, query, validationResult } from 'express-validator';
+import samlService from '../services/samlService.js';
+import auditService from '../services/auditService.js';
+import ssoUtils from '../utils/ssoUtils.js';
+import { sendSuccessResponse, sendErrorResponse, sendPaginatedResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * SAML 2.0 controller
+ * Metadata and browser bindings for both directions, plus admin management of connections
+ */
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Same landing page as OIDC sign-in; results travel in the fragment
+const redirectToSSOCallback = (res, params) => {
+  const url = new URL('/sso/callback', getFrontendUrl());
+  url.hash = new URLSearchParams(params).toString();
+  res.redirect(url.toString());
+};
+
+const sendMetadata = (role) => asyncHandler(async (req, res) => {
+  try {
+    const metadata = await samlService.getMetadata(req.params.slug, role);
+
+    res.type('application/samlmetadata+xml');
+    res.send(metadata);
+  } catch (error) {
+    sendErrorResponse(res, error.message, 404);
+  }
+});
+
+export const getSpMetadata = sendMetadata('sp');
+export const getIdpMetadata = sendMetadata('idp');
+
+export const startSpLogin = asyncHandler(async (req, res) => {
+  try {
+    const redirectUrl = await samlService.startLogin(req.params.slug);
+    res.redirect(redirectUrl);
+  } catch (error) {
+    redirectToSSOCallback(res, { error: error.message });
+  }
+});
+
+export const consumeAssertion = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const { ticket } = await samlService.completeLogin(slug, req.body, { ip, userAgent });
+
+    redirectToSSOCallback(res, { ticket });
+  } catch (error) {
+    logger.security('saml_login_failed', { slug, ip, error: error.message });
+    redirectToSSOCallback(res, { error: error.message });
+  }
+});
+
+export const receiveAuthnRequest = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const binding = req.method === 'POST' ? 'post' : 'redirect';
+  const params = binding === 'post' ? req.body : req.query;
+  const rawQuery = req.originalUrl.split('?')[1] || '';
+
+  try {
+    const { pendingRequestId } = await samlService.receiveAuthnRequest(slug, params, { binding, rawQuery });
+
+    // Sign-in happens in the ERP front end, which then asks /idp/:slug/respond for the assertion
+    const url = new URL('/saml/sso', getFrontendUrl());
+    url.search = new URLSearchParams({ connection: slug, request: pendingRequestId }).toString();
+    res.redirect(url.toString());
+  } catch (error) {
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const respond = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { slug } = req.params;
+  const { requestId = null, relayState = null } = req.body;
+
+  try {
+    const result = await samlService.createResponse(slug, req.user.id, {
+      pendingRequestId: requestId,
+      relayState,
+      sessionId: req.user.sessionId
+    });
+
+    await auditService.logAuthEvent('saml_assertion_issued', req.user.id, {
+      connection: slug,
+      acsUrl: result.acsUrl
+    }, req.ip);
+
+    // The front end posts this to the SP's assertion consumer service
+    sendSuccessResponse(res, 'SAML response created successfully', result);
+  } catch (error) {
+    logger.error('SAML response failed', { error: error.message, slug, userId: req.user.id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const getConnections = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const {
+    page = 1,
+    limit = 10,
+    role = null,
+    search = ''
+  } = req.query;
+
+  try {
+    const result = await samlService.getConnections({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      role,
+      search
+    });
+
+    sendPaginatedResponse(res, result.connections, result.pagination, 'SAML connections retrieved successfully');
+  } catch (error) {
+    logger.error('Get SAML connections failed', { error: error.message, query: req.query });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const getConnectionById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const connection = await samlService.getConnectionById(id);
+
+    sendSuccessResponse(res, 'SAML connection retrieved successfully', connection);
+  } catch (error) {
+    logger.error('Get SAML connection by ID failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 404);
+  }
+});
+
+export const createConnection = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  try {
+    const connection = await samlService.createConnection(req.body);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'saml_management',
+      action: 'saml_connection_created',
+      details: {
+        slug: connection.slug,
+        role: connection.role,
+        entityId: connection.entityId
+      },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'SAML connection created successfully', connection, 201);
+  } catch (error) {
+    logger.error('Create SAML connection failed', { error: error.message, slug: req.body.slug });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const updateConnection = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const { certificate, ...changes } = req.body;
+
+  try {
+    const connection = await samlService.updateConnection(id, req.body);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'saml_management',
+      action: 'saml_connection_updated',
+      details: {
+        slug: connection.slug,
+        changes,
+        certificateChanged: certificate !== undefined
+      },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'SAML connection updated successfully', connection);
+  } catch (error) {
+    logger.error('Update SAML connection failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const rotateCertificate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const connection = await samlService.rotateCertificate(id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'saml_management',
+      action: 'saml_certificate_rotated',
+      details: { slug: connection.slug },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'SAML certificate rotated successfully', connection);
+  } catch (error) {
+    logger.error('Rotate SAML certificate failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const deleteConnection = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const connection = await samlService.deleteConnection(id);
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'saml_management',
+      action: 'saml_connection_deleted',
+      details: { slug: connection.slug, entityId: connection.entityId },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'SAML connection deleted successfully');
+  } catch (error) {
+    logger.error('Delete SAML connection failed', { error: error.message, id });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Validation rules
+const isCertificate = (value) => {
+  ssoUtils.normalizeCertificate(value);
+  return true;
+};
+
+const isMapping = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Mappings must be objects');
+  }
+  if (!Object.values(value).every(item => typeof item === 'string')) {
+    throw new Error('Mapping values must be strings');
+  }
+  return true;
+};
+
+const connectionFieldValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Connection name must be between 1 and 100 characters'),
+    field('entityId')
+      .trim()
+      .isLength({ min: 1, max: 1024 })
+      .withMessage('Entity ID is required'),
+    body(['ssoUrl', 'acsUrl'])
+      .optional({ values: 'null' })
+      .isURL({ protocols: ['https', 'http'], require_protocol: true, require_tld: false })
+      .withMessage('SSO and ACS URLs must be absolute http(s) URLs'),
+    body('certificate')
+      .optional({ values: 'null' })
+      .isString()
+      .custom(isCertificate)
+      .withMessage('Certificate must be a PEM or base64 X.509 certificate'),
+    body('nameIdFormat')
+      .optional()
+      .isIn(Object.values(ssoUtils.SAML_NAMEID_FORMATS))
+      .withMessage('Unsupported NameID format'),
+    body(['attributeMapping', 'roleMapping'])
+      .optional()
+      .custom(isMapping),
+    body('defaultRole')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Default role must be a role name'),
+    body(['allowSignup', 'trustEmail', 'requireSignedRequests'])
+      .optional()
+      .isBoolean()
+      .withMessage('Flags must be booleans')
+  ];
+};
+
+export const getConnectionsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(samlService.SAML_ROLES)
+    .withMessage('Role must be sp or idp'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term must be less than 100 characters')
+];
+
+export const createConnectionValidation = [
+  body('slug')
+    .trim()
+    .matches(/^[a-z0-9-]{2,50}$/)
+    .withMessage('Slug must be 2-50 lowercase letters, digits or dashes'),
+  body('role')
+    .isIn(samlService.SAML_ROLES)
+    .withMessage('Role must be sp or idp'),
+  ...connectionFieldValidation(false)
+];
+
+export const updateConnectionValidation = [
+  ...connectionFieldValidation(true),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+export const respondValidation = [
+  body('requestId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('requestId must be a string'),
+  body('relayState')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 80 })
+    .withMessage('RelayState must be at most 80 bytes')
+];
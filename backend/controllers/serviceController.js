@@ -0,0 +1,49 @@
+import { validationResult } from 'express-validator';
+import userService from '../services/userService.js';
+import { sendErrorResponse, sendPaginatedResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Service controller
+ * User directory for other ERP services authenticated with API tokens
+ */
+
+// Services get who a user is and their role, never sessions, lockout or MFA details
+const toDirectoryEntry = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  isActive: user.isActive,
+  role: user.role ? { id: user.role.id, name: user.role.name } : null
+});
+
+export const getDirectoryUsers = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const {
+    page = 1,
+    limit = 10,
+    search = '',
+    roleId = null,
+    isActive = null
+  } = req.query;
+
+  try {
+    const result = await userService.getUsers({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      search,
+      roleId,
+      isActive: isActive !== null ? isActive === 'true' : null
+    });
+
+    sendPaginatedResponse(res, result.users.map(toDirectoryEntry), result.pagination, 'Users retrieved successfully');
+  } catch (error) {
+    logger.error('Get directory users failed', { error: error.message, tokenId: req.apiToken?.id });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
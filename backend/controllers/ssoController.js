@@ -0,0 +1,148 @@
+import { body, validationResult } from 'express-validator';
+import ssoService from '../services/ssoService.js';
+import samlService from '../services/samlService.js';
+import auditService from '../services/auditService.js';
+import { sendSuccessResponse, sendErrorResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import { readCookie } from '../utils/cookieUtils.js';
+
+/**
+ * External identity provider (SSO) controller
+ * Browser redirects to and from the IdP, and the ticket exchange used by the ERP front end
+ */
+
+const FLOW_COOKIE = 'erp_sso_flow';
+const FLOW_COOKIE_PATH = '/api/auth/sso';
+const FLOW_COOKIE_MAX_AGE_MS = 10 * 60 * 1000; // 10 minutes, same as the signed flow state
+// Set by the MFA step of sign-in (see authController); lets a trusted browser skip it here too
+const TRUSTED_DEVICE_COOKIE = 'erp_trusted_device';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const flowCookieOptions = () => ({
+  httpOnly: true,
+  // Lax so the cookie survives the top-level redirect back from the IdP
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: FLOW_COOKIE_PATH
+});
+
+// Results travel in the fragment so they never reach server logs or Referer headers
+const redirectToFrontend = (res, params) => {
+  const url = new URL('/sso/callback', getFrontendUrl());
+  url.hash = new URLSearchParams(params).toString();
+  res.redirect(url.toString());
+};
+
+export const getProviders = asyncHandler(async (req, res) => {
+  try {
+    const samlProviders = await samlService.getLoginConnections();
+
+    sendSuccessResponse(res, 'SSO providers retrieved successfully', [
+      ...ssoService.getPublicProviders(),
+      ...samlProviders
+    ]);
+  } catch (error) {
+    logger.error('Get SSO providers failed', { error: error.message });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const startLogin = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    const { authorizationUrl, flowState } = await ssoService.startLogin(provider);
+
+    res.cookie(FLOW_COOKIE, flowState, { ...flowCookieOptions(), maxAge: FLOW_COOKIE_MAX_AGE_MS });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    redirectToFrontend(res, { error: error.message });
+  }
+});
+
+export const handleCallback = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  // The flow state is single use whatever the outcome
+  const flowState = readCookie(req, FLOW_COOKIE);
+  res.clearCookie(FLOW_COOKIE, flowCookieOptions());
+
+  try {
+    const { ticket } = await ssoService.completeLogin(provider, req.query, flowState, { ip, userAgent });
+
+    redirectToFrontend(res, { ticket });
+  } catch (error) {
+    logger.security('sso_login_failed', { provider, ip, error: error.message });
+    redirectToFrontend(res, { error: error.message });
+  }
+});
+
+export const exchangeTicket = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { ticket } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await ssoService.exchangeLoginTicket(ticket, {
+      ip,
+      userAgent,
+      trustedDeviceToken: readCookie(req, TRUSTED_DEVICE_COOKIE)
+    });
+
+    // The sign-in continues at /api/auth/mfa/verify or with the required MFA setup
+    if (result.requiresMFA) {
+      await auditService.logAuthEvent('sso_mfa_required', result.userId, { provider: result.provider }, ip);
+
+      return sendSuccessResponse(res, 'MFA token required', {
+        requiresMFA: true,
+        mfaChallengeToken: result.mfaChallengeToken,
+        methods: result.methods,
+        destinations: result.destinations,
+        webauthnOptions: result.webauthnOptions
+      });
+    }
+
+    if (result.requiresMFAEnrollment) {
+      await auditService.logAuthEvent('sso_mfa_enrollment_required', result.userId, { provider: result.provider }, ip);
+
+      return sendSuccessResponse(res, 'MFA enrollment required', {
+        requiresMFAEnrollment: true,
+        mfaEnrollmentToken: result.mfaEnrollmentToken,
+        availableMethods: result.availableMethods,
+        deadline: result.deadline
+      });
+    }
+
+    await auditService.logAuthEvent('user_logged_in', result.user.id, {
+      email: result.user.email,
+      sessionId: result.sessionId,
+      provider: result.provider
+    }, ip);
+
+    sendSuccessResponse(res, 'Login successful', {
+      user: result.user,
+      tokens: result.tokens,
+      sessionId: result.sessionId,
+      mfaEnrollmentDeadline: result.mfaEnrollmentDeadline || null
+    });
+  } catch (error) {
+    logger.error('SSO login failed', { error: error.message, ip });
+    sendErrorResponse(res, error.message, 401);
+  }
+});
+
+// Validation rules
+export const exchangeTicketValidation = [
+  body('ticket')
+    .isString()
+    .notEmpty()
+    .withMessage('Login ticket is required')
+];
@@ -1,6 +1,8 @@
 import { body, query, validationResult } from 'express-validator';
 import userService from '../services/userService.js';
 import auditService from '../services/auditService.js';
+import mfaResetService from '../services/mfaResetService.js';
+import { PasswordPolicyError } from '../services/passwordPolicyService.js';
 import { sendSuccessResponse, sendErrorResponse, sendPaginatedResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
 import logger from '../utils/logger.js';
 
@@ -98,7 +100,12 @@ export const createUser = asyncHandler(async (req, res) => {
 
     sendSuccessResponse(res, 'User created successfully', user, 201);
   } catch (error) {
-    logger.error('Create user failed', { error: error.message, userData: req.body });
+    logger.error('Create user failed', { error: error.message, email });
+
+    if (error instanceof PasswordPolicyError) {
+      return sendErrorResponse(res, error.message, 400, { errors: error.violations });
+    }
+
     sendErrorResponse(res, error.message, 400);
   }
 });
@@ -200,6 +207,176 @@ export const deactivateUser = asyncHandler(async (req, res) => {
   }
 });
 
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await userService.unlockUser(userId);
+
+    // Log account unlock
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'user_management',
+      action: 'user_unlocked',
+      details: { targetUserId: userId, email: user.email },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'User unlocked successfully', user);
+  } catch (error) {
+    logger.error('Unlock user failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const resetUserPassword = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const { user, temporaryPassword } = await userService.resetUserPassword(userId);
+
+    // Log password reset (never the password itself)
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'user_management',
+      action: 'user_password_reset',
+      details: { targetUserId: userId, email: user.email },
+      ip: req.ip
+    });
+
+    // The temporary password is returned once; the user must replace it at next sign-in
+    sendSuccessResponse(res, 'User password reset successfully', { user, temporaryPassword });
+  } catch (error) {
+    logger.error('Reset user password failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+// Start an MFA reset for a user who lost their second factors; completed at once or left for approval
+export const requestMfaReset = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { userId } = req.params;
+  const { verificationNote } = req.body;
+
+  try {
+    const { request, completed } = await mfaResetService.requestMfaReset(userId, req.user, {
+      verificationNote,
+      ip: req.ip
+    });
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'user_management',
+      action: 'mfa_reset_requested',
+      details: { targetUserId: userId, email: request.user.email, requestId: request.id, verificationNote },
+      ip: req.ip
+    });
+
+    if (completed) {
+      await auditService.createAuditLog({
+        userId: req.user.id,
+        module: 'user_management',
+        action: 'mfa_reset_completed',
+        details: { targetUserId: userId, email: request.user.email, requestId: request.id },
+        ip: req.ip
+      });
+    }
+
+    sendSuccessResponse(
+      res,
+      completed ? 'MFA reset successfully' : 'MFA reset is waiting for approval by a second administrator',
+      { request, completed },
+      completed ? 200 : 202
+    );
+  } catch (error) {
+    logger.error('Request MFA reset failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const getMfaResetRequests = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  try {
+    const requests = await mfaResetService.listMfaResetRequests({
+      status: req.query.status === 'all' ? null : req.query.status
+    });
+
+    sendSuccessResponse(res, 'MFA reset requests retrieved successfully', requests);
+  } catch (error) {
+    logger.error('Get MFA reset requests failed', { error: error.message });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const approveMfaReset = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { requestId } = req.params;
+  const { note } = req.body;
+
+  try {
+    const request = await mfaResetService.approveMfaResetRequest(requestId, req.user, { note, ip: req.ip });
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'user_management',
+      action: 'mfa_reset_approved',
+      details: { targetUserId: request.userId, email: request.user.email, requestId, note },
+      ip: req.ip
+    });
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'user_management',
+      action: 'mfa_reset_completed',
+      details: { targetUserId: request.userId, email: request.user.email, requestId, requestedById: request.requestedById },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'MFA reset approved successfully', request);
+  } catch (error) {
+    logger.error('Approve MFA reset failed', { error: error.message, requestId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const rejectMfaReset = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { requestId } = req.params;
+  const { note } = req.body;
+
+  try {
+    const request = await mfaResetService.rejectMfaResetRequest(requestId, req.user, { note, ip: req.ip });
+
+    await auditService.createAuditLog({
+      userId: req.user.id,
+      module: 'user_management',
+      action: 'mfa_reset_rejected',
+      details: { targetUserId: request.userId, email: request.user.email, requestId, note },
+      ip: req.ip
+    });
+
+    sendSuccessResponse(res, 'MFA reset rejected', request);
+  } catch (error) {
+    logger.error('Reject MFA reset failed', { error: error.message, requestId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
 export const getUserSessions = asyncHandler(async (req, res) => {
   const { userId } = req.params;
 
@@ -329,11 +506,11 @@ export const createUserValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
+  // Strength rules come from the password policy, enforced by the service
   body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('firstName')
     .trim()
     .isLength({ min: 1, max: 50 })
@@ -392,3 +569,25 @@ export const searchUsersValidation = [
     .isLength({ min: 1 })
     .withMessage('Role ID must be provided')
 ];
+
+export const mfaResetRequestValidation = [
+  body('verificationNote')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Describe how the user\'s identity was verified (10 to 1000 characters)')
+];
+
+export const getMfaResetRequestsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'completed', 'rejected', 'expired', 'all'])
+    .withMessage('Invalid status')
+];
+
+export const mfaResetReviewValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters')
+];
@@ -0,0 +1,173 @@
+import { body, validationResult } from 'express-validator';
+import authService from '../services/authService.js';
+import webauthnService from '../services/webauthnService.js';
+import auditService from '../services/auditService.js';
+import { sendSuccessResponse, sendErrorResponse, asyncHandler } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * WebAuthn controller
+ * Passkey registration and management for the signed-in user, and passwordless passkey sign-in
+ */
+
+export const getRegistrationOptions = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const options = await webauthnService.generateRegistrationOptions(userId);
+    sendSuccessResponse(res, 'Passkey registration options generated', options);
+  } catch (error) {
+    logger.error('Passkey registration options failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const verifyRegistration = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { name, response } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const credential = await webauthnService.verifyRegistration(userId, response, name);
+
+    await auditService.logAuthEvent('webauthn_credential_registered', userId, {
+      credentialId: credential.id,
+      name: credential.name,
+      deviceType: credential.deviceType
+    }, req.ip);
+
+    sendSuccessResponse(res, 'Passkey registered successfully', credential, 201);
+  } catch (error) {
+    logger.error('Passkey registration failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 400);
+  }
+});
+
+export const getLoginOptions = asyncHandler(async (req, res) => {
+  try {
+    const options = await webauthnService.generateAuthenticationOptions();
+    sendSuccessResponse(res, 'Passkey sign-in options generated', options);
+  } catch (error) {
+    logger.error('Passkey sign-in options failed', { error: error.message });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const verifyLogin = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { response } = req.body;
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const result = await authService.loginWithPasskey(response, { ip, userAgent });
+
+    await auditService.logAuthEvent('user_logged_in', result.user.id, {
+      email: result.user.email,
+      sessionId: result.sessionId,
+      method: 'passkey'
+    }, ip);
+
+    sendSuccessResponse(res, 'Login successful', {
+      user: result.user,
+      tokens: result.tokens,
+      sessionId: result.sessionId
+    });
+  } catch (error) {
+    logger.error('Passkey login failed', { error: error.message, ip });
+
+    if (error.lockedUntil !== undefined) {
+      return sendErrorResponse(res, error.message, 423, { lockedUntil: error.lockedUntil });
+    }
+
+    sendErrorResponse(res, error.message, 401);
+  }
+});
+
+export const getCredentials = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const credentials = await webauthnService.listCredentials(userId);
+    sendSuccessResponse(res, 'Passkeys retrieved successfully', credentials);
+  } catch (error) {
+    logger.error('Get passkeys failed', { error: error.message, userId });
+    sendErrorResponse(res, error.message, 500);
+  }
+});
+
+export const renameCredential = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, 'Validation failed', 400, { errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const { name } = req.body;
+  const userId = req.user.id;
+
+  try {
+    await webauthnService.renameCredential(userId, id, name);
+
+    await auditService.logAuthEvent('webauthn_credential_renamed', userId, {
+      credentialId: id,
+      name
+    }, req.ip);
+
+    sendSuccessResponse(res, 'Passkey renamed successfully');
+  } catch (error) {
+    logger.error('Rename passkey failed', { error: error.message, userId, credentialId: id });
+    sendErrorResponse(res, error.message, error.message === 'Passkey not found' ? 404 : 400);
+  }
+});
+
+export const deleteCredential = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const credential = await webauthnService.deleteCredential(userId, id);
+
+    await auditService.logAuthEvent('webauthn_credential_removed', userId, {
+      credentialId: credential.id,
+      name: credential.name
+    }, req.ip);
+
+    sendSuccessResponse(res, 'Passkey removed successfully');
+  } catch (error) {
+    logger.error('Remove passkey failed', { error: error.message, userId, credentialId: id });
+    sendErrorResponse(res, error.message, error.message === 'Passkey not found' ? 404 : 400);
+  }
+});
+
+// Validation rules
+const credentialNameRule = body('name')
+  .trim()
+  .isLength({ min: 1, max: 64 })
+  .withMessage('Passkey name must be between 1 and 64 characters');
+
+// The browser's PublicKeyCredential JSON; its contents are checked by the WebAuthn library
+const credentialResponseRule = body('response')
+  .isObject()
+  .withMessage('Passkey response is required');
+
+export const registrationValidation = [
+  credentialNameRule,
+  credentialResponseRule
+];
+
+export const loginValidation = [
+  credentialResponseRule
+];
+
+export const renameCredentialValidation = [
+  credentialNameRule
+];
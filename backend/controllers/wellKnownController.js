@@ -0,0 +1,20 @@
+import keyService from '../services/keyService.js';
+import oidcService from '../services/oidcService.js';
+import { asyncHandler } from '../middlewares/errorMiddleware.js';
+
+/**
+ * Well-known discovery controller
+ * Publishes metadata other ERP services use to verify our tokens offline
+ */
+
+export const getJwks = asyncHandler(async (req, res) => {
+  // Plain JWK Set (RFC 7517), not wrapped in the usual success envelope
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keyService.getJwks());
+});
+
+export const getOpenIdConfiguration = asyncHandler(async (req, res) => {
+  // OpenID Connect Discovery 1.0 provider metadata
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(oidcService.getDiscoveryDocument());
+});
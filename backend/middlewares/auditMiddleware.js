@@ -111,18 +111,30 @@ function shouldLogRequest(req, res) {
   return false;
 }
 
+// Matched by name, so newPassword, temporaryPassword, refreshToken, clientSecret and the like are covered
+const SENSITIVE_FIELD_PATTERN = /password|token|secret|nonce|backupcodes/i;
+
+function isSensitiveField(field) {
+  return field === 'key' || SENSITIVE_FIELD_PATTERN.test(field);
+}
+
 function sanitizeRequestBody(body) {
   if (!body || typeof body !== 'object') {
     return body;
   }
   
+  if (Array.isArray(body)) {
+    return body.map(sanitizeRequestBody);
+  }
+  
   const sanitized = { ...body };
   
-  // Remove sensitive fields
-  const sensitiveFields = ['password', 'token', 'secret', 'key', 'mfaSecret'];
-  sensitiveFields.forEach(field => {
-    if (sanitized[field]) {
+  // Remove sensitive fields (nested too: responses wrap secrets in `data`)
+  Object.keys(sanitized).forEach(field => {
+    if (isSensitiveField(field) && sanitized[field]) {
       sanitized[field] = '[REDACTED]';
+    } else if (sanitized[field] && typeof sanitized[field] === 'object') {
+      sanitized[field] = sanitizeRequestBody(sanitized[field]);
     }
   });
   
@@ -1,5 +1,6 @@
 import jwtUtils from '../utils/jwtUtils.js';
 import authService from '../services/authService.js';
+import apiTokenService from '../services/apiTokenService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -7,7 +8,10 @@ import logger from '../utils/logger.js';
  * Handles JWT token verification and user authentication
  */
 
-export const verifyToken = async (req, res, next) => {
+// Access tokens issued to an OAuth client carry its client_id; `allowClients` decides whether they count here
+const checkAccessToken = async (req, res, next, options = {}) => {
+  const { allowClients = false } = options;
+
   try {
     const authHeader = req.headers.authorization;
     
@@ -38,6 +42,29 @@ export const verifyToken = async (req, res, next) => {
       });
     }
 
+    // A client's grant covers its scopes, not the user's full role, so the ERP API is closed to it
+    if (decoded.client_id && !allowClients) {
+      logger.security('client_token_rejected', {
+        clientId: decoded.client_id,
+        userId: decoded.userId,
+        endpoint: req.originalUrl,
+        ip: req.ip
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This endpoint does not accept tokens issued to OAuth clients'
+      });
+    }
+
+    // Reject tokens whose session has been revoked or has expired
+    if (!decoded.sid || !(await authService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked or expired'
+      });
+    }
+
     // Get user with role information from database
     const { db } = await import('../config/db.js');
     const user = await db.client.user.findUnique({
@@ -57,7 +84,14 @@ export const verifyToken = async (req, res, next) => {
       id: user.id,
       email: user.email,
       roleId: user.roleId,
-      role: user.role || { name: decoded.roleName }
+      role: user.role || { name: decoded.roleName },
+      sessionId: decoded.sid,
+      // Set only on tokens issued to an OAuth client
+      clientId: decoded.client_id || null,
+      scope: decoded.scope || null,
+      // When and how the user last proved their identity in this session
+      authTime: decoded.auth_time || null,
+      amr: decoded.amr || []
     };
 
     next();
@@ -75,6 +109,12 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// First-party access tokens only
+export const verifyToken = (req, res, next) => checkAccessToken(req, res, next);
+
+// Also accepts OAuth client tokens; for endpoints that only answer within the granted scope, like /oauth/userinfo
+export const verifyClientToken = (req, res, next) => checkAccessToken(req, res, next, { allowClients: true });
+
 export const verifySession = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -182,11 +222,10 @@ export const verifyApiToken = async (req, res, next) => {
       });
     }
 
-    // Verify API token
-    const decoded = jwtUtils.verifyApiToken(token);
-    
-    // Attach API token info to request
-    req.apiToken = decoded;
+    // Checked against the database so revocation takes effect immediately
+    req.apiToken = await apiTokenService.authenticateToken(token, {
+      ip: req.ip || req.connection.remoteAddress
+    });
 
     next();
   } catch (error) {
@@ -203,22 +242,48 @@ export const verifyApiToken = async (req, res, next) => {
   }
 };
 
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'API token required'
+      });
+    }
+
+    if (!apiTokenService.hasScopes(req.apiToken, scopes)) {
+      logger.security('insufficient_scope', {
+        tokenId: req.apiToken.id,
+        requiredScopes: scopes,
+        tokenScopes: req.apiToken.scopes,
+        ip: req.ip
+      });
 
-export const authRateLimit = (req, res, next) => {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient scope',
+        requiredScopes: scopes
+      });
+    }
+
+    next();
+  };
+};
+
+// Each named limit keeps its own count per IP, so the sign-in steps do not share one budget
+const createRateLimit = (name, maxAttempts, windowMs = 15 * 60 * 1000) => (req, res, next) => {
   // This would typically use a rate limiting library like express-rate-limit
   // For now, we'll implement a simple in-memory rate limiter
   
   const ip = req.ip || req.connection.remoteAddress;
   const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 10;
 
   // Initialize rate limit store if it doesn't exist
   if (!global.rateLimitStore) {
     global.rateLimitStore = new Map();
   }
 
-  const key = `auth_${ip}`;
+  const key = `${name}_${ip}`;
   const attempts = global.rateLimitStore.get(key) || { count: 0, resetTime: now + windowMs };
 
   // Reset if window has passed
@@ -229,7 +294,7 @@ export const authRateLimit = (req, res, next) => {
 
   // Check if limit exceeded
   if (attempts.count >= maxAttempts) {
-    logger.security('rate_limit_exceeded', { ip, attempts: attempts.count });
+    logger.security('rate_limit_exceeded', { ip, limit: name, attempts: attempts.count });
     
     return res.status(429).json({
       success: false,
@@ -252,6 +317,59 @@ export const authRateLimit = (req, res, next) => {
   next();
 };
 
+export const authRateLimit = createRateLimit('auth', 10);
+
+// Second factor at sign-in; each MFA challenge also limits its own attempts
+export const mfaRateLimit = createRateLimit('mfa', 10);
+
+/**
+ * Step-up check for sensitive operations; use after verifyToken
+ * Requires the session to have authenticated within maxAgeSeconds and, when methods are given,
+ * with one of those amr values. Otherwise responds 403 with code "reauth_required" so the client
+ * can call /api/auth/reauthenticate and retry with the new access token.
+ */
+export const requireRecentAuth = (maxAgeSeconds = 300, methods = []) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    // OAuth clients act for the user but cannot re-authenticate them
+    if (req.user.clientId) {
+      return res.status(403).json({
+        success: false,
+        message: 'This operation is not available to OAuth clients'
+      });
+    }
+
+    const age = req.user.authTime ? Math.floor(Date.now() / 1000) - req.user.authTime : Infinity;
+    const methodAccepted = methods.length === 0 || methods.some(method => req.user.amr.includes(method));
+
+    if (age > maxAgeSeconds || !methodAccepted) {
+      logger.security('reauth_required', {
+        userId: req.user.id,
+        endpoint: req.originalUrl,
+        authAge: Number.isFinite(age) ? age : null,
+        amr: req.user.amr,
+        ip: req.ip
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Please confirm your identity to continue',
+        code: 'reauth_required',
+        maxAge: maxAgeSeconds,
+        methods
+      });
+    }
+
+    next();
+  };
+};
+
 export const requireAuth = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
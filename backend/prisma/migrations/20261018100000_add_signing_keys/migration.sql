@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "public"."SigningKey" (
+    "id" TEXT NOT NULL,
+    "kid" TEXT NOT NULL,
+    "algorithm" TEXT NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "privateKey" TEXT NOT NULL,
+    "activatesAt" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SigningKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SigningKey_kid_key" ON "public"."SigningKey"("kid");
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."RefreshToken" ADD COLUMN     "clientId" TEXT,
+ADD COLUMN     "scope" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."AuthorizationCode" (
+    "id" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "redirectUri" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "nonce" TEXT,
+    "codeChallenge" TEXT NOT NULL,
+    "codeChallengeMethod" TEXT NOT NULL DEFAULT 'S256',
+    "authTime" TIMESTAMP(3) NOT NULL,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuthorizationCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthorizationCode_codeHash_key" ON "public"."AuthorizationCode"("codeHash");
+
+-- AddForeignKey
+ALTER TABLE "public"."AuthorizationCode" ADD CONSTRAINT "AuthorizationCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
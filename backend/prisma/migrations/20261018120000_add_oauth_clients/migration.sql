@@ -0,0 +1,37 @@
+-- Clients used to be configured through OIDC_CLIENTS; their codes and tokens cannot reference the new table
+DELETE FROM "public"."AuthorizationCode";
+DELETE FROM "public"."RefreshToken" WHERE "clientId" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."Session" ADD COLUMN     "clientId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Client" (
+    "id" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "secretHash" TEXT,
+    "name" TEXT NOT NULL,
+    "logoUrl" TEXT,
+    "redirectUris" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "grantTypes" TEXT[] DEFAULT ARRAY['authorization_code', 'refresh_token']::TEXT[],
+    "scopes" TEXT[] DEFAULT ARRAY['openid', 'profile', 'email']::TEXT[],
+    "trusted" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Client_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Client_clientId_key" ON "public"."Client"("clientId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Session" ADD CONSTRAINT "Session_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES "public"."Client"("clientId") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RefreshToken" ADD CONSTRAINT "RefreshToken_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES "public"."Client"("clientId") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AuthorizationCode" ADD CONSTRAINT "AuthorizationCode_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES "public"."Client"("clientId") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- Store API tokens hashed: existing plaintext values are replaced by their SHA-256
+ALTER TABLE "public"."ApiToken" RENAME COLUMN "token" TO "tokenHash";
+UPDATE "public"."ApiToken" SET "tokenHash" = encode(sha256(convert_to("tokenHash", 'UTF8')), 'hex');
+ALTER INDEX "public"."ApiToken_token_key" RENAME TO "ApiToken_tokenHash_key";
+
+-- AlterTable
+ALTER TABLE "public"."ApiToken" ADD COLUMN     "clientId" TEXT,
+ADD COLUMN     "lastUsedAt" TIMESTAMP(3),
+ADD COLUMN     "lastUsedIp" TEXT,
+ADD COLUMN     "prefix" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "public"."ApiToken" ADD CONSTRAINT "ApiToken_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES "public"."Client"("clientId") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE "public"."SamlConnection" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "ssoUrl" TEXT,
+    "acsUrl" TEXT,
+    "certificate" TEXT,
+    "signingKey" TEXT NOT NULL,
+    "signingCert" TEXT NOT NULL,
+    "nameIdFormat" TEXT NOT NULL DEFAULT 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+    "attributeMapping" JSONB NOT NULL DEFAULT '{}',
+    "roleMapping" JSONB NOT NULL DEFAULT '{}',
+    "defaultRole" TEXT NOT NULL DEFAULT 'user',
+    "allowSignup" BOOLEAN NOT NULL DEFAULT true,
+    "trustEmail" BOOLEAN NOT NULL DEFAULT false,
+    "requireSignedRequests" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SamlConnection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SamlRequest" (
+    "id" TEXT NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "connectionId" TEXT NOT NULL,
+    "relayState" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SamlRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SamlAssertion" (
+    "id" TEXT NOT NULL,
+    "assertionId" TEXT NOT NULL,
+    "connectionId" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SamlAssertion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SamlConnection_slug_key" ON "public"."SamlConnection"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SamlRequest_connectionId_requestId_key" ON "public"."SamlRequest"("connectionId", "requestId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SamlAssertion_connectionId_assertionId_key" ON "public"."SamlAssertion"("connectionId", "assertionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."SamlRequest" ADD CONSTRAINT "SamlRequest_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "public"."SamlConnection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SamlAssertion" ADD CONSTRAINT "SamlAssertion_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "public"."SamlConnection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
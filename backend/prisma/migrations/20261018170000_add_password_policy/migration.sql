@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "passwordChangedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "public"."PasswordHistory" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PasswordHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."PasswordPolicy" (
+    "id" TEXT NOT NULL DEFAULT 'default',
+    "minLength" INTEGER NOT NULL DEFAULT 8,
+    "maxLength" INTEGER NOT NULL DEFAULT 128,
+    "requireUppercase" BOOLEAN NOT NULL DEFAULT true,
+    "requireLowercase" BOOLEAN NOT NULL DEFAULT true,
+    "requireNumber" BOOLEAN NOT NULL DEFAULT true,
+    "requireSymbol" BOOLEAN NOT NULL DEFAULT true,
+    "disallowedWords" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "disallowPersonalInfo" BOOLEAN NOT NULL DEFAULT true,
+    "historyCount" INTEGER NOT NULL DEFAULT 5,
+    "maxAgeDays" INTEGER NOT NULL DEFAULT 0,
+    "updatedBy" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PasswordPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PasswordHistory_userId_createdAt_idx" ON "public"."PasswordHistory"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."PasswordHistory" ADD CONSTRAINT "PasswordHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."PasswordPolicy" ADD COLUMN     "disallowBreached" BOOLEAN NOT NULL DEFAULT true;
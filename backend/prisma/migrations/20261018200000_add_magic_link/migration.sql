@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."Role" ADD COLUMN     "magicLinkEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."MagicLinkToken" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "nonceHash" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MagicLinkToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MagicLinkToken_tokenHash_key" ON "public"."MagicLinkToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "MagicLinkToken_userId_idx" ON "public"."MagicLinkToken"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."MagicLinkToken" ADD CONSTRAINT "MagicLinkToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."MfaChallenge" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "ip" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MfaChallenge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MfaChallenge_userId_idx" ON "public"."MfaChallenge"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaChallenge" ADD CONSTRAINT "MfaChallenge_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."Session" ADD COLUMN     "authTime" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "amr" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."Role" ADD COLUMN     "mfaRequired" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mfaGracePeriodDays" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "mfaRequiredSince" TIMESTAMP(3);
+
+-- Privileged roles require MFA; existing members get a week to enroll
+UPDATE "public"."Role" SET "mfaRequired" = true, "mfaGracePeriodDays" = 7 WHERE "name" IN ('admin', 'auditor', 'hr');
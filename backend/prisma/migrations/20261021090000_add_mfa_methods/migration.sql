@@ -0,0 +1,54 @@
+-- CreateTable
+CREATE TABLE "public"."MfaMethod" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "secret" TEXT,
+    "phoneNumber" TEXT,
+    "lastUsedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MfaMethod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."MfaOtpCode" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL,
+    "destination" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MfaOtpCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MfaMethod_userId_type_key" ON "public"."MfaMethod"("userId", "type");
+
+-- CreateIndex
+CREATE INDEX "MfaOtpCode_userId_createdAt_idx" ON "public"."MfaOtpCode"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaMethod" ADD CONSTRAINT "MfaMethod_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaOtpCode" ADD CONSTRAINT "MfaOtpCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AlterTable
+ALTER TABLE "public"."MfaEnrollment" ADD COLUMN     "type" TEXT NOT NULL DEFAULT 'totp',
+ADD COLUMN     "phoneNumber" TEXT,
+ALTER COLUMN "secret" DROP NOT NULL;
+
+-- Existing authenticator apps become the first method of each account; the encrypted value is copied as is
+INSERT INTO "public"."MfaMethod" ("id", "userId", "type", "secret", "createdAt")
+SELECT gen_random_uuid()::text, "id", 'totp', "mfaSecret", CURRENT_TIMESTAMP
+FROM "public"."User"
+WHERE "mfaSecret" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."User" DROP COLUMN "mfaSecret";
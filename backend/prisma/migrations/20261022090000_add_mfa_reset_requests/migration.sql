@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "mfaResetAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."MfaResetRequest" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "requestedById" TEXT,
+    "verificationNote" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "reviewedById" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MfaResetRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MfaResetRequest_status_createdAt_idx" ON "public"."MfaResetRequest"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MfaResetRequest_userId_idx" ON "public"."MfaResetRequest"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaResetRequest" ADD CONSTRAINT "MfaResetRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaResetRequest" ADD CONSTRAINT "MfaResetRequest_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaResetRequest" ADD CONSTRAINT "MfaResetRequest_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- Signed trust cookies are replaced by random values hashed on the record; browsers trusted so far pass MFA once more
+DELETE FROM "public"."TrustedDevice";
+
+-- AlterTable
+ALTER TABLE "public"."TrustedDevice" ADD COLUMN     "tokenHash" TEXT NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TrustedDevice_tokenHash_key" ON "public"."TrustedDevice"("tokenHash");
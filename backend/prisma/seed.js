@@ -1,5 +1,5 @@
 import { PrismaClient } from '../generated/prisma/index.js';
-import bcrypt from 'bcryptjs';
+import passwordHasher from '../utils/passwordHasher.js';
 
 const prisma = new PrismaClient();
 
@@ -16,6 +16,8 @@ async function main() {
       {
         name: 'admin',
         scope: null, // Global scope
+        mfaRequired: true,
+        mfaGracePeriodDays: 7,
       },
       {
         name: 'manager',
@@ -24,6 +26,8 @@ async function main() {
       {
         name: 'hr',
         scope: 'hr',
+        mfaRequired: true,
+        mfaGracePeriodDays: 7,
       },
       {
         name: 'user',
@@ -32,6 +36,8 @@ async function main() {
       {
         name: 'auditor',
         scope: 'audit',
+        mfaRequired: true,
+        mfaGracePeriodDays: 7,
       },
     ];
 
@@ -63,7 +69,7 @@ async function main() {
       });
 
       if (adminRole) {
-        const hashedPassword = await bcrypt.hash('Admin123!', 12);
+        const hashedPassword = await passwordHasher.hash('Admin123!');
         
         await prisma.user.create({
           data: {
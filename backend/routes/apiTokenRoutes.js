@@ -0,0 +1,51 @@
+import express from 'express';
+import {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  getCurrentApiToken,
+  getApiTokensValidation,
+  createApiTokenValidation
+} from '../controllers/apiTokenController.js';
+import { verifyToken, verifyApiToken } from '../middlewares/authMiddleware.js';
+import { requireAdmin } from '../middlewares/roleMiddleware.js';
+import { auditLog } from '../middlewares/auditMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * API token routes
+ * Database-backed tokens for services and integrations
+ */
+
+// Describe the API token presented in the Authorization header
+router.get('/current',
+  verifyApiToken,
+  getCurrentApiToken
+);
+
+// Everything else requires an authenticated admin
+router.use(verifyToken);
+router.use(requireAdmin);
+
+// Get all API tokens
+router.get('/',
+  getApiTokensValidation,
+  auditLog('api_token_management', 'api_tokens_listed'),
+  getApiTokens
+);
+
+// Issue a new API token (the token is returned once)
+router.post('/',
+  createApiTokenValidation,
+  auditLog('api_token_management', 'api_token_created'),
+  createApiToken
+);
+
+// Revoke an API token
+router.delete('/:id',
+  auditLog('api_token_management', 'api_token_revoked'),
+  revokeApiToken
+);
+
+export default router;
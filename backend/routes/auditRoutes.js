@@ -8,6 +8,7 @@ import {
   searchAuditLogs,
   getAvailableModules,
   getAvailableActions,
+  getMfaCompliance,
   cleanupOldLogs,
   exportAuditLogs,
   getAuditLogsValidation,
@@ -18,7 +19,7 @@ import {
   cleanupOldLogsValidation,
   exportAuditLogsValidation
 } from '../controllers/auditController.js';
-import { verifyToken } from '../middlewares/authMiddleware.js';
+import { verifyToken, requireRecentAuth } from '../middlewares/authMiddleware.js';
 import { requireAuditAccess, requireRole } from '../middlewares/roleMiddleware.js';
 import { auditLog } from '../middlewares/auditMiddleware.js';
 
@@ -68,8 +69,15 @@ router.get('/actions',
   getAvailableActions
 );
 
-// Export audit logs
+// MFA enrollment per role against each role's MFA requirement
+router.get('/mfa-compliance', 
+  auditLog('audit', 'mfa_compliance_viewed'),
+  getMfaCompliance
+);
+
+// Export audit logs (needs a recent re-authentication)
 router.get('/export', 
+  requireRecentAuth(),
   exportAuditLogsValidation,
   auditLog('audit', 'audit_logs_exported'),
   exportAuditLogs
@@ -2,6 +2,16 @@ import express from 'express';
 import {
   register,
   login,
+  completeRequiredPasswordChange,
+  requestMagicLink,
+  verifyMagicLink,
+  verifyMFA,
+  sendMFAChallengeCode,
+  setupRequiredMFA,
+  completeRequiredMFAEnrollment,
+  getReauthenticationOptions,
+  sendVerificationCode,
+  reauthenticate,
   refreshToken,
   logout,
   logoutAll,
@@ -11,6 +21,13 @@ import {
   setupMFA,
   enableMFA,
   disableMFA,
+  listMFAMethods,
+  removeMFAMethod,
+  getBackupCodeStatus,
+  regenerateBackupCodes,
+  getTrustedDevices,
+  revokeTrustedDevice,
+  revokeAllTrustedDevices,
   getProfile,
   updateProfile,
   verifyEmail,
@@ -18,15 +35,27 @@ import {
   cleanupExpiredTokens,
   registerValidation,
   loginValidation,
+  requiredPasswordChangeValidation,
+  magicLinkRequestValidation,
+  magicLinkVerifyValidation,
+  mfaVerifyValidation,
+  mfaChallengeCodeValidation,
+  sendVerificationCodeValidation,
+  mfaSetupValidation,
+  mfaEnrollmentSetupValidation,
+  mfaEnrollmentCompleteValidation,
+  reauthenticateValidation,
   refreshTokenValidation,
   changePasswordValidation,
   passwordResetValidation,
   completePasswordResetValidation,
   mfaValidation,
+  enableMFAValidation,
+  regenerateBackupCodesValidation,
   updateProfileValidation,
   emailVerificationValidation
 } from '../controllers/authController.js';
-import { verifyToken, authRateLimit, logAuthAttempt } from '../middlewares/authMiddleware.js';
+import { verifyToken, requireRecentAuth, authRateLimit, mfaRateLimit, logAuthAttempt } from '../middlewares/authMiddleware.js';
 import { auditAuth } from '../middlewares/auditMiddleware.js';
 
 const router = express.Router();
@@ -52,6 +81,63 @@ router.post('/login',
   login
 );
 
+// Second step of a sign-in that returned requiresPasswordChange
+router.post('/password-change/complete', 
+  authRateLimit,
+  requiredPasswordChangeValidation,
+  auditAuth('password_change_required'),
+  completeRequiredPasswordChange
+);
+
+// Passwordless sign-in for roles that allow it
+router.post('/magic-link/request', 
+  authRateLimit,
+  magicLinkRequestValidation,
+  auditAuth('magic_link_request'),
+  requestMagicLink
+);
+
+router.post('/magic-link/verify', 
+  authRateLimit,
+  magicLinkVerifyValidation,
+  auditAuth('magic_link_verify'),
+  logAuthAttempt,
+  verifyMagicLink
+);
+
+// Second step of a sign-in that returned requiresMFA; limited separately from the first step
+router.post('/mfa/verify', 
+  mfaRateLimit,
+  mfaVerifyValidation,
+  auditAuth('mfa_verify'),
+  logAuthAttempt,
+  verifyMFA
+);
+
+// Email or text a code for the challenge; codes also have per-user send limits
+router.post('/mfa/challenge/send-code', 
+  mfaRateLimit,
+  mfaChallengeCodeValidation,
+  auditAuth('mfa_challenge_send_code'),
+  sendMFAChallengeCode
+);
+
+// Sign-in that returned requiresMFAEnrollment: the role requires MFA, so it is set up before any session exists
+router.post('/mfa/enrollment/setup', 
+  mfaRateLimit,
+  mfaEnrollmentSetupValidation,
+  auditAuth('mfa_enrollment_setup'),
+  setupRequiredMFA
+);
+
+router.post('/mfa/enrollment/complete', 
+  mfaRateLimit,
+  mfaEnrollmentCompleteValidation,
+  auditAuth('mfa_enrollment_complete'),
+  logAuthAttempt,
+  completeRequiredMFAEnrollment
+);
+
 router.post('/refresh-token', 
   refreshTokenValidation,
   refreshToken
@@ -84,6 +170,27 @@ router.post('/logout-all',
   logoutAll
 );
 
+// Step-up re-authentication before sensitive operations (routes guarded by requireRecentAuth)
+router.post('/reauthenticate/options', 
+  verifyToken,
+  getReauthenticationOptions
+);
+
+router.post('/mfa/send-code', 
+  verifyToken,
+  sendVerificationCodeValidation,
+  auditAuth('mfa_send_code'),
+  sendVerificationCode
+);
+
+router.post('/reauthenticate', 
+  verifyToken,
+  authRateLimit,
+  reauthenticateValidation,
+  auditAuth('reauthenticate'),
+  reauthenticate
+);
+
 router.post('/change-password', 
   verifyToken,
   changePasswordValidation,
@@ -104,26 +211,64 @@ router.put('/profile',
 );
 
 // MFA routes
+// Set up an authenticator app ("totp"), email codes or SMS codes (with phoneNumber)
 router.post('/mfa/setup', 
   verifyToken,
+  mfaSetupValidation,
   auditAuth('mfa_setup'),
   setupMFA
 );
 
 router.post('/mfa/enable', 
   verifyToken,
-  mfaValidation,
+  enableMFAValidation,
   auditAuth('mfa_enable'),
   enableMFA
 );
 
 router.post('/mfa/disable', 
   verifyToken,
+  requireRecentAuth(),
   mfaValidation,
   auditAuth('mfa_disable'),
   disableMFA
 );
 
+router.get('/mfa/methods', verifyToken, listMFAMethods);
+
+// Removing the last method turns MFA off, so it needs the same re-authentication as disabling
+router.delete('/mfa/methods/:methodId', 
+  verifyToken,
+  requireRecentAuth(),
+  auditAuth('mfa_method_remove'),
+  removeMFAMethod
+);
+
+router.get('/mfa/backup-codes', verifyToken, getBackupCodeStatus);
+
+// Password and an MFA code are asked again before new codes are shown
+router.post('/mfa/backup-codes/regenerate', 
+  verifyToken,
+  regenerateBackupCodesValidation,
+  auditAuth('mfa_backup_codes_regenerate'),
+  regenerateBackupCodes
+);
+
+// Trusted devices (browsers that skip MFA after "trust this device")
+router.get('/trusted-devices', verifyToken, getTrustedDevices);
+
+router.delete('/trusted-devices', 
+  verifyToken,
+  auditAuth('trusted_devices_revoke_all'),
+  revokeAllTrustedDevices
+);
+
+router.delete('/trusted-devices/:deviceId', 
+  verifyToken,
+  auditAuth('trusted_device_revoke'),
+  revokeTrustedDevice
+);
+
 // Email verification routes
 router.post('/verify-email', 
   emailVerificationValidation,
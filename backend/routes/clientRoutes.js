@@ -0,0 +1,67 @@
+import express from 'express';
+import {
+  getClients,
+  getClientById,
+  createClient,
+  updateClient,
+  rotateClientSecret,
+  deleteClient,
+  getClientsValidation,
+  createClientValidation,
+  updateClientValidation
+} from '../controllers/clientController.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
+import { requireAdmin } from '../middlewares/roleMiddleware.js';
+import { auditLog } from '../middlewares/auditMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * OAuth client routes
+ * Registry of applications allowed to sign users in through the OpenID Connect provider
+ */
+
+// All routes require an authenticated admin
+router.use(verifyToken);
+router.use(requireAdmin);
+
+// Get all clients
+router.get('/',
+  getClientsValidation,
+  auditLog('client_management', 'clients_listed'),
+  getClients
+);
+
+// Register a new client (the secret is returned once)
+router.post('/',
+  createClientValidation,
+  auditLog('client_management', 'client_created'),
+  createClient
+);
+
+// Get client by ID
+router.get('/:id',
+  auditLog('client_management', 'client_viewed'),
+  getClientById
+);
+
+// Update client
+router.put('/:id',
+  updateClientValidation,
+  auditLog('client_management', 'client_updated'),
+  updateClient
+);
+
+// Issue a new client secret (the old one stops working immediately)
+router.post('/:id/rotate-secret',
+  auditLog('client_management', 'client_secret_rotated'),
+  rotateClientSecret
+);
+
+// Delete client and revoke everything issued to it
+router.delete('/:id',
+  auditLog('client_management', 'client_deleted'),
+  deleteClient
+);
+
+export default router;
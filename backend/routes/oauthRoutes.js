@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  authorize,
+  getConsent,
+  submitConsent,
+  token,
+  introspect,
+  revoke,
+  userInfo,
+  consentQueryValidation,
+  consentValidation
+} from '../controllers/oauthController.js';
+import { verifyToken, verifyClientToken } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * OAuth 2.0 / OpenID Connect routes
+ * Lets other ERP applications sign users in through this service
+ */
+
+// Protocol endpoints (called by browsers and relying parties)
+router.get('/authorize', authorize);
+router.post('/token', token);
+router.post('/introspect', introspect);
+router.post('/revoke', revoke);
+router.get('/userinfo', verifyClientToken, userInfo);
+router.post('/userinfo', verifyClientToken, userInfo);
+
+// Consent endpoints (called by the ERP front end for the signed-in user)
+router.get('/consent', verifyToken, consentQueryValidation, getConsent);
+router.post('/consent', verifyToken, consentValidation, submitConsent);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getPolicy,
+  updatePolicy,
+  updatePolicyValidation
+} from '../controllers/passwordPolicyController.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
+import { requireAdmin } from '../middlewares/roleMiddleware.js';
+import { auditLog } from '../middlewares/auditMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * Password policy routes
+ * The policy is public so that registration and reset forms can describe it
+ */
+
+// Get the active policy
+router.get('/', getPolicy);
+
+// Update the policy (admin only)
+router.put('/',
+  verifyToken,
+  requireAdmin,
+  updatePolicyValidation,
+  auditLog('password_policy', 'password_policy_updated'),
+  updatePolicy
+);
+
+export default router;
@@ -19,12 +19,15 @@ import {
   removeRoleValidation,
   searchRolesValidation
 } from '../controllers/roleController.js';
-import { verifyToken } from '../middlewares/authMiddleware.js';
+import { verifyToken, requireRecentAuth } from '../middlewares/authMiddleware.js';
 import { requireRole, requireAdmin } from '../middlewares/roleMiddleware.js';
 import { auditLog } from '../middlewares/auditMiddleware.js';
 
 const router = express.Router();
 
+// Changes to roles and role assignments need a recent re-authentication
+const recentAuth = requireRecentAuth();
+
 /**
  * Role management routes
  * Handles role-based access control operations
@@ -69,6 +72,7 @@ router.get('/stats',
 // Create new role (admin only)
 router.post('/', 
   requireAdmin,
+  recentAuth,
   createRoleValidation,
   auditLog('role_management', 'role_created'),
   createRole
@@ -84,6 +88,7 @@ router.get('/:roleId',
 // Update role (admin only)
 router.put('/:roleId', 
   requireAdmin,
+  recentAuth,
   updateRoleValidation,
   auditLog('role_management', 'role_updated'),
   updateRole
@@ -92,6 +97,7 @@ router.put('/:roleId',
 // Delete role (admin only)
 router.delete('/:roleId', 
   requireAdmin,
+  recentAuth,
   auditLog('role_management', 'role_deleted'),
   deleteRole
 );
@@ -99,6 +105,7 @@ router.delete('/:roleId',
 // Assign role to user (admin/manager/hr only)
 router.post('/assign', 
   requireRole(['admin', 'manager', 'hr']),
+  recentAuth,
   assignRoleValidation,
   auditLog('role_management', 'role_assigned'),
   assignRoleToUser
@@ -107,6 +114,7 @@ router.post('/assign',
 // Remove role from user (admin/manager/hr only)
 router.post('/remove', 
   requireRole(['admin', 'manager', 'hr']),
+  recentAuth,
   removeRoleValidation,
   auditLog('role_management', 'role_removed'),
   removeRoleFromUser
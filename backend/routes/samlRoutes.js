@@ -0,0 +1,89 @@
+import express from 'express';
+import {
+  getSpMetadata,
+  getIdpMetadata,
+  startSpLogin,
+  consumeAssertion,
+  receiveAuthnRequest,
+  respond,
+  getConnections,
+  getConnectionById,
+  createConnection,
+  updateConnection,
+  rotateCertificate,
+  deleteConnection,
+  getConnectionsValidation,
+  createConnectionValidation,
+  updateConnectionValidation,
+  respondValidation
+} from '../controllers/samlController.js';
+import { verifyToken, authRateLimit } from '../middlewares/authMiddleware.js';
+import { requireAdmin } from '../middlewares/roleMiddleware.js';
+import { auditLog } from '../middlewares/auditMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * SAML 2.0 routes
+ * "sp" connections sign users in through external IdPs; "idp" connections sign users into legacy ERP modules
+ */
+
+// Service provider endpoints (called by browsers and the remote IdP)
+router.get('/sp/:slug/metadata', getSpMetadata);
+router.get('/sp/:slug/login', authRateLimit, startSpLogin);
+router.post('/sp/:slug/acs', consumeAssertion);
+
+// Identity provider endpoints (called by browsers and the remote SP)
+router.get('/idp/:slug/metadata', getIdpMetadata);
+router.get('/idp/:slug/sso', receiveAuthnRequest);
+router.post('/idp/:slug/sso', receiveAuthnRequest);
+router.post('/idp/:slug/respond', verifyToken, respondValidation, respond);
+
+// Connection management (admin only)
+router.get('/connections',
+  verifyToken,
+  requireAdmin,
+  getConnectionsValidation,
+  auditLog('saml_management', 'saml_connections_listed'),
+  getConnections
+);
+
+router.post('/connections',
+  verifyToken,
+  requireAdmin,
+  createConnectionValidation,
+  auditLog('saml_management', 'saml_connection_created'),
+  createConnection
+);
+
+router.get('/connections/:id',
+  verifyToken,
+  requireAdmin,
+  auditLog('saml_management', 'saml_connection_viewed'),
+  getConnectionById
+);
+
+router.put('/connections/:id',
+  verifyToken,
+  requireAdmin,
+  updateConnectionValidation,
+  auditLog('saml_management', 'saml_connection_updated'),
+  updateConnection
+);
+
+// Issue a new key pair for our side (the other party must load the new metadata)
+router.post('/connections/:id/rotate-certificate',
+  verifyToken,
+  requireAdmin,
+  auditLog('saml_management', 'saml_certificate_rotated'),
+  rotateCertificate
+);
+
+router.delete('/connections/:id',
+  verifyToken,
+  requireAdmin,
+  auditLog('saml_management', 'saml_connection_deleted'),
+  deleteConnection
+);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { getDirectoryUsers } from '../controllers/serviceController.js';
+import { getUsersValidation } from '../controllers/userController.js';
+import { getRoles, getRolesValidation } from '../controllers/roleController.js';
+import { verifyApiToken, requireScope } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * Service routes
+ * Read-only user directory and role list for other ERP services. Only API tokens are accepted
+ * (issued at /api/tokens or through the client_credentials grant), and each route needs its scope
+ */
+
+// API scopes these routes check
+export const SERVICE_SCOPES = {
+  READ_USERS: 'read:users',
+  READ_ROLES: 'read:roles'
+};
+
+// All routes require an API token
+router.use(verifyApiToken);
+
+// List users with their role (read:users)
+router.get('/users',
+  requireScope(SERVICE_SCOPES.READ_USERS),
+  getUsersValidation,
+  getDirectoryUsers
+);
+
+// List roles (read:roles)
+router.get('/roles',
+  requireScope(SERVICE_SCOPES.READ_ROLES),
+  getRolesValidation,
+  getRoles
+);
+
+export default router;
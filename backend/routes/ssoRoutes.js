@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getProviders,
+  startLogin,
+  handleCallback,
+  exchangeTicket,
+  exchangeTicketValidation
+} from '../controllers/ssoController.js';
+import { authRateLimit } from '../middlewares/authMiddleware.js';
+import { auditAuth } from '../middlewares/auditMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * External identity provider (SSO) routes
+ * Sign-in through the corporate IdPs configured in SSO_PROVIDERS
+ */
+
+// Public routes (no authentication required)
+router.get('/providers', getProviders);
+
+router.post('/exchange',
+  authRateLimit,
+  exchangeTicketValidation,
+  auditAuth('sso_login'),
+  exchangeTicket
+);
+
+// Browser redirects to and from the identity provider
+router.get('/:provider/start', authRateLimit, startLogin);
+router.get('/:provider/callback', handleCallback);
+
+export default router;
@@ -7,6 +7,12 @@ import {
   deleteUser,
   activateUser,
   deactivateUser,
+  unlockUser,
+  resetUserPassword,
+  requestMfaReset,
+  getMfaResetRequests,
+  approveMfaReset,
+  rejectMfaReset,
   getUserSessions,
   revokeSession,
   revokeAllSessions,
@@ -15,14 +21,22 @@ import {
   getUsersValidation,
   createUserValidation,
   updateUserValidation,
-  searchUsersValidation
+  searchUsersValidation,
+  mfaResetRequestValidation,
+  getMfaResetRequestsValidation,
+  mfaResetReviewValidation
 } from '../controllers/userController.js';
-import { verifyToken, requireAuth } from '../middlewares/authMiddleware.js';
+import { verifyToken, requireAuth, requireRecentAuth } from '../middlewares/authMiddleware.js';
 import { requireUserManagement, requireOwnerOrAdmin, requireRole } from '../middlewares/roleMiddleware.js';
 import { auditUserManagement } from '../middlewares/auditMiddleware.js';
 
 const router = express.Router();
 
+// Role changes need a recent re-authentication; other profile edits do not
+const recentAuth = requireRecentAuth();
+const requireRecentAuthForRoleChange = (req, res, next) =>
+  (req.body?.roleId !== undefined ? recentAuth(req, res, next) : next());
+
 /**
  * User management routes
  * Handles user CRUD operations and management
@@ -66,6 +80,31 @@ router.post('/',
   createUser
 );
 
+// List MFA reset requests, pending ones by default (admin only)
+router.get('/mfa-resets', 
+  requireRole(['admin']),
+  getMfaResetRequestsValidation,
+  auditUserManagement('mfa_resets_listed'),
+  getMfaResetRequests
+);
+
+// Approve a pending MFA reset and carry it out (admin other than the requester)
+router.post('/mfa-resets/:requestId/approve', 
+  requireRole(['admin']),
+  recentAuth,
+  mfaResetReviewValidation,
+  auditUserManagement('mfa_reset_approved'),
+  approveMfaReset
+);
+
+// Reject a pending MFA reset (admin only)
+router.post('/mfa-resets/:requestId/reject', 
+  requireRole(['admin']),
+  mfaResetReviewValidation,
+  auditUserManagement('mfa_reset_rejected'),
+  rejectMfaReset
+);
+
 // Get user by ID (owner or admin/manager/hr)
 router.get('/:userId', 
   requireOwnerOrAdmin('userId'),
@@ -76,6 +115,7 @@ router.get('/:userId',
 // Update user (owner or admin/manager/hr)
 router.put('/:userId', 
   requireOwnerOrAdmin('userId'),
+  requireRecentAuthForRoleChange,
   updateUserValidation,
   auditUserManagement('user_updated'),
   updateUser
@@ -84,6 +124,7 @@ router.put('/:userId',
 // Delete user (admin only)
 router.delete('/:userId', 
   requireRole(['admin']),
+  recentAuth,
   auditUserManagement('user_deleted'),
   deleteUser
 );
@@ -102,6 +143,30 @@ router.patch('/:userId/deactivate',
   deactivateUser
 );
 
+// Unlock an account locked after failed sign-ins (admin/manager/hr only)
+router.patch('/:userId/unlock', 
+  requireUserManagement,
+  auditUserManagement('user_unlocked'),
+  unlockUser
+);
+
+// Reset a user's password to a temporary one (admin only)
+router.post('/:userId/reset-password', 
+  requireRole(['admin']),
+  recentAuth,
+  auditUserManagement('user_password_reset'),
+  resetUserPassword
+);
+
+// Reset a user's MFA after verifying their identity (admin/manager/hr; needs admin approval unless an admin asks)
+router.post('/:userId/mfa-reset', 
+  requireUserManagement,
+  recentAuth,
+  mfaResetRequestValidation,
+  auditUserManagement('mfa_reset_requested'),
+  requestMfaReset
+);
+
 // Get user sessions (owner or admin/manager/hr)
 router.get('/:userId/sessions', 
   requireOwnerOrAdmin('userId'),
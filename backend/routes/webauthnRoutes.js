@@ -0,0 +1,63 @@
+import express from 'express';
+import {
+  getRegistrationOptions,
+  verifyRegistration,
+  getLoginOptions,
+  verifyLogin,
+  getCredentials,
+  renameCredential,
+  deleteCredential,
+  registrationValidation,
+  loginValidation,
+  renameCredentialValidation
+} from '../controllers/webauthnController.js';
+import { verifyToken, requireRecentAuth, authRateLimit, logAuthAttempt } from '../middlewares/authMiddleware.js';
+import { auditAuth } from '../middlewares/auditMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * WebAuthn (passkey) routes
+ * Passwordless sign-in with a passkey, and passkey registration and management for the current user
+ */
+
+// Public routes (no authentication required)
+router.post('/login/options', authRateLimit, getLoginOptions);
+
+router.post('/login/verify',
+  authRateLimit,
+  loginValidation,
+  auditAuth('passkey_login'),
+  logAuthAttempt,
+  verifyLogin
+);
+
+// Protected routes (authentication required)
+// A passkey is a first factor on its own, so adding one needs a recent sign-in like other MFA changes
+router.post('/register/options', verifyToken, requireRecentAuth(), getRegistrationOptions);
+
+router.post('/register/verify',
+  verifyToken,
+  requireRecentAuth(),
+  registrationValidation,
+  auditAuth('passkey_register'),
+  verifyRegistration
+);
+
+router.get('/credentials', verifyToken, getCredentials);
+
+router.patch('/credentials/:id',
+  verifyToken,
+  renameCredentialValidation,
+  renameCredential
+);
+
+// Removing the last passkey can turn MFA off, so it needs the same re-authentication as disabling
+router.delete('/credentials/:id',
+  verifyToken,
+  requireRecentAuth(),
+  auditAuth('passkey_remove'),
+  deleteCredential
+);
+
+export default router;
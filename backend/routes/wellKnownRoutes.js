@@ -0,0 +1,14 @@
+import express from 'express';
+import { getJwks, getOpenIdConfiguration } from '../controllers/wellKnownController.js';
+
+const router = express.Router();
+
+/**
+ * Well-known routes
+ * Public discovery documents served under /.well-known
+ */
+
+router.get('/jwks.json', getJwks);
+router.get('/openid-configuration', getOpenIdConfiguration);
+
+export default router;
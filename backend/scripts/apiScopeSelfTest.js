@@ -0,0 +1,102 @@
+import 'dotenv/config';
+import assert from 'assert/strict';
+import express from 'express';
+import { db } from '../config/db.js';
+import apiTokenService from '../services/apiTokenService.js';
+import serviceRoutes, { SERVICE_SCOPES } from '../routes/serviceRoutes.js';
+
+/**
+ * Check that the service routes enforce API token scopes
+ * Usage: node scripts/apiScopeSelfTest.js
+ * Needs the database from DATABASE_URL. Issues two short-lived API tokens, calls /api/service on a
+ * local port with each and deletes the tokens again. A token without the route's scope must get 403.
+ */
+
+const TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const startServer = () => new Promise((resolve) => {
+  const app = express();
+  app.use('/api/service', serviceRoutes);
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const call = async (baseUrl, path, token) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const checks = [
+  ['a request without a token gets 401', async ({ baseUrl }) => {
+    const { status } = await call(baseUrl, '/api/service/users');
+    assert.equal(status, 401);
+  }],
+
+  ['a token lacking the scope gets 403', async ({ baseUrl, rolesToken }) => {
+    const { status, body } = await call(baseUrl, '/api/service/users', rolesToken);
+    assert.equal(status, 403);
+    assert.deepEqual(body.requiredScopes, [SERVICE_SCOPES.READ_USERS]);
+  }],
+
+  ['a token with the scope is let through', async ({ baseUrl, rolesToken, usersToken }) => {
+    assert.equal((await call(baseUrl, '/api/service/roles', rolesToken)).status, 200);
+    assert.equal((await call(baseUrl, '/api/service/users', usersToken)).status, 200);
+  }],
+
+  ['the user directory leaves out sessions and secrets', async ({ baseUrl, usersToken }) => {
+    const { body } = await call(baseUrl, '/api/service/users?limit=5', usersToken);
+    for (const user of body.data) {
+      assert.deepEqual(Object.keys(user).sort(), ['email', 'firstName', 'id', 'isActive', 'lastName', 'role']);
+    }
+  }]
+];
+
+async function main() {
+  await db.connect();
+
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS);
+  const issued = [];
+  let server;
+
+  try {
+    const issue = async (scope) => {
+      const result = await apiTokenService.issueToken({ description: 'API scope self-test', scopes: [scope], expiresAt });
+      issued.push(result.apiToken.id);
+      return result.token;
+    };
+
+    const context = {
+      rolesToken: await issue(SERVICE_SCOPES.READ_ROLES),
+      usersToken: await issue(SERVICE_SCOPES.READ_USERS)
+    };
+
+    server = await startServer();
+    context.baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    let failed = 0;
+    for (const [label, check] of checks) {
+      try {
+        await check(context);
+        console.log(`  ok    ${label}`);
+      } catch (error) {
+        failed += 1;
+        console.log(`  FAIL  ${label}: ${error.message}`);
+      }
+    }
+
+    if (failed > 0) {
+      throw new Error(`${failed} of ${checks.length} checks failed`);
+    }
+    console.log(`All ${checks.length} checks passed`);
+  } finally {
+    server?.close();
+    await db.client.apiToken.deleteMany({ where: { id: { in: issued } } });
+    await db.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('API scope self-test failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import breachedPasswordService from '../services/breachedPasswordService.js';
+
+/**
+ * Build the breached password filter from a local SHA-1 dataset
+ * Usage: node scripts/loadBreachedPasswords.js <file-or-directory> [--min-count N] [--false-positive-rate P]
+ *   <file>                  one "HASH" or "HASH:count" line per password (SHA-1, hex)
+ *   <directory>             k-anonymity range files named by 5-character hash prefix,
+ *                           each holding "SUFFIX:count" lines
+ *   --min-count N           skip hashes seen fewer than N times (keeps the filter small; default 1)
+ *   --false-positive-rate P share of unlisted passwords rejected anyway (default 0.001)
+ *
+ * The filter is written to BREACHED_PASSWORDS_FILE; running servers pick it up within a minute.
+ */
+
+const PREFIX_FILE = /^([0-9A-Fa-f]{5})(\.txt)?$/;
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  if (index === -1) {
+    return fallback;
+  }
+
+  const value = Number(process.argv[index + 1]);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${name} needs a number`);
+  }
+  return value;
+};
+
+// Each source is a file plus the hash prefix its lines leave out
+const listSources = (inputPath) => {
+  if (!fs.statSync(inputPath).isDirectory()) {
+    return [{ file: inputPath, prefix: '' }];
+  }
+
+  return fs.readdirSync(inputPath)
+    .map(name => ({ name, match: name.match(PREFIX_FILE) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(entry => ({ file: path.join(inputPath, entry.name), prefix: entry.match[1].toUpperCase() }));
+};
+
+async function* readHashes(sources, minCount) {
+  for (const { file, prefix } of sources) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      const [hash, count] = line.trim().split(':');
+      if (!hash) {
+        continue;
+      }
+      if (count !== undefined && Number(count) < minCount) {
+        continue;
+      }
+
+      const fullHash = `${prefix}${hash}`;
+      if (fullHash.length === 40) {
+        yield fullHash;
+      }
+    }
+  }
+}
+
+async function main() {
+  const inputPath = process.argv[2];
+  if (!inputPath || inputPath.startsWith('--')) {
+    throw new Error('Usage: node scripts/loadBreachedPasswords.js <file-or-directory> [--min-count N] [--false-positive-rate P]');
+  }
+
+  const minCount = readOption('--min-count', 1);
+  const falsePositiveRate = readOption('--false-positive-rate', 0.001);
+  if (falsePositiveRate <= 0 || falsePositiveRate >= 1) {
+    throw new Error('--false-positive-rate must be between 0 and 1');
+  }
+
+  const sources = listSources(inputPath);
+  if (sources.length === 0) {
+    throw new Error(`No range files found in ${inputPath}`);
+  }
+
+  // First pass sizes the filter, second pass fills it
+  let expectedCount = 0;
+  for await (const _hash of readHashes(sources, minCount)) {
+    expectedCount++;
+  }
+  if (expectedCount === 0) {
+    throw new Error('The dataset contains no usable hashes');
+  }
+
+  const filter = breachedPasswordService.createFilter(expectedCount, falsePositiveRate);
+  console.log(`Building filter for ${expectedCount} hashes (${(filter.bits.length / 1024 / 1024).toFixed(1)} MiB, ${filter.hashCount} hash functions)`);
+
+  let skipped = 0;
+  for await (const hash of readHashes(sources, minCount)) {
+    try {
+      breachedPasswordService.addHash(filter, hash);
+    } catch {
+      skipped++;
+    }
+  }
+
+  const filePath = breachedPasswordService.getFilterPath();
+  await breachedPasswordService.saveFilter(filter, filePath);
+
+  console.log(`Loaded ${filter.entryCount} breached password hashes into ${filePath}`);
+  if (skipped > 0) {
+    console.log(`Skipped ${skipped} malformed lines`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Loading breached passwords failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import ssoUtils from '../utils/ssoUtils.js';
+
+/**
+ * Local mock OpenID Connect identity provider for trying out SSO sign-in
+ * Usage: node scripts/mockIdp.js
+ *   MOCK_IDP_PORT       port to listen on (default 4000)
+ *   MOCK_IDP_CLIENT_ID  client id the backend is configured with (default erp-auth)
+ *
+ * Matching SSO_PROVIDERS entry:
+ *   [{"id":"mock","name":"Mock IdP","issuer":"http://localhost:4000","clientId":"erp-auth",
+ *     "roleMapping":{"erp-admins":"admin"}}]
+ */
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'erp-auth';
+const CODE_TTL_MS = 60 * 1000;
+
+// Fresh key per run; the backend picks it up from the JWKS
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const buildIdentity = ({ email, name = '', groups = '' }) => {
+  const [givenName, ...rest] = name.trim().split(/\s+/);
+  return {
+    sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+    email: email.toLowerCase(),
+    email_verified: true,
+    name: name.trim() || undefined,
+    given_name: givenName || undefined,
+    family_name: rest.join(' ') || undefined,
+    groups: groups.split(',').map(group => group.trim()).filter(Boolean)
+  };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form standing in for the real IdP's login page
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID || req.query.response_type !== 'code') {
+    return res.status(400).send('Unknown client or unsupported response_type');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(key => `<input type="hidden" name="${key}" value="${escapeHtml(req.query[key])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock IdP</title>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Email <input name="email" type="email" value="jane.doe@example.com" required></label></p>
+  <p><label>Name <input name="name" value="Jane Doe"></label></p>
+  <p><label>Groups (comma separated) <input name="groups" value="erp-admins"></label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce } = req.body;
+
+  if (clientId !== CLIENT_ID || !redirectUri || !req.body.email) {
+    return res.status(400).send('Invalid sign-in request');
+  }
+
+  const code = crypto.randomBytes(16).toString('base64url');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge: req.body.code_challenge,
+    codeChallengeMethod: req.body.code_challenge_method,
+    identity: buildIdentity(req.body),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, client_id: clientId, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (entry.clientId !== clientId || entry.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+  }
+
+  if (entry.codeChallenge && !ssoUtils.verifyPKCE(codeVerifier, entry.codeChallenge, entry.codeChallengeMethod)) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(32).toString('base64url');
+  accessTokens.set(accessToken, entry.identity);
+
+  const idToken = jwt.sign({ ...entry.identity, nonce: entry.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+  const identity = accessTokens.get(token);
+
+  if (!identity) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(identity);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock IdP listening on ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -0,0 +1,78 @@
+import 'dotenv/config';
+import { db } from '../config/db.js';
+import secretEncryption, { SECRET_COLUMNS } from '../utils/secretEncryption.js';
+
+/**
+ * Re-encrypt secret columns under the current SECRET_ENCRYPTION_KEY_VERSION
+ * Usage: node scripts/reencryptSecrets.js [--plaintext-only]
+ *   --plaintext-only  only encrypt values stored before encryption was introduced
+ *
+ * Rows are updated only if the value has not changed since it was read, so the command is safe
+ * to run against a live database and to repeat after an interruption.
+ */
+const BATCH_SIZE = 200;
+
+const reencryptColumn = async ({ model, field, context }, plaintextOnly) => {
+  const counts = { updated: 0, skipped: 0 };
+  let cursor;
+
+  for (;;) {
+    const rows = await db.client[model].findMany({
+      where: { [field]: { not: null } },
+      select: { id: true, [field]: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      const stored = row[field];
+      const due = plaintextOnly
+        ? !secretEncryption.isEncrypted(stored)
+        : secretEncryption.needsReencryption(stored);
+
+      if (!due) {
+        continue;
+      }
+
+      const reencrypted = secretEncryption.encrypt(secretEncryption.decrypt(stored, context), context);
+      const result = await db.client[model].updateMany({
+        where: { id: row.id, [field]: stored },
+        data: { [field]: reencrypted }
+      });
+
+      counts[result.count === 1 ? 'updated' : 'skipped'] += 1;
+    }
+  }
+
+  return counts;
+};
+
+async function main() {
+  const plaintextOnly = process.argv.includes('--plaintext-only');
+  // Fail before touching any rows if the keys are missing or misconfigured
+  const { currentVersion } = secretEncryption.getKeyring();
+
+  await db.connect();
+
+  try {
+    console.log(`Encrypting with key ${currentVersion}${plaintextOnly ? ' (plaintext values only)' : ''}`);
+
+    for (const column of SECRET_COLUMNS) {
+      const { updated, skipped } = await reencryptColumn(column, plaintextOnly);
+      console.log(`${column.context}: ${updated} re-encrypted${skipped ? `, ${skipped} changed while running (run again)` : ''}`);
+    }
+  } finally {
+    await db.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Secret re-encryption failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+import 'dotenv/config';
+import { db } from '../config/db.js';
+import keyService from '../services/keyService.js';
+
+/**
+ * Rotate the JWT signing key
+ * Usage: node scripts/rotateSigningKey.js [--immediate]
+ *   --immediate  activate the new key now and expire all older keys (use when a key is compromised)
+ */
+async function main() {
+  const immediate = process.argv.includes('--immediate');
+
+  await db.connect();
+
+  try {
+    const result = await keyService.rotateSigningKey({ immediate });
+
+    console.log(`New signing key: ${result.kid} (${result.algorithm})`);
+    console.log(`Signs from: ${result.activatesAt.toISOString()}`);
+    console.log(`Previous keys expire: ${result.previousKeysExpireAt.toISOString()}`);
+  } finally {
+    await db.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Signing key rotation failed:', error.message);
+  process.exit(1);
+});
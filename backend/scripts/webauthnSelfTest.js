@@ -0,0 +1,150 @@
+import 'dotenv/config';
+import assert from 'assert/strict';
+import { generateRegistrationOptions, generateAuthenticationOptions } from '@simplewebauthn/server';
+import { getRelyingParty, verifyRegistrationCeremony, verifyAssertionCeremony } from '../utils/webauthnUtils.js';
+import { createSoftwareAuthenticator } from '../utils/softwareAuthenticator.js';
+
+/**
+ * Run passkey registration and sign-in against a software authenticator
+ * Usage: node scripts/webauthnSelfTest.js
+ * Uses the configured relying party (WEBAUTHN_RP_ID, WEBAUTHN_ORIGINS or FRONTEND_URL) and needs no
+ * database. Checks that valid ceremonies verify and that wrong challenges, wrong origins, another
+ * relying party and a signature counter that did not advance are all rejected.
+ */
+
+const relyingParty = getRelyingParty();
+const origin = relyingParty.origins[0];
+
+const registrationOptions = () => generateRegistrationOptions({
+  rpName: relyingParty.name,
+  rpID: relyingParty.id,
+  userID: new TextEncoder().encode('self-test-user'),
+  userName: 'self-test@example.com',
+  attestationType: 'none',
+  authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' }
+});
+
+const authenticationOptions = (credentialId) => generateAuthenticationOptions({
+  rpID: relyingParty.id,
+  allowCredentials: credentialId ? [{ id: credentialId }] : [],
+  userVerification: 'preferred'
+});
+
+const register = async (authenticator) => {
+  const options = await registrationOptions();
+  const verification = await verifyRegistrationCeremony(authenticator.register(options), {
+    expectedChallenge: options.challenge,
+    relyingParty
+  });
+
+  assert.equal(verification.verified, true);
+  return verification.registrationInfo.credential;
+};
+
+const assertRejected = async (promise, label) => {
+  const rejected = await promise.then(result => !result.verified, () => true);
+  assert.ok(rejected, `${label} was accepted`);
+};
+
+const checks = [
+  ['registration verifies', async () => {
+    const credential = await register(createSoftwareAuthenticator({ origin }));
+    assert.equal(credential.counter, 0);
+  }],
+
+  ['sign-in verifies and advances the counter', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const credential = await register(authenticator);
+    const options = await authenticationOptions(credential.id);
+
+    const verification = await verifyAssertionCeremony(authenticator.authenticate(options), {
+      expectedChallenge: options.challenge,
+      credential,
+      relyingParty
+    });
+
+    assert.equal(verification.verified, true);
+    assert.equal(verification.authenticationInfo.newCounter, 1);
+  }],
+
+  ['passwordless sign-in finds the discoverable credential', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const credential = await register(authenticator);
+    const options = await authenticationOptions();
+
+    const response = authenticator.authenticate(options);
+    assert.equal(response.id, credential.id);
+  }],
+
+  ['a different challenge is rejected', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const credential = await register(authenticator);
+    const options = await authenticationOptions(credential.id);
+    const other = await authenticationOptions(credential.id);
+
+    await assertRejected(verifyAssertionCeremony(authenticator.authenticate(options), {
+      expectedChallenge: other.challenge,
+      credential,
+      relyingParty
+    }), 'Assertion for another challenge');
+  }],
+
+  ['a different origin is rejected', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const credential = await register(authenticator);
+    const options = await authenticationOptions(credential.id);
+
+    await assertRejected(verifyAssertionCeremony(authenticator.authenticate(options, { origin: 'https://evil.example' }), {
+      expectedChallenge: options.challenge,
+      credential,
+      relyingParty
+    }), 'Assertion from another origin');
+  }],
+
+  ['a registration for another relying party is rejected', async () => {
+    const options = await registrationOptions();
+    const response = createSoftwareAuthenticator({ origin }).register({ ...options, rp: { ...options.rp, id: 'evil.example' } });
+
+    await assertRejected(verifyRegistrationCeremony(response, {
+      expectedChallenge: options.challenge,
+      relyingParty
+    }), 'Registration for another RP ID');
+  }],
+
+  ['a counter that did not advance is rejected', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const credential = await register(authenticator);
+    const options = await authenticationOptions(credential.id);
+
+    await assertRejected(verifyAssertionCeremony(authenticator.authenticate(options, { counter: 5 }), {
+      expectedChallenge: options.challenge,
+      credential: { ...credential, counter: 5 },
+      relyingParty
+    }), 'Assertion with a replayed counter');
+  }]
+];
+
+async function main() {
+  console.log(`Relying party ${relyingParty.id}, origin ${origin}`);
+
+  let failed = 0;
+  for (const [label, check] of checks) {
+    try {
+      await check();
+      console.log(`  ok    ${label}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  FAIL  ${label}: ${error.message}`);
+    }
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${checks.length} checks failed`);
+  }
+  console.log(`All ${checks.length} checks passed`);
+}
+
+main().catch((error) => {
+  console.error('WebAuthn self-test failed:', error.message);
+  process.exit(1);
+});
@@ -10,12 +10,24 @@ import { db } from './config/db.js';
 // Import middleware
 import { errorHandler, notFound, securityErrorHandler, databaseErrorHandler } from './middlewares/errorMiddleware.js';
 import logger from './utils/logger.js';
+import secretEncryption from './utils/secretEncryption.js';
+import keyService from './services/keyService.js';
+import clientService from './services/clientService.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import roleRoutes from './routes/roleRoutes.js';
 import auditRoutes from './routes/auditRoutes.js';
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
+import oauthRoutes from './routes/oauthRoutes.js';
+import clientRoutes from './routes/clientRoutes.js';
+import apiTokenRoutes from './routes/apiTokenRoutes.js';
+import ssoRoutes from './routes/ssoRoutes.js';
+import webauthnRoutes from './routes/webauthnRoutes.js';
+import samlRoutes from './routes/samlRoutes.js';
+import passwordPolicyRoutes from './routes/passwordPolicyRoutes.js';
+import serviceRoutes from './routes/serviceRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -46,11 +58,27 @@ app.use(helmet({
 }));
 
 // CORS configuration
-app.use(cors({
+const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+};
+
+// Browser-based OAuth clients may call the protocol endpoints from their registered origins
+const isOAuthPath = (path) => path.startsWith('/oauth/') || path.startsWith('/.well-known/');
+
+app.use(cors((req, callback) => {
+  const origin = req.get('Origin');
+  if (!origin || !isOAuthPath(req.path) || origin === corsOptions.origin) {
+    return callback(null, corsOptions);
+  }
+
+  clientService.isAllowedOrigin(origin)
+    .then(allowed => callback(null, allowed
+      ? { origin, credentials: false, methods: ['GET', 'POST', 'OPTIONS'], allowedHeaders: ['Content-Type', 'Authorization'] }
+      : corsOptions))
+    .catch(() => callback(null, corsOptions));
 }));
 
 // Rate limiting
@@ -73,6 +101,8 @@ const authLimiter = rateLimit({
     success: false,
     message: 'Too many authentication attempts, please try again later.'
   },
+  // The MFA and required enrollment steps have their own limit (mfaRateLimit), so a sign-in does not spend this budget twice
+  skip: (req) => ['/mfa/verify', '/mfa/challenge/send-code', '/mfa/enrollment/setup', '/mfa/enrollment/complete'].includes(req.path),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -164,11 +194,27 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Discovery documents (JWKS, OpenID configuration) for services verifying our tokens
+app.use('/.well-known', wellKnownRoutes);
+
+// OpenID Connect provider endpoints
+app.use('/oauth', oauthRoutes);
+
 // API routes
+// An SSO sign-in takes three requests, so it sits outside the strict auth limiter
+app.use('/api/auth/sso', ssoRoutes);
+// Passkey sign-in and credential management carry their own per-route limits
+app.use('/api/auth/webauthn', webauthnRoutes);
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/tokens', apiTokenRoutes);
+// Other ERP services, with API tokens only
+app.use('/api/service', serviceRoutes);
+app.use('/api/saml', samlRoutes);
+app.use('/api/password-policy', passwordPolicyRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -179,10 +225,20 @@ app.get('/api', (req, res) => {
     environment: NODE_ENV,
     endpoints: {
       auth: '/api/auth',
+      sso: '/api/auth/sso',
+      webauthn: '/api/auth/webauthn',
       users: '/api/users',
       roles: '/api/roles',
       audit: '/api/audit',
-      health: '/api/health'
+      clients: '/api/clients',
+      tokens: '/api/tokens',
+      service: '/api/service',
+      saml: '/api/saml',
+      passwordPolicy: '/api/password-policy',
+      health: '/api/health',
+      jwks: '/.well-known/jwks.json',
+      openidConfiguration: '/.well-known/openid-configuration',
+      oauth: '/oauth'
     },
     documentation: 'https://github.com/your-repo/erp-auth-api'
   });
@@ -201,6 +257,9 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    // Stop background key rotation
+    keyService.stopKeyRotationSchedule();
+
     // Close database connection
     await db.disconnect();
     
@@ -231,8 +290,15 @@ process.on('unhandledRejection', (reason, promise) => {
 // Start server
 const startServer = async () => {
   try {
+    // Refuse to start without a usable key for secrets stored in the database
+    secretEncryption.getKeyring();
+
     // Connect to database
     await db.connect();
+
+    // Load JWT signing keys before any token can be issued
+    await keyService.initializeKeys();
+    keyService.startKeyRotationSchedule();
     
     // Start listening
     app.listen(PORT, () => {
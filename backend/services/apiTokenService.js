@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import { hashToken } from './tokenService.js';
+
+/**
+ * API token service
+ * Opaque, database-backed tokens for services and integrations (issued by admins or the client_credentials grant)
+ */
+
+// Configuration constants
+const TOKEN_PREFIX = 'erp_';
+const PREFIX_DISPLAY_LENGTH = 12;
+// Writing lastUsedAt on every request is wasteful; this is precise enough for audits
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // 1 minute
+// API scopes look like "read:finance" or "write:hr"
+export const API_SCOPE_PATTERN = /^[a-z]+:[a-z0-9_-]+$/;
+
+const generateToken = () => {
+  return `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+export const isApiToken = (token) => {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+export const sanitizeApiToken = (apiToken) => {
+    const { tokenHash, ...sanitizedToken } = apiToken;
+    return sanitizedToken;
+  }
+
+export const issueToken = async (options) => {
+    const {
+      userId = null,
+      clientId = null,
+      description = null,
+      scopes = [],
+      expiresAt = null
+    } = options;
+
+    try {
+      const invalidScopes = scopes.filter(scope => !API_SCOPE_PATTERN.test(scope));
+      if (invalidScopes.length > 0) {
+        throw new Error(`Invalid scope: ${invalidScopes.join(', ')}`);
+      }
+
+      // Only the hash is stored; the caller gets the token exactly once
+      const token = generateToken();
+
+      const apiToken = await db.client.apiToken.create({
+        data: {
+          userId,
+          clientId,
+          tokenHash: hashToken(token),
+          prefix: token.slice(0, PREFIX_DISPLAY_LENGTH),
+          description,
+          scopes,
+          expiresAt
+        }
+      });
+
+      logger.security('api_token_issued', {
+        tokenId: apiToken.id,
+        userId,
+        clientId,
+        scopes
+      });
+
+      return {
+        apiToken: sanitizeApiToken(apiToken),
+        token
+      };
+    } catch (error) {
+      logger.error('API token issue failed', { error: error.message, userId, clientId });
+      throw error;
+    }
+  }
+
+export const getTokens = async (options = {}) => {
+    const {
+      page = 1,
+      limit = 10,
+      userId = null,
+      clientId = null,
+      includeRevoked = false
+    } = options;
+
+    try {
+      const skip = (page - 1) * limit;
+
+      const where = {};
+      if (userId) where.userId = userId;
+      if (clientId) where.clientId = clientId;
+      if (!includeRevoked) where.revokedAt = null;
+
+      const [tokens, total] = await Promise.all([
+        db.client.apiToken.findMany({
+          where,
+          include: {
+            user: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true
+              }
+            },
+            client: {
+              select: {
+                clientId: true,
+                name: true
+              }
+            }
+          },
+          skip,
+          take: limit,
+          orderBy: { createdAt: 'desc' }
+        }),
+        db.client.apiToken.count({ where })
+      ]);
+
+      return {
+        tokens: tokens.map(sanitizeApiToken),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to get API tokens', { error: error.message, options });
+      throw error;
+    }
+  }
+
+export const revokeToken = async (tokenId) => {
+    try {
+      const apiToken = await db.client.apiToken.findUnique({
+        where: { id: tokenId }
+      });
+
+      if (!apiToken) {
+        throw new Error('API token not found');
+      }
+
+      if (apiToken.revokedAt) {
+        throw new Error('API token already revoked');
+      }
+
+      const revoked = await db.client.apiToken.update({
+        where: { id: tokenId },
+        data: { revokedAt: new Date() }
+      });
+
+      logger.security('api_token_revoked', { tokenId, userId: apiToken.userId, clientId: apiToken.clientId });
+
+      return sanitizeApiToken(revoked);
+    } catch (error) {
+      logger.error('API token revocation failed', { error: error.message, tokenId });
+      throw error;
+    }
+  }
+
+// Returns the active token record for a presented token, or null
+export const findActiveToken = async (token) => {
+    if (!isApiToken(token)) return null;
+
+    const apiToken = await db.client.apiToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: {
+        client: { select: { clientId: true, isActive: true } }
+      }
+    });
+
+    if (!apiToken || apiToken.revokedAt) return null;
+    if (apiToken.expiresAt && apiToken.expiresAt <= new Date()) return null;
+    // Tokens issued to a disabled client stop working with it
+    if (apiToken.client && !apiToken.client.isActive) return null;
+
+    return apiToken;
+  }
+
+export const authenticateToken = async (token, context = {}) => {
+    const { ip = null } = context;
+
+    try {
+      const apiToken = await findActiveToken(token);
+      if (!apiToken) {
+        throw new Error('Invalid or expired API token');
+      }
+
+      const now = new Date();
+      if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt >= LAST_USED_RESOLUTION_MS || apiToken.lastUsedIp !== ip) {
+        await db.client.apiToken.update({
+          where: { id: apiToken.id },
+          data: { lastUsedAt: now, lastUsedIp: ip }
+        });
+      }
+
+      return {
+        id: apiToken.id,
+        userId: apiToken.userId,
+        clientId: apiToken.clientId,
+        scopes: apiToken.scopes,
+        expiresAt: apiToken.expiresAt
+      };
+    } catch (error) {
+      logger.error('API token authentication failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+export const hasScopes = (apiToken, requiredScopes) => {
+  return requiredScopes.every(scope => apiToken.scopes.includes(scope));
+};
+
+export const cleanupExpiredApiTokens = async () => {
+    try {
+      const result = await db.client.apiToken.deleteMany({
+        where: {
+          expiresAt: {
+            lt: new Date()
+          }
+        }
+      });
+
+      logger.info('Cleaned up expired API tokens', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired API tokens', {
+        error: error.message
+      });
+    }
+  }
+// Export all functions as named exports
+export default {
+  API_SCOPE_PATTERN,
+  isApiToken,
+  sanitizeApiToken,
+  issueToken,
+  getTokens,
+  revokeToken,
+  findActiveToken,
+  authenticateToken,
+  hasScopes,
+  cleanupExpiredApiTokens
+};
@@ -1,21 +1,330 @@
-import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import { db } from '../config/db.js';
 import jwtUtils from '../utils/jwtUtils.js';
 import mfaUtils from '../utils/mfaUtils.js';
 import logger from '../utils/logger.js';
+import passwordHasher from '../utils/passwordHasher.js';
+import sessionCache from '../utils/sessionCache.js';
 import emailService from './emailService.js';
+import tokenService from './tokenService.js';
+import lockoutService from './lockoutService.js';
+import webauthnService from './webauthnService.js';
+import trustedDeviceService from './trustedDeviceService.js';
+import mfaOtpService, { OTP_TYPES } from './mfaOtpService.js';
+import otpDeliveryService from './otpDeliveryService.js';
+import passwordPolicyService, { PasswordPolicyError } from './passwordPolicyService.js';
 
 /**
  * Authentication service
  * Handles user authentication, registration, password management, and MFA
  */
 
-// Configuration constants
-const SALT_ROUNDS = 12;
+// Binds a password change token to the password it replaces, so the token is spent once that password changes
+const passwordFingerprint = (user) => {
+  return crypto.createHash('sha256').update(user.password).digest('base64url').slice(0, 16);
+};
+
+const BACKUP_CODE_PATTERN = /^[A-F0-9]{8}$/i;
+const BACKUP_CODE_ATTEMPTS = 3;
+const MFA_ENROLLMENT_TTL_MS = 10 * 60 * 1000; // 10 minutes to scan the code and confirm it
+const MFA_ENROLLMENT_CONTEXT = 'MfaEnrollment.secret';
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000; // Matches the challenge ticket's expiry
+const MFA_CHALLENGE_MAX_ATTEMPTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Authentication method references (RFC 8176), recorded on sessions and carried in access tokens as `amr`
+export const AMR = {
+  PASSWORD: 'pwd',
+  OTP: 'otp',
+  SMS: 'sms',
+  PASSKEY: 'hwk',
+  EMAIL: 'email',
+  FEDERATED: 'fed',
+  MFA: 'mfa'
+};
+
+// What each sign-in method proves on its own
+const SIGN_IN_METHOD_AMR = {
+  password: [AMR.PASSWORD],
+  passkey: [AMR.PASSKEY],
+  magic_link: [AMR.EMAIL],
+  sso: [AMR.FEDERATED]
+};
+
+const isBackupCode = (token) => typeof token === 'string' && BACKUP_CODE_PATTERN.test(token);
+
+/**
+ * Spend a backup code; returns the number of codes left, or null when the code does not match
+ * The list is replaced only if nobody changed it since it was read, so a code works once even
+ * when two sign-ins race with it; on a conflict the fresh list is checked again
+ */
+const consumeBackupCode = async (user, code) => {
+  let backupCodes = user.backupCodes || [];
+
+  for (let attempt = 0; attempt < BACKUP_CODE_ATTEMPTS; attempt++) {
+    let matched = null;
+    for (const hashed of backupCodes) {
+      if (await passwordHasher.verify(code.toUpperCase(), hashed)) {
+        matched = hashed;
+        break;
+      }
+    }
+
+    if (!matched) {
+      return null;
+    }
+
+    const remaining = backupCodes.filter(hashed => hashed !== matched);
+    const result = await db.client.user.updateMany({
+      where: { id: user.id, backupCodes: { equals: backupCodes } },
+      data: { backupCodes: remaining }
+    });
+
+    if (result.count === 1) {
+      user.backupCodes = remaining;
+      return remaining.length;
+    }
+
+    const current = await db.client.user.findUnique({
+      where: { id: user.id },
+      select: { backupCodes: true }
+    });
+    backupCodes = current?.backupCodes || [];
+  }
+
+  return null;
+};
+
+const hashBackupCodes = (codes) => Promise.all(codes.map(code => passwordHasher.hash(code)));
+
+// Hashes made with older settings are replaced while the plaintext is at hand; returns the hash now stored
+const upgradePasswordHash = async (user, password) => {
+  if (!passwordHasher.needsRehash(user.password)) {
+    return user.password;
+  }
+
+  try {
+    const upgradedHash = await passwordHasher.hash(password);
+
+    // Conditional so a password changed in the meantime is never overwritten
+    const { count } = await db.client.user.updateMany({
+      where: { id: user.id, password: user.password },
+      data: { password: upgradedHash }
+    });
+    if (count === 0) {
+      return user.password;
+    }
+
+    logger.info('Password hash upgraded', {
+      userId: user.id,
+      from: passwordHasher.getHashAlgorithm(user.password),
+      to: passwordHasher.getHashSettings().algorithm
+    });
+    return upgradedHash;
+  } catch (error) {
+    // The sign-in itself succeeded; the upgrade is retried next time
+    logger.warn('Password hash upgrade failed', { error: error.message, userId: user.id });
+    return user.password;
+  }
+};
+
+// Temporary and expired passwords must be replaced before any session is created
+const completePasswordLogin = async (user, context = {}) => {
+  const { ip, userAgent, amr = SIGN_IN_METHOD_AMR.password } = context;
+
+  const policy = await passwordPolicyService.getPolicy();
+  const passwordExpired = passwordPolicyService.isPasswordExpired(user, policy);
+  if (user.mustChangePassword || passwordExpired) {
+    const reason = user.mustChangePassword ? 'temporary' : 'expired';
+    logger.security('login_password_change_required', { userId: user.id, email: user.email, ip, reason });
+
+    return {
+      requiresPasswordChange: true,
+      reason,
+      passwordChangeToken: jwtUtils.generatePasswordChangeToken(user, { pwv: passwordFingerprint(user), amr })
+    };
+  }
+
+  const result = await startLoginSession(user, { ip, userAgent, method: 'password', amr });
+
+  return {
+    ...result,
+    passwordExpiresAt: passwordPolicyService.getPasswordExpiry(user, policy)
+  };
+};
+
+const getMfaMethodRecords = (userId) => {
+  return db.client.mfaMethod.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+// Email codes go to the account's address, SMS codes to the number registered with the method
+const getCodeDestination = (user, method) => (method.type === 'email' ? user.email : method.phoneNumber);
+
+// The account has MFA when it has a code-based method or a passkey; any one satisfies it
+const getMFAMethods = async (user) => {
+  const [records, hasPasskeys] = await Promise.all([
+    getMfaMethodRecords(user.id),
+    webauthnService.hasCredentials(user.id)
+  ]);
+  return [
+    ...records.map(record => record.type),
+    ...(hasPasskeys ? ['webauthn'] : [])
+  ];
+};
+
+/**
+ * Role MFA policy: when the user's role requires MFA and they have none, the date by which they must
+ * enroll, otherwise null. The grace period starts at the first such sign-in and is recorded once,
+ * so concurrent sign-ins agree on it. After an administrator MFA reset enrolling is due at once,
+ * whatever the role
+ */
+const getMFAEnrollmentDeadline = async (user, methods) => {
+  if (methods.length > 0) {
+    return null;
+  }
+
+  if (user.mfaResetAt) {
+    return user.mfaResetAt;
+  }
+
+  if (!user.role?.mfaRequired) {
+    return null;
+  }
+
+  let since = user.mfaRequiredSince;
+  if (!since) {
+    since = new Date();
+    const { count } = await db.client.user.updateMany({
+      where: { id: user.id, mfaRequiredSince: null },
+      data: { mfaRequiredSince: since }
+    });
+
+    if (count === 0) {
+      const current = await db.client.user.findUnique({
+        where: { id: user.id },
+        select: { mfaRequiredSince: true }
+      });
+      since = current?.mfaRequiredSince || since;
+    }
+  }
+
+  return new Date(since.getTime() + (user.role.mfaGracePeriodDays || 0) * DAY_MS);
+};
+
+// Passkey options are single use, so every prompt carries fresh ones. `destinations` holds the masked
+// address each email or SMS method sends its codes to
+const getMFAPrompt = async (user, methods) => {
+  const records = methods.some(method => OTP_TYPES.includes(method)) ? await getMfaMethodRecords(user.id) : [];
+
+  return {
+    methods,
+    destinations: Object.fromEntries(records
+      .filter(record => OTP_TYPES.includes(record.type) && methods.includes(record.type))
+      .map(record => [record.type, mfaOtpService.maskDestination(record.type, getCodeDestination(user, record))])),
+    webauthnOptions: methods.includes('webauthn') ? await webauthnService.generateAuthenticationOptions(user) : null,
+    message: 'MFA token required'
+  };
+};
+
+/**
+ * Check a code against the authenticator app, then against a code sent by email or SMS; a backup
+ * code is spent instead. Returns the method that matched ("totp", "email", "sms" or "backup_code"),
+ * or null
+ */
+const verifyMFACode = async (user, token, options = {}) => {
+  const { ip = null, exclude = [] } = options;
+
+  if (!token || !user.mfaEnabled) {
+    return null;
+  }
+
+  if (isBackupCode(token)) {
+    const remaining = await consumeBackupCode(user, token);
+    if (remaining === null) {
+      return null;
+    }
+    logger.auth('mfa_backup_code_used', user, { ip, remaining });
+    return 'backup_code';
+  }
+
+  const records = (await getMfaMethodRecords(user.id)).filter(record => !exclude.includes(record.type));
+  const totp = records.find(record => record.type === 'totp');
+
+  const type = totp && mfaUtils.verifyToken(token, mfaUtils.decryptSecret(totp.secret))
+    ? 'totp'
+    : await mfaOtpService.verifyCode(user.id, token, {
+      purpose: 'sign_in',
+      types: records.map(record => record.type).filter(recordType => OTP_TYPES.includes(recordType))
+    });
+
+  if (type) {
+    await db.client.mfaMethod.updateMany({
+      where: { userId: user.id, type },
+      data: { lastUsedAt: new Date() }
+    });
+  }
+
+  return type;
+};
+
+// An emailed link and an emailed code prove the same thing, so email codes cannot follow a magic link
+const getExcludedSecondFactors = (signInMethod) => (signInMethod === 'magic_link' ? ['email'] : []);
+
+// Email or text a sign-in code through one of the account's methods
+const sendSignInCode = async (user, type, ip, exclude = []) => {
+  const method = OTP_TYPES.includes(type) && !exclude.includes(type)
+    ? await db.client.mfaMethod.findUnique({ where: { userId_type: { userId: user.id, type } } })
+    : null;
+
+  if (!method) {
+    throw new Error('This MFA method is not enabled');
+  }
+
+  return mfaOtpService.sendCode(user, {
+    type,
+    destination: getCodeDestination(user, method),
+    purpose: 'sign_in',
+    ip
+  });
+};
+
+// Throws unless the code, backup code or passkey response checks out; failures count towards lockout.
+// Returns the AMR value of the factor that was used
+const checkMFAResponse = async (user, response = {}) => {
+  const { mfaToken, webauthnResponse, ip, exclude = [] } = response;
+  let reason = 'invalid_mfa';
+
+  if (webauthnResponse) {
+    try {
+      await webauthnService.verifyAuthentication(webauthnResponse, { userId: user.id, ip });
+      return AMR.PASSKEY;
+    } catch (verifyError) {
+      reason = 'invalid_webauthn';
+    }
+  } else if (mfaToken) {
+    // A backup code stands in for the other codes and is spent by using it
+    const type = await verifyMFACode(user, mfaToken, { ip, exclude });
+    if (type) {
+      return type === 'sms' ? AMR.SMS : AMR.OTP;
+    }
+    if (isBackupCode(mfaToken)) {
+      reason = 'invalid_backup_code';
+    }
+  }
+
+  logger.security(`login_failed_${reason}`, { userId: user.id, email: user.email, ip });
+  const { locked, lockedUntil } = await lockoutService.recordFailedLogin(user, { ip, reason });
+  if (locked) {
+    throw lockoutService.createLockedError({ lockedUntil });
+  }
+  throw new Error(reason === 'invalid_webauthn' ? 'Passkey verification failed' : 'Invalid MFA token');
+};
 
 export const register = async (userData) => {
-    const { email, password, firstName, lastName, roleId } = userData;
+    const { email, password, firstName, lastName, roleId, ip, userAgent } = userData;
 
     try {
       // Check if user already exists
@@ -41,8 +350,13 @@ export const register = async (userData) => {
         finalRoleId = defaultRole.id;
       }
 
+      // Enforce the password policy
+      await passwordPolicyService.validatePassword(password, {
+        user: { email, firstName, lastName }
+      });
+
       // Hash password
-      const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+      const hashedPassword = await passwordHasher.hash(password);
 
       // Create user
       const user = await db.client.user.create({
@@ -60,8 +374,11 @@ export const register = async (userData) => {
         }
       });
 
-      // Generate tokens
-      const tokens = jwtUtils.generateTokenPair(user);
+      await passwordPolicyService.recordPasswordHistory(user.id, hashedPassword);
+
+      // Create session and issue the first token family for it
+      const session = await createSession(user.id, ip, userAgent, null, SIGN_IN_METHOD_AMR.password);
+      const tokens = await tokenService.issueTokenPair(user, session.id);
 
       // Send welcome email
       try {
@@ -74,11 +391,12 @@ export const register = async (userData) => {
       }
 
       // Log registration
-      logger.auth('user_registered', user, { ip: userData.ip });
+      logger.auth('user_registered', user, { ip, sessionId: session.id });
 
       return {
         user: sanitizeUser(user),
-        tokens
+        tokens,
+        sessionId: session.id
       };
     } catch (error) {
       logger.error('User registration failed', { error: error.message, email });
@@ -87,98 +405,610 @@ export const register = async (userData) => {
   }
 
 export const login = async (credentials) => {
-    const { email, password, mfaToken, ip, userAgent } = credentials;
+    const { email, password, ip, userAgent, trustedDeviceToken } = credentials;
+
+    try {
+      // Find user
+      const user = await db.client.user.findUnique({
+        where: { email: email.toLowerCase() },
+        include: { role: true }
+      });
+
+      if (!user) {
+        logger.security('login_failed_user_not_found', { email, ip });
+        throw new Error('Invalid credentials');
+      }
+
+      if (!user.isActive) {
+        logger.security('login_failed_inactive_user', { userId: user.id, email, ip });
+        throw new Error('Account is deactivated');
+      }
+
+      // Locked accounts are refused before the password is even checked
+      if (lockoutService.isLocked(user)) {
+        logger.security('login_failed_account_locked', { userId: user.id, email, ip });
+        throw lockoutService.createLockedError(user);
+      }
+
+      // Verify password
+      const isPasswordValid = await passwordHasher.verify(password, user.password);
+      if (!isPasswordValid) {
+        logger.security('login_failed_invalid_password', { userId: user.id, email, ip });
+        const { locked, lockedUntil } = await lockoutService.recordFailedLogin(user, { ip, reason: 'invalid_password' });
+        if (locked) {
+          throw lockoutService.createLockedError({ lockedUntil });
+        }
+        throw new Error('Invalid credentials');
+      }
+
+      user.password = await upgradePasswordHash(user, password);
+
+      // With MFA the password step ends here; the challenge ticket continues it at /mfa/verify
+      const mfaChallenge = await startMFAChallenge(user, { method: 'password', ip, trustedDeviceToken });
+      if (mfaChallenge) {
+        return mfaChallenge;
+      }
+
+      // A successful sign-in clears the failure count and lockout escalation
+      await lockoutService.resetFailedLogins(user);
+
+      // Role requires MFA and the grace period is over: only an enrollment ticket is issued
+      const enrollment = await startMFAEnrollment(user, { method: 'password', ip });
+      if (enrollment?.requiresMFAEnrollment) {
+        return enrollment;
+      }
+
+      const result = await completePasswordLogin(user, { ip, userAgent });
+      return enrollment ? { ...result, mfaEnrollmentDeadline: enrollment.deadline } : result;
+    } catch (error) {
+      logger.error('User login failed', { error: error.message, email, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Start the MFA step of a sign-in whose first factor passed
+ * Returns null when the account has no MFA or the browser's trusted device cookie is valid for it.
+ * Otherwise returns the available methods and a signed challenge ticket for verifyMFAChallenge,
+ * so the first factor is never sent again
+ */
+export const startMFAChallenge = async (user, context = {}) => {
+    const { method, ip = null, trustedDeviceToken = null } = context;
+
+    try {
+      const enrolled = await getMFAMethods(user);
+      if (enrolled.length === 0) {
+        return null;
+      }
+
+      if (trustedDeviceToken && await trustedDeviceService.verifyTrustedDevice(trustedDeviceToken, user.id, { ip })) {
+        logger.auth('mfa_skipped_trusted_device', user, { ip, method });
+        return null;
+      }
+
+      const excluded = getExcludedSecondFactors(method);
+      const methods = enrolled.filter(type => !excluded.includes(type));
+      if (methods.length === 0) {
+        throw new Error('Your only MFA method is email codes, which cannot follow an email link. Please sign in with your password');
+      }
+
+      const challenge = await db.client.mfaChallenge.create({
+        data: {
+          userId: user.id,
+          method,
+          ip,
+          expiresAt: new Date(Date.now() + MFA_CHALLENGE_TTL_MS)
+        }
+      });
+
+      logger.auth('mfa_challenge_issued', user, { ip, method });
+
+      return {
+        requiresMFA: true,
+        mfaChallengeToken: jwtUtils.generateMfaChallengeToken(user, { jti: challenge.id }),
+        ...(await getMFAPrompt(user, methods))
+      };
+    } catch (error) {
+      logger.error('Failed to start MFA challenge', { error: error.message, userId: user.id, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Apply the role MFA policy to a sign-in whose first factor passed and that has no MFA step
+ * Returns null when the policy asks nothing, { deadline } during the grace period, and otherwise
+ * a restricted enrollment ticket that can only set up MFA (see completeRequiredMFAEnrollment)
+ */
+export const startMFAEnrollment = async (user, context = {}) => {
+    const { method, ip = null } = context;
+
+    try {
+      const deadline = await getMFAEnrollmentDeadline(user, await getMFAMethods(user));
+      if (!deadline) {
+        return null;
+      }
+
+      if (deadline > new Date()) {
+        logger.auth('mfa_enrollment_grace', user, { ip, deadline });
+        return { deadline };
+      }
+
+      logger.security('mfa_enrollment_required', { userId: user.id, email: user.email, role: user.role.name, ip });
+
+      return {
+        requiresMFAEnrollment: true,
+        mfaEnrollmentToken: jwtUtils.generateMfaEnrollmentToken(user, { method }),
+        deadline,
+        availableMethods: getAvailableMFAMethods(method)
+      };
+    } catch (error) {
+      logger.error('Failed to apply MFA policy', { error: error.message, userId: user.id, ip });
+      throw error;
+    }
+  }
+
+// Code-based methods that can be set up now; email codes are no second factor for magic link users
+const getAvailableMFAMethods = (signInMethod = null) => {
+  const excluded = getExcludedSecondFactors(signInMethod);
+  return ['totp', ...otpDeliveryService.getAvailableChannels()].filter(type => !excluded.includes(type));
+};
+
+// Enrollment tickets stop working once the account is deactivated or locked, and once it has MFA:
+// from then on only the MFA step of sign-in lets the user in
+const getEnrollingUser = async (mfaEnrollmentToken) => {
+  let decoded;
+  try {
+    decoded = jwtUtils.verifyMfaEnrollmentToken(mfaEnrollmentToken);
+  } catch (tokenError) {
+    throw new Error('Invalid or expired MFA enrollment ticket');
+  }
+
+  const user = await db.client.user.findUnique({
+    where: { id: decoded.userId },
+    include: { role: true }
+  });
+
+  if (!user || !user.isActive) {
+    throw new Error('Account is deactivated');
+  }
+
+  if (lockoutService.isLocked(user)) {
+    throw lockoutService.createLockedError(user);
+  }
+
+  const deadline = await getMFAEnrollmentDeadline(user, await getMFAMethods(user));
+  if (!deadline || deadline > new Date()) {
+    throw new Error('MFA enrollment is no longer required. Please sign in again');
+  }
+
+  return { user, method: decoded.method };
+};
+
+/**
+ * MFA setup with an enrollment ticket instead of a session; options as for setupMFA
+ */
+export const setupRequiredMFA = async (mfaEnrollmentToken, options = {}) => {
+    try {
+      const { user, method } = await getEnrollingUser(mfaEnrollmentToken);
+      if (options.type && !getAvailableMFAMethods(method).includes(options.type)) {
+        throw new Error('This MFA method cannot be set up here');
+      }
+      return await setupMFA(user.id, options);
+    } catch (error) {
+      logger.error('Required MFA setup failed', { error: error.message });
+      throw error;
+    }
+  }
+
+/**
+ * Confirm the first code of a required enrollment and finish the sign-in it interrupted
+ * Returns the backup codes along with the usual sign-in result
+ */
+export const completeRequiredMFAEnrollment = async (mfaEnrollmentToken, token, context = {}) => {
+    const { ip, userAgent } = context;
+
+    try {
+      const { user, method } = await getEnrollingUser(mfaEnrollmentToken);
+      const { backupCodes, type } = await enableMFA(user.id, token);
+
+      const enrolledUser = await db.client.user.findUnique({
+        where: { id: user.id },
+        include: { role: true }
+      });
+
+      const amr = [...SIGN_IN_METHOD_AMR[method], type === 'sms' ? AMR.SMS : AMR.OTP, AMR.MFA];
+      const result = method === 'password'
+        ? await completePasswordLogin(enrolledUser, { ip, userAgent, amr })
+        : await startLoginSession(enrolledUser, { ip, userAgent, method, amr });
+
+      logger.auth('mfa_enrollment_completed', enrolledUser, { ip, method });
+
+      return { ...result, backupCodes, method, type };
+    } catch (error) {
+      logger.error('Required MFA enrollment failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+// The challenge a ticket names, while it can still be answered, with its user
+const getOpenMFAChallenge = async (mfaChallengeToken, ip) => {
+  let decoded;
+  try {
+    decoded = jwtUtils.verifyMfaChallengeToken(mfaChallengeToken);
+  } catch (tokenError) {
+    throw new Error('Invalid or expired MFA challenge');
+  }
+
+  const challenge = await db.client.mfaChallenge.findUnique({
+    where: { id: decoded.jti },
+    include: { user: { include: { role: true } } }
+  });
+
+  if (!challenge || challenge.userId !== decoded.userId || challenge.consumedAt || challenge.expiresAt < new Date()) {
+    throw new Error('Invalid or expired MFA challenge');
+  }
+
+  const { user } = challenge;
+  if (!user.isActive) {
+    throw new Error('Account is deactivated');
+  }
+
+  if (lockoutService.isLocked(user)) {
+    logger.security('login_failed_account_locked', { userId: user.id, email: user.email, ip });
+    throw lockoutService.createLockedError(user);
+  }
+
+  return challenge;
+};
+
+/**
+ * Email or text a code for the MFA step of a sign-in; `method` is "email" or "sms"
+ */
+export const sendMFAChallengeCode = async (mfaChallengeToken, context = {}) => {
+    const { method, ip = null } = context;
+
+    try {
+      const challenge = await getOpenMFAChallenge(mfaChallengeToken, ip);
+      return await sendSignInCode(challenge.user, method, ip, getExcludedSecondFactors(challenge.method));
+    } catch (error) {
+      logger.error('Failed to send MFA sign-in code', { error: error.message, method, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Second step of a sign-in that returned requiresMFA
+ * Each challenge allows MFA_CHALLENGE_MAX_ATTEMPTS codes and completes one sign-in. Called without a
+ * code or passkey response it only renews the prompt, e.g. after the passkey dialog was cancelled
+ */
+export const verifyMFAChallenge = async (mfaChallengeToken, context = {}) => {
+    const { mfaToken, webauthnResponse, trustDevice = false, ip, userAgent } = context;
+
+    try {
+      const challenge = await getOpenMFAChallenge(mfaChallengeToken, ip);
+      const { user } = challenge;
+      const exclude = getExcludedSecondFactors(challenge.method);
+
+      if (!mfaToken && !webauthnResponse) {
+        const methods = (await getMFAMethods(user)).filter(type => !exclude.includes(type));
+        return {
+          requiresMFA: true,
+          mfaChallengeToken,
+          ...(await getMFAPrompt(user, methods))
+        };
+      }
+
+      // Counted before checking, so parallel guesses cannot exceed the limit
+      const counted = await db.client.mfaChallenge.updateMany({
+        where: { id: challenge.id, consumedAt: null, attempts: { lt: MFA_CHALLENGE_MAX_ATTEMPTS } },
+        data: { attempts: { increment: 1 } }
+      });
+
+      if (counted.count === 0) {
+        logger.security('mfa_challenge_attempts_exceeded', { userId: user.id, ip });
+        throw new Error('Too many MFA attempts. Please sign in again');
+      }
+
+      const secondFactor = await checkMFAResponse(user, { mfaToken, webauthnResponse, ip, exclude });
+
+      // Single use: claim it before issuing anything
+      const consumed = await db.client.mfaChallenge.updateMany({
+        where: { id: challenge.id, consumedAt: null },
+        data: { consumedAt: new Date() }
+      });
+
+      if (consumed.count === 0) {
+        throw new Error('Invalid or expired MFA challenge');
+      }
+
+      await lockoutService.resetFailedLogins(user);
+
+      const amr = [...SIGN_IN_METHOD_AMR[challenge.method], secondFactor, AMR.MFA];
+      const result = challenge.method === 'password'
+        ? await completePasswordLogin(user, { ip, userAgent, amr })
+        : await startLoginSession(user, { ip, userAgent, method: challenge.method, amr });
+
+      // Not while a password change is pending, since completing it revokes every trusted device
+      const trustedDevice = trustDevice && !result.requiresPasswordChange
+        ? await trustedDeviceService.trustDevice(user, { ip, userAgent })
+        : null;
+
+      return { ...result, method: challenge.method, trustedDevice };
+    } catch (error) {
+      logger.error('MFA verification failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Passwordless sign-in with a discoverable passkey
+ * The passkey is both factors at once (possession plus the authenticator's user verification),
+ * so no further MFA step follows
+ */
+export const loginWithPasskey = async (webauthnResponse, context = {}) => {
+    const { ip, userAgent } = context;
+
+    try {
+      const credential = await webauthnService.verifyAuthentication(webauthnResponse, {
+        requireUserVerification: true,
+        ip
+      });
+      const { user } = credential;
+
+      if (!user.isActive) {
+        logger.security('login_failed_inactive_user', { userId: user.id, email: user.email, ip });
+        throw new Error('Account is deactivated');
+      }
+
+      if (lockoutService.isLocked(user)) {
+        logger.security('login_failed_account_locked', { userId: user.id, email: user.email, ip });
+        throw lockoutService.createLockedError(user);
+      }
+
+      await lockoutService.resetFailedLogins(user);
+
+      return await startLoginSession(user, { ip, userAgent, method: 'passkey' });
+    } catch (error) {
+      logger.error('Passkey login failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Last step shared by every sign-in method: records the login and issues a session with tokens
+ */
+export const startLoginSession = async (user, context = {}) => {
+    const { ip, userAgent, method, amr = SIGN_IN_METHOD_AMR[method] || [] } = context;
+
+    // Update last login
+    await db.client.user.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() }
+    });
+
+    // Create session
+    const session = await createSession(user.id, ip, userAgent, null, amr);
+
+    // Generate tokens
+    const tokens = await tokenService.issueTokenPair(user, session.id);
+
+    // Log successful login
+    logger.auth('user_logged_in', user, { ip, userAgent, sessionId: session.id, method, amr });
+
+    return {
+      user: sanitizeUser(user),
+      tokens,
+      sessionId: session.id
+    };
+  }
+
+export const completeRequiredPasswordChange = async (passwordChangeToken, newPassword, context = {}) => {
+    const { ip, userAgent } = context;
+
+    try {
+      const decoded = jwtUtils.verifyPasswordChangeToken(passwordChangeToken);
+
+      const user = await db.client.user.findUnique({
+        where: { id: decoded.userId },
+        include: { role: true }
+      });
+
+      if (!user || !user.isActive) {
+        throw new Error('Invalid or expired password change token');
+      }
+
+      if (lockoutService.isLocked(user)) {
+        throw lockoutService.createLockedError(user);
+      }
+
+      // Spent once the password it was issued for has been replaced
+      if (decoded.pwv !== passwordFingerprint(user)) {
+        throw new Error('Invalid or expired password change token');
+      }
+
+      // The history rule may be disabled, but the replacement must still differ
+      if (await passwordHasher.verify(newPassword, user.password)) {
+        throw new PasswordPolicyError([{
+          type: 'policy',
+          path: 'newPassword',
+          code: 'reused',
+          msg: 'New password must be different from the current password'
+        }]);
+      }
+
+      // Enforce the password policy
+      await passwordPolicyService.validatePassword(newPassword, {
+        user,
+        field: 'newPassword'
+      });
+
+      const hashedPassword = await passwordHasher.hash(newPassword);
+
+      const updatedUser = await db.client.user.update({
+        where: { id: user.id },
+        data: {
+          password: hashedPassword,
+          passwordChangedAt: new Date(),
+          mustChangePassword: false,
+          lastLogin: new Date()
+        },
+        include: { role: true }
+      });
+      await passwordPolicyService.recordPasswordHistory(user.id, hashedPassword);
+
+      // Browsers trusted under the old password must pass MFA again
+      await trustedDeviceService.revokeAllTrustedDevices(user.id);
+
+      // Only now does the sign-in produce a session and full tokens; MFA passed before the change still counts
+      const session = await createSession(user.id, ip, userAgent, null, decoded.amr || SIGN_IN_METHOD_AMR.password);
+      const tokens = await tokenService.issueTokenPair(updatedUser, session.id);
+
+      logger.auth('password_changed_at_login', updatedUser, { ip, userAgent, sessionId: session.id });
+
+      return {
+        user: sanitizeUser(updatedUser),
+        tokens,
+        sessionId: session.id
+      };
+    } catch (error) {
+      logger.error('Required password change failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Methods the signed-in user can re-authenticate with, plus passkey options when they have passkeys
+ */
+export const getReauthenticationOptions = async (userId) => {
+    try {
+      const user = await db.client.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const { methods, destinations, webauthnOptions } = await getMFAPrompt(user, await getMFAMethods(user));
+
+      return {
+        methods: ['password', ...methods],
+        destinations,
+        webauthnOptions
+      };
+    } catch (error) {
+      logger.error('Failed to get re-authentication options', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+/**
+ * Email or text a code to the signed-in user, for re-authentication and MFA changes
+ */
+export const sendVerificationCode = async (userId, context = {}) => {
+    const { method, ip = null } = context;
+
+    try {
+      const user = await db.client.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found or inactive');
+      }
+
+      return await sendSignInCode(user, method, ip);
+    } catch (error) {
+      logger.error('Failed to send verification code', { error: error.message, userId, method, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Step-up re-authentication within a signed-in session
+ * Accepts the password, an authenticator or backup code, or a passkey response. Moves the session's
+ * authTime to now, adds the method to its amr and returns an access token that carries both; failures
+ * count towards lockout
+ */
+export const reauthenticate = async (userId, sessionId, credentials = {}) => {
+    const { password, mfaToken, webauthnResponse, ip } = credentials;
 
     try {
-      // Find user
       const user = await db.client.user.findUnique({
-        where: { email: email.toLowerCase() },
+        where: { id: userId },
         include: { role: true }
       });
 
-      if (!user) {
-        logger.security('login_failed_user_not_found', { email, ip });
-        throw new Error('Invalid credentials');
+      if (!user || !user.isActive) {
+        throw new Error('User not found or inactive');
       }
 
-      if (!user.isActive) {
-        logger.security('login_failed_inactive_user', { userId: user.id, email, ip });
-        throw new Error('Account is deactivated');
+      if (lockoutService.isLocked(user)) {
+        throw lockoutService.createLockedError(user);
       }
 
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(password, user.password);
-      if (!isPasswordValid) {
-        logger.security('login_failed_invalid_password', { userId: user.id, email, ip });
-        throw new Error('Invalid credentials');
+      let method;
+      if (password) {
+        if (!(await passwordHasher.verify(password, user.password))) {
+          logger.security('reauth_failed_invalid_password', { userId, ip });
+          const { locked, lockedUntil } = await lockoutService.recordFailedLogin(user, { ip, reason: 'invalid_password' });
+          if (locked) {
+            throw lockoutService.createLockedError({ lockedUntil });
+          }
+          throw new Error('Invalid password');
+        }
+        method = AMR.PASSWORD;
+      } else {
+        method = await checkMFAResponse(user, { mfaToken, webauthnResponse, ip });
       }
 
-      // Check MFA if enabled
-      if (user.mfaSecret) {
-        if (!mfaToken) {
-          // Return MFA required response
-          return {
-            requiresMFA: true,
-            userId: user.id,
-            message: 'MFA token required'
-          };
-        }
+      const session = await db.client.session.findFirst({
+        where: { id: sessionId, userId },
+        select: { amr: true }
+      });
 
-        const isMfaValid = mfaUtils.verifyToken(mfaToken, user.mfaSecret);
-        if (!isMfaValid) {
-          logger.security('login_failed_invalid_mfa', { userId: user.id, email, ip });
-          throw new Error('Invalid MFA token');
-        }
+      if (!session) {
+        throw new Error('Session revoked or expired');
       }
 
-      // Update last login
-      await db.client.user.update({
-        where: { id: user.id },
-        data: { lastLogin: new Date() }
+      // Adds to how the session signed in: a password step-up keeps the session's second factor
+      const amr = [...new Set([...(session.amr || []), method])];
+      const authTime = new Date();
+      const updated = await db.client.session.updateMany({
+        where: { id: sessionId, userId },
+        data: { authTime, amr }
       });
 
-      // Create session
-      const session = await createSession(user.id, ip, userAgent);
+      if (updated.count === 0) {
+        throw new Error('Session revoked or expired');
+      }
 
-      // Generate tokens
-      const tokens = jwtUtils.generateTokenPair(user);
+      const accessToken = await tokenService.issueAccessToken(user, sessionId);
 
-      // Log successful login
-      logger.auth('user_logged_in', user, { ip, userAgent, sessionId: session.id });
+      logger.auth('reauthenticated', user, { ip, sessionId, method });
 
       return {
-        user: sanitizeUser(user),
-        tokens,
-        sessionId: session.id
+        accessToken,
+        authTime,
+        amr
       };
     } catch (error) {
-      logger.error('User login failed', { error: error.message, email, ip });
+      logger.error('Re-authentication failed', { error: error.message, userId, ip });
       throw error;
     }
   }
 
-export const refreshToken = async (refreshToken) => {
+export const refreshToken = async (refreshToken, context = {}) => {
     try {
-      const decoded = jwtUtils.verifyRefreshToken(refreshToken);
-      
-      // Find user
-      const user = await db.client.user.findUnique({
-        where: { id: decoded.userId },
-        include: { role: true }
-      });
-
-      if (!user || !user.isActive) {
-        throw new Error('Invalid refresh token');
-      }
-
-      // Generate new access token
-      const newAccessToken = jwtUtils.generateAccessToken(user);
+      // Rotate the refresh token; a replayed token revokes its whole family
+      const { user, tokens, sessionId } = await tokenService.rotateRefreshToken(refreshToken, context);
 
-      logger.auth('token_refreshed', user);
+      logger.auth('token_refreshed', user, { ip: context.ip, sessionId });
 
       return {
-        accessToken: newAccessToken,
-        expiresIn: jwtUtils.accessTokenExpiry
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       };
     } catch (error) {
       logger.error('Token refresh failed', { error: error.message });
@@ -188,10 +1018,11 @@ export const refreshToken = async (refreshToken) => {
 
 export const logout = async (userId, sessionId) => {
     try {
-      // Delete session
-      await db.client.session.delete({
-        where: { id: sessionId }
+      // Delete session (only the caller's own)
+      await db.client.session.deleteMany({
+        where: { id: sessionId, userId }
       });
+      sessionCache.invalidate(sessionId);
 
       logger.auth('user_logged_out', { id: userId }, { sessionId });
     } catch (error) {
@@ -206,6 +1037,10 @@ export const logoutAll = async (userId) => {
       await db.client.session.deleteMany({
         where: { userId }
       });
+      sessionCache.invalidateUser(userId);
+
+      // Trusted browsers must pass MFA again; this also covers password changes and resets
+      await trustedDeviceService.revokeAllTrustedDevices(userId);
 
       logger.auth('user_logged_out_all', { id: userId });
     } catch (error) {
@@ -225,19 +1060,30 @@ export const changePassword = async (userId, currentPassword, newPassword) => {
       }
 
       // Verify current password
-      const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+      const isCurrentPasswordValid = await passwordHasher.verify(currentPassword, user.password);
       if (!isCurrentPasswordValid) {
         throw new Error('Current password is incorrect');
       }
 
+      // Enforce the password policy, including reuse of previous passwords
+      await passwordPolicyService.validatePassword(newPassword, {
+        user,
+        field: 'newPassword'
+      });
+
       // Hash new password
-      const hashedNewPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+      const hashedNewPassword = await passwordHasher.hash(newPassword);
 
       // Update password
       await db.client.user.update({
         where: { id: userId },
-        data: { password: hashedNewPassword }
+        data: {
+          password: hashedNewPassword,
+          passwordChangedAt: new Date(),
+          mustChangePassword: false
+        }
       });
+      await passwordPolicyService.recordPasswordHistory(userId, hashedNewPassword);
 
       // Logout all sessions for security
       await logoutAll(userId);
@@ -326,15 +1172,31 @@ export const completePasswordReset = async (resetToken, newPassword) => {
         throw new Error('Reset token has expired');
       }
 
+      // Enforce the password policy before the token is spent
+      await passwordPolicyService.validatePassword(newPassword, {
+        user: resetTokenRecord.user,
+        field: 'newPassword'
+      });
+
       // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+      const hashedPassword = await passwordHasher.hash(newPassword);
 
-      // Update user password
+      // Update user password; proving control of the mailbox also lifts a lockout
       await db.client.user.update({
         where: { id: resetTokenRecord.userId },
-        data: { password: hashedPassword }
+        data: {
+          password: hashedPassword,
+          passwordChangedAt: new Date(),
+          mustChangePassword: false,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          lockoutCount: 0
+        }
       });
 
+      await passwordPolicyService.recordPasswordHistory(resetTokenRecord.userId, hashedPassword);
+
       // Mark reset token as used
       await db.client.passwordResetToken.update({
         where: { id: resetTokenRecord.id },
@@ -377,7 +1239,15 @@ export const completePasswordReset = async (resetToken, newPassword) => {
     }
   }
 
-export const setupMFA = async (userId) => {
+/**
+ * Start setting up an MFA method: "totp" (authenticator app, the default), "email" or "sms" (with phoneNumber)
+ * An authenticator secret is kept server-side for MFA_ENROLLMENT_TTL_MS and returned only so the user can
+ * add it to their app; email and SMS setups send a code to the destination instead. Starting again
+ * replaces the pending setup
+ */
+export const setupMFA = async (userId, options = {}) => {
+    const { type = 'totp', phoneNumber = null, ip = null } = options;
+
     try {
       const user = await db.client.user.findUnique({
         where: { id: userId }
@@ -387,16 +1257,60 @@ export const setupMFA = async (userId) => {
         throw new Error('User not found');
       }
 
+      const existing = await db.client.mfaMethod.findUnique({
+        where: { userId_type: { userId, type } }
+      });
+      if (existing) {
+        throw new Error('This MFA method is already enabled');
+      }
+
+      const expiresAt = new Date(Date.now() + MFA_ENROLLMENT_TTL_MS);
+
+      if (type !== 'totp') {
+        if (!otpDeliveryService.isChannelAvailable(type)) {
+          throw new Error(`${type === 'sms' ? 'SMS' : 'Email'} codes are not available`);
+        }
+
+        const enrollment = { type, secret: null, phoneNumber: type === 'sms' ? phoneNumber : null, expiresAt };
+        await db.client.mfaEnrollment.upsert({
+          where: { userId },
+          create: { userId, ...enrollment },
+          update: enrollment
+        });
+
+        const delivery = await mfaOtpService.sendCode(user, {
+          type,
+          destination: type === 'sms' ? phoneNumber : user.email,
+          purpose: 'enrollment',
+          ip
+        });
+
+        logger.auth('mfa_enrollment_started', user, { type });
+
+        return delivery;
+      }
+
       // Generate MFA secret
       const mfaData = mfaUtils.generateSecret(user.email, `${user.firstName} ${user.lastName}`);
-      
+      const storedSecret = mfaUtils.encryptSecret(mfaData.secret, MFA_ENROLLMENT_CONTEXT);
+
+      const enrollment = { type, secret: storedSecret, phoneNumber: null, expiresAt };
+      await db.client.mfaEnrollment.upsert({
+        where: { userId },
+        create: { userId, ...enrollment },
+        update: enrollment
+      });
+
       // Generate QR code
       const qrCodeUrl = await mfaUtils.generateQRCode(mfaData.qrCodeUrl);
 
+      logger.auth('mfa_enrollment_started', user, { type });
+
       return {
+        type,
         secret: mfaData.secret,
         qrCodeUrl,
-        backupCodes: mfaData.backupCodes
+        expiresAt
       };
     } catch (error) {
       logger.error('MFA setup failed', { error: error.message, userId });
@@ -404,52 +1318,84 @@ export const setupMFA = async (userId) => {
     }
   }
 
-export const enableMFA = async (userId, token, secret) => {
+/**
+ * Finish a pending setup by confirming a code from the app's secret or the code that was sent
+ * The account's first method also gets backup codes, returned here once since they are stored hashed
+ */
+export const enableMFA = async (userId, token) => {
     try {
-      // Verify token
-      const isTokenValid = mfaUtils.verifyToken(token, secret);
-      if (!isTokenValid) {
-        throw new Error('Invalid MFA token');
+      const enrollment = await db.client.mfaEnrollment.findUnique({
+        where: { userId },
+        include: { user: true }
+      });
+
+      if (!enrollment || enrollment.expiresAt < new Date()) {
+        throw new Error('MFA setup has expired. Please start again');
       }
 
-      // Update user with MFA secret
-      // Generate and store hashed backup codes
-      const backupCodes = mfaUtils.generateBackupCodes();
-      const hashedCodes = await Promise.all(
-        backupCodes.map(async (code) => await bcrypt.hash(code, SALT_ROUNDS))
-      );
+      const { type } = enrollment;
+      let secret = null;
 
-      await db.client.user.update({
-        where: { id: userId },
-        data: { 
-          mfaSecret: secret, 
-          backupCodes: hashedCodes,
-          mfaEnabled: true
+      if (type === 'totp') {
+        secret = mfaUtils.decryptSecret(enrollment.secret, MFA_ENROLLMENT_CONTEXT);
+        if (!mfaUtils.verifyToken(token, secret)) {
+          throw new Error('Invalid MFA token');
         }
+      } else if (!(await mfaOtpService.verifyCode(userId, token, { purpose: 'enrollment', types: [type] }))) {
+        throw new Error('Invalid MFA token');
+      }
+
+      // Deleting is the claim, so a concurrent request or a restarted setup cannot enable a stale secret
+      const claimed = await db.client.mfaEnrollment.deleteMany({
+        where: { id: enrollment.id, type, secret: enrollment.secret, expiresAt: enrollment.expiresAt }
       });
+      if (claimed.count !== 1) {
+        throw new Error('MFA setup has expired. Please start again');
+      }
 
-      // Send MFA setup confirmation email
       try {
-        const user = await db.client.user.findUnique({
-          where: { id: userId }
+        await db.client.mfaMethod.create({
+          data: {
+            userId,
+            type,
+            secret: secret ? mfaUtils.encryptSecret(secret) : null,
+            phoneNumber: enrollment.phoneNumber
+          }
         });
-        
-        if (user) {
-          await emailService.sendMFASetupEmail(
-            user.email,
-            `${user.firstName} ${user.lastName}`
-          );
+      } catch (createError) {
+        if (createError.code === 'P2002') {
+          throw new Error('This MFA method is already enabled');
         }
-      } catch (emailError) {
-        logger.warn('Failed to send MFA setup email', { 
-          error: emailError.message, 
-          userId 
+        throw createError;
+      }
+
+      // Generate and store hashed backup codes with the first method
+      let backupCodes = [];
+      if (!enrollment.user.mfaEnabled) {
+        backupCodes = mfaUtils.generateBackupCodes();
+
+        await db.client.user.update({
+          where: { id: userId },
+          data: { 
+            backupCodes: await hashBackupCodes(backupCodes),
+            mfaEnabled: true,
+            mfaResetAt: null
+          }
         });
       }
 
-      logger.auth('mfa_enabled', { id: userId });
+      const user = enrollment.user;
+      const sent = await emailService.sendMFASetupEmail(
+        user.email,
+        `${user.firstName} ${user.lastName}`
+      );
+      if (!sent) {
+        logger.warn('Failed to send MFA setup email', { userId });
+      }
+
+      logger.auth('mfa_enabled', user, { type });
       // Return backup codes to the caller so they can be shown once
-      return { backupCodes };
+      return { backupCodes, type };
     } catch (error) {
       logger.error('MFA enable failed', { error: error.message, userId });
       throw error;
@@ -459,36 +1405,31 @@ export const enableMFA = async (userId, token, secret) => {
 export const disableMFA = async (userId, token) => {
     try {
       const user = await db.client.user.findUnique({
-        where: { id: userId }
+        where: { id: userId },
+        include: { role: true }
       });
 
-      if (!user || !user.mfaSecret) {
+      if (!user || !user.mfaEnabled) {
         throw new Error('MFA not enabled');
       }
 
-      // Verify token: accept 6-digit TOTP or backup code
-      let valid = false;
-      if (/^\d{6}$/.test(token)) {
-        valid = mfaUtils.verifyToken(token, user.mfaSecret);
-      } else if (/^[A-F0-9]{8}$/i.test(token) && Array.isArray(user.backupCodes)) {
-        // Compare against hashed backup codes
-        for (const hashed of user.backupCodes) {
-          if (await bcrypt.compare(token.toUpperCase(), hashed)) {
-            valid = true;
-            break;
-          }
-        }
+      // Passkeys still satisfy the role policy once the code-based methods are gone
+      if (user.role?.mfaRequired && !(await webauthnService.hasCredentials(userId))) {
+        throw new Error(`MFA is required for the ${user.role.name} role and cannot be disabled`);
       }
 
-      if (!valid) {
+      // Verify token: accept a code from any method or a backup code
+      if (!(await verifyMFACode(user, token))) {
         throw new Error('Invalid MFA token');
       }
 
-      // Remove MFA secret
+      // Remove every code-based method
+      await db.client.mfaMethod.deleteMany({
+        where: { userId }
+      });
       await db.client.user.update({
         where: { id: userId },
         data: { 
-          mfaSecret: null, 
           backupCodes: [],
           mfaEnabled: false
         }
@@ -516,8 +1457,175 @@ export const disableMFA = async (userId, token) => {
     }
   }
 
+/**
+ * Code-based methods of the account (destinations masked) and the method types that can be set up
+ */
+export const listMFAMethods = async (userId) => {
+    try {
+      const user = await db.client.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const records = await getMfaMethodRecords(userId);
+
+      return {
+        methods: records.map(record => ({
+          id: record.id,
+          type: record.type,
+          destination: record.type === 'totp'
+            ? null
+            : mfaOtpService.maskDestination(record.type, getCodeDestination(user, record)),
+          lastUsedAt: record.lastUsedAt,
+          createdAt: record.createdAt
+        })),
+        available: getAvailableMFAMethods()
+      };
+    } catch (error) {
+      logger.error('Failed to list MFA methods', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+/**
+ * Remove one code-based method; removing the last one turns MFA off as disableMFA does
+ */
+export const removeMFAMethod = async (userId, methodId) => {
+    try {
+      const method = await db.client.mfaMethod.findFirst({
+        where: { id: methodId, userId },
+        include: { user: { include: { role: true } } }
+      });
+
+      if (!method) {
+        throw new Error('MFA method not found');
+      }
+
+      const { user } = method;
+      const others = await db.client.mfaMethod.count({
+        where: { userId, id: { not: method.id } }
+      });
+
+      if (others === 0 && user.role?.mfaRequired && !(await webauthnService.hasCredentials(userId))) {
+        throw new Error(`MFA is required for the ${user.role.name} role; add another method before removing this one`);
+      }
+
+      await db.client.mfaMethod.delete({
+        where: { id: method.id }
+      });
+
+      if (others === 0) {
+        await db.client.user.update({
+          where: { id: userId },
+          data: { backupCodes: [], mfaEnabled: false }
+        });
+      }
+
+      logger.auth('mfa_method_removed', user, { type: method.type, mfaEnabled: others > 0 });
+
+      // Send security alert email
+      try {
+        await emailService.sendSecurityAlertEmail(
+          user.email,
+          `${user.firstName} ${user.lastName}`,
+          'MFA Method Removed',
+          { method: method.type, timestamp: new Date().toISOString() }
+        );
+      } catch (emailError) {
+        logger.warn('Failed to send MFA method removed alert email', {
+          error: emailError.message,
+          userId
+        });
+      }
+
+      return { id: method.id, type: method.type };
+    } catch (error) {
+      logger.error('Failed to remove MFA method', { error: error.message, userId, methodId });
+      throw error;
+    }
+  }
+
+/**
+ * Replace all backup codes with a new set; the old codes stop working
+ * Needs the password and a current code from an MFA method (not a backup code), since the new codes
+ * are shown to the caller
+ */
+export const regenerateBackupCodes = async (userId, password, token) => {
+    try {
+      const user = await db.client.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user || !user.mfaEnabled) {
+        throw new Error('MFA not enabled');
+      }
+
+      const isPasswordValid = await passwordHasher.verify(password, user.password);
+      if (!isPasswordValid) {
+        throw new Error('Current password is incorrect');
+      }
+
+      if (isBackupCode(token) || !(await verifyMFACode(user, token))) {
+        throw new Error('Invalid MFA token');
+      }
+
+      const backupCodes = mfaUtils.generateBackupCodes();
+      await db.client.user.update({
+        where: { id: userId },
+        data: { backupCodes: await hashBackupCodes(backupCodes) }
+      });
+
+      logger.auth('mfa_backup_codes_regenerated', user);
+
+      // Send security alert email
+      try {
+        await emailService.sendSecurityAlertEmail(
+          user.email,
+          `${user.firstName} ${user.lastName}`,
+          'MFA Backup Codes Regenerated',
+          { timestamp: new Date().toISOString() }
+        );
+      } catch (emailError) {
+        logger.warn('Failed to send backup codes alert email', {
+          error: emailError.message,
+          userId
+        });
+      }
+
+      return { backupCodes };
+    } catch (error) {
+      logger.error('Backup code regeneration failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const getBackupCodeStatus = async (userId) => {
+    try {
+      const user = await db.client.user.findUnique({
+        where: { id: userId },
+        select: { mfaEnabled: true, backupCodes: true }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return {
+        enabled: user.mfaEnabled,
+        remaining: user.backupCodes.length
+      };
+    } catch (error) {
+      logger.error('Backup code status failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
 
-export const createSession = async (userId, ip, userAgent) => {
+// `amr` lists the methods the user signed in with; the session's authTime starts now
+export const createSession = async (userId, ip, userAgent, clientId = null, amr = []) => {
     try {
       const sessionToken = jwtUtils.generateSecureToken();
       const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
@@ -528,7 +1636,9 @@ export const createSession = async (userId, ip, userAgent) => {
           token: sessionToken,
           ip,
           userAgent,
-          expiresAt
+          expiresAt,
+          clientId,
+          amr
         }
       });
 
@@ -556,6 +1666,7 @@ export const verifySession = async (sessionToken) => {
         await db.client.session.delete({
           where: { id: session.id }
         });
+        sessionCache.invalidate(session.id);
         throw new Error('Session expired');
       }
 
@@ -567,6 +1678,26 @@ export const verifySession = async (sessionToken) => {
   }
 
 
+export const isSessionActive = async (sessionId) => {
+    try {
+      let session = sessionCache.get(sessionId);
+
+      if (session === undefined) {
+        session = await db.client.session.findUnique({
+          where: { id: sessionId },
+          select: { id: true, userId: true, expiresAt: true }
+        });
+        sessionCache.set(sessionId, session);
+      }
+
+      return !!session && session.expiresAt > new Date();
+    } catch (error) {
+      logger.error('Session status check failed', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
+
 export const verifyEmail = async (verificationToken) => {
     try {
       const decoded = jwtUtils.verifyApiToken(verificationToken);
@@ -633,6 +1764,47 @@ export const resendEmailVerification = async (userId) => {
   }
 
 
+export const cleanupExpiredMfaEnrollments = async () => {
+    try {
+      const result = await db.client.mfaEnrollment.deleteMany({
+        where: {
+          expiresAt: {
+            lt: new Date()
+          }
+        }
+      });
+
+      logger.info('Cleaned up expired MFA enrollments', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired MFA enrollments', {
+        error: error.message
+      });
+    }
+  }
+
+export const cleanupExpiredMfaChallenges = async () => {
+    try {
+      const result = await db.client.mfaChallenge.deleteMany({
+        where: {
+          OR: [
+            { expiresAt: { lt: new Date() } },
+            { consumedAt: { not: null } }
+          ]
+        }
+      });
+
+      logger.info('Cleaned up expired MFA challenges', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired MFA challenges', {
+        error: error.message
+      });
+    }
+  }
+
 export const cleanupExpiredResetTokens = async () => {
     try {
       const result = await db.client.passwordResetToken.deleteMany({
@@ -655,13 +1827,25 @@ export const cleanupExpiredResetTokens = async () => {
 
 
 export const sanitizeUser = (user) => {
-    const { password, mfaSecret, ...sanitizedUser } = user;
+    const { password, backupCodes, ...sanitizedUser } = user;
     return sanitizedUser;
   }
 // Export all functions as named exports
 export default {
   register,
   login,
+  startMFAChallenge,
+  startMFAEnrollment,
+  setupRequiredMFA,
+  completeRequiredMFAEnrollment,
+  sendMFAChallengeCode,
+  verifyMFAChallenge,
+  loginWithPasskey,
+  startLoginSession,
+  completeRequiredPasswordChange,
+  getReauthenticationOptions,
+  sendVerificationCode,
+  reauthenticate,
   refreshToken,
   logout,
   logoutAll,
@@ -671,10 +1855,17 @@ export default {
   setupMFA,
   enableMFA,
   disableMFA,
+  listMFAMethods,
+  removeMFAMethod,
+  regenerateBackupCodes,
+  getBackupCodeStatus,
   createSession,
   verifySession,
+  isSessionActive,
   verifyEmail,
   resendEmailVerification,
   cleanupExpiredResetTokens,
+  cleanupExpiredMfaEnrollments,
+  cleanupExpiredMfaChallenges,
   sanitizeUser
 };
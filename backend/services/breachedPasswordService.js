@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * Breached password service
+ * Offline screening against a Bloom filter of SHA-1 password hashes from public breach corpora
+ *
+ * The filter is built by scripts/loadBreachedPasswords.js and read from disk; no network calls are made.
+ * A Bloom filter never misses a listed password but may reject an unlisted one at the configured
+ * false positive rate, which only means the user picks another password.
+ */
+
+// File layout: 32-byte header followed by the bit array
+const FILE_MAGIC = 'ERPBPF01';
+const HEADER_SIZE = 32;
+const MAX_HASH_FUNCTIONS = 30; // Keeps index arithmetic below Number.MAX_SAFE_INTEGER
+const FILE_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+const SHA1_HEX = /^[0-9A-F]{40}$/;
+
+let filterCache = { filter: null, mtimeMs: 0, checkedAt: 0 };
+let missingFileLogged = false;
+
+export const getFilterPath = () => {
+  return path.resolve(process.env.BREACHED_PASSWORDS_FILE || 'data/breached-passwords.bloom');
+};
+
+export const hashPassword = (password) => {
+  return crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+};
+
+/**
+ * Empty filter sized for `expectedCount` hashes at the given false positive rate
+ */
+export const createFilter = (expectedCount, falsePositiveRate = 0.001) => {
+  const count = Math.max(expectedCount, 1);
+  const idealBits = Math.ceil(-count * Math.log(falsePositiveRate) / (Math.LN2 ** 2));
+  const bitCount = Math.ceil(idealBits / 8) * 8;
+  const hashCount = Math.min(Math.max(Math.round(bitCount / count * Math.LN2), 1), MAX_HASH_FUNCTIONS);
+
+  return {
+    hashCount,
+    bitCount,
+    entryCount: 0,
+    bits: Buffer.alloc(bitCount / 8)
+  };
+};
+
+// Double hashing over two 48-bit slices of the SHA-1 digest
+const getBitIndexes = (filter, sha1Hex) => {
+  const digest = Buffer.from(sha1Hex, 'hex');
+  const h1 = digest.readUIntBE(0, 6);
+  const h2 = digest.readUIntBE(6, 6) || 1;
+
+  const indexes = [];
+  for (let i = 0; i < filter.hashCount; i++) {
+    indexes.push((h1 + i * h2) % filter.bitCount);
+  }
+  return indexes;
+};
+
+// Bit indexes pass 2^31 in filters for a full breach corpus, where 32-bit bitwise operators wrap
+const getBitPosition = (index) => ({ offset: Math.floor(index / 8), mask: 2 ** (index % 8) });
+
+export const addHash = (filter, sha1Hex) => {
+  const hash = sha1Hex.toUpperCase();
+  if (!SHA1_HEX.test(hash)) {
+    throw new Error(`Invalid SHA-1 hash: ${sha1Hex}`);
+  }
+
+  getBitIndexes(filter, hash).forEach((index) => {
+    const { offset, mask } = getBitPosition(index);
+    filter.bits[offset] |= mask;
+  });
+  filter.entryCount++;
+};
+
+export const hasHash = (filter, sha1Hex) => {
+  return getBitIndexes(filter, sha1Hex.toUpperCase())
+    .every((index) => {
+      const { offset, mask } = getBitPosition(index);
+      return (filter.bits[offset] & mask) !== 0;
+    });
+};
+
+export const serializeFilter = (filter) => {
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(FILE_MAGIC, 0, 'ascii');
+  header.writeUInt32BE(filter.hashCount, 8);
+  header.writeUIntBE(filter.bitCount, 12, 6);
+  header.writeUIntBE(filter.entryCount, 18, 6);
+  return Buffer.concat([header, filter.bits]);
+};
+
+export const parseFilter = (buffer) => {
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 8) !== FILE_MAGIC) {
+    throw new Error('Not a breached password filter file');
+  }
+
+  const filter = {
+    hashCount: buffer.readUInt32BE(8),
+    bitCount: buffer.readUIntBE(12, 6),
+    entryCount: buffer.readUIntBE(18, 6),
+    bits: buffer.subarray(HEADER_SIZE)
+  };
+
+  if (filter.bits.length !== filter.bitCount / 8 || filter.hashCount < 1 || filter.hashCount > MAX_HASH_FUNCTIONS) {
+    throw new Error('Breached password filter file is corrupt');
+  }
+
+  return filter;
+};
+
+/**
+ * Write the filter next to the target and rename it into place so running servers never read a partial file
+ */
+export const saveFilter = async (filter, filePath = getFilterPath()) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, serializeFilter(filter));
+  await fs.rename(tempPath, filePath);
+
+  filterCache = { filter: null, mtimeMs: 0, checkedAt: 0 };
+};
+
+/**
+ * Current filter, or null when no dataset has been loaded
+ * The file is re-read when it changes, so loading a new dataset needs no restart
+ */
+export const getFilter = async () => {
+  const now = Date.now();
+  if (now - filterCache.checkedAt < FILE_CHECK_INTERVAL_MS) {
+    return filterCache.filter;
+  }
+
+  const filePath = getFilterPath();
+
+  try {
+    const stats = await fs.stat(filePath);
+
+    if (!filterCache.filter || stats.mtimeMs !== filterCache.mtimeMs) {
+      const filter = parseFilter(await fs.readFile(filePath));
+      filterCache = { filter, mtimeMs: stats.mtimeMs, checkedAt: now };
+      missingFileLogged = false;
+
+      logger.info('Breached password filter loaded', {
+        path: filePath,
+        entries: filter.entryCount,
+        sizeBytes: filter.bits.length
+      });
+    }
+
+    filterCache.checkedAt = now;
+    return filterCache.filter;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to load breached password filter', { error: error.message, path: filePath });
+      throw error;
+    }
+
+    if (!missingFileLogged) {
+      logger.warn('No breached password dataset loaded; passwords are not screened', { path: filePath });
+      missingFileLogged = true;
+    }
+
+    filterCache = { filter: null, mtimeMs: 0, checkedAt: now };
+    return null;
+  }
+};
+
+export const isPasswordBreached = async (password) => {
+  const filter = await getFilter();
+  if (!filter) {
+    return false;
+  }
+
+  return hasHash(filter, hashPassword(password));
+};
+
+export const getStatus = async () => {
+  const filter = await getFilter();
+
+  return {
+    loaded: Boolean(filter),
+    entries: filter?.entryCount || 0,
+    loadedAt: filter ? new Date(filterCache.mtimeMs) : null
+  };
+};
+
+// Export all functions as named exports
+export default {
+  getFilterPath,
+  hashPassword,
+  createFilter,
+  addHash,
+  hasHash,
+  serializeFilter,
+  parseFilter,
+  saveFilter,
+  getFilter,
+  isPasswordBreached,
+  getStatus
+};
@@ -0,0 +1,373 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import sessionCache from '../utils/sessionCache.js';
+import { API_SCOPE_PATTERN } from './apiTokenService.js';
+
+/**
+ * OAuth client service
+ * Registry of relying-party applications allowed to use the OpenID Connect provider
+ */
+
+// Configuration constants
+export const SUPPORTED_GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+export const SUPPORTED_CLIENT_SCOPES = ['openid', 'profile', 'email', 'roles', 'offline_access'];
+const ORIGIN_CACHE_TTL_MS = 60 * 1000; // 1 minute
+
+let originCache = null;
+
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+const generateClientSecret = () => {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+const invalidateOriginCache = () => {
+  originCache = null;
+};
+
+export const sanitizeClient = (client) => {
+    const { secretHash, ...sanitizedClient } = client;
+    return {
+      ...sanitizedClient,
+      isPublic: !secretHash
+    };
+  }
+
+// Clients may hold OpenID Connect scopes and API scopes such as "read:finance"
+export const isSupportedScope = (scope) => {
+  return SUPPORTED_CLIENT_SCOPES.includes(scope) || API_SCOPE_PATTERN.test(scope);
+};
+
+const assertValidGrant = ({ grantTypes = [], scopes = [], redirectUris = [], isPublic = false }) => {
+  const unsupportedGrants = grantTypes.filter(grant => !SUPPORTED_GRANT_TYPES.includes(grant));
+  if (unsupportedGrants.length > 0) {
+    throw new Error(`Unsupported grant type: ${unsupportedGrants.join(', ')}`);
+  }
+
+  const unsupportedScopes = scopes.filter(scope => !isSupportedScope(scope));
+  if (unsupportedScopes.length > 0) {
+    throw new Error(`Unsupported scope: ${unsupportedScopes.join(', ')}`);
+  }
+
+  if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+    throw new Error('The authorization_code grant requires at least one redirect URI');
+  }
+
+  // A public client cannot authenticate, so it cannot act on its own behalf
+  if (grantTypes.includes('client_credentials') && isPublic) {
+    throw new Error('The client_credentials grant requires a confidential client');
+  }
+};
+
+// Revokes every grant the client holds: sessions cascade to their refresh tokens
+const revokeClientGrants = async (clientId) => {
+    const sessions = await db.client.session.findMany({
+      where: { clientId },
+      select: { id: true }
+    });
+
+    await db.client.session.deleteMany({ where: { clientId } });
+    await db.client.authorizationCode.deleteMany({ where: { clientId } });
+    sessions.forEach(session => sessionCache.invalidate(session.id));
+
+    return sessions.length;
+  }
+
+export const getClients = async (options = {}) => {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = options;
+
+    try {
+      const skip = (page - 1) * limit;
+
+      const where = {};
+      if (search) {
+        where.OR = [
+          { name: { contains: search, mode: 'insensitive' } },
+          { clientId: { contains: search, mode: 'insensitive' } }
+        ];
+      }
+
+      const [clients, total] = await Promise.all([
+        db.client.client.findMany({
+          where,
+          include: {
+            _count: {
+              select: {
+                sessions: true
+              }
+            }
+          },
+          skip,
+          take: limit,
+          orderBy: { [sortBy]: sortOrder }
+        }),
+        db.client.client.count({ where })
+      ]);
+
+      return {
+        clients: clients.map(sanitizeClient),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to get clients', { error: error.message, options });
+      throw error;
+    }
+  }
+
+export const getClientById = async (id) => {
+    try {
+      const client = await db.client.client.findUnique({
+        where: { id },
+        include: {
+          _count: {
+            select: {
+              sessions: true
+            }
+          }
+        }
+      });
+
+      if (!client) {
+        throw new Error('Client not found');
+      }
+
+      return sanitizeClient(client);
+    } catch (error) {
+      logger.error('Failed to get client by ID', { error: error.message, id });
+      throw error;
+    }
+  }
+
+// Raw record (including the secret hash) for the OAuth endpoints
+export const findActiveClient = async (clientId) => {
+    try {
+      const client = await db.client.client.findUnique({
+        where: { clientId }
+      });
+
+      return client && client.isActive ? client : null;
+    } catch (error) {
+      logger.error('Failed to look up client', { error: error.message, clientId });
+      throw error;
+    }
+  }
+
+export const verifyClientSecret = (client, secret) => {
+  if (!client.secretHash || !secret) return false;
+
+  const expected = Buffer.from(client.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(String(secret)), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+export const createClient = async (clientData, createdById = null) => {
+    const {
+      name,
+      logoUrl = null,
+      redirectUris = [],
+      grantTypes = ['authorization_code', 'refresh_token'],
+      scopes = ['openid', 'profile', 'email'],
+      trusted = false,
+      isPublic = false
+    } = clientData;
+
+    try {
+      assertValidGrant({ grantTypes, scopes, redirectUris, isPublic });
+
+      // The secret is only ever returned here; we keep its hash
+      const clientSecret = isPublic ? null : generateClientSecret();
+
+      const client = await db.client.client.create({
+        data: {
+          clientId: crypto.randomUUID(),
+          secretHash: clientSecret ? hashSecret(clientSecret) : null,
+          name,
+          logoUrl,
+          redirectUris,
+          grantTypes,
+          scopes,
+          trusted,
+          createdById
+        }
+      });
+
+      invalidateOriginCache();
+      logger.audit('client_created', sanitizeClient(client), { createdById });
+
+      return {
+        client: sanitizeClient(client),
+        clientSecret
+      };
+    } catch (error) {
+      logger.error('Failed to create client', { error: error.message, name });
+      throw error;
+    }
+  }
+
+export const updateClient = async (id, updateData) => {
+    const { name, logoUrl, redirectUris, grantTypes, scopes, trusted, isActive } = updateData;
+
+    try {
+      const existingClient = await db.client.client.findUnique({
+        where: { id }
+      });
+
+      if (!existingClient) {
+        throw new Error('Client not found');
+      }
+
+      assertValidGrant({
+        grantTypes: grantTypes ?? existingClient.grantTypes,
+        scopes: scopes ?? existingClient.scopes,
+        redirectUris: redirectUris ?? existingClient.redirectUris,
+        isPublic: !existingClient.secretHash
+      });
+
+      // Prepare update data
+      const data = {};
+      if (name) data.name = name;
+      if (logoUrl !== undefined) data.logoUrl = logoUrl || null;
+      if (redirectUris !== undefined) data.redirectUris = redirectUris;
+      if (grantTypes !== undefined) data.grantTypes = grantTypes;
+      if (scopes !== undefined) data.scopes = scopes;
+      if (trusted !== undefined) data.trusted = trusted;
+      if (isActive !== undefined) data.isActive = isActive;
+
+      const client = await db.client.client.update({
+        where: { id },
+        data
+      });
+
+      // Disabling a client signs its users out of it
+      if (existingClient.isActive && isActive === false) {
+        await revokeClientGrants(client.clientId);
+      }
+
+      invalidateOriginCache();
+      logger.audit('client_updated', sanitizeClient(client), {
+        changes: data,
+        originalClient: sanitizeClient(existingClient)
+      });
+
+      return sanitizeClient(client);
+    } catch (error) {
+      logger.error('Failed to update client', { error: error.message, id });
+      throw error;
+    }
+  }
+
+export const rotateClientSecret = async (id) => {
+    try {
+      const existingClient = await db.client.client.findUnique({
+        where: { id }
+      });
+
+      if (!existingClient) {
+        throw new Error('Client not found');
+      }
+
+      if (!existingClient.secretHash) {
+        throw new Error('Public clients do not have a secret');
+      }
+
+      const clientSecret = generateClientSecret();
+      const client = await db.client.client.update({
+        where: { id },
+        data: { secretHash: hashSecret(clientSecret) }
+      });
+
+      logger.security('client_secret_rotated', { clientId: client.clientId });
+
+      return {
+        client: sanitizeClient(client),
+        clientSecret
+      };
+    } catch (error) {
+      logger.error('Failed to rotate client secret', { error: error.message, id });
+      throw error;
+    }
+  }
+
+export const deleteClient = async (id) => {
+    try {
+      const client = await db.client.client.findUnique({
+        where: { id }
+      });
+
+      if (!client) {
+        throw new Error('Client not found');
+      }
+
+      // Sessions, refresh tokens and codes cascade; drop cached sessions first
+      await revokeClientGrants(client.clientId);
+      await db.client.client.delete({
+        where: { id }
+      });
+
+      invalidateOriginCache();
+      logger.audit('client_deleted', sanitizeClient(client));
+
+      return sanitizeClient(client);
+    } catch (error) {
+      logger.error('Failed to delete client', { error: error.message, id });
+      throw error;
+    }
+  }
+
+export const isAllowedOrigin = async (origin) => {
+    try {
+      if (!originCache || originCache.expiresAt <= Date.now()) {
+        const clients = await db.client.client.findMany({
+          where: { isActive: true },
+          select: { redirectUris: true }
+        });
+
+        // A client's browser origins are those of its registered redirect URIs
+        const origins = new Set();
+        clients.forEach(client => client.redirectUris.forEach(uri => {
+          try {
+            origins.add(new URL(uri).origin);
+          } catch {
+            // Ignore malformed URIs; they can never match a redirect either
+          }
+        }));
+
+        originCache = { origins, expiresAt: Date.now() + ORIGIN_CACHE_TTL_MS };
+      }
+
+      return originCache.origins.has(origin);
+    } catch (error) {
+      logger.error('Failed to load client origins', { error: error.message });
+      return false;
+    }
+  }
+// Export all functions as named exports
+export default {
+  SUPPORTED_GRANT_TYPES,
+  SUPPORTED_CLIENT_SCOPES,
+  isSupportedScope,
+  sanitizeClient,
+  getClients,
+  getClientById,
+  findActiveClient,
+  verifyClientSecret,
+  createClient,
+  updateClient,
+  rotateClientSecret,
+  deleteClient,
+  isAllowedOrigin
+};
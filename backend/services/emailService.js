@@ -166,6 +166,93 @@ export const sendSecurityAlertEmail = async (email, userName, alertType, details
     }
   }
 
+export const sendAccountLockedEmail = async (email, userName, lockedUntil) => {
+    try {
+      const mailOptions = {
+        from: {
+          name: process.env.EMAIL_FROM_NAME || 'ERP Security System',
+          address: process.env.SMTP_USER,
+        },
+        to: email,
+        subject: 'Account Temporarily Locked - ERP Security System',
+        html: getAccountLockedTemplate(userName, lockedUntil),
+        text: getAccountLockedTextTemplate(userName, lockedUntil),
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      logger.info('Account locked email sent', { 
+        email, 
+        messageId: result.messageId 
+      });
+      
+      return true;
+    } catch (error) {
+      logger.error('Failed to send account locked email', { 
+        error: error.message, 
+        email 
+      });
+      return false;
+    }
+  }
+
+export const sendMagicLinkEmail = async (email, userName, magicLinkUrl, expiresAt) => {
+    try {
+      const mailOptions = {
+        from: {
+          name: process.env.EMAIL_FROM_NAME || 'ERP Security System',
+          address: process.env.SMTP_USER,
+        },
+        to: email,
+        subject: 'Your Sign-In Link - ERP Security System',
+        html: getMagicLinkTemplate(userName, magicLinkUrl, expiresAt),
+        text: getMagicLinkTextTemplate(userName, magicLinkUrl, expiresAt),
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      logger.info('Magic link email sent', { 
+        email, 
+        messageId: result.messageId 
+      });
+      
+      return true;
+    } catch (error) {
+      logger.error('Failed to send magic link email', { 
+        error: error.message, 
+        email 
+      });
+      return false;
+    }
+  }
+
+export const sendMFACodeEmail = async (email, userName, code, expiresAt) => {
+    try {
+      const mailOptions = {
+        from: {
+          name: process.env.EMAIL_FROM_NAME || 'ERP Security System',
+          address: process.env.SMTP_USER,
+        },
+        to: email,
+        subject: `${code} is your verification code - ERP Security System`,
+        html: getMFACodeTemplate(userName, code, expiresAt),
+        text: getMFACodeTextTemplate(userName, code, expiresAt),
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+      logger.info('MFA code email sent', { 
+        email, 
+        messageId: result.messageId 
+      });
+      
+      return true;
+    } catch (error) {
+      logger.error('Failed to send MFA code email', { 
+        error: error.message, 
+        email 
+      });
+      return false;
+    }
+  }
+
 export const sendMFASetupEmail = async (email, userName) => {
     try {
       const mailOptions = {
@@ -466,6 +553,215 @@ Details: ${JSON.stringify(details, null, 2)}
 
 If you did not perform this action, please contact our security team immediately and change your password.
 
+Best regards,
+ERP Security System Team
+    `;
+  }
+
+/**
+ * Get account locked HTML template
+ */
+export const getAccountLockedTemplate = (userName, lockedUntil) => {
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+    
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Temporarily Locked</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #dc2626; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background: #f9fafb; }
+          .alert { background: #fef2f2; border: 1px solid #fca5a5; padding: 15px; border-radius: 6px; margin: 20px 0; }
+          .button { display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Temporarily Locked</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${userName},</h2>
+            <div class="alert">
+              <p>Your account was locked after several failed sign-in attempts.</p>
+              <p><strong>Locked until:</strong> ${new Date(lockedUntil).toLocaleString()}</p>
+            </div>
+            <p>You can sign in again after this time, or ask an administrator to unlock your account.</p>
+            <p>If these attempts were not made by you, someone may be trying to guess your password. We recommend resetting it:</p>
+            <a href="${resetUrl}" class="button">Reset Password</a>
+          </div>
+          <div class="footer">
+            <p>This email was sent from ERP Security System. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+/**
+ * Get account locked text template
+ */
+export const getAccountLockedTextTemplate = (userName, lockedUntil) => {
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+    
+    return `
+Account Temporarily Locked - ERP Security System
+
+Hello ${userName},
+
+Your account was locked after several failed sign-in attempts.
+
+Locked until: ${new Date(lockedUntil).toLocaleString()}
+
+You can sign in again after this time, or ask an administrator to unlock your account.
+
+If these attempts were not made by you, someone may be trying to guess your password. We recommend resetting it:
+${resetUrl}
+
+Best regards,
+ERP Security System Team
+    `;
+  }
+
+/**
+ * Get magic link HTML template
+ */
+export const getMagicLinkTemplate = (userName, magicLinkUrl, expiresAt) => {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Sign-In Link</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background: #f9fafb; }
+          .button { display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .warning { background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 6px; margin: 20px 0; }
+          .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Sign In to ERP</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${userName},</h2>
+            <p>Use the button below to sign in without a password.</p>
+            <a href="${magicLinkUrl}" class="button">Sign In</a>
+            <div class="warning">
+              <p><strong>Important:</strong></p>
+              <ul>
+                <li>The link works once, until ${new Date(expiresAt).toLocaleString()}</li>
+                <li>Open it on the same device and browser where you asked for it</li>
+                <li>If you didn't ask to sign in, ignore this email</li>
+              </ul>
+            </div>
+          </div>
+          <div class="footer">
+            <p>This email was sent from ERP Security System. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+/**
+ * Get magic link text template
+ */
+export const getMagicLinkTextTemplate = (userName, magicLinkUrl, expiresAt) => {
+    return `
+Your Sign-In Link - ERP Security System
+
+Hello ${userName},
+
+Use the link below to sign in without a password:
+${magicLinkUrl}
+
+The link works once, until ${new Date(expiresAt).toLocaleString()}.
+Open it on the same device and browser where you asked for it.
+If you didn't ask to sign in, ignore this email.
+
+Best regards,
+ERP Security System Team
+    `;
+  }
+
+/**
+ * Get MFA code HTML template
+ */
+export const getMFACodeTemplate = (userName, code, expiresAt) => {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Verification Code</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background: #f9fafb; }
+          .code { font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; margin: 20px 0; }
+          .warning { background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 6px; margin: 20px 0; }
+          .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Verification Code</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${userName},</h2>
+            <p>Enter this code to confirm it's you:</p>
+            <div class="code">${code}</div>
+            <div class="warning">
+              <p><strong>Important:</strong></p>
+              <ul>
+                <li>The code works once, until ${new Date(expiresAt).toLocaleString()}</li>
+                <li>Never share it; we will never ask you for it</li>
+                <li>If you didn't try to sign in, change your password</li>
+              </ul>
+            </div>
+          </div>
+          <div class="footer">
+            <p>This email was sent from ERP Security System. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+/**
+ * Get MFA code text template
+ */
+export const getMFACodeTextTemplate = (userName, code, expiresAt) => {
+    return `
+Your Verification Code - ERP Security System
+
+Hello ${userName},
+
+Enter this code to confirm it's you: ${code}
+
+The code works once, until ${new Date(expiresAt).toLocaleString()}.
+Never share it; we will never ask you for it.
+If you didn't try to sign in, change your password.
+
 Best regards,
 ERP Security System Team
     `;
@@ -538,6 +834,9 @@ export default {
   sendWelcomeEmail,
   sendAccountActivationEmail,
   sendSecurityAlertEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendMFACodeEmail,
   sendMFASetupEmail,
   getPasswordResetTemplate,
   getPasswordResetTextTemplate,
@@ -547,6 +846,12 @@ export default {
   getAccountActivationTextTemplate,
   getSecurityAlertTemplate,
   getSecurityAlertTextTemplate,
+  getAccountLockedTemplate,
+  getAccountLockedTextTemplate,
+  getMagicLinkTemplate,
+  getMagicLinkTextTemplate,
+  getMFACodeTemplate,
+  getMFACodeTextTemplate,
   getMFASetupTemplate,
   getMFASetupTextTemplate
 };
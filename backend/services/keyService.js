@@ -0,0 +1,184 @@
+import { db } from '../config/db.js';
+import keyStore from '../utils/keyStore.js';
+import secretEncryption from '../utils/secretEncryption.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Signing key service
+ * Persists JWT signing keys, rotates them on a schedule and keeps the in-memory key store in sync
+ */
+
+// Configuration constants
+const PRIVATE_KEY_CONTEXT = 'SigningKey.privateKey';
+const SIGNING_ALGORITHM = process.env.JWT_SIGNING_ALG || 'RS256';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROTATION_INTERVAL_MS = (parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 90) * DAY_MS;
+// Retired keys stay published long enough for every token they signed to expire
+const OVERLAP_MS = (parseInt(process.env.JWT_KEY_OVERLAP_DAYS, 10) || 14) * DAY_MS;
+// New keys are published this long before they sign, so every instance and relying party has them
+const ACTIVATION_DELAY_MS = (parseInt(process.env.JWT_KEY_ACTIVATION_DELAY_SECONDS, 10) || 600) * 1000;
+const REFRESH_INTERVAL_MS = (parseInt(process.env.JWT_KEY_REFRESH_INTERVAL_SECONDS, 10) || 300) * 1000;
+
+let scheduleTimer = null;
+
+export const refreshKeys = async () => {
+    try {
+      const records = await db.client.signingKey.findMany({
+        where: {
+          OR: [
+            { expiresAt: null },
+            { expiresAt: { gt: new Date() } }
+          ]
+        },
+        orderBy: { activatesAt: 'asc' }
+      });
+
+      // Private keys are stored encrypted; the key store holds them decrypted in memory only
+      keyStore.loadKeys(records.map(record => ({
+        ...record,
+        privateKey: secretEncryption.decrypt(record.privateKey, PRIVATE_KEY_CONTEXT)
+      })));
+      return records.length;
+    } catch (error) {
+      logger.error('Failed to load signing keys', { error: error.message });
+      throw error;
+    }
+  }
+
+const createKey = async (activatesAt) => {
+    const { kid, algorithm, publicKey, privateKey } = keyStore.generateKeyPair(SIGNING_ALGORITHM);
+
+    return db.client.signingKey.create({
+      data: {
+        kid,
+        algorithm,
+        publicKey,
+        privateKey: secretEncryption.encrypt(privateKey, PRIVATE_KEY_CONTEXT),
+        activatesAt
+      }
+    });
+  }
+
+export const initializeKeys = async () => {
+    try {
+      await refreshKeys();
+
+      // First start (or every key expired): create a key that signs immediately
+      if (!keyStore.getSigningKey()) {
+        const key = await createKey(new Date());
+        logger.info('Created initial JWT signing key', { kid: key.kid, algorithm: key.algorithm });
+        await refreshKeys();
+      }
+    } catch (error) {
+      logger.error('Signing key initialization failed', { error: error.message });
+      throw error;
+    }
+  }
+
+export const rotateSigningKey = async (options = {}) => {
+    const { immediate = false } = options;
+
+    try {
+      const now = new Date();
+      const activatesAt = immediate ? now : new Date(now.getTime() + ACTIVATION_DELAY_MS);
+      // An immediate rotation is for a compromised key, so the old keys stop verifying at once
+      const retireAt = immediate ? now : new Date(activatesAt.getTime() + OVERLAP_MS);
+
+      const key = await createKey(activatesAt);
+
+      await db.client.signingKey.updateMany({
+        where: {
+          id: { not: key.id },
+          OR: [
+            { expiresAt: null },
+            { expiresAt: { gt: retireAt } }
+          ]
+        },
+        data: { expiresAt: retireAt }
+      });
+
+      await refreshKeys();
+
+      logger.security('signing_key_rotated', {
+        kid: key.kid,
+        algorithm: key.algorithm,
+        activatesAt: activatesAt.toISOString(),
+        previousKeysExpireAt: retireAt.toISOString(),
+        immediate
+      });
+
+      return {
+        kid: key.kid,
+        algorithm: key.algorithm,
+        activatesAt,
+        previousKeysExpireAt: retireAt
+      };
+    } catch (error) {
+      logger.error('Signing key rotation failed', { error: error.message });
+      throw error;
+    }
+  }
+
+export const pruneExpiredKeys = async () => {
+    try {
+      const result = await db.client.signingKey.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      });
+
+      if (result.count > 0) {
+        logger.info('Pruned expired signing keys', { count: result.count });
+      }
+
+      return result.count;
+    } catch (error) {
+      logger.error('Failed to prune expired signing keys', { error: error.message });
+      throw error;
+    }
+  }
+
+const runScheduledMaintenance = async () => {
+    try {
+      await refreshKeys();
+
+      const newest = await db.client.signingKey.findFirst({
+        orderBy: { activatesAt: 'desc' }
+      });
+
+      // Only rotate when the newest key (pending or active) has reached its rotation age
+      if (!newest || Date.now() - newest.activatesAt.getTime() >= ROTATION_INTERVAL_MS) {
+        await rotateSigningKey();
+      }
+
+      await pruneExpiredKeys();
+    } catch (error) {
+      logger.error('Scheduled signing key maintenance failed', { error: error.message });
+    }
+  }
+
+export const startKeyRotationSchedule = () => {
+    if (scheduleTimer) return;
+
+    scheduleTimer = setInterval(runScheduledMaintenance, REFRESH_INTERVAL_MS);
+    scheduleTimer.unref();
+  }
+
+export const stopKeyRotationSchedule = () => {
+    if (scheduleTimer) {
+      clearInterval(scheduleTimer);
+      scheduleTimer = null;
+    }
+  }
+
+export const getJwks = () => {
+    return keyStore.getPublicJwks();
+  }
+// Export all functions as named exports
+export default {
+  refreshKeys,
+  initializeKeys,
+  rotateSigningKey,
+  pruneExpiredKeys,
+  startKeyRotationSchedule,
+  stopKeyRotationSchedule,
+  getJwks
+};
@@ -0,0 +1,132 @@
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import auditService from './auditService.js';
+import emailService from './emailService.js';
+
+/**
+ * Account lockout service
+ * Per-account failed sign-in counters with progressively longer lockouts
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Read on every call so operators can tune the policy without a code change
+export const getLockoutPolicy = () => ({
+  // Failed attempts that trigger a lockout
+  threshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+  // First lockout; each following one doubles up to the maximum
+  baseDurationMs: (parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15) * MINUTE_MS,
+  maxDurationMs: (parseInt(process.env.LOCKOUT_MAX_DURATION_MINUTES, 10) || 24 * 60) * MINUTE_MS,
+  // A failure longer than this after the previous one starts a new count
+  windowMs: (parseInt(process.env.LOCKOUT_WINDOW_MINUTES, 10) || 60) * MINUTE_MS
+});
+
+export const getLockoutDuration = (lockoutCount, policy = getLockoutPolicy()) => {
+  return Math.min(policy.baseDurationMs * 2 ** lockoutCount, policy.maxDurationMs);
+};
+
+export const isLocked = (user) => {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+};
+
+export const createLockedError = (user) => {
+  const error = new Error('Account is temporarily locked due to repeated failed sign-in attempts. Try again later.');
+  error.lockedUntil = user.lockedUntil;
+  return error;
+};
+
+export const recordFailedLogin = async (user, context = {}) => {
+    const { ip, reason } = context;
+    const policy = getLockoutPolicy();
+    const now = new Date();
+
+    try {
+      const withinWindow = user.lastFailedLoginAt &&
+        now.getTime() - user.lastFailedLoginAt.getTime() < policy.windowMs;
+
+      const updated = await db.client.user.update({
+        where: { id: user.id },
+        data: {
+          failedLoginAttempts: withinWindow ? { increment: 1 } : 1,
+          lastFailedLoginAt: now
+        }
+      });
+
+      if (updated.failedLoginAttempts < policy.threshold) {
+        return { locked: false, remainingAttempts: policy.threshold - updated.failedLoginAttempts };
+      }
+
+      const lockedUntil = new Date(now.getTime() + getLockoutDuration(updated.lockoutCount, policy));
+
+      // Conditional so that concurrent failures lock the account only once
+      const { count } = await db.client.user.updateMany({
+        where: { id: user.id, failedLoginAttempts: { gte: policy.threshold } },
+        data: {
+          failedLoginAttempts: 0,
+          lockedUntil,
+          lockoutCount: { increment: 1 }
+        }
+      });
+
+      if (count === 0) {
+        return { locked: true, lockedUntil: null };
+      }
+
+      const details = {
+        email: user.email,
+        failedAttempts: updated.failedLoginAttempts,
+        lockoutCount: updated.lockoutCount + 1,
+        lockedUntil: lockedUntil.toISOString(),
+        reason
+      };
+
+      logger.security('account_locked', { userId: user.id, ip, ...details });
+      await auditService.createAuditLog({
+        userId: user.id,
+        module: 'security',
+        action: 'account_locked',
+        details,
+        ip
+      });
+
+      // Email failures are logged by the email service and must not hide the lockout
+      await emailService.sendAccountLockedEmail(user.email, `${user.firstName} ${user.lastName}`, lockedUntil);
+
+      return { locked: true, lockedUntil };
+    } catch (error) {
+      logger.error('Failed to record failed login', { error: error.message, userId: user.id });
+      throw error;
+    }
+  }
+
+export const resetFailedLogins = async (user) => {
+    try {
+      // Most sign-ins have nothing to clear, so skip the write
+      if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) {
+        return;
+      }
+
+      await db.client.user.update({
+        where: { id: user.id },
+        data: {
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          lockoutCount: 0
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to reset failed logins', { error: error.message, userId: user.id });
+      throw error;
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  getLockoutPolicy,
+  getLockoutDuration,
+  isLocked,
+  createLockedError,
+  recordFailedLogin,
+  resetFailedLogins
+};
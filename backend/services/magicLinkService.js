@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import emailService from './emailService.js';
+import tokenService from './tokenService.js';
+import lockoutService from './lockoutService.js';
+import { startMFAChallenge, startMFAEnrollment, startLoginSession } from './authService.js';
+
+/**
+ * Magic link service
+ * Passwordless sign-in with single-use emailed links, for members of roles that allow it
+ *
+ * Requesting a link returns a nonce to the requesting browser; the link only works together with
+ * that nonce, so a link forwarded or intercepted on its way to another device is useless.
+ */
+
+// Configuration constants
+const MINUTE_MS = 60 * 1000;
+
+const getLinkTtlMs = () => (parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 10) * MINUTE_MS;
+
+const getMagicLinkUrl = (token) => {
+  const url = new URL('/magic-link', process.env.FRONTEND_URL || 'http://localhost:5173');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+const noncesMatch = (nonce, nonceHash) => {
+  const expected = Buffer.from(nonceHash, 'hex');
+  const actual = Buffer.from(tokenService.hashToken(nonce), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Issue and email a link when the account may use one
+ * The caller answers every request the same way; `issued` and `reason` are for the audit log only
+ */
+export const requestMagicLink = async (email, context = {}) => {
+    const { ip = null, userAgent = null } = context;
+
+    // Every caller gets a nonce, so the response does not reveal whether the account exists
+    const nonce = crypto.randomBytes(32).toString('base64url');
+
+    try {
+      const user = await db.client.user.findUnique({
+        where: { email: email.toLowerCase() },
+        include: { role: true }
+      });
+
+      let reason = null;
+      if (!user) {
+        reason = 'user_not_found';
+      } else if (!user.isActive) {
+        reason = 'inactive';
+      } else if (!user.role?.magicLinkEnabled) {
+        reason = 'not_enabled_for_role';
+      } else if (lockoutService.isLocked(user)) {
+        reason = 'locked';
+      }
+
+      if (reason) {
+        logger.security('magic_link_refused', { userId: user?.id, email, ip, reason });
+        return { nonce, userId: user?.id || null, issued: false, reason };
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + getLinkTtlMs());
+
+      // Only the newest link works
+      await db.client.magicLinkToken.deleteMany({
+        where: { userId: user.id, consumedAt: null }
+      });
+
+      await db.client.magicLinkToken.create({
+        data: {
+          tokenHash: tokenService.hashToken(token),
+          nonceHash: tokenService.hashToken(nonce),
+          userId: user.id,
+          ip,
+          userAgent,
+          expiresAt
+        }
+      });
+
+      const sent = await emailService.sendMagicLinkEmail(
+        user.email,
+        `${user.firstName} ${user.lastName}`,
+        getMagicLinkUrl(token),
+        expiresAt
+      );
+
+      logger.auth('magic_link_requested', user, { ip, userAgent, sent });
+
+      return { nonce, userId: user.id, issued: sent, reason: sent ? null : 'email_failed' };
+    } catch (error) {
+      logger.error('Magic link request failed', { error: error.message, email, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Sign in with a link and the nonce of the browser that requested it
+ * Goes through the same lockout and MFA checks as password sign-in; the link is spent once it checks out.
+ * An MFA challenge or enrollment ticket comes back with the userId of the spent link
+ */
+export const verifyMagicLink = async (token, nonce, context = {}) => {
+    const { ip = null, userAgent = null, trustedDeviceToken = null } = context;
+
+    try {
+      const record = await db.client.magicLinkToken.findUnique({
+        where: { tokenHash: tokenService.hashToken(token) },
+        include: { user: { include: { role: true } } }
+      });
+
+      if (!record || record.consumedAt || record.expiresAt < new Date()) {
+        throw new Error('Invalid or expired sign-in link');
+      }
+
+      if (!noncesMatch(nonce, record.nonceHash)) {
+        logger.security('magic_link_nonce_mismatch', { userId: record.userId, ip });
+        throw new Error('This sign-in link must be opened in the browser that requested it');
+      }
+
+      const { user } = record;
+      if (!user.isActive) {
+        throw new Error('Account is deactivated');
+      }
+
+      // The role may have lost the option since the link was sent
+      if (!user.role?.magicLinkEnabled) {
+        throw new Error('Sign-in links are not enabled for your account');
+      }
+
+      if (lockoutService.isLocked(user)) {
+        logger.security('login_failed_account_locked', { userId: user.id, email: user.email, ip });
+        throw lockoutService.createLockedError(user);
+      }
+
+      // Single use: claim it before issuing anything, including an MFA challenge
+      const consumed = await db.client.magicLinkToken.updateMany({
+        where: { id: record.id, consumedAt: null },
+        data: { consumedAt: new Date() }
+      });
+
+      if (consumed.count === 0) {
+        logger.security('magic_link_replayed', { userId: user.id, ip });
+        throw new Error('Invalid or expired sign-in link');
+      }
+
+      logger.auth('magic_link_used', user, { ip, userAgent });
+
+      // With MFA the link only completes the first step; the sign-in finishes at /mfa/verify
+      const mfaChallenge = await startMFAChallenge(user, { method: 'magic_link', ip, trustedDeviceToken });
+      if (mfaChallenge) {
+        return { ...mfaChallenge, userId: user.id };
+      }
+
+      await lockoutService.resetFailedLogins(user);
+
+      // Role requires MFA and the grace period is over: only an enrollment ticket is issued
+      const enrollment = await startMFAEnrollment(user, { method: 'magic_link', ip });
+      if (enrollment?.requiresMFAEnrollment) {
+        return { ...enrollment, userId: user.id };
+      }
+
+      const result = await startLoginSession(user, { ip, userAgent, method: 'magic_link' });
+      return enrollment ? { ...result, mfaEnrollmentDeadline: enrollment.deadline } : result;
+    } catch (error) {
+      logger.error('Magic link sign-in failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+export const cleanupExpiredMagicLinks = async () => {
+    try {
+      const result = await db.client.magicLinkToken.deleteMany({
+        where: {
+          OR: [
+            { expiresAt: { lt: new Date() } },
+            { consumedAt: { not: null } }
+          ]
+        }
+      });
+
+      logger.info('Cleaned up expired magic links', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired magic links', {
+        error: error.message
+      });
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  requestMagicLink,
+  verifyMagicLink,
+  cleanupExpiredMagicLinks
+};
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import otpDeliveryService from './otpDeliveryService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * MFA one-time codes delivered by email or SMS
+ * Codes have 6 digits, are stored as salted hashes, expire after OTP_TTL_MS and allow OTP_MAX_ATTEMPTS
+ * guesses. Each user can request one code per OTP_RESEND_INTERVAL_MS and OTP_MAX_SENDS per
+ * OTP_SEND_WINDOW_MS. A new code replaces the outstanding one for the same method and purpose.
+ */
+
+// Configuration constants
+export const OTP_TYPES = otpDeliveryService.CHANNELS;
+const OTP_TTL_MS = (parseInt(process.env.MFA_OTP_TTL_MINUTES, 10) || 10) * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+const OTP_MAX_SENDS = 5;
+const OTP_PATTERN = /^\d{6}$/;
+
+const hashCode = (code, salt = crypto.randomBytes(16).toString('base64url')) => {
+  return `${salt}:${crypto.createHash('sha256').update(`${salt}:${code}`).digest('base64url')}`;
+};
+
+const codeMatches = (code, codeHash) => {
+  const expected = Buffer.from(codeHash);
+  const actual = Buffer.from(hashCode(code, codeHash.split(':')[0]));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Controllers answer 429 with Retry-After when an error carries retryAfter (seconds)
+const createRateLimitError = (message, retryAfterMs) => {
+  const error = new Error(message);
+  error.retryAfter = Math.ceil(retryAfterMs / 1000);
+  return error;
+};
+
+// Enough of the destination for the user to recognise it
+export const maskDestination = (type, destination) => {
+  if (type === 'email') {
+    const [name, domain] = destination.split('@');
+    return `${name.slice(0, 1)}***@${domain}`;
+  }
+  return `***${destination.slice(-4)}`;
+};
+
+/**
+ * Send a new code to the destination; returns where it went (masked) and when it expires
+ */
+export const sendCode = async (user, options = {}) => {
+    const { type, destination, purpose, ip = null } = options;
+
+    try {
+      const now = Date.now();
+      const recent = await db.client.mfaOtpCode.findMany({
+        where: { userId: user.id, createdAt: { gt: new Date(now - OTP_SEND_WINDOW_MS) } },
+        select: { createdAt: true },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      if (recent.length > 0 && now - recent[0].createdAt.getTime() < OTP_RESEND_INTERVAL_MS) {
+        throw createRateLimitError(
+          'Please wait before requesting another code',
+          recent[0].createdAt.getTime() + OTP_RESEND_INTERVAL_MS - now
+        );
+      }
+
+      if (recent.length >= OTP_MAX_SENDS) {
+        logger.security('mfa_code_send_limit_reached', { userId: user.id, ip, type });
+        throw createRateLimitError(
+          'Too many codes requested. Please try again later',
+          recent[recent.length - 1].createdAt.getTime() + OTP_SEND_WINDOW_MS - now
+        );
+      }
+
+      // Only the newest code for a method and purpose works
+      await db.client.mfaOtpCode.updateMany({
+        where: { userId: user.id, type, purpose, consumedAt: null, expiresAt: { gt: new Date(now) } },
+        data: { expiresAt: new Date(now) }
+      });
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      const expiresAt = new Date(now + OTP_TTL_MS);
+
+      await db.client.mfaOtpCode.create({
+        data: {
+          userId: user.id,
+          type,
+          purpose,
+          destination,
+          codeHash: hashCode(code),
+          expiresAt
+        }
+      });
+
+      await otpDeliveryService.deliver({
+        channel: type,
+        destination,
+        code,
+        userName: `${user.firstName} ${user.lastName}`,
+        expiresAt
+      });
+
+      logger.auth('mfa_code_sent', user, { ip, type, purpose });
+
+      return {
+        type,
+        sentTo: maskDestination(type, destination),
+        expiresAt
+      };
+    } catch (error) {
+      logger.error('Failed to send MFA code', { error: error.message, userId: user.id, type, purpose, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Spend an outstanding code of one of the given method types; returns the type it was sent by,
+ * or null when none matches. Every guess counts against the codes it was checked against
+ */
+export const verifyCode = async (userId, code, options = {}) => {
+    const { purpose, types = OTP_TYPES } = options;
+
+    try {
+      if (typeof code !== 'string' || !OTP_PATTERN.test(code) || types.length === 0) {
+        return null;
+      }
+
+      const candidates = await db.client.mfaOtpCode.findMany({
+        where: {
+          userId,
+          purpose,
+          type: { in: types },
+          consumedAt: null,
+          expiresAt: { gt: new Date() },
+          attempts: { lt: OTP_MAX_ATTEMPTS }
+        }
+      });
+
+      for (const candidate of candidates) {
+        // Counted before checking, so parallel guesses cannot exceed the limit
+        const counted = await db.client.mfaOtpCode.updateMany({
+          where: { id: candidate.id, consumedAt: null, attempts: { lt: OTP_MAX_ATTEMPTS } },
+          data: { attempts: { increment: 1 } }
+        });
+
+        if (counted.count === 0 || !codeMatches(code, candidate.codeHash)) {
+          continue;
+        }
+
+        const consumed = await db.client.mfaOtpCode.updateMany({
+          where: { id: candidate.id, consumedAt: null },
+          data: { consumedAt: new Date() }
+        });
+
+        if (consumed.count === 1) {
+          return candidate.type;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('MFA code verification failed', { error: error.message, userId, purpose });
+      throw error;
+    }
+  }
+
+// Codes stay until the send window has passed, since they count towards the send limit
+export const cleanupExpiredCodes = async () => {
+    try {
+      const result = await db.client.mfaOtpCode.deleteMany({
+        where: { createdAt: { lt: new Date(Date.now() - OTP_SEND_WINDOW_MS) } }
+      });
+
+      logger.info('Cleaned up expired MFA codes', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired MFA codes', {
+        error: error.message
+      });
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  OTP_TYPES,
+  maskDestination,
+  sendCode,
+  verifyCode,
+  cleanupExpiredCodes
+};
@@ -0,0 +1,286 @@
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import sessionCache from '../utils/sessionCache.js';
+import emailService from './emailService.js';
+
+/**
+ * Administrator-assisted MFA reset
+ * For users who lost every second factor. The requester records how they verified the user's identity.
+ * When MFA_RESET_REQUIRES_APPROVAL is "true", or the requester is not an admin, the request waits for
+ * a second admin (neither the requester nor the user) to approve it within MFA_RESET_APPROVAL_HOURS.
+ * A completed reset removes every MFA method, passkey and backup code, ends the user's sessions and
+ * trusted browsers, and forces MFA setup at their next sign-in. The reset and the request record are
+ * written in one transaction, so neither can be left half done; the user is emailed after it commits.
+ */
+
+// Configuration constants
+const REQUEST_TTL_MS = (parseInt(process.env.MFA_RESET_APPROVAL_HOURS, 10) || 48) * 60 * 60 * 1000;
+
+const userSummary = { select: { id: true, email: true, firstName: true, lastName: true } };
+const requestInclude = { user: userSummary, requestedBy: userSummary, reviewedBy: userSummary };
+
+const requiresApproval = (requester) => {
+  return process.env.MFA_RESET_REQUIRES_APPROVAL === 'true' || requester.role?.name !== 'admin';
+};
+
+const notifyUser = async (user, alertType, details = {}) => {
+  const sent = await emailService.sendSecurityAlertEmail(
+    user.email,
+    `${user.firstName} ${user.lastName}`,
+    alertType,
+    { ...details, timestamp: new Date().toISOString() }
+  );
+  if (!sent) {
+    logger.warn('Failed to send MFA reset email', { userId: user.id, alertType });
+  }
+};
+
+// Requests nobody approved in time can no longer be approved
+const expireStaleRequests = async () => {
+  await db.client.mfaResetRequest.updateMany({
+    where: { status: 'pending', expiresAt: { lte: new Date() } },
+    data: { status: 'expired' }
+  });
+};
+
+// Runs inside the caller's transaction; the caller tells the user once it has committed
+const executeMfaReset = async (tx, userId) => {
+  await tx.mfaMethod.deleteMany({ where: { userId } });
+  await tx.mfaEnrollment.deleteMany({ where: { userId } });
+  await tx.mfaOtpCode.deleteMany({ where: { userId } });
+  await tx.mfaChallenge.deleteMany({ where: { userId } });
+  await tx.webAuthnCredential.deleteMany({ where: { userId } });
+
+  const user = await tx.user.update({
+    where: { id: userId },
+    data: {
+      mfaEnabled: false,
+      backupCodes: [],
+      mfaResetAt: new Date()
+    }
+  });
+
+  // Whoever holds the lost device must not keep a way in; refresh tokens of a login go with its session
+  await tx.session.deleteMany({
+    where: { userId }
+  });
+  await tx.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  await tx.trustedDevice.deleteMany({
+    where: { userId }
+  });
+
+  return user;
+};
+
+const finishMfaReset = async (user) => {
+  sessionCache.invalidateUser(user.id);
+
+  await notifyUser(user, 'MFA Reset by Administrator', {
+    nextStep: 'You will be asked to set up two-factor authentication at your next sign-in'
+  });
+
+  logger.audit('user_mfa_reset', user);
+};
+
+const getPendingRequest = async (requestId) => {
+  await expireStaleRequests();
+
+  const request = await db.client.mfaResetRequest.findUnique({
+    where: { id: requestId },
+    include: requestInclude
+  });
+
+  if (!request) {
+    throw new Error('MFA reset request not found');
+  }
+
+  if (request.status !== 'pending') {
+    throw new Error(`MFA reset request is already ${request.status}`);
+  }
+
+  return request;
+};
+
+// Only one reviewer can settle a request, even when two act at once
+const settleRequest = async (client, request, reviewer, data) => {
+  const { count } = await client.mfaResetRequest.updateMany({
+    where: { id: request.id, status: 'pending' },
+    data: { ...data, reviewedById: reviewer.id, reviewedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new Error('MFA reset request was already reviewed');
+  }
+};
+
+/**
+ * Start an MFA reset for a user whose identity was verified out of band
+ * Returns the request and whether the reset was already carried out
+ */
+export const requestMfaReset = async (userId, requester, options = {}) => {
+    const { verificationNote, ip = null } = options;
+
+    try {
+      if (userId === requester.id) {
+        throw new Error('You cannot reset your own MFA');
+      }
+
+      const user = await db.client.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await expireStaleRequests();
+
+      const needsApproval = requiresApproval(requester);
+      let resetUser = null;
+
+      // Serializable, so of two concurrent requests for the same user only one commits
+      let request;
+      try {
+        request = await db.client.$transaction(async (tx) => {
+          const pending = await tx.mfaResetRequest.findFirst({
+            where: { userId, status: 'pending' }
+          });
+          if (pending) {
+            throw new Error('An MFA reset for this user is already waiting for approval');
+          }
+
+          if (!needsApproval) {
+            resetUser = await executeMfaReset(tx, userId);
+          }
+
+          const now = new Date();
+          return tx.mfaResetRequest.create({
+            data: {
+              userId,
+              requestedById: requester.id,
+              verificationNote,
+              status: needsApproval ? 'pending' : 'completed',
+              completedAt: needsApproval ? null : now,
+              expiresAt: new Date(now.getTime() + REQUEST_TTL_MS)
+            },
+            include: requestInclude
+          });
+        }, { isolationLevel: 'Serializable' });
+      } catch (transactionError) {
+        if (transactionError.code === 'P2034') {
+          throw new Error('An MFA reset for this user is already in progress');
+        }
+        throw transactionError;
+      }
+
+      logger.security('mfa_reset_requested', { userId, requestedBy: requester.id, ip, needsApproval });
+
+      if (resetUser) {
+        await finishMfaReset(resetUser);
+      } else {
+        // A request the user did not ask for is their cue to contact the helpdesk
+        await notifyUser(user, 'MFA Reset Requested', {
+          status: 'Waiting for approval by a second administrator'
+        });
+      }
+
+      return { request, completed: !needsApproval };
+    } catch (error) {
+      logger.error('Failed to request MFA reset', { error: error.message, userId, requestedBy: requester.id });
+      throw error;
+    }
+  }
+
+export const listMfaResetRequests = async (options = {}) => {
+    const { status = 'pending', limit = 50 } = options;
+
+    try {
+      await expireStaleRequests();
+
+      return await db.client.mfaResetRequest.findMany({
+        where: status ? { status } : {},
+        include: requestInclude,
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      logger.error('Failed to list MFA reset requests', { error: error.message, status });
+      throw error;
+    }
+  }
+
+/**
+ * Approve a pending request and carry out the reset; the approver must be another admin than the
+ * requester and cannot be the user being reset
+ */
+export const approveMfaResetRequest = async (requestId, approver, options = {}) => {
+    const { note = null, ip = null } = options;
+
+    try {
+      const request = await getPendingRequest(requestId);
+
+      if (approver.id === request.requestedById) {
+        throw new Error('A second administrator must approve this MFA reset');
+      }
+
+      if (approver.id === request.userId) {
+        throw new Error('You cannot approve a reset of your own MFA');
+      }
+
+      const user = await db.client.$transaction(async (tx) => {
+        await settleRequest(tx, request, approver, { status: 'completed', reviewNote: note, completedAt: new Date() });
+        return executeMfaReset(tx, request.userId);
+      });
+
+      logger.security('mfa_reset_approved', { requestId, userId: request.userId, approvedBy: approver.id, ip });
+
+      await finishMfaReset(user);
+
+      return await db.client.mfaResetRequest.findUnique({
+        where: { id: requestId },
+        include: requestInclude
+      });
+    } catch (error) {
+      logger.error('Failed to approve MFA reset', { error: error.message, requestId, approvedBy: approver.id });
+      throw error;
+    }
+  }
+
+export const rejectMfaResetRequest = async (requestId, reviewer, options = {}) => {
+    const { note = null, ip = null } = options;
+
+    try {
+      const request = await getPendingRequest(requestId);
+
+      if (reviewer.id === request.userId) {
+        throw new Error('You cannot review a reset of your own MFA');
+      }
+
+      await settleRequest(db.client, request, reviewer, { status: 'rejected', reviewNote: note });
+
+      logger.security('mfa_reset_rejected', { requestId, userId: request.userId, rejectedBy: reviewer.id, ip });
+
+      await notifyUser(request.user, 'MFA Reset Request Rejected', {
+        status: 'Your two-factor authentication was not changed'
+      });
+
+      return await db.client.mfaResetRequest.findUnique({
+        where: { id: requestId },
+        include: requestInclude
+      });
+    } catch (error) {
+      logger.error('Failed to reject MFA reset', { error: error.message, requestId, rejectedBy: reviewer.id });
+      throw error;
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  requestMfaReset,
+  listMfaResetRequests,
+  approveMfaResetRequest,
+  rejectMfaResetRequest
+};
@@ -0,0 +1,658 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import jwtUtils from '../utils/jwtUtils.js';
+import ssoUtils from '../utils/ssoUtils.js';
+import keyStore from '../utils/keyStore.js';
+import logger from '../utils/logger.js';
+import sessionCache from '../utils/sessionCache.js';
+import { AppError } from '../middlewares/errorMiddleware.js';
+import tokenService from './tokenService.js';
+import clientService, { SUPPORTED_CLIENT_SCOPES } from './clientService.js';
+import apiTokenService from './apiTokenService.js';
+import { createSession, isSessionActive } from './authService.js';
+
+/**
+ * OpenID Connect provider service
+ * Authorization code + PKCE flow, ID tokens and userinfo for other ERP applications
+ */
+
+// Configuration constants
+export const SUPPORTED_SCOPES = SUPPORTED_CLIENT_SCOPES;
+const AUTHORIZATION_CODE_TTL_MS = 2 * 60 * 1000; // 2 minutes
+const CLIENT_CREDENTIALS_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Claims released per scope, for both the ID token and userinfo
+const SCOPE_CLAIMS = {
+  profile: (user) => ({
+    name: `${user.firstName} ${user.lastName}`.trim(),
+    given_name: user.firstName,
+    family_name: user.lastName,
+    updated_at: Math.floor(new Date(user.updatedAt).getTime() / 1000)
+  }),
+  email: (user) => ({
+    email: user.email,
+    email_verified: user.emailVerified
+  }),
+  roles: (user) => ({
+    role: user.role?.name || null,
+    roles: user.role ? [user.role.name] : [],
+    role_scope: user.role?.scope || null
+  })
+};
+
+/**
+ * Protocol error carrying an RFC 6749 error code
+ * `redirectable` errors are reported to the client's redirect_uri instead of the browser
+ */
+export class OAuthError extends AppError {
+  constructor(error, description, statusCode = 400, redirectable = false) {
+    super(description, statusCode);
+    this.error = error;
+    this.redirectable = redirectable;
+  }
+}
+
+// Read lazily: modules load before server.js runs dotenv
+export const getIssuer = () => {
+  return (process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+};
+
+export const getClient = async (clientId) => {
+    return clientService.findActiveClient(clientId);
+  }
+
+export const authenticateClient = async (credentials) => {
+    const { clientId, clientSecret } = credentials;
+
+    const client = clientId ? await getClient(clientId) : null;
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    // Public clients (no secret) rely on PKCE alone
+    if (client.secretHash && !clientService.verifyClientSecret(client, clientSecret)) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    return client;
+  }
+
+const assertGrantAllowed = (client, grantType) => {
+  if (!client.grantTypes.includes(grantType)) {
+    throw new OAuthError('unauthorized_client', `Client may not use the ${grantType} grant`);
+  }
+};
+
+export const validateAuthorizationRequest = async (params) => {
+    const {
+      response_type: responseType,
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope = '',
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod
+    } = params;
+
+    const client = clientId ? await getClient(clientId) : null;
+    if (!client) {
+      throw new OAuthError('invalid_request', 'Unknown client_id');
+    }
+
+    // Redirect URIs must match a registered value exactly
+    if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+      throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    // From here on errors go back to the client
+    if (responseType !== 'code') {
+      throw new OAuthError('unsupported_response_type', 'Only response_type=code is supported', 400, true);
+    }
+
+    if (!client.grantTypes.includes('authorization_code')) {
+      throw new OAuthError('unauthorized_client', 'Client may not use the authorization code flow', 400, true);
+    }
+
+    const scopes = [...new Set(String(scope).split(' ').filter(Boolean))];
+    if (!scopes.includes('openid')) {
+      throw new OAuthError('invalid_scope', 'The openid scope is required', 400, true);
+    }
+
+    const unsupported = scopes.filter(value => !client.scopes.includes(value));
+    if (unsupported.length > 0) {
+      throw new OAuthError('invalid_scope', `Scope not allowed for this client: ${unsupported.join(' ')}`, 400, true);
+    }
+
+    if (!codeChallenge || (codeChallengeMethod || 'plain') !== 'S256') {
+      throw new OAuthError('invalid_request', 'PKCE with code_challenge_method=S256 is required', 400, true);
+    }
+
+    return {
+      client,
+      redirectUri,
+      scopes,
+      state: state || null,
+      nonce: nonce || null,
+      codeChallenge,
+      codeChallengeMethod
+    };
+  }
+
+export const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+export const createAuthorizationCode = async (user, request, context = {}) => {
+    const { sessionId = null, ip = null, userAgent = null } = context;
+
+    try {
+      // auth_time is when the user signed in to the ERP, not when they approved this client
+      const session = sessionId
+        ? await db.client.session.findUnique({ where: { id: sessionId } })
+        : null;
+
+      const code = crypto.randomBytes(32).toString('base64url');
+
+      await db.client.authorizationCode.create({
+        data: {
+          codeHash: tokenService.hashToken(code),
+          clientId: request.client.clientId,
+          userId: user.id,
+          redirectUri: request.redirectUri,
+          scope: request.scopes.join(' '),
+          nonce: request.nonce,
+          codeChallenge: request.codeChallenge,
+          codeChallengeMethod: request.codeChallengeMethod,
+          authTime: session?.createdAt || new Date(),
+          ip,
+          userAgent,
+          expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_MS)
+        }
+      });
+
+      logger.auth('oidc_authorization_granted', user, {
+        clientId: request.client.clientId,
+        scope: request.scopes.join(' '),
+        ip
+      });
+
+      return code;
+    } catch (error) {
+      logger.error('Authorization code creation failed', { error: error.message, userId: user.id });
+      throw error;
+    }
+  }
+
+const buildClaims = (user, scopes) => {
+  return scopes.reduce((claims, scope) => ({
+    ...claims,
+    ...(SCOPE_CLAIMS[scope] ? SCOPE_CLAIMS[scope](user) : {})
+  }), { sub: user.id });
+};
+
+const issueIdToken = (user, clientId, scopes, extraClaims = {}) => {
+  return jwtUtils.generateIdToken(
+    { ...buildClaims(user, scopes), ...extraClaims },
+    { issuer: getIssuer(), audience: clientId }
+  );
+};
+
+const toTokenResponse = (tokens, scopes, idToken) => {
+  const { exp, iat } = jwtUtils.decodeToken(tokens.accessToken);
+
+  return {
+    access_token: tokens.accessToken,
+    token_type: 'Bearer',
+    expires_in: exp - iat,
+    id_token: idToken,
+    // Refresh tokens are only handed out for offline_access
+    ...(scopes.includes('offline_access') ? { refresh_token: tokens.refreshToken } : {}),
+    scope: scopes.join(' ')
+  };
+};
+
+export const exchangeAuthorizationCode = async (client, params, context = {}) => {
+    const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = params;
+    const { ip = null } = context;
+
+    try {
+      assertGrantAllowed(client, 'authorization_code');
+
+      if (!code) {
+        throw new OAuthError('invalid_request', 'code is required');
+      }
+
+      const record = await db.client.authorizationCode.findUnique({
+        where: { codeHash: tokenService.hashToken(code) },
+        include: { user: { include: { role: true } } }
+      });
+
+      if (!record || record.clientId !== client.clientId) {
+        throw new OAuthError('invalid_grant', 'Invalid authorization code');
+      }
+
+      // Codes are single use; consume before anything else so a replay cannot race us
+      const consumed = await db.client.authorizationCode.updateMany({
+        where: { id: record.id, consumedAt: null },
+        data: { consumedAt: new Date() }
+      });
+
+      if (consumed.count === 0) {
+        logger.security('authorization_code_replayed', {
+          clientId: client.clientId,
+          userId: record.userId,
+          ip
+        });
+        throw new OAuthError('invalid_grant', 'Invalid authorization code');
+      }
+
+      if (record.expiresAt < new Date()) {
+        throw new OAuthError('invalid_grant', 'Authorization code expired');
+      }
+
+      if (record.redirectUri !== redirectUri) {
+        throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+      }
+
+      if (!ssoUtils.verifyPKCE(codeVerifier, record.codeChallenge, record.codeChallengeMethod)) {
+        throw new OAuthError('invalid_grant', 'PKCE verification failed');
+      }
+
+      if (!record.user.isActive) {
+        throw new OAuthError('invalid_grant', 'User account is deactivated');
+      }
+
+      const scopes = record.scope.split(' ');
+
+      // Each client grant gets its own session so it can be revoked independently
+      const session = await createSession(record.userId, record.ip, record.userAgent, client.clientId);
+      const tokens = await tokenService.issueTokenPair(record.user, session.id, {
+        clientId: client.clientId,
+        scope: record.scope
+      });
+
+      const idToken = issueIdToken(record.user, client.clientId, scopes, {
+        auth_time: Math.floor(record.authTime.getTime() / 1000),
+        ...(record.nonce ? { nonce: record.nonce } : {})
+      });
+
+      logger.auth('oidc_tokens_issued', record.user, {
+        clientId: client.clientId,
+        sessionId: session.id,
+        ip
+      });
+
+      return toTokenResponse(tokens, scopes, idToken);
+    } catch (error) {
+      logger.error('Authorization code exchange failed', { error: error.message, clientId: client.clientId, ip });
+      throw error;
+    }
+  }
+
+export const refreshClientTokens = async (client, params, context = {}) => {
+    const { refresh_token: refreshToken } = params;
+    const { ip = null, userAgent = null } = context;
+
+    if (!refreshToken) {
+      throw new OAuthError('invalid_request', 'refresh_token is required');
+    }
+
+    assertGrantAllowed(client, 'refresh_token');
+
+    let result;
+    try {
+      result = await tokenService.rotateRefreshToken(refreshToken, {
+        ip,
+        userAgent,
+        clientId: client.clientId
+      });
+    } catch (error) {
+      throw new OAuthError('invalid_grant', error.message);
+    }
+
+    const scopes = (result.scope || '').split(' ').filter(Boolean);
+    const idToken = issueIdToken(result.user, client.clientId, scopes);
+
+    return toTokenResponse(result.tokens, scopes, idToken);
+  }
+
+// Service accounts get an API token limited to the client's API scopes
+export const issueClientCredentialsToken = async (client, params) => {
+    const { scope } = params;
+
+    if (!client.secretHash) {
+      throw new OAuthError('unauthorized_client', 'Public clients may not use the client_credentials grant');
+    }
+
+    assertGrantAllowed(client, 'client_credentials');
+
+    const allowedScopes = client.scopes.filter(value => !SUPPORTED_SCOPES.includes(value));
+    const scopes = scope
+      ? [...new Set(String(scope).split(' ').filter(Boolean))]
+      : allowedScopes;
+
+    const unsupported = scopes.filter(value => !allowedScopes.includes(value));
+    if (unsupported.length > 0) {
+      throw new OAuthError('invalid_scope', `Scope not allowed for this client: ${unsupported.join(' ')}`);
+    }
+
+    try {
+      const { token } = await apiTokenService.issueToken({
+        clientId: client.clientId,
+        description: `client_credentials grant for ${client.name}`,
+        scopes,
+        expiresAt: new Date(Date.now() + CLIENT_CREDENTIALS_TOKEN_TTL_MS)
+      });
+
+      return {
+        access_token: token,
+        token_type: 'Bearer',
+        expires_in: CLIENT_CREDENTIALS_TOKEN_TTL_MS / 1000,
+        scope: scopes.join(' ')
+      };
+    } catch (error) {
+      logger.error('Client credentials grant failed', { error: error.message, clientId: client.clientId });
+      throw error;
+    }
+  }
+
+// Token type hints from RFC 7009 / RFC 7662, plus our opaque API tokens
+const TOKEN_TYPE_HINTS = ['access_token', 'refresh_token', 'api_token'];
+
+const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+const loadActiveUser = async (userId) => {
+    const user = await db.client.user.findUnique({
+      where: { id: userId },
+      include: { role: true }
+    });
+    return user && user.isActive ? user : null;
+  }
+
+const resolveAccessToken = async (token) => {
+    const decoded = jwtUtils.verifyAccessToken(token);
+
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) return null;
+
+    const user = await loadActiveUser(decoded.userId);
+    if (!user) return null;
+
+    return {
+      type: 'access_token',
+      user,
+      clientId: decoded.client_id || null,
+      scope: decoded.scope || null,
+      sessionId: decoded.sid,
+      iat: decoded.iat,
+      exp: decoded.exp,
+      jti: decoded.jti
+    };
+  }
+
+const resolveRefreshToken = async (token) => {
+    const decoded = jwtUtils.verifyRefreshToken(token);
+
+    const record = await db.client.refreshToken.findUnique({
+      where: { tokenHash: tokenService.hashToken(token) }
+    });
+
+    if (!record || record.userId !== decoded.userId) return null;
+    if (record.rotatedAt || record.revokedAt || record.expiresAt < new Date()) return null;
+    if (record.sessionId && !(await isSessionActive(record.sessionId))) return null;
+
+    const user = await loadActiveUser(record.userId);
+    if (!user) return null;
+
+    return {
+      type: 'refresh_token',
+      user,
+      clientId: record.clientId,
+      scope: record.scope,
+      sessionId: record.sessionId,
+      familyId: record.familyId,
+      iat: decoded.iat,
+      exp: decoded.exp,
+      jti: decoded.jti
+    };
+  }
+
+const resolveApiToken = async (token) => {
+    const record = await apiTokenService.findActiveToken(token);
+    if (!record) return null;
+
+    const user = record.userId ? await loadActiveUser(record.userId) : null;
+    if (record.userId && !user) return null;
+
+    return {
+      type: 'api_token',
+      user,
+      apiTokenId: record.id,
+      clientId: record.clientId,
+      scope: record.scopes.join(' '),
+      iat: toSeconds(record.createdAt),
+      exp: record.expiresAt ? toSeconds(record.expiresAt) : undefined
+    };
+  }
+
+// Finds out what a presented token is and whether it is still live; null when it is not
+const resolveToken = async (token, hint) => {
+    if (apiTokenService.isApiToken(token)) {
+      return resolveApiToken(token);
+    }
+
+    // The hint only decides which verifier runs first
+    const resolvers = hint === 'refresh_token'
+      ? [resolveRefreshToken, resolveAccessToken]
+      : [resolveAccessToken, resolveRefreshToken];
+
+    for (const resolve of resolvers) {
+      try {
+        return await resolve(token);
+      } catch {
+        // Not this kind of token; try the next verifier
+      }
+    }
+
+    return null;
+  }
+
+// Tokens issued to a client are only visible to it; first-party clients may see every token
+const canAccessToken = (client, resolved) => {
+  return client.trusted || resolved.clientId === client.clientId;
+};
+
+const readTokenParams = (params) => {
+  const { token, token_type_hint: hint } = params;
+
+  if (!token || typeof token !== 'string') {
+    throw new OAuthError('invalid_request', 'token is required');
+  }
+
+  if (hint !== undefined && !TOKEN_TYPE_HINTS.includes(hint)) {
+    throw new OAuthError('unsupported_token_type', `Unsupported token_type_hint: ${hint}`);
+  }
+
+  return { token, hint };
+};
+
+export const introspectToken = async (client, params) => {
+    const { token, hint } = readTokenParams(params);
+
+    // Introspection reveals who a token belongs to, so the caller must prove who it is
+    if (!client.secretHash) {
+      throw new OAuthError('unauthorized_client', 'Public clients may not introspect tokens');
+    }
+
+    try {
+      const resolved = await resolveToken(token, hint);
+
+      if (!resolved || !canAccessToken(client, resolved)) {
+        return { active: false };
+      }
+
+      const { user } = resolved;
+
+      return {
+        active: true,
+        token_type: resolved.type,
+        sub: user ? user.id : resolved.clientId,
+        username: user?.email,
+        role: user?.role?.name || null,
+        role_scope: user?.role?.scope || null,
+        client_id: resolved.clientId || undefined,
+        scope: resolved.scope || undefined,
+        sid: resolved.sessionId || undefined,
+        jti: resolved.jti,
+        iat: resolved.iat,
+        exp: resolved.exp,
+        // Opaque API tokens have no issuer claim of their own
+        iss: resolved.type === 'api_token' ? undefined : 'erp-system'
+      };
+    } catch (error) {
+      logger.error('Token introspection failed', { error: error.message, clientId: client.clientId });
+      throw error;
+    }
+  }
+
+export const revokeToken = async (client, params, context = {}) => {
+    const { token, hint } = readTokenParams(params);
+    const { ip = null } = context;
+
+    try {
+      const resolved = await resolveToken(token, hint);
+
+      // Unknown, expired or already revoked tokens need no action (RFC 7009 section 2.2)
+      if (!resolved) return;
+
+      if (!canAccessToken(client, resolved)) {
+        logger.security('token_revocation_denied', {
+          clientId: client.clientId,
+          tokenClientId: resolved.clientId,
+          tokenType: resolved.type,
+          ip
+        });
+        return;
+      }
+
+      if (resolved.type === 'api_token') {
+        await apiTokenService.revokeToken(resolved.apiTokenId);
+      } else if (resolved.sessionId) {
+        // Ends the whole grant: the session's refresh tokens cascade and its access tokens stop verifying
+        await db.client.session.deleteMany({ where: { id: resolved.sessionId } });
+        sessionCache.invalidate(resolved.sessionId);
+      } else if (resolved.familyId) {
+        await tokenService.revokeTokenFamily(resolved.familyId);
+      }
+
+      logger.security('token_revoked', {
+        clientId: client.clientId,
+        tokenType: resolved.type,
+        userId: resolved.user?.id,
+        sessionId: resolved.sessionId,
+        ip
+      });
+    } catch (error) {
+      logger.error('Token revocation failed', { error: error.message, clientId: client.clientId, ip });
+      throw error;
+    }
+  }
+
+export const getUserInfo = async (userId, scope) => {
+    try {
+      const user = await db.client.user.findUnique({
+        where: { id: userId },
+        include: { role: true }
+      });
+
+      if (!user || !user.isActive) {
+        throw new OAuthError('invalid_token', 'User not found or inactive', 401);
+      }
+
+      // First-party tokens carry no scope and see every claim
+      const scopes = scope ? scope.split(' ') : SUPPORTED_SCOPES;
+      if (scope && !scopes.includes('openid')) {
+        throw new OAuthError('insufficient_scope', 'The openid scope is required', 403);
+      }
+
+      return buildClaims(user, scopes);
+    } catch (error) {
+      logger.error('Userinfo lookup failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const getDiscoveryDocument = () => {
+  const ISSUER = getIssuer();
+
+  return {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/oauth/authorize`,
+    token_endpoint: `${ISSUER}/oauth/token`,
+    userinfo_endpoint: `${ISSUER}/oauth/userinfo`,
+    introspection_endpoint: `${ISSUER}/oauth/introspect`,
+    revocation_endpoint: `${ISSUER}/oauth/revoke`,
+    jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+    scopes_supported: SUPPORTED_SCOPES,
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    grant_types_supported: clientService.SUPPORTED_GRANT_TYPES,
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: keyStore.SUPPORTED_ALGORITHMS,
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [
+      'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce',
+      'name', 'given_name', 'family_name', 'updated_at',
+      'email', 'email_verified',
+      'role', 'roles', 'role_scope'
+    ]
+  };
+};
+
+export const cleanupExpiredAuthorizationCodes = async () => {
+    try {
+      const result = await db.client.authorizationCode.deleteMany({
+        where: {
+          expiresAt: {
+            lt: new Date()
+          }
+        }
+      });
+
+      logger.info('Cleaned up expired authorization codes', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired authorization codes', {
+        error: error.message
+      });
+    }
+  }
+// Export all functions as named exports
+export default {
+  getIssuer,
+  SUPPORTED_SCOPES,
+  OAuthError,
+  getClient,
+  authenticateClient,
+  validateAuthorizationRequest,
+  buildRedirectUrl,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  refreshClientTokens,
+  issueClientCredentialsToken,
+  introspectToken,
+  revokeToken,
+  getUserInfo,
+  getDiscoveryDocument,
+  cleanupExpiredAuthorizationCodes
+};
@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * One-time code delivery
+ * Email and SMS codes are handed to the provider configured for their channel:
+ *   MFA_EMAIL_PROVIDER  "smtp" (default, through emailService), "console" or "file"
+ *   MFA_SMS_PROVIDER    "twilio", "console" or "file"; SMS codes are only offered when it is set
+ * "console" writes the message to the log and "file" appends it to MFA_OTP_OUTBOX_FILE; both are
+ * for development and tests and refuse to run in production.
+ *
+ * A provider is { channels, send(message) }, where message is
+ * { channel, destination, code, userName, expiresAt } and send resolves to true once delivered.
+ * registerProvider adds others.
+ */
+
+export const CHANNELS = ['email', 'sms'];
+const LOCAL_PROVIDERS = ['console', 'file'];
+const OUTBOX_FILE = process.env.MFA_OTP_OUTBOX_FILE || './logs/otp-outbox.log';
+
+const formatSms = ({ code, expiresAt }) => {
+  const minutes = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000));
+  return `${code} is your ERP verification code. It expires in ${minutes} minutes. Never share it.`;
+};
+
+const smtpProvider = {
+  channels: ['email'],
+  send: ({ destination, code, userName, expiresAt }) => {
+    return emailService.sendMFACodeEmail(destination, userName, code, expiresAt);
+  }
+};
+
+// Twilio Programmable Messaging: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER
+const twilioProvider = {
+  channels: ['sms'],
+  send: async (message) => {
+    const { TWILIO_ACCOUNT_SID: accountSid, TWILIO_AUTH_TOKEN: authToken, TWILIO_FROM_NUMBER: from } = process.env;
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio is not configured');
+    }
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: message.destination, From: from, Body: formatSms(message) })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Twilio responded with ${response.status}`);
+    }
+    return true;
+  }
+};
+
+const consoleProvider = {
+  channels: CHANNELS,
+  send: async ({ channel, destination, code }) => {
+    logger.info('MFA code (console provider)', { channel, destination, code });
+    return true;
+  }
+};
+
+// One JSON line per message, so tests can read the latest code for a destination
+const fileProvider = {
+  channels: CHANNELS,
+  send: async ({ channel, destination, code, expiresAt }) => {
+    await fs.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+    await fs.appendFile(OUTBOX_FILE, `${JSON.stringify({ channel, destination, code, expiresAt, sentAt: new Date() })}\n`);
+    return true;
+  }
+};
+
+const providers = new Map([
+  ['smtp', smtpProvider],
+  ['twilio', twilioProvider],
+  ['console', consoleProvider],
+  ['file', fileProvider]
+]);
+
+export const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function' || !Array.isArray(provider.channels)) {
+    throw new Error('A code provider needs channels and a send function');
+  }
+  providers.set(name, provider);
+};
+
+const getProviderName = (channel) => {
+  return channel === 'email'
+    ? process.env.MFA_EMAIL_PROVIDER || 'smtp'
+    : process.env.MFA_SMS_PROVIDER || null;
+};
+
+// The provider for a channel, or null when the channel is not offered; throws on a bad configuration
+export const getProvider = (channel) => {
+  const name = getProviderName(channel);
+  if (!name) {
+    return null;
+  }
+
+  const provider = providers.get(name);
+  if (!provider || !provider.channels.includes(channel)) {
+    throw new Error(`Unknown ${channel} code provider: ${name}`);
+  }
+
+  if (LOCAL_PROVIDERS.includes(name) && process.env.NODE_ENV === 'production') {
+    throw new Error(`The ${name} code provider cannot be used in production`);
+  }
+
+  return provider;
+};
+
+export const isChannelAvailable = (channel) => {
+  try {
+    return !!getProvider(channel);
+  } catch (error) {
+    logger.error('MFA code provider misconfigured', { error: error.message, channel });
+    return false;
+  }
+};
+
+export const getAvailableChannels = () => CHANNELS.filter(isChannelAvailable);
+
+/**
+ * Hand a code to the channel's provider; throws when it could not be delivered
+ */
+export const deliver = async (message) => {
+    const { channel, destination } = message;
+
+    try {
+      const provider = getProvider(channel);
+      if (!provider) {
+        throw new Error(`${channel === 'sms' ? 'SMS' : 'Email'} codes are not available`);
+      }
+
+      if (!(await provider.send(message))) {
+        throw new Error('Provider did not accept the message');
+      }
+    } catch (error) {
+      logger.error('Failed to deliver MFA code', { error: error.message, channel, destination });
+      throw new Error('Could not send the verification code. Please try again');
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  CHANNELS,
+  registerProvider,
+  getProvider,
+  isChannelAvailable,
+  getAvailableChannels,
+  deliver
+};
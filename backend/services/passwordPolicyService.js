@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import passwordHasher from '../utils/passwordHasher.js';
+import { AppError } from '../middlewares/errorMiddleware.js';
+import breachedPasswordService from './breachedPasswordService.js';
+
+/**
+ * Password policy service
+ * Database-backed password rules, reuse history and maximum password age
+ */
+
+// Configuration constants
+const POLICY_ID = 'default';
+const POLICY_CACHE_TTL_MS = 60 * 1000; // 1 minute
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_PERSONAL_INFO_LENGTH = 3; // Shorter names and email parts match too many passwords
+const TEMPORARY_PASSWORD_LENGTH = 16;
+
+// Look-alike characters (0/O, 1/l/I) are left out since temporary passwords are read and typed by people
+const TEMPORARY_PASSWORD_SETS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%^&*?'
+];
+
+export const DEFAULT_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+  disallowedWords: [],
+  disallowPersonalInfo: true,
+  disallowBreached: true,
+  historyCount: 5,
+  maxAgeDays: 0
+};
+
+export const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+let policyCache = { policy: null, expiresAt: 0 };
+
+/**
+ * Password rejected by the policy
+ * `violations` use the express-validator error shape so forms can handle both alike
+ */
+export class PasswordPolicyError extends AppError {
+  constructor(violations) {
+    super('Password does not meet the password policy', 400);
+    this.violations = violations;
+  }
+}
+
+const violation = (field, code, msg) => ({ type: 'policy', path: field, code, msg });
+
+export const getPolicy = async () => {
+    if (policyCache.policy && policyCache.expiresAt > Date.now()) {
+      return policyCache.policy;
+    }
+
+    try {
+      const stored = await db.client.passwordPolicy.findUnique({
+        where: { id: POLICY_ID }
+      });
+
+      const policy = { ...DEFAULT_POLICY };
+      if (stored) {
+        POLICY_FIELDS.forEach((field) => {
+          policy[field] = stored[field];
+        });
+        policy.updatedAt = stored.updatedAt;
+        policy.updatedBy = stored.updatedBy;
+      }
+
+      policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS };
+      return policy;
+    } catch (error) {
+      logger.error('Failed to get password policy', { error: error.message });
+      throw error;
+    }
+  }
+
+export const updatePolicy = async (changes, updatedBy = null) => {
+    try {
+      const data = {};
+      POLICY_FIELDS.forEach((field) => {
+        if (changes[field] !== undefined) {
+          data[field] = changes[field];
+        }
+      });
+
+      if (data.disallowedWords) {
+        data.disallowedWords = [...new Set(
+          data.disallowedWords.map(word => word.trim().toLowerCase()).filter(Boolean)
+        )];
+      }
+
+      const current = await getPolicy();
+      const minLength = data.minLength ?? current.minLength;
+      const maxLength = data.maxLength ?? current.maxLength;
+      if (minLength > maxLength) {
+        throw new Error('Minimum length cannot exceed maximum length');
+      }
+
+      await db.client.passwordPolicy.upsert({
+        where: { id: POLICY_ID },
+        update: { ...data, updatedBy },
+        create: { ...DEFAULT_POLICY, ...data, id: POLICY_ID, updatedBy }
+      });
+
+      policyCache = { policy: null, expiresAt: 0 };
+
+      logger.info('Password policy updated', { changes: Object.keys(data), updatedBy });
+
+      return getPolicy();
+    } catch (error) {
+      logger.error('Failed to update password policy', { error: error.message });
+      throw error;
+    }
+  }
+
+/**
+ * Check a password against the policy rules (everything except reuse)
+ * `user` may hold email, firstName and lastName for the personal information rule
+ */
+export const checkPasswordRules = (password, policy, user = {}, field = 'password') => {
+  const violations = [];
+  const lowered = password.toLowerCase();
+
+  if (password.length < policy.minLength) {
+    violations.push(violation(field, 'min_length', `Password must be at least ${policy.minLength} characters long`));
+  }
+  if (password.length > policy.maxLength) {
+    violations.push(violation(field, 'max_length', `Password must be at most ${policy.maxLength} characters long`));
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push(violation(field, 'uppercase', 'Password must contain an uppercase letter'));
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push(violation(field, 'lowercase', 'Password must contain a lowercase letter'));
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    violations.push(violation(field, 'number', 'Password must contain a number'));
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push(violation(field, 'symbol', 'Password must contain a special character'));
+  }
+
+  const disallowedWord = policy.disallowedWords.find(word => lowered.includes(word.toLowerCase()));
+  if (disallowedWord) {
+    violations.push(violation(field, 'disallowed_word', 'Password contains a word that is not allowed'));
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const personalInfo = [user.email?.split('@')[0], user.firstName, user.lastName]
+      .filter(value => value && value.length >= MIN_PERSONAL_INFO_LENGTH)
+      .map(value => value.toLowerCase());
+
+    if (personalInfo.some(value => lowered.includes(value))) {
+      violations.push(violation(field, 'personal_info', 'Password must not contain your name or email address'));
+    }
+  }
+
+  return violations;
+};
+
+export const isPasswordReused = async (userId, password, policy) => {
+    if (!userId || policy.historyCount <= 0) {
+      return false;
+    }
+
+    try {
+      const [user, history] = await Promise.all([
+        db.client.user.findUnique({
+          where: { id: userId },
+          select: { password: true }
+        }),
+        db.client.passwordHistory.findMany({
+          where: { userId },
+          orderBy: { createdAt: 'desc' },
+          take: policy.historyCount,
+          select: { passwordHash: true }
+        })
+      ]);
+
+      // The current password counts even for accounts created before history was kept
+      const hashes = [user?.password, ...history.map(entry => entry.passwordHash)].filter(Boolean);
+
+      for (const hash of hashes) {
+        if (await passwordHasher.verify(password, hash)) {
+          return true;
+        }
+      }
+
+      return false;
+    } catch (error) {
+      logger.error('Failed to check password history', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+/**
+ * Enforce the policy on a new password; throws PasswordPolicyError listing every violation
+ * `options.user` is the account the password is for (omit `id` for accounts not created yet)
+ */
+export const validatePassword = async (password, options = {}) => {
+    const { user = {}, field = 'password' } = options;
+
+    const policy = await getPolicy();
+    const violations = checkPasswordRules(password, policy, user, field);
+
+    if (policy.disallowBreached && await breachedPasswordService.isPasswordBreached(password)) {
+      violations.push(violation(
+        field,
+        'breached',
+        'Password appears in a known data breach; choose a different one'
+      ));
+    }
+
+    if (await isPasswordReused(user.id, password, policy)) {
+      violations.push(violation(
+        field,
+        'reused',
+        `Password must not match any of your last ${policy.historyCount} passwords`
+      ));
+    }
+
+    if (violations.length > 0) {
+      logger.security('password_policy_violation', {
+        userId: user.id,
+        codes: violations.map(item => item.code)
+      });
+      throw new PasswordPolicyError(violations);
+    }
+
+    return policy;
+  }
+
+export const recordPasswordHistory = async (userId, passwordHash) => {
+    try {
+      const policy = await getPolicy();
+
+      if (policy.historyCount > 0) {
+        await db.client.passwordHistory.create({
+          data: { userId, passwordHash }
+        });
+      }
+
+      // Keep only what the reuse rule can still look at
+      const kept = await db.client.passwordHistory.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: policy.historyCount,
+        select: { id: true }
+      });
+
+      await db.client.passwordHistory.deleteMany({
+        where: {
+          userId,
+          id: { notIn: kept.map(entry => entry.id) }
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to record password history', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+/**
+ * Random password satisfying the policy, for accounts whose password an administrator sets
+ */
+export const generateTemporaryPassword = (policy) => {
+  const length = Math.min(Math.max(policy.minLength, TEMPORARY_PASSWORD_LENGTH), policy.maxLength);
+  const allCharacters = TEMPORARY_PASSWORD_SETS.join('');
+  const pick = (set) => set[crypto.randomInt(set.length)];
+
+  let password;
+  do {
+    // One character from every class, then shuffle so their positions are random too
+    const characters = TEMPORARY_PASSWORD_SETS.map(pick);
+    while (characters.length < length) {
+      characters.push(pick(allCharacters));
+    }
+    for (let i = characters.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [characters[i], characters[j]] = [characters[j], characters[i]];
+    }
+    password = characters.join('');
+  } while (checkPasswordRules(password, policy).length > 0);
+
+  return password;
+};
+
+export const getPasswordExpiry = (user, policy) => {
+  if (!policy.maxAgeDays || !user.passwordChangedAt) {
+    return null;
+  }
+
+  return new Date(new Date(user.passwordChangedAt).getTime() + policy.maxAgeDays * DAY_MS);
+};
+
+export const isPasswordExpired = (user, policy) => {
+  const expiresAt = getPasswordExpiry(user, policy);
+  return Boolean(expiresAt && expiresAt <= new Date());
+};
+
+// Export all functions as named exports
+export default {
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  getPolicy,
+  updatePolicy,
+  checkPasswordRules,
+  isPasswordReused,
+  validatePassword,
+  recordPasswordHistory,
+  generateTemporaryPassword,
+  getPasswordExpiry,
+  isPasswordExpired
+};
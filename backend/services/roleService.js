@@ -6,6 +6,8 @@ import logger from '../utils/logger.js';
  * Handles role-based access control operations
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export const getRoles = async (options = {}) => {
     const {
       page = 1,
@@ -119,7 +121,7 @@ export const getRoleByName = async (roleName) => {
   }
 
 export const createRole = async (roleData) => {
-    const { name, scope } = roleData;
+    const { name, scope, magicLinkEnabled = false, mfaRequired = false, mfaGracePeriodDays = 0 } = roleData;
 
     try {
       // Check if role already exists
@@ -135,7 +137,10 @@ export const createRole = async (roleData) => {
       const role = await db.client.role.create({
         data: {
           name,
-          scope
+          scope,
+          magicLinkEnabled,
+          mfaRequired,
+          mfaGracePeriodDays
         }
       });
 
@@ -149,7 +154,7 @@ export const createRole = async (roleData) => {
   }
 
 export const updateRole = async (roleId, updateData) => {
-    const { name, scope } = updateData;
+    const { name, scope, magicLinkEnabled, mfaRequired, mfaGracePeriodDays } = updateData;
 
     try {
       // Check if role exists
@@ -176,6 +181,9 @@ export const updateRole = async (roleId, updateData) => {
       const data = {};
       if (name) data.name = name;
       if (scope !== undefined) data.scope = scope;
+      if (magicLinkEnabled !== undefined) data.magicLinkEnabled = magicLinkEnabled;
+      if (mfaRequired !== undefined) data.mfaRequired = mfaRequired;
+      if (mfaGracePeriodDays !== undefined) data.mfaGracePeriodDays = mfaGracePeriodDays;
 
       // Update role
       const role = await db.client.role.update({
@@ -370,6 +378,84 @@ export const getRoleStats = async () => {
     }
   }
 
+/**
+ * MFA compliance of active users per role
+ * Members of roles that require MFA and have none are "pending" while their grace period runs (or
+ * before their first sign-in under the requirement) and "overdue" once it has passed; overdue members
+ * are sent through enrollment at their next sign-in
+ */
+export const getMfaComplianceReport = async () => {
+    try {
+      const now = new Date();
+      const roles = await db.client.role.findMany({
+        orderBy: { name: 'asc' },
+        include: {
+          users: {
+            where: { isActive: true },
+            select: {
+              mfaEnabled: true,
+              mfaRequiredSince: true,
+              _count: { select: { webAuthnCredentials: true } }
+            }
+          }
+        }
+      });
+
+      const report = roles.map((role) => {
+        let enrolled = 0;
+        let pending = 0;
+        let overdue = 0;
+
+        role.users.forEach((user) => {
+          if (user.mfaEnabled || user._count.webAuthnCredentials > 0) {
+            enrolled++;
+          } else if (role.mfaRequired) {
+            const deadline = user.mfaRequiredSince &&
+              user.mfaRequiredSince.getTime() + role.mfaGracePeriodDays * DAY_MS;
+            if (!deadline || deadline > now.getTime()) {
+              pending++;
+            } else {
+              overdue++;
+            }
+          }
+        });
+
+        const activeUsers = role.users.length;
+
+        return {
+          roleId: role.id,
+          name: role.name,
+          mfaRequired: role.mfaRequired,
+          mfaGracePeriodDays: role.mfaGracePeriodDays,
+          activeUsers,
+          enrolled,
+          notEnrolled: activeUsers - enrolled,
+          pending,
+          overdue,
+          compliancePercent: activeUsers > 0 ? Math.round((enrolled / activeUsers) * 100) : 100
+        };
+      });
+
+      const requiredRoles = report.filter(role => role.mfaRequired);
+      const sum = (field) => requiredRoles.reduce((total, role) => total + role[field], 0);
+
+      return {
+        generatedAt: now,
+        roles: report,
+        summary: {
+          requiredRoles: requiredRoles.length,
+          usersRequiringMfa: sum('activeUsers'),
+          enrolled: sum('enrolled'),
+          pending: sum('pending'),
+          overdue: sum('overdue')
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to build MFA compliance report', { error: error.message });
+      throw error;
+    }
+  }
+
 export const searchRoles = async (query, options = {}) => {
     const { limit = 10, scope = null } = options;
 
@@ -469,6 +555,7 @@ export default {
   assignRoleToUser,
   removeRoleFromUser,
   getRoleStats,
+  getMfaComplianceReport,
   searchRoles,
   getAvailableScopes,
   userHasRole,
@@ -0,0 +1,657 @@
+import { db } from '../config/db.js';
+import ssoUtils from '../utils/ssoUtils.js';
+import logger from '../utils/logger.js';
+import secretEncryption from '../utils/secretEncryption.js';
+import { resolveUser, issueLoginTicket } from './ssoService.js';
+import { getIssuer } from './oidcService.js';
+
+/**
+ * SAML 2.0 service
+ * Connections where we are the service provider (sign in through an external IdP)
+ * or the identity provider (sign users into legacy ERP modules)
+ */
+
+// Configuration constants
+export const SAML_ROLES = ['sp', 'idp'];
+const REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const CERTIFICATE_VALIDITY_DAYS = 3650;
+const SIGNING_KEY_CONTEXT = 'SamlConnection.signingKey';
+// Profile field -> attribute name; the defaults are the claim URIs ADFS and Azure AD use
+const DEFAULT_ATTRIBUTE_MAPPING = {
+  email: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+  firstName: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
+  lastName: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
+  role: 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role',
+  groups: 'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups'
+};
+
+export const sanitizeConnection = (connection) => {
+    const { signingKey, ...sanitizedConnection } = connection;
+    return {
+      ...sanitizedConnection,
+      ...getConnectionUrls(connection)
+    };
+  }
+
+// Our side of the connection; the metadata URL doubles as our entity ID
+export const getConnectionUrls = (connection) => {
+  const base = `${getIssuer()}/api/saml/${connection.role}/${connection.slug}`;
+
+  return connection.role === 'sp'
+    ? { localEntityId: `${base}/metadata`, metadataUrl: `${base}/metadata`, localAcsUrl: `${base}/acs` }
+    : { localEntityId: `${base}/metadata`, metadataUrl: `${base}/metadata`, localSsoUrl: `${base}/sso` };
+};
+
+const getAttributeMapping = (connection) => {
+  return { ...DEFAULT_ATTRIBUTE_MAPPING, ...(connection.attributeMapping || {}) };
+};
+
+const assertValidConnection = (connection) => {
+  if (!SAML_ROLES.includes(connection.role)) {
+    throw new Error('SAML connection role must be "sp" or "idp"');
+  }
+
+  if (connection.role === 'sp' && (!connection.ssoUrl || !connection.certificate)) {
+    throw new Error('A service provider connection needs the IdP\'s SSO URL and signing certificate');
+  }
+
+  if (connection.role === 'idp' && !connection.acsUrl) {
+    throw new Error('An identity provider connection needs the SP\'s assertion consumer service URL');
+  }
+
+  if (connection.role === 'idp' && connection.requireSignedRequests && !connection.certificate) {
+    throw new Error('Requiring signed requests needs the SP\'s signing certificate');
+  }
+};
+
+const getActiveConnection = async (slug, role) => {
+    const connection = await db.client.samlConnection.findUnique({
+      where: { slug }
+    });
+
+    if (!connection || connection.role !== role || !connection.isActive) {
+      throw new Error('Unknown SAML connection');
+    }
+
+    return connection;
+  }
+
+export const getConnections = async (options = {}) => {
+    const {
+      page = 1,
+      limit = 10,
+      role = null,
+      search = ''
+    } = options;
+
+    try {
+      const skip = (page - 1) * limit;
+
+      const where = {};
+      if (role) {
+        where.role = role;
+      }
+      if (search) {
+        where.OR = [
+          { name: { contains: search, mode: 'insensitive' } },
+          { slug: { contains: search, mode: 'insensitive' } },
+          { entityId: { contains: search, mode: 'insensitive' } }
+        ];
+      }
+
+      const [connections, total] = await Promise.all([
+        db.client.samlConnection.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { createdAt: 'desc' }
+        }),
+        db.client.samlConnection.count({ where })
+      ]);
+
+      return {
+        connections: connections.map(sanitizeConnection),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to get SAML connections', { error: error.message, options });
+      throw error;
+    }
+  }
+
+export const getConnectionById = async (id) => {
+    try {
+      const connection = await db.client.samlConnection.findUnique({
+        where: { id }
+      });
+
+      if (!connection) {
+        throw new Error('SAML connection not found');
+      }
+
+      return sanitizeConnection(connection);
+    } catch (error) {
+      logger.error('Failed to get SAML connection by ID', { error: error.message, id });
+      throw error;
+    }
+  }
+
+export const createConnection = async (connectionData) => {
+    const {
+      slug,
+      name,
+      role,
+      entityId,
+      ssoUrl = null,
+      acsUrl = null,
+      certificate = null,
+      nameIdFormat = ssoUtils.SAML_NAMEID_FORMATS.email,
+      attributeMapping = {},
+      roleMapping = {},
+      defaultRole = 'user',
+      allowSignup = true,
+      trustEmail = false,
+      requireSignedRequests = false
+    } = connectionData;
+
+    try {
+      const data = {
+        slug,
+        name,
+        role,
+        entityId,
+        ssoUrl,
+        acsUrl,
+        certificate: certificate ? ssoUtils.normalizeCertificate(certificate) : null,
+        nameIdFormat,
+        attributeMapping,
+        roleMapping,
+        defaultRole,
+        allowSignup,
+        trustEmail,
+        requireSignedRequests
+      };
+      assertValidConnection(data);
+
+      const existingConnection = await db.client.samlConnection.findUnique({
+        where: { slug }
+      });
+      if (existingConnection) {
+        throw new Error('A SAML connection with this slug already exists');
+      }
+
+      // Every connection gets its own key pair, so one can be rotated or revoked alone
+      const { privateKey, certificate: signingCert } = ssoUtils.generateSAMLCertificate(
+        getConnectionUrls({ role, slug }).localEntityId,
+        CERTIFICATE_VALIDITY_DAYS
+      );
+
+      const connection = await db.client.samlConnection.create({
+        data: {
+          ...data,
+          signingKey: secretEncryption.encrypt(privateKey, SIGNING_KEY_CONTEXT),
+          signingCert
+        }
+      });
+
+      logger.audit('saml_connection_created', sanitizeConnection(connection));
+
+      return sanitizeConnection(connection);
+    } catch (error) {
+      logger.error('Failed to create SAML connection', { error: error.message, slug });
+      throw error;
+    }
+  }
+
+export const updateConnection = async (id, updateData) => {
+    const fields = [
+      'name', 'entityId', 'ssoUrl', 'acsUrl', 'certificate', 'nameIdFormat', 'attributeMapping',
+      'roleMapping', 'defaultRole', 'allowSignup', 'trustEmail', 'requireSignedRequests', 'isActive'
+    ];
+
+    try {
+      const existingConnection = await db.client.samlConnection.findUnique({
+        where: { id }
+      });
+
+      if (!existingConnection) {
+        throw new Error('SAML connection not found');
+      }
+
+      // Prepare update data
+      const data = {};
+      fields.forEach(field => {
+        if (updateData[field] !== undefined) data[field] = updateData[field];
+      });
+      if (data.certificate) {
+        data.certificate = ssoUtils.normalizeCertificate(data.certificate);
+      }
+
+      assertValidConnection({ ...existingConnection, ...data });
+
+      const connection = await db.client.samlConnection.update({
+        where: { id },
+        data
+      });
+
+      logger.audit('saml_connection_updated', sanitizeConnection(connection), {
+        changes: { ...data, certificate: data.certificate ? '[updated]' : undefined }
+      });
+
+      return sanitizeConnection(connection);
+    } catch (error) {
+      logger.error('Failed to update SAML connection', { error: error.message, id });
+      throw error;
+    }
+  }
+
+// The other party must load our new metadata (or certificate) before it trusts the new key
+export const rotateCertificate = async (id) => {
+    try {
+      const existingConnection = await db.client.samlConnection.findUnique({
+        where: { id }
+      });
+
+      if (!existingConnection) {
+        throw new Error('SAML connection not found');
+      }
+
+      const { privateKey, certificate } = ssoUtils.generateSAMLCertificate(
+        getConnectionUrls(existingConnection).localEntityId,
+        CERTIFICATE_VALIDITY_DAYS
+      );
+
+      const connection = await db.client.samlConnection.update({
+        where: { id },
+        data: {
+          signingKey: secretEncryption.encrypt(privateKey, SIGNING_KEY_CONTEXT),
+          signingCert: certificate
+        }
+      });
+
+      logger.security('saml_certificate_rotated', { connectionId: id, slug: connection.slug });
+
+      return sanitizeConnection(connection);
+    } catch (error) {
+      logger.error('Failed to rotate SAML certificate', { error: error.message, id });
+      throw error;
+    }
+  }
+
+export const deleteConnection = async (id) => {
+    try {
+      const connection = await db.client.samlConnection.findUnique({
+        where: { id }
+      });
+
+      if (!connection) {
+        throw new Error('SAML connection not found');
+      }
+
+      await db.client.samlConnection.delete({
+        where: { id }
+      });
+
+      logger.audit('saml_connection_deleted', sanitizeConnection(connection));
+
+      return sanitizeConnection(connection);
+    } catch (error) {
+      logger.error('Failed to delete SAML connection', { error: error.message, id });
+      throw error;
+    }
+  }
+
+export const getMetadata = async (slug, role) => {
+    const connection = await getActiveConnection(slug, role);
+    const urls = getConnectionUrls(connection);
+
+    return ssoUtils.generateSAMLMetadata({
+      role,
+      entityId: urls.localEntityId,
+      certificate: connection.signingCert,
+      acsUrl: urls.localAcsUrl,
+      ssoUrl: urls.localSsoUrl,
+      nameIdFormat: connection.nameIdFormat,
+      wantAuthnRequestsSigned: connection.requireSignedRequests
+    });
+  }
+
+// SAML identity providers offered on the login page next to the OIDC ones
+export const getLoginConnections = async () => {
+    const connections = await db.client.samlConnection.findMany({
+      where: { role: 'sp', isActive: true },
+      select: { slug: true, name: true },
+      orderBy: { name: 'asc' }
+    });
+
+    return connections.map(connection => ({
+      id: connection.slug,
+      name: connection.name,
+      type: 'saml'
+    }));
+  }
+
+// Service provider: send the browser to the IdP with a signed AuthnRequest (HTTP-Redirect binding)
+export const startLogin = async (slug, relayState = null) => {
+    try {
+      const connection = await getActiveConnection(slug, 'sp');
+      const urls = getConnectionUrls(connection);
+
+      const request = ssoUtils.generateSAMLRequest({
+        issuer: urls.localEntityId,
+        destination: connection.ssoUrl,
+        assertionConsumerServiceURL: urls.localAcsUrl,
+        nameIdFormat: connection.nameIdFormat
+      });
+
+      // Only responses to requests we sent are accepted (no unsolicited responses)
+      await db.client.samlRequest.create({
+        data: {
+          requestId: request.id,
+          connectionId: connection.id,
+          relayState,
+          expiresAt: new Date(Date.now() + REQUEST_TTL_MS)
+        }
+      });
+
+      return ssoUtils.buildSAMLRedirectURL({
+        destination: connection.ssoUrl,
+        xml: request.xml,
+        relayState,
+        privateKey: secretEncryption.decrypt(connection.signingKey, SIGNING_KEY_CONTEXT)
+      });
+    } catch (error) {
+      logger.error('SAML login start failed', { error: error.message, slug });
+      throw error;
+    }
+  }
+
+const rememberAssertion = async (connection, assertion) => {
+    try {
+      await db.client.samlAssertion.create({
+        data: {
+          assertionId: assertion.assertionId,
+          connectionId: connection.id,
+          expiresAt: assertion.expiresAt
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        logger.security('saml_assertion_replayed', { slug: connection.slug, assertionId: assertion.assertionId });
+        throw new Error('This SAML assertion has already been used');
+      }
+      throw error;
+    }
+  }
+
+const toClaims = (connection, assertion) => {
+  const mapping = getAttributeMapping(connection);
+  const first = (name) => assertion.attributes[name]?.[0] || null;
+
+  const nameIdIsEmail = assertion.nameIdFormat === ssoUtils.SAML_NAMEID_FORMATS.email;
+  const email = first(mapping.email) || (nameIdIsEmail ? assertion.nameId : null);
+
+  return {
+    sub: assertion.nameId,
+    email,
+    // SAML has no email_verified; trustEmail on the connection decides whether to link by email
+    email_verified: false,
+    given_name: first(mapping.firstName),
+    family_name: first(mapping.lastName),
+    groups: [...(assertion.attributes[mapping.groups] || []), ...(assertion.attributes[mapping.role] || [])]
+  };
+};
+
+// Shape resolveUser expects from an OIDC provider
+const toProvider = (connection) => ({
+  id: `saml:${connection.slug}`,
+  subjectClaim: 'sub',
+  groupsClaim: 'groups',
+  roleMapping: connection.roleMapping || {},
+  defaultRole: connection.defaultRole,
+  allowSignup: connection.allowSignup,
+  trustEmail: connection.trustEmail,
+  allowedDomains: []
+});
+
+// Service provider: assertion consumer service (HTTP-POST binding)
+export const completeLogin = async (slug, params, context = {}) => {
+    const { SAMLResponse: encodedResponse, RelayState: relayState = null } = params;
+    const { ip = null, userAgent = null } = context;
+
+    try {
+      const connection = await getActiveConnection(slug, 'sp');
+      const urls = getConnectionUrls(connection);
+
+      if (!encodedResponse) {
+        throw new Error('SAMLResponse missing');
+      }
+
+      const assertion = ssoUtils.validateSAMLResponse(ssoUtils.decodeSAMLMessage(encodedResponse), {
+        certificate: connection.certificate,
+        idpEntityId: connection.entityId,
+        spEntityId: urls.localEntityId,
+        acsUrl: urls.localAcsUrl
+      });
+
+      if (!assertion.inResponseTo) {
+        throw new Error('Unsolicited SAML responses are not accepted');
+      }
+
+      // Single use: the request is claimed before the user is signed in
+      const claimed = await db.client.samlRequest.updateMany({
+        where: {
+          connectionId: connection.id,
+          requestId: assertion.inResponseTo,
+          consumedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        data: { consumedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        logger.security('saml_unknown_request', { slug, inResponseTo: assertion.inResponseTo, ip });
+        throw new Error('SAML response does not answer a pending sign-in request');
+      }
+
+      await rememberAssertion(connection, assertion);
+
+      const provider = toProvider(connection);
+      const user = await resolveUser(provider, toClaims(connection, assertion));
+      const ticket = await issueLoginTicket(user, provider.id, { ip, userAgent });
+
+      logger.auth('saml_assertion_accepted', user, { slug, assertionId: assertion.assertionId, ip });
+
+      return { ticket, relayState };
+    } catch (error) {
+      logger.error('SAML login failed', { error: error.message, slug, ip });
+      throw error;
+    }
+  }
+
+// Identity provider: check an incoming AuthnRequest and park it until the user has signed in
+export const receiveAuthnRequest = async (slug, params, context = {}) => {
+    const { SAMLRequest: encodedRequest, RelayState: relayState = null } = params;
+    const { binding = 'redirect', rawQuery = '' } = context;
+
+    try {
+      const connection = await getActiveConnection(slug, 'idp');
+      const urls = getConnectionUrls(connection);
+
+      if (!encodedRequest) {
+        throw new Error('SAMLRequest missing');
+      }
+
+      const request = ssoUtils.parseSAMLRequest(
+        ssoUtils.decodeSAMLMessage(encodedRequest, binding === 'redirect'),
+        { certificate: binding === 'post' ? connection.certificate : null }
+      );
+
+      if (request.issuer !== connection.entityId) {
+        throw new Error('SAML request issuer does not match the connection');
+      }
+
+      if (request.destination && request.destination !== urls.localSsoUrl) {
+        throw new Error('SAML request destination mismatch');
+      }
+
+      // Assertions only ever go to the registered ACS, whatever the request asks for
+      if (request.assertionConsumerServiceURL && request.assertionConsumerServiceURL !== connection.acsUrl) {
+        throw new Error('SAML request asks for an unregistered assertion consumer service');
+      }
+
+      if (connection.requireSignedRequests) {
+        const signed = binding === 'redirect'
+          ? ssoUtils.verifySAMLRedirectSignature(rawQuery, connection.certificate)
+          : request.signed;
+
+        if (!signed) {
+          logger.security('saml_unsigned_request', { slug });
+          throw new Error('SAML request signature is missing or invalid');
+        }
+      }
+
+      const pending = await db.client.samlRequest.create({
+        data: {
+          requestId: request.id,
+          connectionId: connection.id,
+          relayState,
+          expiresAt: new Date(Date.now() + REQUEST_TTL_MS)
+        }
+      });
+
+      return { pendingRequestId: pending.id, connection: { slug: connection.slug, name: connection.name } };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        logger.security('saml_request_replayed', { slug });
+        throw new Error('This SAML request has already been received');
+      }
+      logger.error('SAML request rejected', { error: error.message, slug });
+      throw error;
+    }
+  }
+
+// Identity provider: signed Response for the signed-in user, to be posted to the SP's ACS
+export const createResponse = async (slug, userId, options = {}) => {
+    const { pendingRequestId = null, relayState = null, sessionId = null } = options;
+
+    try {
+      const connection = await getActiveConnection(slug, 'idp');
+      const urls = getConnectionUrls(connection);
+
+      let inResponseTo = null;
+      let responseRelayState = relayState;
+
+      // Without a pending request this is an IdP-initiated sign-in
+      if (pendingRequestId) {
+        const claimed = await db.client.samlRequest.updateMany({
+          where: {
+            id: pendingRequestId,
+            connectionId: connection.id,
+            consumedAt: null,
+            expiresAt: { gt: new Date() }
+          },
+          data: { consumedAt: new Date() }
+        });
+
+        if (claimed.count === 0) {
+          throw new Error('SAML request expired or was already answered');
+        }
+
+        const pending = await db.client.samlRequest.findUnique({
+          where: { id: pendingRequestId }
+        });
+        inResponseTo = pending.requestId;
+        responseRelayState = pending.relayState;
+      }
+
+      const user = await db.client.user.findUnique({
+        where: { id: userId },
+        include: { role: true }
+      });
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found or inactive');
+      }
+
+      const mapping = getAttributeMapping(connection);
+      const roleName = user.role?.name || connection.defaultRole;
+      const nameId = connection.nameIdFormat === ssoUtils.SAML_NAMEID_FORMATS.email ? user.email : user.id;
+
+      const response = ssoUtils.generateSAMLResponse({
+        issuer: urls.localEntityId,
+        destination: connection.acsUrl,
+        audience: connection.entityId,
+        inResponseTo,
+        nameId,
+        nameIdFormat: connection.nameIdFormat,
+        attributes: {
+          [mapping.email]: user.email,
+          [mapping.firstName]: user.firstName,
+          [mapping.lastName]: user.lastName,
+          [mapping.role]: connection.roleMapping?.[roleName] ?? roleName
+        },
+        sessionIndex: sessionId,
+        privateKey: secretEncryption.decrypt(connection.signingKey, SIGNING_KEY_CONTEXT),
+        certificate: connection.signingCert
+      }, user);
+
+      logger.audit('saml_assertion_issued', user, {
+        slug,
+        assertionId: response.assertionId,
+        inResponseTo
+      });
+
+      return {
+        acsUrl: connection.acsUrl,
+        SAMLResponse: Buffer.from(response.xml, 'utf8').toString('base64'),
+        RelayState: responseRelayState
+      };
+    } catch (error) {
+      logger.error('SAML response creation failed', { error: error.message, slug, userId });
+      throw error;
+    }
+  }
+
+export const cleanupExpiredSamlRecords = async () => {
+    try {
+      const now = new Date();
+      const [requests, assertions] = await Promise.all([
+        db.client.samlRequest.deleteMany({ where: { expiresAt: { lt: now } } }),
+        db.client.samlAssertion.deleteMany({ where: { expiresAt: { lt: now } } })
+      ]);
+
+      logger.info('Cleaned up expired SAML requests and assertions', {
+        requests: requests.count,
+        assertions: assertions.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired SAML records', {
+        error: error.message
+      });
+    }
+  }
+// Export all functions as named exports
+export default {
+  SAML_ROLES,
+  sanitizeConnection,
+  getConnectionUrls,
+  getConnections,
+  getConnectionById,
+  createConnection,
+  updateConnection,
+  rotateCertificate,
+  deleteConnection,
+  getMetadata,
+  getLoginConnections,
+  startLogin,
+  completeLogin,
+  receiveAuthnRequest,
+  createResponse,
+  cleanupExpiredSamlRecords
+};
@@ -0,0 +1,477 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import ssoUtils from '../utils/ssoUtils.js';
+import logger from '../utils/logger.js';
+import passwordHasher from '../utils/passwordHasher.js';
+import tokenService from './tokenService.js';
+import { sanitizeUser, startMFAChallenge, startMFAEnrollment, startLoginSession } from './authService.js';
+import { getIssuer } from './oidcService.js';
+
+/**
+ * External identity provider (SSO) service
+ * Sign-in through corporate OpenID Connect / OAuth2 providers with just-in-time provisioning
+ */
+
+// Configuration constants
+const LOGIN_TICKET_TTL_MS = 2 * 60 * 1000; // 2 minutes
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+let providerCache = { raw: undefined, providers: [] };
+const discoveryCache = new Map();
+
+const normalizeProvider = (config) => {
+  if (!config.id || !/^[a-z0-9-]+$/.test(config.id)) {
+    throw new Error(`Invalid SSO provider id: ${config.id}`);
+  }
+
+  if (!config.clientId) {
+    throw new Error(`SSO provider ${config.id} has no clientId`);
+  }
+
+  if (!config.issuer && !(config.authorizationEndpoint && config.tokenEndpoint)) {
+    throw new Error(`SSO provider ${config.id} needs an issuer or explicit endpoints`);
+  }
+
+  return {
+    name: config.id,
+    type: 'oidc',
+    scope: 'openid profile email',
+    subjectClaim: 'sub',
+    groupsClaim: 'groups',
+    // IdP group -> ERP role name; the first matching entry wins
+    roleMapping: {},
+    defaultRole: 'user',
+    allowSignup: true,
+    // Link to an existing account with the same email only when the IdP vouches for the address
+    trustEmail: false,
+    allowedDomains: [],
+    ...config
+  };
+};
+
+// SSO_PROVIDERS is a JSON array; read lazily because modules load before server.js runs dotenv
+export const getProviders = () => {
+  const raw = process.env.SSO_PROVIDERS || '';
+
+  if (providerCache.raw !== raw) {
+    let configs = [];
+    try {
+      configs = raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      logger.error('SSO_PROVIDERS is not valid JSON', { error: error.message });
+    }
+
+    const providers = [];
+    configs.forEach(config => {
+      try {
+        providers.push(normalizeProvider(config));
+      } catch (error) {
+        logger.error('Ignoring SSO provider', { error: error.message });
+      }
+    });
+
+    providerCache = { raw, providers };
+  }
+
+  return providerCache.providers;
+};
+
+export const getProvider = (providerId) => {
+  const provider = getProviders().find(candidate => candidate.id === providerId);
+  if (!provider) {
+    throw new Error('Unknown SSO provider');
+  }
+  return provider;
+};
+
+// What the login page needs to render "Sign in with ..." buttons
+export const getPublicProviders = () => {
+  return getProviders().map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    type: provider.type
+  }));
+};
+
+export const getCallbackUrl = (provider) => {
+  return `${getIssuer()}/api/auth/sso/${provider.id}/callback`;
+};
+
+const resolveEndpoints = async (provider) => {
+    const cached = discoveryCache.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.endpoints;
+    }
+
+    const discovery = provider.issuer && !(provider.authorizationEndpoint && provider.tokenEndpoint)
+      ? await ssoUtils.getOIDCDiscovery(provider.issuer)
+      : {};
+
+    // Explicit endpoints in the provider config win over discovery
+    const endpoints = {
+      issuer: provider.issuer || discovery.issuer || null,
+      authorizationEndpoint: provider.authorizationEndpoint || discovery.authorization_endpoint,
+      tokenEndpoint: provider.tokenEndpoint || discovery.token_endpoint,
+      userInfoEndpoint: provider.userInfoEndpoint || discovery.userinfo_endpoint || null,
+      jwksUri: provider.jwksUri || discovery.jwks_uri || null
+    };
+
+    discoveryCache.set(provider.id, { endpoints, expiresAt: Date.now() + DISCOVERY_CACHE_TTL_MS });
+    return endpoints;
+  }
+
+export const startLogin = async (providerId) => {
+    try {
+      const provider = getProvider(providerId);
+      const endpoints = await resolveEndpoints(provider);
+
+      const state = crypto.randomBytes(16).toString('base64url');
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const { codeVerifier, codeChallenge, codeChallengeMethod } = ssoUtils.generatePKCE();
+
+      const authorizationUrl = ssoUtils.generateOAuth2AuthURL({
+        authorizationEndpoint: endpoints.authorizationEndpoint,
+        clientId: provider.clientId,
+        redirectUri: getCallbackUrl(provider),
+        scope: provider.scope,
+        state,
+        nonce,
+        codeChallenge,
+        codeChallengeMethod
+      });
+
+      // Bound to the browser through a cookie; the callback must present the same state
+      const flowState = ssoUtils.signFlowState({
+        provider: provider.id,
+        state,
+        nonce,
+        codeVerifier
+      });
+
+      return { authorizationUrl, flowState };
+    } catch (error) {
+      logger.error('SSO login start failed', { error: error.message, providerId });
+      throw error;
+    }
+  }
+
+const getClaim = (claims, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+export const mapRole = (provider, groups = []) => {
+  const groupSet = new Set(Array.isArray(groups) ? groups : [groups]);
+  const match = Object.entries(provider.roleMapping).find(([group]) => groupSet.has(group));
+  return match ? match[1] : null;
+};
+
+const findRole = async (roleName) => {
+    const role = await db.client.role.findUnique({ where: { name: roleName } });
+    if (!role) {
+      throw new Error(`Role ${roleName} does not exist`);
+    }
+    return role;
+  }
+
+const provisionUser = async (provider, profile, roleName) => {
+    const domain = profile.email.split('@')[1];
+    if (provider.allowedDomains.length > 0 && !provider.allowedDomains.includes(domain)) {
+      throw new Error('Your email domain is not allowed to sign up through this provider');
+    }
+
+    const role = await findRole(roleName || provider.defaultRole);
+
+    // SSO users sign in through the IdP; the random password just keeps the column non-empty
+    const unusablePassword = await passwordHasher.hash(crypto.randomBytes(32).toString('hex'));
+
+    const user = await db.client.user.create({
+      data: {
+        email: profile.email,
+        password: unusablePassword,
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        roleId: role.id,
+        isActive: true,
+        emailVerified: profile.emailVerified
+      },
+      include: { role: true }
+    });
+
+    logger.auth('sso_user_provisioned', user, { provider: provider.id });
+    return user;
+  }
+
+// Finds the ERP account for an external identity, linking or provisioning one when allowed
+export const resolveUser = async (provider, claims) => {
+    const subject = getClaim(claims, provider.subjectClaim);
+    if (!subject) {
+      throw new Error('The identity provider did not return a subject');
+    }
+
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const profile = {
+      email,
+      emailVerified: claims.email_verified === true || provider.trustEmail,
+      firstName: claims.given_name || claims.name?.split(' ')[0] || email?.split('@')[0] || 'SSO',
+      lastName: claims.family_name || claims.name?.split(' ').slice(1).join(' ') || 'User'
+    };
+    const roleName = mapRole(provider, getClaim(claims, provider.groupsClaim));
+
+    const identity = await db.client.externalIdentity.findUnique({
+      where: { provider_subject: { provider: provider.id, subject: String(subject) } },
+      include: { user: { include: { role: true } } }
+    });
+
+    let user = identity?.user;
+
+    if (!user && email) {
+      const existingUser = await db.client.user.findUnique({
+        where: { email },
+        include: { role: true }
+      });
+
+      if (existingUser) {
+        if (!profile.emailVerified) {
+          throw new Error('An account with this email already exists; the identity provider has not verified the address');
+        }
+
+        user = existingUser;
+        logger.security('sso_identity_linked', { userId: user.id, provider: provider.id });
+      }
+    }
+
+    if (!user) {
+      if (!provider.allowSignup) {
+        throw new Error('No account is linked to this identity');
+      }
+      if (!email) {
+        throw new Error('The identity provider did not return an email address');
+      }
+
+      user = await provisionUser(provider, profile, roleName);
+    }
+
+    if (!user.isActive) {
+      logger.security('sso_login_failed_inactive_user', { userId: user.id, provider: provider.id });
+      throw new Error('Account is deactivated');
+    }
+
+    // The IdP's groups are authoritative for users they map to a role
+    if (roleName && user.role?.name !== roleName) {
+      const role = await findRole(roleName);
+      user = await db.client.user.update({
+        where: { id: user.id },
+        data: { roleId: role.id },
+        include: { role: true }
+      });
+      logger.audit('sso_role_synced', { userId: user.id, role: roleName }, { provider: provider.id });
+    }
+
+    await db.client.externalIdentity.upsert({
+      where: { provider_subject: { provider: provider.id, subject: String(subject) } },
+      create: {
+        userId: user.id,
+        provider: provider.id,
+        subject: String(subject),
+        email,
+        lastLoginAt: new Date()
+      },
+      update: { email, lastLoginAt: new Date() }
+    });
+
+    return user;
+  }
+
+const fetchClaims = async (provider, endpoints, tokenResponse, nonce) => {
+    let claims = {};
+
+    if (tokenResponse.id_token) {
+      if (!endpoints.jwksUri) {
+        throw new Error('Cannot verify the ID token: the provider has no jwks_uri');
+      }
+
+      claims = await ssoUtils.verifyIdToken(tokenResponse.id_token, {
+        jwksUri: endpoints.jwksUri,
+        issuer: endpoints.issuer || undefined,
+        audience: provider.clientId,
+        nonce
+      });
+    } else if (provider.scope.split(' ').includes('openid')) {
+      throw new Error('The identity provider did not return an ID token');
+    }
+
+    if (endpoints.userInfoEndpoint && tokenResponse.access_token) {
+      const userInfo = await ssoUtils.getOAuth2UserInfo(endpoints, tokenResponse.access_token);
+
+      // Userinfo must describe the same subject as the ID token (OIDC Core 5.3.2)
+      if (claims.sub && userInfo.sub && userInfo.sub !== claims.sub) {
+        throw new Error('Userinfo subject does not match the ID token');
+      }
+
+      claims = { ...userInfo, ...claims };
+    }
+
+    return claims;
+  }
+
+// The front end swaps this one-time ticket for tokens, so they never appear in a URL
+export const issueLoginTicket = async (user, providerId, context = {}) => {
+    const { ip = null, userAgent = null } = context;
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    await db.client.ssoLoginTicket.create({
+      data: {
+        ticketHash: tokenService.hashToken(ticket),
+        userId: user.id,
+        provider: providerId,
+        ip,
+        userAgent,
+        expiresAt: new Date(Date.now() + LOGIN_TICKET_TTL_MS)
+      }
+    });
+
+    return ticket;
+  }
+
+export const completeLogin = async (providerId, params, flowStateToken, context = {}) => {
+    const { code, state, error: providerError } = params;
+    const { ip = null, userAgent = null } = context;
+
+    try {
+      const provider = getProvider(providerId);
+
+      if (!flowStateToken) {
+        throw new Error('SSO login session not found; please start again');
+      }
+
+      const flow = ssoUtils.verifyFlowState(flowStateToken);
+      if (flow.provider !== provider.id || !ssoUtils.safeEqual(flow.state, state)) {
+        logger.security('sso_state_mismatch', { provider: provider.id, ip });
+        throw new Error('SSO state mismatch; please start again');
+      }
+
+      if (providerError) {
+        throw new Error(`The identity provider returned an error: ${providerError}`);
+      }
+
+      if (!code) {
+        throw new Error('Authorization code missing');
+      }
+
+      const endpoints = await resolveEndpoints(provider);
+      const tokenResponse = await ssoUtils.exchangeOAuth2Code({
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret,
+        redirectUri: getCallbackUrl(provider),
+        tokenEndpoint: endpoints.tokenEndpoint
+      }, code, flow.codeVerifier);
+
+      const claims = await fetchClaims(provider, endpoints, tokenResponse, flow.nonce);
+      const user = await resolveUser(provider, claims);
+      const ticket = await issueLoginTicket(user, provider.id, { ip, userAgent });
+
+      return { ticket, user: sanitizeUser(user) };
+    } catch (error) {
+      logger.error('SSO login failed', { error: error.message, providerId, ip });
+      throw error;
+    }
+  }
+
+/**
+ * Trade the one-time ticket from an OIDC or SAML callback for a sign-in
+ * The IdP sign-in counts as the first factor only: an account with MFA gets a challenge ticket and
+ * one that the role MFA policy stops gets an enrollment ticket, as with password sign-in
+ */
+export const exchangeLoginTicket = async (ticket, context = {}) => {
+    const { ip = null, userAgent = null, trustedDeviceToken = null } = context;
+
+    try {
+      const record = await db.client.ssoLoginTicket.findUnique({
+        where: { ticketHash: tokenService.hashToken(ticket) },
+        include: { user: { include: { role: true } } }
+      });
+
+      if (!record) {
+        throw new Error('Invalid or expired login ticket');
+      }
+
+      // Single use: claim it before doing anything else
+      const consumed = await db.client.ssoLoginTicket.updateMany({
+        where: { id: record.id, consumedAt: null },
+        data: { consumedAt: new Date() }
+      });
+
+      if (consumed.count === 0) {
+        logger.security('sso_ticket_replayed', { userId: record.userId, provider: record.provider, ip });
+        throw new Error('Invalid or expired login ticket');
+      }
+
+      if (record.expiresAt < new Date()) {
+        throw new Error('Invalid or expired login ticket');
+      }
+
+      const { user } = record;
+      if (!user.isActive) {
+        throw new Error('Account is deactivated');
+      }
+
+      logger.auth('sso_ticket_exchanged', user, { ip, userAgent, provider: record.provider });
+
+      // The IdP only stands in for the first factor; the account's own MFA still applies
+      const mfaChallenge = await startMFAChallenge(user, { method: 'sso', ip, trustedDeviceToken });
+      if (mfaChallenge) {
+        return { ...mfaChallenge, userId: user.id, provider: record.provider };
+      }
+
+      // Role requires MFA and the grace period is over: only an enrollment ticket is issued
+      const enrollment = await startMFAEnrollment(user, { method: 'sso', ip });
+      if (enrollment?.requiresMFAEnrollment) {
+        return { ...enrollment, userId: user.id, provider: record.provider };
+      }
+
+      const result = await startLoginSession(user, { ip, userAgent, method: 'sso' });
+
+      return {
+        ...result,
+        provider: record.provider,
+        ...(enrollment ? { mfaEnrollmentDeadline: enrollment.deadline } : {})
+      };
+    } catch (error) {
+      logger.error('SSO ticket exchange failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+export const cleanupExpiredLoginTickets = async () => {
+    try {
+      const result = await db.client.ssoLoginTicket.deleteMany({
+        where: {
+          expiresAt: {
+            lt: new Date()
+          }
+        }
+      });
+
+      logger.info('Cleaned up expired SSO login tickets', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired SSO login tickets', {
+        error: error.message
+      });
+    }
+  }
+// Export all functions as named exports
+export default {
+  getProviders,
+  getProvider,
+  getPublicProviders,
+  getCallbackUrl,
+  startLogin,
+  mapRole,
+  resolveUser,
+  issueLoginTicket,
+  completeLogin,
+  exchangeLoginTicket,
+  cleanupExpiredLoginTickets
+};
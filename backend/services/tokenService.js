@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import jwtUtils from '../utils/jwtUtils.js';
+import logger from '../utils/logger.js';
+import sessionCache from '../utils/sessionCache.js';
+import auditService from './auditService.js';
+
+/**
+ * Token service
+ * Handles server-side refresh token families, rotation and reuse detection
+ */
+
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+// When and how the session's user last authenticated, for step-up checks (OIDC auth_time and amr)
+const getAuthClaims = (session) => {
+    if (!session) {
+      return {};
+    }
+    return {
+      auth_time: Math.floor(session.authTime.getTime() / 1000),
+      amr: session.amr
+    };
+  }
+
+const findSession = (sessionId) => {
+    return sessionId
+      ? db.client.session.findUnique({ where: { id: sessionId } })
+      : null;
+  }
+
+const createTokenRecord = async (user, session, familyId, grant = {}) => {
+    const { clientId = null, scope = null } = grant;
+    const sessionId = session?.id || null;
+
+    // Tokens issued to an OAuth client carry its id and granted scope
+    const tokens = jwtUtils.generateTokenPair(user, {
+      sessionId,
+      claims: {
+        ...getAuthClaims(session),
+        ...(clientId ? { client_id: clientId, scope } : {})
+      },
+      refreshClaims: {
+        jti: crypto.randomUUID(),
+        familyId
+      }
+    });
+
+    const { exp } = jwtUtils.decodeToken(tokens.refreshToken);
+
+    const record = await db.client.refreshToken.create({
+      data: {
+        userId: user.id,
+        sessionId,
+        familyId,
+        clientId,
+        scope,
+        tokenHash: hashToken(tokens.refreshToken),
+        expiresAt: new Date(exp * 1000)
+      }
+    });
+
+    return { tokens, record };
+  }
+
+export const issueTokenPair = async (user, sessionId = null, grant = {}) => {
+    try {
+      // Every login starts a new token family
+      const session = await findSession(sessionId);
+      const { tokens } = await createTokenRecord(user, session, crypto.randomUUID(), grant);
+      return tokens;
+    } catch (error) {
+      logger.error('Token pair issue failed', { error: error.message, userId: user.id, sessionId });
+      throw error;
+    }
+  }
+
+/**
+ * A new access token for an existing session, e.g. after re-authentication moved its authTime
+ * The refresh token family is left as it is; later refreshes read the same session
+ */
+export const issueAccessToken = async (user, sessionId) => {
+    try {
+      const session = await findSession(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      return jwtUtils.generateAccessToken(user, { sid: session.id, ...getAuthClaims(session) });
+    } catch (error) {
+      logger.error('Access token issue failed', { error: error.message, userId: user.id, sessionId });
+      throw error;
+    }
+  }
+
+export const rotateRefreshToken = async (refreshToken, context = {}) => {
+    const { ip = null, userAgent = null, clientId = null } = context;
+
+    try {
+      const decoded = jwtUtils.verifyRefreshToken(refreshToken);
+
+      const record = await db.client.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: {
+          user: { include: { role: true } },
+          session: true
+        }
+      });
+
+      if (!record || record.userId !== decoded.userId) {
+        throw new Error('Invalid refresh token');
+      }
+
+      // A token only refreshes for the client it was issued to
+      if ((record.clientId || null) !== clientId) {
+        throw new Error('Invalid refresh token');
+      }
+
+      if (record.rotatedAt || record.revokedAt) {
+        await handleTokenReuse(record, { ip, userAgent });
+        throw new Error('Invalid refresh token');
+      }
+
+      if (record.expiresAt < new Date()) {
+        throw new Error('Refresh token expired');
+      }
+
+      if (record.sessionId && (!record.session || record.session.expiresAt < new Date())) {
+        throw new Error('Session expired');
+      }
+
+      if (!record.user.isActive) {
+        throw new Error('Invalid refresh token');
+      }
+
+      // Claim the token atomically so two concurrent refreshes cannot both succeed
+      const claimed = await db.client.refreshToken.updateMany({
+        where: { id: record.id, rotatedAt: null, revokedAt: null },
+        data: { rotatedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        await handleTokenReuse(record, { ip, userAgent });
+        throw new Error('Invalid refresh token');
+      }
+
+      const { tokens, record: nextRecord } = await createTokenRecord(
+        record.user,
+        record.session,
+        record.familyId,
+        { clientId: record.clientId, scope: record.scope }
+      );
+
+      await db.client.refreshToken.update({
+        where: { id: record.id },
+        data: { replacedById: nextRecord.id }
+      });
+
+      return {
+        user: record.user,
+        tokens,
+        sessionId: record.sessionId,
+        scope: record.scope
+      };
+    } catch (error) {
+      logger.error('Refresh token rotation failed', { error: error.message, ip });
+      throw error;
+    }
+  }
+
+export const revokeTokenFamily = async (familyId) => {
+    try {
+      const result = await db.client.refreshToken.updateMany({
+        where: { familyId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      return result.count;
+    } catch (error) {
+      logger.error('Token family revocation failed', { error: error.message, familyId });
+      throw error;
+    }
+  }
+
+const handleTokenReuse = async (record, context) => {
+    const details = {
+      userId: record.userId,
+      familyId: record.familyId,
+      sessionId: record.sessionId,
+      tokenId: record.id,
+      userAgent: context.userAgent
+    };
+
+    logger.security('refresh_token_reuse_detected', { ...details, ip: context.ip });
+
+    await revokeTokenFamily(record.familyId);
+
+    // Kill the login the family belongs to; its refresh tokens cascade with it
+    if (record.sessionId) {
+      await db.client.session.deleteMany({
+        where: { id: record.sessionId }
+      });
+      sessionCache.invalidate(record.sessionId);
+    }
+
+    try {
+      await auditService.logSecurityEvent('refresh_token_reuse_detected', details, context.ip);
+    } catch (auditError) {
+      logger.warn('Failed to audit refresh token reuse', {
+        error: auditError.message,
+        familyId: record.familyId
+      });
+    }
+  }
+
+export const cleanupExpiredRefreshTokens = async () => {
+    try {
+      const result = await db.client.refreshToken.deleteMany({
+        where: {
+          expiresAt: {
+            lt: new Date()
+          }
+        }
+      });
+
+      logger.info('Cleaned up expired refresh tokens', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired refresh tokens', {
+        error: error.message
+      });
+    }
+  }
+// Export all functions as named exports
+export default {
+  hashToken,
+  issueTokenPair,
+  issueAccessToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  cleanupExpiredRefreshTokens
+};
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import { hashToken } from './tokenService.js';
+
+/**
+ * Trusted device service
+ * Browsers the user chose to trust after passing MFA skip the MFA step until the trust expires.
+ * The browser holds a random value in an httpOnly cookie and the TrustedDevice record keeps its
+ * hash, so the record alone decides how long the trust lasts; revoking it makes the cookie worthless.
+ */
+
+export const TRUSTED_DEVICE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Trust the current browser for the user; returns the cookie token and when it expires
+ */
+export const trustDevice = async (user, context = {}) => {
+    const { ip = null, userAgent = null } = context;
+
+    try {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const device = await db.client.trustedDevice.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(token),
+          userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+          firstIp: ip,
+          lastIp: ip,
+          lastUsedAt: new Date(),
+          expiresAt: new Date(Date.now() + TRUSTED_DEVICE_TTL_MS)
+        }
+      });
+
+      logger.auth('trusted_device_added', user, { ip, deviceId: device.id });
+
+      return {
+        id: device.id,
+        token,
+        expiresAt: device.expiresAt
+      };
+    } catch (error) {
+      logger.error('Failed to trust device', { error: error.message, userId: user.id, ip });
+      throw error;
+    }
+  }
+
+// Id of the user's unexpired record the cookie token belongs to, or null
+export const getTrustedDeviceId = async (token, userId) => {
+  if (!token) {
+    return null;
+  }
+
+  const device = await db.client.trustedDevice.findFirst({
+    where: { tokenHash: hashToken(token), userId, expiresAt: { gt: new Date() } },
+    select: { id: true }
+  });
+  return device?.id || null;
+};
+
+/**
+ * Whether the cookie token trusts this browser for the user; records the use when it does
+ * Any failure means "not trusted", so the sign-in falls back to the MFA step
+ */
+export const verifyTrustedDevice = async (token, userId, context = {}) => {
+    const { ip = null } = context;
+
+    try {
+      if (!token || typeof token !== 'string') {
+        return false;
+      }
+
+      const used = await db.client.trustedDevice.updateMany({
+        where: { tokenHash: hashToken(token), userId, expiresAt: { gt: new Date() } },
+        data: { lastUsedAt: new Date(), lastIp: ip }
+      });
+
+      return used.count === 1;
+    } catch (error) {
+      logger.error('Trusted device check failed', { error: error.message, userId, ip });
+      return false;
+    }
+  }
+
+export const listTrustedDevices = async (userId) => {
+    try {
+      return await db.client.trustedDevice.findMany({
+        where: { userId, expiresAt: { gt: new Date() } },
+        select: {
+          id: true,
+          userAgent: true,
+          firstIp: true,
+          lastIp: true,
+          lastUsedAt: true,
+          expiresAt: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Failed to list trusted devices', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const revokeTrustedDevice = async (userId, deviceId) => {
+    try {
+      const result = await db.client.trustedDevice.deleteMany({
+        where: { id: deviceId, userId }
+      });
+
+      if (result.count === 0) {
+        throw new Error('Trusted device not found');
+      }
+
+      logger.auth('trusted_device_revoked', { id: userId }, { deviceId });
+    } catch (error) {
+      logger.error('Failed to revoke trusted device', { error: error.message, userId, deviceId });
+      throw error;
+    }
+  }
+
+// Called when all sessions end and when the password changes
+export const revokeAllTrustedDevices = async (userId) => {
+    try {
+      const result = await db.client.trustedDevice.deleteMany({
+        where: { userId }
+      });
+
+      if (result.count > 0) {
+        logger.auth('trusted_devices_revoked', { id: userId }, { count: result.count });
+      }
+
+      return result.count;
+    } catch (error) {
+      logger.error('Failed to revoke trusted devices', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const cleanupExpiredTrustedDevices = async () => {
+    try {
+      const result = await db.client.trustedDevice.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      });
+
+      logger.info('Cleaned up expired trusted devices', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired trusted devices', {
+        error: error.message
+      });
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  TRUSTED_DEVICE_TTL_MS,
+  trustDevice,
+  getTrustedDeviceId,
+  verifyTrustedDevice,
+  listTrustedDevices,
+  revokeTrustedDevice,
+  revokeAllTrustedDevices,
+  cleanupExpiredTrustedDevices
+};
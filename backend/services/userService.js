@@ -1,15 +1,16 @@
-import bcrypt from 'bcryptjs';
 import { db } from '../config/db.js';
 import logger from '../utils/logger.js';
+import passwordHasher from '../utils/passwordHasher.js';
+import sessionCache from '../utils/sessionCache.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import emailService from './emailService.js';
+import trustedDeviceService from './trustedDeviceService.js';
 
 /**
  * User service
  * Handles user management operations
  */
 
-// Configuration constants
-const SALT_ROUNDS = 12;
-
 export const getUsers = async (options = {}) => {
     const {
       page = 1,
@@ -61,7 +62,8 @@ export const getUsers = async (options = {}) => {
             _count: {
               select: {
                 auditLogs: true,
-                apiTokens: true
+                apiTokens: true,
+                webAuthnCredentials: true
               }
             }
           },
@@ -120,9 +122,13 @@ export const getUserById = async (userId) => {
           apiTokens: {
             select: {
               id: true,
+              prefix: true,
               description: true,
               scopes: true,
               expiresAt: true,
+              lastUsedAt: true,
+              lastUsedIp: true,
+              revokedAt: true,
               createdAt: true
             }
           }
@@ -171,8 +177,13 @@ export const createUser = async (userData) => {
         throw new Error('User with this email already exists');
       }
 
+      // Enforce the password policy
+      await passwordPolicyService.validatePassword(password, {
+        user: { email, firstName, lastName }
+      });
+
       // Hash password
-      const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+      const hashedPassword = await passwordHasher.hash(password);
 
       // Create user
       const user = await db.client.user.create({
@@ -182,16 +193,23 @@ export const createUser = async (userData) => {
           firstName,
           lastName,
           roleId,
-          isActive
+          isActive,
+          // The administrator knows this password, so the user replaces it at first sign-in
+          mustChangePassword: true
         },
         include: { role: true }
       });
 
+      await passwordPolicyService.recordPasswordHistory(user.id, hashedPassword);
+
+      // Email failures are logged by the email service and do not undo the account
+      await emailService.sendWelcomeEmail(user.email, `${user.firstName} ${user.lastName}`, password);
+
       logger.audit('user_created', user);
 
       return sanitizeUser(user);
     } catch (error) {
-      logger.error('Failed to create user', { error: error.message, userData });
+      logger.error('Failed to create user', { error: error.message, email });
       throw error;
     }
   }
@@ -262,6 +280,7 @@ export const deleteUser = async (userId) => {
       await db.client.user.delete({
         where: { id: userId }
       });
+      sessionCache.invalidateUser(userId);
 
       logger.audit('user_deleted', user);
     } catch (error) {
@@ -299,6 +318,7 @@ export const deactivateUser = async (userId) => {
       await db.client.session.deleteMany({
         where: { userId }
       });
+      sessionCache.invalidateUser(userId);
 
       logger.audit('user_deactivated', user);
 
@@ -309,6 +329,73 @@ export const deactivateUser = async (userId) => {
     }
   }
 
+export const unlockUser = async (userId) => {
+    try {
+      const user = await db.client.user.update({
+        where: { id: userId },
+        data: {
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          lockoutCount: 0
+        },
+        include: { role: true }
+      });
+
+      logger.audit('user_unlocked', user);
+
+      return sanitizeUser(user);
+    } catch (error) {
+      logger.error('Failed to unlock user', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const resetUserPassword = async (userId) => {
+    try {
+      const policy = await passwordPolicyService.getPolicy();
+      const temporaryPassword = passwordPolicyService.generateTemporaryPassword(policy);
+      const hashedPassword = await passwordHasher.hash(temporaryPassword);
+
+      const user = await db.client.user.update({
+        where: { id: userId },
+        data: {
+          password: hashedPassword,
+          passwordChangedAt: new Date(),
+          mustChangePassword: true,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          lockoutCount: 0
+        },
+        include: { role: true }
+      });
+      await passwordPolicyService.recordPasswordHistory(userId, hashedPassword);
+
+      // Sessions opened with the old password end now, and trusted browsers must pass MFA again
+      await db.client.session.deleteMany({
+        where: { userId }
+      });
+      sessionCache.invalidateUser(userId);
+      await trustedDeviceService.revokeAllTrustedDevices(userId);
+
+      // The temporary password itself is handed over by the administrator, not emailed
+      await emailService.sendSecurityAlertEmail(
+        user.email,
+        `${user.firstName} ${user.lastName}`,
+        'Password Reset by Administrator',
+        { timestamp: new Date().toISOString() }
+      );
+
+      logger.audit('user_password_reset', user);
+
+      return { user: sanitizeUser(user), temporaryPassword };
+    } catch (error) {
+      logger.error('Failed to reset user password', { error: error.message, userId });
+      throw error;
+    }
+  }
+
 export const getUserSessions = async (userId) => {
     try {
       const sessions = await db.client.session.findMany({
@@ -328,6 +415,7 @@ export const revokeSession = async (sessionId) => {
       await db.client.session.delete({
         where: { id: sessionId }
       });
+      sessionCache.invalidate(sessionId);
 
       logger.audit('session_revoked', { sessionId });
     } catch (error) {
@@ -341,6 +429,7 @@ export const revokeAllSessions = async (userId) => {
       await db.client.session.deleteMany({
         where: { userId }
       });
+      sessionCache.invalidateUser(userId);
 
       logger.audit('all_sessions_revoked', { userId });
     } catch (error) {
@@ -412,7 +501,7 @@ export const searchUsers = async (query, options = {}) => {
   }
 
 export const sanitizeUser = (user) => {
-    const { password, mfaSecret, ...sanitizedUser } = user;
+    const { password, backupCodes, ...sanitizedUser } = user;
     return sanitizedUser;
   }
 // Export all functions as named exports
@@ -425,6 +514,8 @@ export default {
   deleteUser,
   activateUser,
   deactivateUser,
+  unlockUser,
+  resetUserPassword,
   getUserSessions,
   revokeSession,
   revokeAllSessions,
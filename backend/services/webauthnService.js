@@ -0,0 +1,399 @@
+import {
+  generateRegistrationOptions as buildRegistrationOptions,
+  generateAuthenticationOptions as buildAuthenticationOptions
+} from '@simplewebauthn/server';
+import { db } from '../config/db.js';
+import logger from '../utils/logger.js';
+import { getRelyingParty, verifyRegistrationCeremony, verifyAssertionCeremony } from '../utils/webauthnUtils.js';
+import emailService from './emailService.js';
+
+/**
+ * WebAuthn service
+ * Passkey and security key registration, and the assertions used for passwordless sign-in and as an MFA step
+ *
+ * Challenges are stored server-side and deleted by the first response that presents them, so every
+ * ceremony is single use; responses are bound to the configured relying party ID and origins.
+ * The ceremony checks themselves live in webauthnUtils, where they can run without a database.
+ */
+
+// Configuration constants
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CEREMONY_TIMEOUT_MS = 60 * 1000;
+
+export { getRelyingParty };
+
+const toAuthenticatorDescriptor = (credential) => ({
+  id: credential.credentialId,
+  transports: credential.transports
+});
+
+const storeChallenge = async (challenge, type, userId = null) => {
+  await db.client.webAuthnChallenge.create({
+    data: {
+      challenge,
+      type,
+      userId,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+    }
+  });
+};
+
+// Deleting is the claim: a challenge only verifies for the first response that presents it
+const consumeChallenge = async (challenge, type, userId = null) => {
+  const result = await db.client.webAuthnChallenge.deleteMany({
+    where: {
+      challenge,
+      type,
+      userId,
+      expiresAt: { gt: new Date() }
+    }
+  });
+
+  return result.count === 1;
+};
+
+const sendCredentialAlert = async (user, alertType) => {
+  const sent = await emailService.sendSecurityAlertEmail(
+    user.email,
+    `${user.firstName} ${user.lastName}`,
+    alertType,
+    { timestamp: new Date().toISOString() }
+  );
+
+  if (!sent) {
+    logger.warn('Failed to send passkey alert email', { userId: user.id, alertType });
+  }
+};
+
+const findUser = async (userId) => {
+  const user = await db.client.user.findUnique({
+    where: { id: userId }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+const getCredentialIdFromResponse = (response) => {
+  if (!response || typeof response.id !== 'string' || !response.id) {
+    throw new Error('Invalid passkey response');
+  }
+  return response.id;
+};
+
+const hasOtherCredentials = async (userId, credentialId) => {
+  const count = await db.client.webAuthnCredential.count({
+    where: { userId, id: { not: credentialId } }
+  });
+  return count > 0;
+};
+
+export const listCredentials = async (userId) => {
+    try {
+      return await db.client.webAuthnCredential.findMany({
+        where: { userId },
+        select: {
+          id: true,
+          name: true,
+          deviceType: true,
+          backedUp: true,
+          transports: true,
+          lastUsedAt: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Failed to list passkeys', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const hasCredentials = async (userId) => {
+    try {
+      const count = await db.client.webAuthnCredential.count({
+        where: { userId }
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Failed to check for passkeys', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+/**
+ * Options for adding a passkey to the signed-in user's account
+ * Existing credentials are excluded so the same authenticator is not registered twice
+ */
+export const generateRegistrationOptions = async (userId) => {
+    try {
+      const user = await findUser(userId);
+      const existing = await db.client.webAuthnCredential.findMany({
+        where: { userId: user.id },
+        select: { credentialId: true, transports: true }
+      });
+
+      const relyingParty = getRelyingParty();
+      const options = await buildRegistrationOptions({
+        rpName: relyingParty.name,
+        rpID: relyingParty.id,
+        userID: new TextEncoder().encode(user.id),
+        userName: user.email,
+        userDisplayName: `${user.firstName} ${user.lastName}`,
+        timeout: CEREMONY_TIMEOUT_MS,
+        attestationType: 'none',
+        excludeCredentials: existing.map(toAuthenticatorDescriptor),
+        authenticatorSelection: {
+          // Discoverable, so the passkey can sign in without an email address first
+          residentKey: 'required',
+          userVerification: 'preferred'
+        }
+      });
+
+      await storeChallenge(options.challenge, 'registration', user.id);
+
+      return options;
+    } catch (error) {
+      logger.error('Failed to create passkey registration options', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+export const verifyRegistration = async (userId, response, name) => {
+    try {
+      const user = await findUser(userId);
+
+      let verification;
+      try {
+        verification = await verifyRegistrationCeremony(response, {
+          expectedChallenge: (challenge) => consumeChallenge(challenge, 'registration', user.id)
+        });
+      } catch (verifyError) {
+        logger.security('webauthn_registration_rejected', { userId: user.id, reason: verifyError.message });
+        throw new Error('Passkey registration could not be verified');
+      }
+
+      if (!verification.verified) {
+        throw new Error('Passkey registration could not be verified');
+      }
+
+      const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+      const existing = await db.client.webAuthnCredential.findUnique({
+        where: { credentialId: credential.id }
+      });
+      if (existing) {
+        throw new Error('This passkey is already registered');
+      }
+
+      const created = await db.client.webAuthnCredential.create({
+        data: {
+          userId: user.id,
+          credentialId: credential.id,
+          publicKey: Buffer.from(credential.publicKey),
+          counter: BigInt(credential.counter),
+          transports: credential.transports || [],
+          deviceType: credentialDeviceType,
+          backedUp: credentialBackedUp,
+          name
+        }
+      });
+
+      // A passkey is MFA too, so it settles an administrator MFA reset
+      await db.client.user.updateMany({
+        where: { id: user.id, mfaResetAt: { not: null } },
+        data: { mfaResetAt: null }
+      });
+
+      logger.auth('webauthn_credential_registered', user, {
+        credentialId: created.id,
+        deviceType: credentialDeviceType
+      });
+
+      // A new way into the account deserves the same alert as a password change
+      await sendCredentialAlert(user, 'Passkey Added');
+
+      return {
+        id: created.id,
+        name: created.name,
+        deviceType: created.deviceType,
+        backedUp: created.backedUp,
+        transports: created.transports,
+        lastUsedAt: created.lastUsedAt,
+        createdAt: created.createdAt
+      };
+    } catch (error) {
+      logger.error('Passkey registration failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+/**
+ * Options for an assertion
+ * With a user this is the MFA step and lists their credentials; without one it is passwordless
+ * sign-in, where the browser offers whichever discoverable passkeys it holds for this site
+ */
+export const generateAuthenticationOptions = async (user = null) => {
+    try {
+      const credentials = user
+        ? await db.client.webAuthnCredential.findMany({
+          where: { userId: user.id },
+          select: { credentialId: true, transports: true }
+        })
+        : [];
+
+      const options = await buildAuthenticationOptions({
+        rpID: getRelyingParty().id,
+        timeout: CEREMONY_TIMEOUT_MS,
+        allowCredentials: credentials.map(toAuthenticatorDescriptor),
+        userVerification: user ? 'preferred' : 'required'
+      });
+
+      await storeChallenge(options.challenge, 'authentication', user?.id || null);
+
+      return options;
+    } catch (error) {
+      logger.error('Failed to create passkey sign-in options', { error: error.message, userId: user?.id });
+      throw error;
+    }
+  }
+
+/**
+ * Verify an assertion and advance the credential's signature counter
+ * `userId` is the account the challenge was issued for (null for passwordless sign-in);
+ * returns the credential with its user, or throws
+ */
+export const verifyAuthentication = async (response, context = {}) => {
+    const { userId = null, requireUserVerification = false, ip } = context;
+
+    try {
+      const credentialId = getCredentialIdFromResponse(response);
+
+      const stored = await db.client.webAuthnCredential.findUnique({
+        where: { credentialId },
+        include: { user: { include: { role: true } } }
+      });
+
+      if (!stored || (userId && stored.userId !== userId)) {
+        logger.security('webauthn_unknown_credential', { userId, ip });
+        throw new Error('Passkey not recognised');
+      }
+
+      let verification;
+      try {
+        verification = await verifyAssertionCeremony(response, {
+          expectedChallenge: (challenge) => consumeChallenge(challenge, 'authentication', userId),
+          credential: {
+            id: stored.credentialId,
+            publicKey: new Uint8Array(stored.publicKey),
+            counter: Number(stored.counter),
+            transports: stored.transports
+          },
+          requireUserVerification
+        });
+      } catch (verifyError) {
+        // A counter that went backwards means the credential may have been cloned
+        logger.security('webauthn_assertion_rejected', { userId: stored.userId, credentialId: stored.id, ip, reason: verifyError.message });
+        throw new Error('Passkey verification failed');
+      }
+
+      if (!verification.verified) {
+        throw new Error('Passkey verification failed');
+      }
+
+      await db.client.webAuthnCredential.update({
+        where: { id: stored.id },
+        data: {
+          counter: BigInt(verification.authenticationInfo.newCounter),
+          lastUsedAt: new Date()
+        }
+      });
+
+      return stored;
+    } catch (error) {
+      logger.error('Passkey verification failed', { error: error.message, userId, ip });
+      throw error;
+    }
+  }
+
+export const renameCredential = async (userId, credentialId, name) => {
+    try {
+      const result = await db.client.webAuthnCredential.updateMany({
+        where: { id: credentialId, userId },
+        data: { name }
+      });
+
+      if (result.count === 0) {
+        throw new Error('Passkey not found');
+      }
+
+      logger.auth('webauthn_credential_renamed', { id: userId }, { credentialId });
+    } catch (error) {
+      logger.error('Failed to rename passkey', { error: error.message, userId, credentialId });
+      throw error;
+    }
+  }
+
+export const deleteCredential = async (userId, credentialId) => {
+    try {
+      const credential = await db.client.webAuthnCredential.findFirst({
+        where: { id: credentialId, userId },
+        include: { user: { include: { role: true } } }
+      });
+
+      if (!credential) {
+        throw new Error('Passkey not found');
+      }
+
+      // The last passkey of an account without code-based MFA methods is its only MFA method
+      const { user } = credential;
+      if (user.role?.mfaRequired && !user.mfaEnabled && !(await hasOtherCredentials(userId, credential.id))) {
+        throw new Error(`MFA is required for the ${user.role.name} role; add another method before removing this passkey`);
+      }
+
+      await db.client.webAuthnCredential.delete({
+        where: { id: credential.id }
+      });
+
+      logger.auth('webauthn_credential_removed', credential.user, { credentialId });
+
+      await sendCredentialAlert(credential.user, 'Passkey Removed');
+
+      return { id: credential.id, name: credential.name };
+    } catch (error) {
+      logger.error('Failed to remove passkey', { error: error.message, userId, credentialId });
+      throw error;
+    }
+  }
+
+export const cleanupExpiredChallenges = async () => {
+    try {
+      const result = await db.client.webAuthnChallenge.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      });
+
+      logger.info('Cleaned up expired WebAuthn challenges', {
+        count: result.count
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup expired WebAuthn challenges', {
+        error: error.message
+      });
+    }
+  }
+
+// Export all functions as named exports
+export default {
+  getRelyingParty,
+  listCredentials,
+  hasCredentials,
+  generateRegistrationOptions,
+  verifyRegistration,
+  generateAuthenticationOptions,
+  verifyAuthentication,
+  renameCredential,
+  deleteCredential,
+  cleanupExpiredChallenges
+};
@@ -0,0 +1,15 @@
+/**
+ * Cookie helpers
+ * cookie-parser is not installed; the few cookies the API reads are parsed here
+ */
+
+export const readCookie = (req, name) => {
+  const header = req.get('Cookie') || '';
+  const entry = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return entry ? decodeURIComponent(entry.slice(name.length + 1)) : null;
+};
+
+// Export all functions as named exports
+export default {
+  readCookie
+};
@@ -1,60 +1,135 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import keyStore from './keyStore.js';
 
 /**
  * JWT utility functions for token generation, verification, and management
+ * Tokens are signed with the active asymmetric key from the key store (RS256/ES256)
  */
 
 // Configuration constants
+// HS256 secrets are only used to verify tokens issued before the move to asymmetric keys
 const SECRET_KEY = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const REFRESH_SECRET_KEY = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-change-in-production';
+const ACCEPT_LEGACY_HS256 = process.env.JWT_LEGACY_HS256 !== 'false';
 const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
 const REFRESH_TOKEN_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+const ID_TOKEN_EXPIRY = process.env.OIDC_ID_TOKEN_EXPIRY || '1h';
+const PASSWORD_CHANGE_TOKEN_EXPIRY = '10m';
+const MFA_CHALLENGE_TOKEN_EXPIRY = '5m';
+const MFA_ENROLLMENT_TOKEN_EXPIRY = '15m';
 
-export const generateAccessToken = (payload) => {
+const signToken = (payload, options) => {
+  const key = keyStore.getSigningKey();
+  if (!key) {
+    throw new Error('No active JWT signing key loaded');
+  }
+
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+};
+
+// legacySecret is null for token types introduced after the move, which were never signed with HS256
+const verifySignedToken = (token, legacySecret, options) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error('jwt malformed');
+  }
+
+  const { alg, kid } = decoded.header;
+
+  // Algorithms are pinned per key so a token cannot choose how it is verified
+  if (alg === 'HS256') {
+    if (!legacySecret) {
+      throw new Error('HS256 is not accepted for this token type');
+    }
+    if (!ACCEPT_LEGACY_HS256) {
+      throw new Error('legacy HS256 tokens are no longer accepted');
+    }
+    return jwt.verify(token, legacySecret, { ...options, algorithms: ['HS256'] });
+  }
+
+  const key = keyStore.getVerificationKey(kid);
+  if (!key) {
+    throw new Error('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+};
+
+const assertTokenType = (decoded, type) => {
+  // Access and refresh tokens share an audience, so the type claim tells them apart
+  if (decoded.type !== type) {
+    throw new Error(`token type must be ${type}`);
+  }
+  return decoded;
+};
+
+export const generateAccessToken = (payload, claims = {}) => {
   const tokenPayload = {
     userId: payload.id,
     email: payload.email,
     roleId: payload.roleId,
     roleName: payload.role?.name || null,
-    type: 'access'
+    type: 'access',
+    ...claims
   };
 
-  return jwt.sign(tokenPayload, SECRET_KEY, {
+  return signToken(tokenPayload, {
     expiresIn: ACCESS_TOKEN_EXPIRY,
     issuer: 'erp-system',
     audience: 'erp-users'
   });
 };
 
-export const generateRefreshToken = (payload) => {
+export const generateRefreshToken = (payload, claims = {}) => {
   const tokenPayload = {
     userId: payload.id,
     email: payload.email,
-    type: 'refresh'
+    type: 'refresh',
+    ...claims
   };
 
-  return jwt.sign(tokenPayload, REFRESH_SECRET_KEY, {
+  return signToken(tokenPayload, {
     expiresIn: REFRESH_TOKEN_EXPIRY,
     issuer: 'erp-system',
     audience: 'erp-users'
   });
 };
 
-export const generateTokenPair = (user) => {
+export const generateTokenPair = (user, options = {}) => {
+  const { sessionId = null, claims = {}, refreshClaims = {} } = options;
+  // Bind both tokens to the session so revoking it revokes them
+  const sharedClaims = { ...(sessionId ? { sid: sessionId } : {}), ...claims };
+
   return {
-    accessToken: generateAccessToken(user),
-    refreshToken: generateRefreshToken(user),
+    accessToken: generateAccessToken(user, sharedClaims),
+    refreshToken: generateRefreshToken(user, { ...sharedClaims, ...refreshClaims }),
     expiresIn: ACCESS_TOKEN_EXPIRY
   };
 };
 
+export const generateIdToken = (claims, options) => {
+  const { issuer, audience } = options;
+
+  // OpenID Connect ID token: issued under the public issuer URL, audience is the client
+  return signToken(claims, {
+    expiresIn: ID_TOKEN_EXPIRY,
+    issuer,
+    audience
+  });
+};
+
 export const verifyAccessToken = (token) => {
   try {
-    return jwt.verify(token, SECRET_KEY, {
+    const decoded = verifySignedToken(token, SECRET_KEY, {
       issuer: 'erp-system',
       audience: 'erp-users'
     });
+    return assertTokenType(decoded, 'access');
   } catch (error) {
     throw new Error(`Invalid access token: ${error.message}`);
   }
@@ -62,15 +137,97 @@ export const verifyAccessToken = (token) => {
 
 export const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, REFRESH_SECRET_KEY, {
+    const decoded = verifySignedToken(token, REFRESH_SECRET_KEY, {
       issuer: 'erp-system',
       audience: 'erp-users'
     });
+    return assertTokenType(decoded, 'refresh');
   } catch (error) {
     throw new Error(`Invalid refresh token: ${error.message}`);
   }
 };
 
+// Ticket for the MFA step of sign-in, proving the first factor passed; the jti names its MfaChallenge record
+export const generateMfaChallengeToken = (payload, claims = {}) => {
+  const tokenPayload = {
+    userId: payload.id,
+    type: 'mfa_challenge',
+    ...claims
+  };
+
+  return signToken(tokenPayload, {
+    expiresIn: MFA_CHALLENGE_TOKEN_EXPIRY,
+    issuer: 'erp-system',
+    audience: 'erp-mfa-challenge'
+  });
+};
+
+export const verifyMfaChallengeToken = (token) => {
+  try {
+    const decoded = verifySignedToken(token, null, {
+      issuer: 'erp-system',
+      audience: 'erp-mfa-challenge'
+    });
+    return assertTokenType(decoded, 'mfa_challenge');
+  } catch (error) {
+    throw new Error(`Invalid MFA challenge token: ${error.message}`);
+  }
+};
+
+// Enrollment-only ticket for members of roles that require MFA but have none; it can only set MFA up
+export const generateMfaEnrollmentToken = (payload, claims = {}) => {
+  const tokenPayload = {
+    userId: payload.id,
+    type: 'mfa_enrollment',
+    ...claims
+  };
+
+  return signToken(tokenPayload, {
+    expiresIn: MFA_ENROLLMENT_TOKEN_EXPIRY,
+    issuer: 'erp-system',
+    audience: 'erp-mfa-enrollment'
+  });
+};
+
+export const verifyMfaEnrollmentToken = (token) => {
+  try {
+    const decoded = verifySignedToken(token, null, {
+      issuer: 'erp-system',
+      audience: 'erp-mfa-enrollment'
+    });
+    return assertTokenType(decoded, 'mfa_enrollment');
+  } catch (error) {
+    throw new Error(`Invalid MFA enrollment token: ${error.message}`);
+  }
+};
+
+// Restricted token for the forced password change step of sign-in; its audience keeps it from being used as an access token
+export const generatePasswordChangeToken = (payload, claims = {}) => {
+  const tokenPayload = {
+    userId: payload.id,
+    type: 'password_change',
+    ...claims
+  };
+
+  return signToken(tokenPayload, {
+    expiresIn: PASSWORD_CHANGE_TOKEN_EXPIRY,
+    issuer: 'erp-system',
+    audience: 'erp-password-change'
+  });
+};
+
+export const verifyPasswordChangeToken = (token) => {
+  try {
+    const decoded = verifySignedToken(token, null, {
+      issuer: 'erp-system',
+      audience: 'erp-password-change'
+    });
+    return assertTokenType(decoded, 'password_change');
+  } catch (error) {
+    throw new Error(`Invalid password change token: ${error.message}`);
+  }
+};
+
 export const generateApiToken = (payload, expiresIn = '1y') => {
   const tokenPayload = {
     ...payload,
@@ -78,7 +235,7 @@ export const generateApiToken = (payload, expiresIn = '1y') => {
     jti: crypto.randomUUID() // JWT ID for tracking
   };
 
-  return jwt.sign(tokenPayload, SECRET_KEY, {
+  return signToken(tokenPayload, {
     expiresIn,
     issuer: 'erp-system',
     audience: 'erp-services'
@@ -87,7 +244,7 @@ export const generateApiToken = (payload, expiresIn = '1y') => {
 
 export const verifyApiToken = (token) => {
   try {
-    return jwt.verify(token, SECRET_KEY, {
+    return verifySignedToken(token, SECRET_KEY, {
       issuer: 'erp-system',
       audience: 'erp-services'
     });
@@ -129,8 +286,15 @@ export default {
   generateAccessToken,
   generateRefreshToken,
   generateTokenPair,
+  generateIdToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generatePasswordChangeToken,
+  verifyPasswordChangeToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateMfaEnrollmentToken,
+  verifyMfaEnrollmentToken,
   generateApiToken,
   verifyApiToken,
   decodeToken,
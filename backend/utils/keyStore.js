@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+
+/**
+ * In-memory JWT signing key store
+ * Holds every published key (by kid) so tokens can be signed and verified synchronously
+ */
+
+// Configuration constants
+export const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const RSA_MODULUS_LENGTH = 2048;
+const EC_CURVE = 'P-256';
+
+let keys = [];
+
+const isExpired = (key, now = new Date()) => {
+  return !!key.expiresAt && key.expiresAt <= now;
+};
+
+export const generateKeyPair = (algorithm = 'RS256') => {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+  }
+
+  const { publicKey, privateKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: EC_CURVE })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: RSA_MODULUS_LENGTH });
+
+  return {
+    kid: crypto.randomUUID(),
+    algorithm,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+export const loadKeys = (records) => {
+  keys = records.map(record => ({
+    kid: record.kid,
+    algorithm: record.algorithm,
+    publicKey: record.publicKey,
+    privateKey: record.privateKey,
+    activatesAt: new Date(record.activatesAt),
+    expiresAt: record.expiresAt ? new Date(record.expiresAt) : null
+  }));
+};
+
+export const getSigningKey = () => {
+  const now = new Date();
+
+  // The most recently activated key signs; older ones only verify during the overlap window
+  return keys
+    .filter(key => key.privateKey && key.activatesAt <= now && !isExpired(key, now))
+    .sort((a, b) => b.activatesAt - a.activatesAt)[0] || null;
+};
+
+export const getVerificationKey = (kid) => {
+  const key = keys.find(candidate => candidate.kid === kid);
+  return key && !isExpired(key) ? key : null;
+};
+
+export const toPublicJwk = (key) => {
+  const jwk = crypto.createPublicKey(key.publicKey).export({ format: 'jwk' });
+
+  return {
+    ...jwk,
+    kid: key.kid,
+    alg: key.algorithm,
+    use: 'sig'
+  };
+};
+
+export const getPublicJwks = () => {
+  // Pending keys are published ahead of activation so relying parties can cache them
+  return {
+    keys: keys
+      .filter(key => !isExpired(key))
+      .map(toPublicJwk)
+  };
+};
+
+export const hasKeys = () => keys.length > 0;
+// Export all functions as named exports
+export default {
+  SUPPORTED_ALGORITHMS,
+  generateKeyPair,
+  loadKeys,
+  getSigningKey,
+  getVerificationKey,
+  toPublicJwk,
+  getPublicJwks,
+  hasKeys
+};
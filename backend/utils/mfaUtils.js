@@ -1,6 +1,7 @@
 import speakeasy from 'speakeasy';
 import QRCode from 'qrcode';
 import crypto from 'crypto';
+import secretEncryption from './secretEncryption.js';
 
 /**
  * Multi-Factor Authentication utilities
@@ -27,8 +28,7 @@ export const generateSecret = (userEmail, userName) => {
 
   return {
     secret: secret.base32,
-    qrCodeUrl: secret.otpauth_url,
-    backupCodes: generateBackupCodes()
+    qrCodeUrl: secret.otpauth_url
   };
 };
 
@@ -124,18 +124,17 @@ export const validateSecret = (secret) => {
   return base32Regex.test(secret.toUpperCase());
 };
 
-export const encryptSecret = (secret, key) => {
-  const cipher = crypto.createCipher('aes-256-cbc', key);
-  let encrypted = cipher.update(secret, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return encrypted;
+// TOTP secrets are stored encrypted (see secretEncryption); these convert to and from the column value.
+// The default context is the one MfaMethod.secret uses in SECRET_COLUMNS: "User.mfaSecret", kept because the
+// column took over that column's encrypted values. Pending enrollments pass their own context
+const MFA_SECRET_CONTEXT = 'User.mfaSecret';
+
+export const encryptSecret = (secret, context = MFA_SECRET_CONTEXT) => {
+  return secretEncryption.encrypt(secret, context);
 };
 
-export const decryptSecret = (encryptedSecret, key) => {
-  const decipher = crypto.createDecipher('aes-256-cbc', key);
-  let decrypted = decipher.update(encryptedSecret, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
+export const decryptSecret = (storedSecret, context = MFA_SECRET_CONTEXT) => {
+  return secretEncryption.decrypt(storedSecret, context);
 };
 // Export all functions as named exports
 export default {
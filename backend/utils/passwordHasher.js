@@ -0,0 +1,98 @@
+import argon2 from 'argon2';
+import bcrypt from 'bcrypt';
+
+/**
+ * Password hashing utilities
+ * Hashes with the configured algorithm (argon2id or native bcrypt) and verifies any supported hash
+ *
+ * Hashes are stored in their standard encodings ($argon2id$v=19$m=...,t=...,p=...$ and $2b$<cost>$),
+ * which record the algorithm and parameters, so old hashes keep verifying after the settings change
+ * and needsRehash() can tell when one is out of date.
+ */
+
+const ALGORITHMS = ['argon2id', 'bcrypt'];
+const BCRYPT_PREFIX = /^\$2[aby]\$/;
+const ARGON2_PREFIX = /^\$argon2(id|i|d)\$/;
+
+// Read on every call so operators can raise the cost without a code change
+export const getHashSettings = () => {
+  const algorithm = process.env.PASSWORD_HASH_ALGORITHM || 'argon2id';
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported PASSWORD_HASH_ALGORITHM: ${algorithm}`);
+  }
+
+  return {
+    algorithm,
+    // Defaults follow the OWASP minimum for argon2id
+    argon2: {
+      memoryCost: parseInt(process.env.ARGON2_MEMORY_COST, 10) || 19456, // KiB
+      timeCost: parseInt(process.env.ARGON2_TIME_COST, 10) || 2,
+      parallelism: parseInt(process.env.ARGON2_PARALLELISM, 10) || 1
+    },
+    bcryptRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12
+  };
+};
+
+export const getHashAlgorithm = (hash) => {
+  if (ARGON2_PREFIX.test(hash)) {
+    return hash.startsWith('$argon2id$') ? 'argon2id' : 'argon2';
+  }
+  if (BCRYPT_PREFIX.test(hash)) {
+    return 'bcrypt';
+  }
+  return null;
+};
+
+export const hash = async (plaintext) => {
+  const settings = getHashSettings();
+
+  if (settings.algorithm === 'bcrypt') {
+    return bcrypt.hash(plaintext, settings.bcryptRounds);
+  }
+
+  return argon2.hash(plaintext, { type: argon2.argon2id, ...settings.argon2 });
+};
+
+export const verify = async (plaintext, storedHash) => {
+  if (!plaintext || !storedHash) {
+    return false;
+  }
+
+  switch (getHashAlgorithm(storedHash)) {
+    case 'argon2id':
+    case 'argon2':
+      return argon2.verify(storedHash, plaintext);
+    case 'bcrypt':
+      return bcrypt.compare(plaintext, storedHash);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether a hash was made with another algorithm or other parameters than the current settings
+ * Only meaningful after verify() succeeded, since rehashing needs the plaintext
+ */
+export const needsRehash = (storedHash) => {
+  const settings = getHashSettings();
+  const algorithm = getHashAlgorithm(storedHash);
+
+  if (algorithm !== settings.algorithm) {
+    return true;
+  }
+
+  if (algorithm === 'bcrypt') {
+    return bcrypt.getRounds(storedHash) !== settings.bcryptRounds;
+  }
+
+  return argon2.needsRehash(storedHash, settings.argon2);
+};
+
+// Export all functions as named exports
+export default {
+  getHashSettings,
+  getHashAlgorithm,
+  hash,
+  verify,
+  needsRehash
+};
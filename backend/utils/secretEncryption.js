@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+/**
+ * Encryption of secret database columns (MFA secrets, private keys)
+ * AES-256-GCM with a random 96-bit IV per value. Values are stored as
+ *   enc:<keyVersion>:<iv>:<authTag>:<ciphertext>   (base64url parts)
+ * so each records the key that encrypted it and old keys keep decrypting after a rotation.
+ * The column name is bound as additional authenticated data, so a value copied into another
+ * column does not decrypt.
+ *
+ * Keys come from SECRET_ENCRYPTION_KEYS ("v1:<base64 key>,v2:<base64 key>", 32-byte keys);
+ * SECRET_ENCRYPTION_KEY_VERSION picks the one that encrypts (default: the last listed).
+ */
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const VERSION_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Every encrypted column; the context is what encrypt() and decrypt() are called with.
+// MfaMethod.secret took over User.mfaSecret with its values, so it keeps that context
+export const SECRET_COLUMNS = [
+  { model: 'mfaMethod', field: 'secret', context: 'User.mfaSecret' },
+  { model: 'mfaEnrollment', field: 'secret', context: 'MfaEnrollment.secret' },
+  { model: 'signingKey', field: 'privateKey', context: 'SigningKey.privateKey' },
+  { model: 'samlConnection', field: 'signingKey', context: 'SamlConnection.signingKey' }
+];
+
+let cachedKeys = null;
+let cachedSource = null;
+let plaintextWarned = false;
+
+const parseKeys = (source) => {
+  const keys = new Map();
+
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf(':');
+    const version = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !VERSION_PATTERN.test(version)) {
+      throw new Error('SECRET_ENCRYPTION_KEYS entries must look like "<version>:<base64 key>"');
+    }
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Secret encryption key ${version} must be ${KEY_LENGTH} bytes`);
+    }
+    if (keys.has(version)) {
+      throw new Error(`Secret encryption key ${version} is listed twice`);
+    }
+    keys.set(version, key);
+  });
+
+  return keys;
+};
+
+// Parsed again only when the environment value changes
+export const getKeyring = () => {
+  const source = process.env.SECRET_ENCRYPTION_KEYS || '';
+  if (source !== cachedSource) {
+    cachedKeys = parseKeys(source);
+    cachedSource = source;
+  }
+
+  if (cachedKeys.size === 0) {
+    throw new Error('SECRET_ENCRYPTION_KEYS is not configured');
+  }
+
+  const currentVersion = process.env.SECRET_ENCRYPTION_KEY_VERSION || [...cachedKeys.keys()].pop();
+  if (!cachedKeys.has(currentVersion)) {
+    throw new Error(`SECRET_ENCRYPTION_KEY_VERSION ${currentVersion} is not in SECRET_ENCRYPTION_KEYS`);
+  }
+
+  return { keys: cachedKeys, currentVersion };
+};
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+export const getKeyVersion = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * Encrypt a value for the given column (e.g. "SigningKey.privateKey")
+ */
+export const encrypt = (plaintext, context) => {
+  const { keys, currentVersion } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    currentVersion,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+};
+
+/**
+ * Decrypt a stored value for the given column
+ * Values written before encryption was introduced are returned as they are until
+ * `npm run secrets:migrate-plaintext` has encrypted them
+ */
+export const decrypt = (value, context) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (!isEncrypted(value)) {
+    if (!plaintextWarned) {
+      logger.warn('Unencrypted secret found in the database; run npm run secrets:migrate-plaintext', { context });
+      plaintextWarned = true;
+    }
+    return value;
+  }
+
+  const [, version, iv, authTag, ciphertext] = value.split(':');
+  const { keys } = getKeyring();
+  const key = keys.get(version);
+  if (!key) {
+    throw new Error(`Secret encryption key ${version} is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(context, 'utf8'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// Plaintext values and values under an older key are re-encrypted by the rotation command
+export const needsReencryption = (value) => {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return getKeyVersion(value) !== getKeyring().currentVersion;
+};
+
+// Export all functions as named exports
+export default {
+  SECRET_COLUMNS,
+  getKeyring,
+  isEncrypted,
+  getKeyVersion,
+  encrypt,
+  decrypt,
+  needsReencryption
+};
@@ -0,0 +1,75 @@
+/**
+ * Short-lived in-memory cache of session lookups
+ * Keeps access token verification from hitting the database on every request
+ */
+
+// Configuration constants
+const CACHE_TTL_MS = parseInt(process.env.SESSION_CACHE_TTL_MS, 10) || 30 * 1000; // 30 seconds
+const MAX_ENTRIES = 10000;
+
+const cache = new Map();
+
+const pruneExpired = () => {
+  const now = Date.now();
+  for (const [sessionId, entry] of cache) {
+    if (entry.cachedUntil <= now) {
+      cache.delete(sessionId);
+    }
+  }
+};
+
+export const get = (sessionId) => {
+  const entry = cache.get(sessionId);
+  if (!entry) return undefined;
+
+  if (entry.cachedUntil <= Date.now()) {
+    cache.delete(sessionId);
+    return undefined;
+  }
+
+  return entry.session;
+};
+
+export const set = (sessionId, session) => {
+  // Re-inserting moves the entry to the end, so the first key is always the oldest
+  cache.delete(sessionId);
+
+  if (cache.size >= MAX_ENTRIES) {
+    pruneExpired();
+  }
+
+  // Under heavy load nothing may have expired yet; drop the oldest entry to stay within the limit
+  if (cache.size >= MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  // A missing session is cached as null so repeated bad tokens stay cheap
+  cache.set(sessionId, {
+    session: session || null,
+    cachedUntil: Date.now() + CACHE_TTL_MS
+  });
+};
+
+export const invalidate = (sessionId) => {
+  cache.delete(sessionId);
+};
+
+export const invalidateUser = (userId) => {
+  for (const [sessionId, entry] of cache) {
+    if (entry.session?.userId === userId) {
+      cache.delete(sessionId);
+    }
+  }
+};
+
+export const clear = () => {
+  cache.clear();
+};
+// Export all functions as named exports
+export default {
+  get,
+  set,
+  invalidate,
+  invalidateUser,
+  clear
+};
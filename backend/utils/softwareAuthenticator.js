@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { isoCBOR } from '@simplewebauthn/server/helpers';
+
+/**
+ * Software WebAuthn authenticator for checks and local testing
+ * Answers registration and authentication options the way a browser and a platform authenticator
+ * would: "none" attestation, one ES256 (P-256) key per credential and a signature counter that
+ * advances with every assertion. Never use it to protect a real account.
+ *
+ *   const authenticator = createSoftwareAuthenticator({ origin: 'http://localhost:5173' });
+ *   const attestation = authenticator.register(registrationOptions);
+ *   const assertion = authenticator.authenticate(authenticationOptions);
+ */
+
+// Flags in authenticator data
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+const COSE_ES256 = -7;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const encodeUint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const buildClientData = (type, challenge, origin) => Buffer.from(JSON.stringify({
+  type,
+  challenge,
+  origin,
+  crossOrigin: false
+}));
+
+// COSE_Key for an EC2 P-256 public key
+const toCosePublicKey = (publicKey) => {
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  return Buffer.from(isoCBOR.encode(new Map([
+    [1, 2],
+    [3, COSE_ES256],
+    [-1, 1],
+    [-2, new Uint8Array(Buffer.from(x, 'base64url'))],
+    [-3, new Uint8Array(Buffer.from(y, 'base64url'))]
+  ])));
+};
+
+export const createSoftwareAuthenticator = (options = {}) => {
+  const { origin = 'http://localhost:5173', userVerified = true } = options;
+  const credentials = new Map();
+
+  const getFlags = (extra = 0) => FLAG_USER_PRESENT | (userVerified ? FLAG_USER_VERIFIED : 0) | extra;
+
+  /**
+   * Create a credential for PublicKeyCredentialCreationOptionsJSON; returns RegistrationResponseJSON
+   */
+  const register = (creationOptions) => {
+    const rpId = creationOptions.rp.id;
+    const credentialId = crypto.randomBytes(16);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    credentials.set(credentialId.toString('base64url'), { rpId, privateKey, counter: 0 });
+
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+
+    const authData = Buffer.concat([
+      sha256(rpId),
+      Buffer.from([getFlags(FLAG_ATTESTED_CREDENTIAL)]),
+      encodeUint32(0),
+      Buffer.alloc(16), // AAGUID: none
+      credentialIdLength,
+      credentialId,
+      toCosePublicKey(publicKey)
+    ]);
+
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', new Uint8Array(authData)]
+    ]));
+
+    const id = credentialId.toString('base64url');
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: buildClientData('webauthn.create', creationOptions.challenge, origin).toString('base64url'),
+        attestationObject: Buffer.from(attestationObject).toString('base64url'),
+        transports: ['internal']
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: 'platform'
+    };
+  };
+
+  /**
+   * Sign PublicKeyCredentialRequestOptionsJSON with a credential created here; returns
+   * AuthenticationResponseJSON. Without allowCredentials (passwordless sign-in) the first credential
+   * for the RP ID answers, as a discoverable passkey would
+   */
+  const authenticate = (requestOptions, overrides = {}) => {
+    const allowed = (requestOptions.allowCredentials || []).map(descriptor => descriptor.id);
+    const id = overrides.credentialId || [...credentials.keys()].find(candidate => (
+      credentials.get(candidate).rpId === requestOptions.rpId
+      && (allowed.length === 0 || allowed.includes(candidate))
+    ));
+
+    const credential = credentials.get(id);
+    if (!credential) {
+      throw new Error('No credential for this relying party');
+    }
+
+    credential.counter += 1;
+    const counter = overrides.counter ?? credential.counter;
+
+    const authData = Buffer.concat([
+      sha256(requestOptions.rpId),
+      Buffer.from([getFlags()]),
+      encodeUint32(counter)
+    ]);
+    const clientData = buildClientData('webauthn.get', requestOptions.challenge, overrides.origin || origin);
+    const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientData)]), credential.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: overrides.userHandle
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: 'platform'
+    };
+  };
+
+  return { register, authenticate };
+};
+
+export default {
+  createSoftwareAuthenticator
+};
@@ -1,5 +1,10 @@
 import crypto from 'crypto';
+import zlib from 'zlib';
 import jwt from 'jsonwebtoken';
+import forge from 'node-forge';
+import xpath from 'xpath';
+import { DOMParser } from '@xmldom/xmldom';
+import { SignedXml } from 'xml-crypto';
 
 /**
  * Single Sign-On (SSO) utilities
@@ -10,25 +15,273 @@ import jwt from 'jsonwebtoken';
 const SSO_SECRET = process.env.SSO_SECRET || 'your-sso-secret-key';
 const SSO_ISSUER = process.env.SSO_ISSUER || 'erp-system';
 
+// SAML 2.0 namespaces and algorithms
+const SAML_NS = {
+  samlp: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  saml: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  md: 'urn:oasis:names:tc:SAML:2.0:metadata',
+  ds: 'http://www.w3.org/2000/09/xmldsig#'
+};
+const SAML_BINDINGS = {
+  redirect: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
+  post: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST'
+};
+const SAML_STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const SAML_BEARER = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const RSA_SHA256 = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+const SHA256 = 'http://www.w3.org/2001/04/xmlenc#sha256';
+const EXC_C14N = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+const ENVELOPED_SIGNATURE = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+export const SAML_NAMEID_FORMATS = {
+  email: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+  persistent: 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent',
+  unspecified: 'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified'
+};
+// Tolerated clock difference between us and the other party
+const SAML_CLOCK_SKEW_MS = 3 * 60 * 1000; // 3 minutes
+const SAML_ASSERTION_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const selectSAML = xpath.useNamespaces(SAML_NS);
+
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;'
+}[char]));
+
+const parseXml = (xml) => {
+  // No DTDs: they are never legitimate in SAML and open the door to entity expansion
+  if (/<!DOCTYPE/i.test(xml)) {
+    throw new Error('SAML message contains a DOCTYPE');
+  }
+
+  const errors = [];
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (message) => errors.push(message),
+      fatalError: (message) => errors.push(message)
+    }
+  }).parseFromString(xml, 'text/xml');
+
+  if (errors.length > 0 || !doc?.documentElement) {
+    throw new Error('SAML message is not well-formed XML');
+  }
+
+  return doc;
+};
+
+const selectOne = (path, node) => selectSAML(path, node, true) || null;
+const textOf = (path, node) => selectOne(path, node)?.textContent?.trim() || null;
+
+// Accepts a PEM certificate or the bare base64 body that metadata files carry
+export const normalizeCertificate = (certificate) => {
+  if (!certificate) {
+    return null;
+  }
+
+  const body = String(certificate)
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+  const lines = body.match(/.{1,64}/g) || [];
+
+  const pem = `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+  // Throws on anything that is not a certificate
+  new crypto.X509Certificate(pem);
+  return pem;
+};
+
+const certificateBody = (certificate) => {
+  return normalizeCertificate(certificate).replace(/-----(BEGIN|END) CERTIFICATE-----|\s+/g, '');
+};
+
+// Self-signed key pair for one SAML connection (what SAML peers expect; no CA is involved)
+export const generateSAMLCertificate = (commonName, validDays = 3650) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  // Leading 01 keeps the serial positive
+  certificate.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+  certificate.validity.notBefore = new Date();
+  certificate.validity.notAfter = new Date(Date.now() + validDays * 24 * 60 * 60 * 1000);
+
+  const attributes = [{ name: 'commonName', value: commonName }];
+  certificate.setSubject(attributes);
+  certificate.setIssuer(attributes);
+  certificate.sign(
+    forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' })),
+    forge.md.sha256.create()
+  );
+
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    certificate: forge.pki.certificateToPem(certificate),
+    expiresAt: certificate.validity.notAfter
+  };
+};
+
+const signXml = (xml, config) => {
+  const { privateKey, certificate, elementXpath } = config;
+
+  const signature = new SignedXml({
+    privateKey,
+    publicCert: certificate,
+    signatureAlgorithm: RSA_SHA256,
+    canonicalizationAlgorithm: EXC_C14N
+  });
+
+  signature.addReference({
+    xpath: elementXpath,
+    digestAlgorithm: SHA256,
+    transforms: [ENVELOPED_SIGNATURE, EXC_C14N]
+  });
+
+  // The schema puts ds:Signature right after the element's Issuer
+  signature.computeSignature(xml, {
+    prefix: 'ds',
+    location: { reference: `${elementXpath}/*[local-name(.)='Issuer']`, action: 'after' }
+  });
+
+  return signature.getSignedXml();
+};
+
+// Returns the canonical XML the signature covers, or null when the element carries no valid signature of its own
+const verifyElementSignature = (xml, element, certificate) => {
+  const signatures = selectSAML('./ds:Signature', element);
+  if (signatures.length !== 1) {
+    return null;
+  }
+
+  try {
+    // KeyInfo is ignored: only the certificate configured for the connection is trusted
+    const signature = new SignedXml({ publicCert: certificate });
+    signature.loadSignature(signatures[0]);
+
+    if (!signature.checkSignature(xml)) {
+      return null;
+    }
+
+    const references = signature.getReferences();
+    const id = element.getAttribute('ID');
+    if (references.length !== 1 || !id || references[0].uri !== `#${id}`) {
+      return null;
+    }
+
+    return signature.getSignedReferences()[0] || null;
+  } catch {
+    return null;
+  }
+};
+
 export const generateSAMLRequest = (config) => {
   const {
     issuer = SSO_ISSUER,
     destination,
     assertionConsumerServiceURL,
-    relayState = null
+    nameIdFormat = SAML_NAMEID_FORMATS.email
   } = config;
 
   const requestId = `_${crypto.randomUUID()}`;
   const timestamp = new Date().toISOString();
 
+  const xml = `<samlp:AuthnRequest xmlns:samlp="${SAML_NS.samlp}" xmlns:saml="${SAML_NS.saml}"`
+    + ` ID="${requestId}" Version="2.0" IssueInstant="${timestamp}"`
+    + ` Destination="${escapeXml(destination)}"`
+    + ` AssertionConsumerServiceURL="${escapeXml(assertionConsumerServiceURL)}"`
+    + ` ProtocolBinding="${SAML_BINDINGS.post}">`
+    + `<saml:Issuer>${escapeXml(issuer)}</saml:Issuer>`
+    + `<samlp:NameIDPolicy Format="${escapeXml(nameIdFormat)}" AllowCreate="true"/>`
+    + '</samlp:AuthnRequest>';
+
   return {
     id: requestId,
-    version: '2.0',
     issueInstant: timestamp,
-    issuer,
+    xml
+  };
+};
+
+// HTTP-Redirect binding: DEFLATE + base64 in the query string, signed over the query string itself
+export const buildSAMLRedirectURL = (config) => {
+  const {
     destination,
-    assertionConsumerServiceURL,
-    relayState
+    xml,
+    messageType = 'SAMLRequest',
+    relayState = null,
+    privateKey = null
+  } = config;
+
+  const encoded = zlib.deflateRawSync(Buffer.from(xml, 'utf8')).toString('base64');
+  let query = `${messageType}=${encodeURIComponent(encoded)}`;
+
+  if (relayState) {
+    query += `&RelayState=${encodeURIComponent(relayState)}`;
+  }
+
+  if (privateKey) {
+    query += `&SigAlg=${encodeURIComponent(RSA_SHA256)}`;
+    const signature = crypto.sign('sha256', Buffer.from(query, 'utf8'), privateKey);
+    query += `&Signature=${encodeURIComponent(signature.toString('base64'))}`;
+  }
+
+  return `${destination}${destination.includes('?') ? '&' : '?'}${query}`;
+};
+
+// Checks an HTTP-Redirect signature; rawQuery must be the query string exactly as received
+export const verifySAMLRedirectSignature = (rawQuery, certificate, messageType = 'SAMLRequest') => {
+  const raw = new Map(rawQuery.replace(/^\?/, '').split('&').map(part => {
+    const separator = part.indexOf('=');
+    return separator === -1 ? [part, ''] : [part.slice(0, separator), part.slice(separator + 1)];
+  }));
+
+  const sigAlg = raw.has('SigAlg') ? decodeURIComponent(raw.get('SigAlg')) : null;
+  if (!raw.has('Signature') || sigAlg !== RSA_SHA256) {
+    return false;
+  }
+
+  const signed = [messageType, 'RelayState', 'SigAlg']
+    .filter(key => raw.has(key))
+    .map(key => `${key}=${raw.get(key)}`)
+    .join('&');
+
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.from(signed, 'utf8'),
+      normalizeCertificate(certificate),
+      Buffer.from(decodeURIComponent(raw.get('Signature')), 'base64')
+    );
+  } catch {
+    return false;
+  }
+};
+
+export const decodeSAMLMessage = (encoded, deflated = false) => {
+  const buffer = Buffer.from(String(encoded), 'base64');
+  return (deflated ? zlib.inflateRawSync(buffer) : buffer).toString('utf8');
+};
+
+export const parseSAMLRequest = (xml, config = {}) => {
+  const { certificate = null } = config;
+
+  const doc = parseXml(xml);
+  const request = doc.documentElement;
+
+  if (request.localName !== 'AuthnRequest' || request.namespaceURI !== SAML_NS.samlp) {
+    throw new Error('Not a SAML AuthnRequest');
+  }
+
+  return {
+    id: request.getAttribute('ID'),
+    issuer: textOf('./saml:Issuer', request),
+    destination: request.getAttribute('Destination') || null,
+    assertionConsumerServiceURL: request.getAttribute('AssertionConsumerServiceURL') || null,
+    nameIdFormat: selectOne('./samlp:NameIDPolicy', request)?.getAttribute('Format') || null,
+    issueInstant: request.getAttribute('IssueInstant'),
+    // Only meaningful for the HTTP-POST binding; redirect signatures are checked on the query string
+    signed: certificate ? verifyElementSignature(xml, request, normalizeCertificate(certificate)) !== null : false
   };
 };
 
@@ -36,85 +289,242 @@ export const generateSAMLResponse = (config, user) => {
   const {
     issuer = SSO_ISSUER,
     destination,
-    assertionConsumerServiceURL,
-    relayState = null
+    audience,
+    inResponseTo = null,
+    nameId = user.email,
+    nameIdFormat = SAML_NAMEID_FORMATS.email,
+    attributes = {},
+    sessionIndex = null,
+    privateKey,
+    certificate
   } = config;
 
   const responseId = `_${crypto.randomUUID()}`;
   const assertionId = `_${crypto.randomUUID()}`;
-  const timestamp = new Date().toISOString();
+  const now = new Date();
+  const timestamp = now.toISOString();
+  const notBefore = new Date(now.getTime() - SAML_CLOCK_SKEW_MS).toISOString();
+  const notOnOrAfter = new Date(now.getTime() + SAML_ASSERTION_TTL_MS).toISOString();
+  const inResponseToAttribute = inResponseTo ? ` InResponseTo="${escapeXml(inResponseTo)}"` : '';
+
+  const attributeXml = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const values = (Array.isArray(value) ? value : [value])
+        .map(item => `<saml:AttributeValue xsi:type="xs:string">${escapeXml(item)}</saml:AttributeValue>`)
+        .join('');
+      return `<saml:Attribute Name="${escapeXml(name)}" NameFormat="urn:oasis:names:tc:SAML:2.0:attrname-format:uri">${values}</saml:Attribute>`;
+    })
+    .join('');
+
+  const assertion = `<saml:Assertion xmlns:saml="${SAML_NS.saml}" xmlns:xs="http://www.w3.org/2001/XMLSchema"`
+    + ` xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ID="${assertionId}" Version="2.0" IssueInstant="${timestamp}">`
+    + `<saml:Issuer>${escapeXml(issuer)}</saml:Issuer>`
+    + '<saml:Subject>'
+    + `<saml:NameID Format="${escapeXml(nameIdFormat)}">${escapeXml(nameId)}</saml:NameID>`
+    + `<saml:SubjectConfirmation Method="${SAML_BEARER}">`
+    + `<saml:SubjectConfirmationData NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeXml(destination)}"${inResponseToAttribute}/>`
+    + '</saml:SubjectConfirmation>'
+    + '</saml:Subject>'
+    + `<saml:Conditions NotBefore="${notBefore}" NotOnOrAfter="${notOnOrAfter}">`
+    + `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>`
+    + '</saml:Conditions>'
+    + `<saml:AuthnStatement AuthnInstant="${timestamp}"${sessionIndex ? ` SessionIndex="${escapeXml(sessionIndex)}"` : ''}>`
+    + '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>'
+    + '</saml:AuthnStatement>'
+    + (attributeXml ? `<saml:AttributeStatement>${attributeXml}</saml:AttributeStatement>` : '')
+    + '</saml:Assertion>';
+
+  const response = `<samlp:Response xmlns:samlp="${SAML_NS.samlp}" xmlns:saml="${SAML_NS.saml}"`
+    + ` ID="${responseId}" Version="2.0" IssueInstant="${timestamp}" Destination="${escapeXml(destination)}"${inResponseToAttribute}>`
+    + `<saml:Issuer>${escapeXml(issuer)}</saml:Issuer>`
+    + `<samlp:Status><samlp:StatusCode Value="${SAML_STATUS_SUCCESS}"/></samlp:Status>`
+    + assertion
+    + '</samlp:Response>';
+
+  // Sign the assertion, then the whole response, so SPs that check either one are satisfied
+  const signingConfig = { privateKey, certificate };
+  const signedAssertion = signXml(response, { ...signingConfig, elementXpath: "//*[local-name(.)='Assertion']" });
+  const xml = signXml(signedAssertion, { ...signingConfig, elementXpath: "/*[local-name(.)='Response']" });
 
   return {
     id: responseId,
-    version: '2.0',
-    issueInstant: timestamp,
-    destination,
-    issuer,
-    status: {
-      statusCode: {
-        value: 'urn:oasis:names:tc:SAML:2.0:status:Success'
-      }
-    },
-    assertion: {
-      id: assertionId,
-      version: '2.0',
-      issueInstant: timestamp,
-      issuer,
-      subject: {
-        nameID: {
-          format: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
-          value: user.email
-        },
-        subjectConfirmation: {
-          method: 'urn:oasis:names:tc:SAML:2.0:cm:bearer',
-          subjectConfirmationData: {
-            notOnOrAfter: new Date(Date.now() + 5 * 60 * 1000).toISOString(), // 5 minutes
-            recipient: assertionConsumerServiceURL
-          }
-        }
-      },
-      conditions: {
-        notBefore: timestamp,
-        notOnOrAfter: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
-        audienceRestriction: {
-          audience: issuer
-        }
-      },
-      attributeStatement: {
-        attributes: [
-          {
-            name: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
-            nameFormat: 'urn:oasis:names:tc:SAML:2.0:attrname-format:uri',
-            attributeValue: user.email
-          },
-          {
-            name: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
-            nameFormat: 'urn:oasis:names:tc:SAML:2.0:attrname-format:uri',
-            attributeValue: user.firstName
-          },
-          {
-            name: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
-            nameFormat: 'urn:oasis:names:tc:SAML:2.0:attrname-format:uri',
-            attributeValue: user.lastName
-          },
-          {
-            name: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/role',
-            nameFormat: 'urn:oasis:names:tc:SAML:2.0:attrname-format:uri',
-            attributeValue: user.role?.name || 'user'
-          }
-        ]
-      }
-    },
-    relayState
+    assertionId,
+    xml
   };
 };
 
+export const validateSAMLResponse = (xml, config) => {
+  const {
+    certificate,
+    idpEntityId,
+    spEntityId,
+    acsUrl,
+    now = new Date()
+  } = config;
+
+  const trustedCertificate = normalizeCertificate(certificate);
+  const doc = parseXml(xml);
+  const response = doc.documentElement;
+
+  if (response.localName !== 'Response' || response.namespaceURI !== SAML_NS.samlp) {
+    throw new Error('Not a SAML Response');
+  }
+
+  const statusCode = selectOne('./samlp:Status/samlp:StatusCode', response)?.getAttribute('Value');
+  if (statusCode !== SAML_STATUS_SUCCESS) {
+    const statusMessage = textOf('./samlp:Status/samlp:StatusMessage', response);
+    throw new Error(`The identity provider refused the sign-in: ${statusMessage || statusCode || 'unknown status'}`);
+  }
+
+  const destination = response.getAttribute('Destination');
+  if (destination && destination !== acsUrl) {
+    throw new Error('SAML Response destination mismatch');
+  }
+
+  const responseIssuer = textOf('./saml:Issuer', response);
+  if (responseIssuer && responseIssuer !== idpEntityId) {
+    throw new Error('SAML Response issuer mismatch');
+  }
+
+  if (selectSAML('//saml:EncryptedAssertion', doc).length > 0) {
+    throw new Error('Encrypted SAML assertions are not supported');
+  }
+
+  // Exactly one assertion, so a signed one cannot sit next to a forged one (signature wrapping)
+  const assertions = selectSAML('//saml:Assertion', doc);
+  if (assertions.length !== 1) {
+    throw new Error('SAML Response must contain exactly one assertion');
+  }
+
+  // From here on only signed content is read: either the signed response or the signed assertion
+  let assertion = null;
+  const signedResponse = verifyElementSignature(xml, response, trustedCertificate);
+  if (signedResponse) {
+    const signedAssertions = selectSAML('//saml:Assertion', parseXml(signedResponse));
+    assertion = signedAssertions.length === 1 ? signedAssertions[0] : null;
+  } else {
+    const signedAssertion = verifyElementSignature(xml, assertions[0], trustedCertificate);
+    assertion = signedAssertion ? parseXml(signedAssertion).documentElement : null;
+  }
+
+  if (!assertion) {
+    throw new Error('SAML assertion is not signed by the identity provider');
+  }
+
+  if (textOf('./saml:Issuer', assertion) !== idpEntityId) {
+    throw new Error('SAML assertion issuer mismatch');
+  }
+
+  const earliest = now.getTime() - SAML_CLOCK_SKEW_MS;
+  const latest = now.getTime() + SAML_CLOCK_SKEW_MS;
+
+  const conditions = selectOne('./saml:Conditions', assertion);
+  if (!conditions) {
+    throw new Error('SAML assertion has no conditions');
+  }
+
+  const notBefore = conditions.getAttribute('NotBefore');
+  if (notBefore && Date.parse(notBefore) > latest) {
+    throw new Error('SAML assertion is not yet valid');
+  }
+
+  const notOnOrAfter = conditions.getAttribute('NotOnOrAfter');
+  if (notOnOrAfter && Date.parse(notOnOrAfter) <= earliest) {
+    throw new Error('SAML assertion has expired');
+  }
+
+  const audiences = selectSAML('./saml:AudienceRestriction/saml:Audience', conditions).map(node => node.textContent.trim());
+  if (!audiences.includes(spEntityId)) {
+    throw new Error('SAML assertion audience mismatch');
+  }
+
+  // At least one bearer confirmation aimed at our ACS that has not expired
+  const confirmation = selectSAML(`./saml:Subject/saml:SubjectConfirmation[@Method='${SAML_BEARER}']/saml:SubjectConfirmationData`, assertion)
+    .find(data => data.getAttribute('Recipient') === acsUrl
+      && Date.parse(data.getAttribute('NotOnOrAfter')) > earliest);
+
+  if (!confirmation) {
+    throw new Error('SAML assertion has no valid bearer confirmation for this service provider');
+  }
+
+  const nameIdNode = selectOne('./saml:Subject/saml:NameID', assertion);
+  const nameId = nameIdNode?.textContent?.trim();
+  if (!nameId) {
+    throw new Error('SAML assertion has no NameID');
+  }
+
+  const attributes = {};
+  selectSAML('./saml:AttributeStatement/saml:Attribute', assertion).forEach(attribute => {
+    const values = selectSAML('./saml:AttributeValue', attribute).map(node => node.textContent.trim());
+    const name = attribute.getAttribute('Name');
+    attributes[name] = [...(attributes[name] || []), ...values];
+  });
+
+  const expiresAt = [notOnOrAfter, confirmation.getAttribute('NotOnOrAfter')]
+    .filter(Boolean)
+    .map(value => Date.parse(value))
+    .reduce((min, value) => Math.min(min, value), Infinity);
+
+  return {
+    assertionId: assertion.getAttribute('ID'),
+    // Taken from the signed confirmation data, not the unsigned response envelope
+    inResponseTo: confirmation.getAttribute('InResponseTo') || null,
+    nameId,
+    nameIdFormat: nameIdNode.getAttribute('Format') || null,
+    sessionIndex: selectOne('./saml:AuthnStatement', assertion)?.getAttribute('SessionIndex') || null,
+    attributes,
+    // Until when the assertion ID must be remembered to catch replays
+    expiresAt: new Date(Number.isFinite(expiresAt) ? expiresAt + SAML_CLOCK_SKEW_MS : now.getTime() + SAML_ASSERTION_TTL_MS)
+  };
+};
+
+export const generateSAMLMetadata = (config) => {
+  const {
+    role,
+    entityId,
+    certificate,
+    acsUrl = null,
+    ssoUrl = null,
+    nameIdFormat = SAML_NAMEID_FORMATS.email,
+    wantAuthnRequestsSigned = false
+  } = config;
+
+  const keyDescriptor = '<md:KeyDescriptor use="signing">'
+    + `<ds:KeyInfo xmlns:ds="${SAML_NS.ds}"><ds:X509Data><ds:X509Certificate>${certificateBody(certificate)}</ds:X509Certificate></ds:X509Data></ds:KeyInfo>`
+    + '</md:KeyDescriptor>';
+  const nameIdFormatXml = `<md:NameIDFormat>${escapeXml(nameIdFormat)}</md:NameIDFormat>`;
+
+  const descriptor = role === 'sp'
+    ? '<md:SPSSODescriptor AuthnRequestsSigned="true" WantAssertionsSigned="true"'
+      + ` protocolSupportEnumeration="${SAML_NS.samlp}">`
+      + keyDescriptor
+      + nameIdFormatXml
+      + `<md:AssertionConsumerService Binding="${SAML_BINDINGS.post}" Location="${escapeXml(acsUrl)}" index="0" isDefault="true"/>`
+      + '</md:SPSSODescriptor>'
+    : `<md:IDPSSODescriptor WantAuthnRequestsSigned="${wantAuthnRequestsSigned}"`
+      + ` protocolSupportEnumeration="${SAML_NS.samlp}">`
+      + keyDescriptor
+      + nameIdFormatXml
+      + `<md:SingleSignOnService Binding="${SAML_BINDINGS.redirect}" Location="${escapeXml(ssoUrl)}"/>`
+      + `<md:SingleSignOnService Binding="${SAML_BINDINGS.post}" Location="${escapeXml(ssoUrl)}"/>`
+      + '</md:IDPSSODescriptor>';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + `<md:EntityDescriptor xmlns:md="${SAML_NS.md}" entityID="${escapeXml(entityId)}">`
+    + descriptor
+    + '</md:EntityDescriptor>';
+};
+
 export const generateOAuth2AuthURL = (config) => {
   const {
     clientId,
     redirectUri,
     scope = 'openid profile email',
     state,
+    nonce = null,
+    codeChallenge = null,
+    codeChallengeMethod = 'S256',
     responseType = 'code'
   } = config;
 
@@ -126,10 +536,19 @@ export const generateOAuth2AuthURL = (config) => {
     state: state || crypto.randomBytes(16).toString('hex')
   });
 
+  if (nonce) {
+    params.set('nonce', nonce);
+  }
+
+  if (codeChallenge) {
+    params.set('code_challenge', codeChallenge);
+    params.set('code_challenge_method', codeChallengeMethod);
+  }
+
   return `${config.authorizationEndpoint}?${params.toString()}`;
 };
 
-export const exchangeOAuth2Code = async (config, code) => {
+export const exchangeOAuth2Code = async (config, code, codeVerifier = null) => {
   const {
     clientId,
     clientSecret,
@@ -140,11 +559,19 @@ export const exchangeOAuth2Code = async (config, code) => {
   const params = new URLSearchParams({
     grant_type: 'authorization_code',
     client_id: clientId,
-    client_secret: clientSecret,
     redirect_uri: redirectUri,
     code
   });
 
+  // Public clients have no secret and rely on PKCE alone
+  if (clientSecret) {
+    params.set('client_secret', clientSecret);
+  }
+
+  if (codeVerifier) {
+    params.set('code_verifier', codeVerifier);
+  }
+
   try {
     const response = await fetch(tokenEndpoint, {
       method: 'POST',
@@ -265,10 +692,130 @@ export const generatePKCE = () => {
     codeChallengeMethod: 'S256'
   };
 };
+
+export const verifyPKCE = (codeVerifier, codeChallenge, codeChallengeMethod = 'S256') => {
+  if (!codeVerifier || !codeChallenge || codeChallengeMethod !== 'S256') {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  );
+  const actual = Buffer.from(codeChallenge);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const fetchJSON = async (url) => {
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+export const getOIDCDiscovery = async (issuer) => {
+  try {
+    return await fetchJSON(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  } catch (error) {
+    throw new Error(`OIDC discovery error: ${error.message}`);
+  }
+};
+
+// Keys are cached per JWKS URI and refetched when an unknown kid shows up (key rotation)
+const jwksCache = new Map();
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const getSigningKey = async (jwksUri, kid) => {
+  let cached = jwksCache.get(jwksUri);
+  const findKey = () => cached.keys.find(key => !kid || key.kid === kid);
+
+  if (!cached || cached.expiresAt <= Date.now() || !findKey()) {
+    const { keys = [] } = await fetchJSON(jwksUri);
+    cached = { keys, expiresAt: Date.now() + JWKS_CACHE_TTL_MS };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+export const verifyIdToken = async (idToken, config) => {
+  const { jwksUri, issuer, audience, nonce = null } = config;
+
+  try {
+    const header = jwt.decode(idToken, { complete: true })?.header;
+    if (!header) {
+      throw new Error('malformed token');
+    }
+
+    const key = await getSigningKey(jwksUri, header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer,
+      audience
+    });
+
+    if (nonce && claims.nonce !== nonce) {
+      throw new Error('nonce mismatch');
+    }
+
+    return claims;
+  } catch (error) {
+    throw new Error(`Invalid ID token: ${error.message}`);
+  }
+};
+
+// Read lazily: modules load before server.js runs dotenv
+const getSSOSecret = () => process.env.SSO_SECRET || SSO_SECRET;
+
+// Signed, short-lived record of an in-flight SSO login, kept in the browser that started it
+export const signFlowState = (data, expiresIn = '10m') => {
+  return jwt.sign(data, getSSOSecret(), {
+    algorithm: 'HS256',
+    expiresIn,
+    issuer: SSO_ISSUER,
+    audience: 'erp-sso-flow'
+  });
+};
+
+export const verifyFlowState = (token) => {
+  try {
+    return jwt.verify(token, getSSOSecret(), {
+      algorithms: ['HS256'],
+      issuer: SSO_ISSUER,
+      audience: 'erp-sso-flow'
+    });
+  } catch (error) {
+    throw new Error(`Invalid SSO flow state: ${error.message}`);
+  }
+};
+
+export const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a ?? ''));
+  const right = Buffer.from(String(b ?? ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
 // Export all functions as named exports
 export default {
+  SAML_NAMEID_FORMATS,
+  normalizeCertificate,
+  generateSAMLCertificate,
   generateSAMLRequest,
+  buildSAMLRedirectURL,
+  verifySAMLRedirectSignature,
+  decodeSAMLMessage,
+  parseSAMLRequest,
   generateSAMLResponse,
+  validateSAMLResponse,
+  generateSAMLMetadata,
   generateOAuth2AuthURL,
   exchangeOAuth2Code,
   getOAuth2UserInfo,
@@ -276,5 +823,11 @@ export default {
   verifySSOToken,
   generateState,
   verifyState,
-  generatePKCE
+  generatePKCE,
+  verifyPKCE,
+  getOIDCDiscovery,
+  verifyIdToken,
+  signFlowState,
+  verifyFlowState,
+  safeEqual
 };
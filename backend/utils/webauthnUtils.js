@@ -0,0 +1,67 @@
+import {
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+
+/**
+ * WebAuthn ceremony checks without storage
+ * The relying party and the expected challenge are parameters, so the checks can run against a
+ * software authenticator (see softwareAuthenticator.js and `npm run webauthn:self-test`) as well as
+ * from webauthnService, which supplies its stored challenges and credentials.
+ */
+
+const getFrontendUrl = () => new URL(process.env.FRONTEND_URL || 'http://localhost:5173');
+
+// Derived from FRONTEND_URL unless configured explicitly
+export const getRelyingParty = () => {
+  const origins = (process.env.WEBAUTHN_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    id: process.env.WEBAUTHN_RP_ID || getFrontendUrl().hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'ERP System',
+    origins: origins.length > 0 ? origins : [getFrontendUrl().origin]
+  };
+};
+
+/**
+ * Check an attestation; `expectedChallenge` is the challenge string or a (possibly async) predicate
+ * Returns the verification result from @simplewebauthn/server, or throws
+ */
+export const verifyRegistrationCeremony = (response, options = {}) => {
+  const { expectedChallenge, relyingParty = getRelyingParty(), requireUserVerification = false } = options;
+
+  return verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: relyingParty.origins,
+    expectedRPID: relyingParty.id,
+    requireUserVerification
+  });
+};
+
+/**
+ * Check an assertion against a stored credential ({ id, publicKey, counter, transports });
+ * a signature counter that did not advance is rejected
+ */
+export const verifyAssertionCeremony = (response, options = {}) => {
+  const { expectedChallenge, credential, relyingParty = getRelyingParty(), requireUserVerification = false } = options;
+
+  return verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: relyingParty.origins,
+    expectedRPID: relyingParty.id,
+    credential,
+    requireUserVerification
+  });
+};
+
+// Export all functions as named exports
+export default {
+  getRelyingParty,
+  verifyRegistrationCeremony,
+  verifyAssertionCeremony
+};
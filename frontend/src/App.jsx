@@ -16,12 +16,19 @@ import Navbar from './components/layout/Navbar';
 import LoginForm from './components/auth/LoginForm';
 import RegisterForm from './components/auth/RegisterForm';
 import MFAForm from './components/auth/MFAForm';
+import MFAEnrollmentForm from './components/auth/MFAEnrollmentForm';
+import PasswordChangeForm from './components/auth/PasswordChangeForm';
+import MagicLinkRequestForm from './components/auth/MagicLinkRequestForm';
+import MagicLinkSignIn from './components/auth/MagicLinkSignIn';
 import ForgotPasswordForm from './components/auth/ForgotPasswordForm';
 import ResetPasswordForm from './components/auth/ResetPasswordForm';
 import EmailVerification from './components/auth/EmailVerification';
+import SSOCallback from './components/auth/SSOCallback';
+import ReauthModal from './components/auth/ReauthModal';
 import Dashboard from './pages/Dashboard';
 import UserManagement from './pages/UserManagement';
 import RoleManagement from './pages/RoleManagement';
+import ClientManagement from './pages/ClientManagement';
 import AuditLogs from './pages/AuditLogs';
 import ProfileSettings from './pages/ProfileSettings';
 import SessionManagement from './pages/SessionManagement';
@@ -29,6 +36,8 @@ import SystemHealth from './pages/SystemHealth';
 import AdminTools from './pages/AdminTools';
 import MFAManagement from './pages/MFAManagement';
 import Notifications from './pages/Notifications';
+import OAuthConsent from './pages/OAuthConsent';
+import SAMLSignIn from './pages/SAMLSignIn';
 
 // Create a client
 const queryClient = new QueryClient({
@@ -100,15 +109,43 @@ function App() {
                 },
               }}
             />
+
+            {/* Step-up prompt for API requests that need a recent sign-in */}
+            <ReauthModal />
             
             <Routes>
               {/* Public Routes */}
               <Route path="/login" element={<LoginForm />} />
               <Route path="/register" element={<RegisterForm />} />
               <Route path="/mfa" element={<MFAForm />} />
+              <Route path="/mfa-enrollment" element={<MFAEnrollmentForm />} />
+              <Route path="/change-password" element={<PasswordChangeForm />} />
+              <Route path="/magic-link/request" element={<MagicLinkRequestForm />} />
+              <Route path="/magic-link" element={<MagicLinkSignIn />} />
               <Route path="/forgot-password" element={<ForgotPasswordForm />} />
               <Route path="/reset-password" element={<ResetPasswordForm />} />
               <Route path="/activate-account" element={<EmailVerification />} />
+              <Route path="/sso/callback" element={<SSOCallback />} />
+
+              {/* OAuth consent: signed in, but outside the admin layout */}
+              <Route
+                path="/oauth/consent"
+                element={
+                  <PrivateRoute>
+                    <OAuthConsent />
+                  </PrivateRoute>
+                }
+              />
+
+              {/* SAML sign-in to legacy ERP modules: signed in, but outside the admin layout */}
+              <Route
+                path="/saml/sso"
+                element={
+                  <PrivateRoute>
+                    <SAMLSignIn />
+                  </PrivateRoute>
+                }
+              />
               
               {/* Protected Routes using shared layout */}
               <Route
@@ -144,6 +181,17 @@ function App() {
                 }
               />
 
+              <Route
+                path="/clients"
+                element={
+                  <PrivateRoute>
+                    <ProtectedLayout sidebarCollapsed={sidebarCollapsed} toggleSidebar={toggleSidebar}>
+                      <ClientManagement />
+                    </ProtectedLayout>
+                  </PrivateRoute>
+                }
+              />
+
               <Route
                 path="/audit-logs"
                 element={
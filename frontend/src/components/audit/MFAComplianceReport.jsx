@@ -0,0 +1,90 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { ShieldCheck } from 'lucide-react';
+import { auditAPI } from '../../services/api';
+import Card from '../ui/Card';
+
+/**
+ * MFA Compliance Report Component
+ * Active users with MFA per role; roles that require it also show who is still within the
+ * grace period and who is overdue (sent through MFA setup at their next sign-in)
+ */
+const MFAComplianceReport = () => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['audit-mfa-compliance'],
+    queryFn: auditAPI.getMfaCompliance,
+    retry: 1,
+  });
+
+  const report = data?.data?.data;
+  const roles = report?.roles || [];
+
+  return (
+    <Card className="mb-8">
+      <div className="flex items-center mb-4">
+        <div className="h-10 w-10 rounded-full bg-forest-100 flex items-center justify-center mr-3">
+          <ShieldCheck className="h-5 w-5 text-forest-600" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-forest-900">MFA Compliance</h3>
+          <p className="text-sm text-sage-600">
+            {report
+              ? `${report.summary.enrolled} of ${report.summary.usersRequiringMfa} users in roles that require MFA are enrolled, ${report.summary.overdue} overdue`
+              : 'Two-factor enrollment per role'}
+          </p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center py-6 text-sm text-sage-500">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-sage-200 text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-sage-500 uppercase tracking-wider">
+                <th className="py-2 pr-4">Role</th>
+                <th className="py-2 pr-4">Requirement</th>
+                <th className="py-2 pr-4">Active Users</th>
+                <th className="py-2 pr-4">Enrolled</th>
+                <th className="py-2 pr-4">In Grace Period</th>
+                <th className="py-2 pr-4">Overdue</th>
+                <th className="py-2">Compliance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-sage-100">
+              {roles.map((role) => (
+                <tr key={role.roleId}>
+                  <td className="py-2 pr-4 font-medium text-forest-900">{role.name}</td>
+                  <td className="py-2 pr-4 text-sage-600">
+                    {role.mfaRequired
+                      ? `Required${role.mfaGracePeriodDays > 0 ? ` (${role.mfaGracePeriodDays}-day grace)` : ''}`
+                      : 'Optional'}
+                  </td>
+                  <td className="py-2 pr-4 text-sage-700">{role.activeUsers}</td>
+                  <td className="py-2 pr-4 text-sage-700">{role.enrolled}</td>
+                  <td className="py-2 pr-4 text-sage-700">{role.mfaRequired ? role.pending : '—'}</td>
+                  <td className={`py-2 pr-4 ${role.overdue > 0 ? 'text-red-600 font-medium' : 'text-sage-700'}`}>
+                    {role.mfaRequired ? role.overdue : '—'}
+                  </td>
+                  <td className="py-2">
+                    <div className="flex items-center">
+                      <div className="w-24 h-2 bg-sage-100 rounded-full mr-2">
+                        <div
+                          className={`h-2 rounded-full ${role.compliancePercent === 100 ? 'bg-moss-500' : role.mfaRequired ? 'bg-red-400' : 'bg-sage-400'}`}
+                          style={{ width: `${role.compliancePercent}%` }}
+                        />
+                      </div>
+                      <span className="text-sage-700">{role.compliancePercent}%</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default MFAComplianceReport;
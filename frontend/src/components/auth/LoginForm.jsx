@@ -1,22 +1,34 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../context/AuthContext';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { authAPI } from '../../services/api';
+import { getPasskeyErrorMessage } from '../../utils/passkeys';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Card from '../ui/Card';
-import { Eye, EyeOff, Mail, Lock, Shield } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, Shield, KeyRound, Fingerprint } from 'lucide-react';
 
 /**
  * Login Form Component
- * Handles user authentication with email/password and MFA support
+ * Handles user authentication with email/password, MFA and external identity providers
  */
 
+// Read back by the SSO callback page once the IdP round trip is done
+const SSO_REDIRECT_KEY = 'ssoRedirectTo';
+
 const LoginForm = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useAuth();
+  const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
+  const { login, loginWithPasskey } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Page that sent the user here (e.g. an OAuth consent request)
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search || ''}` : '/dashboard';
 
   const {
     register,
@@ -24,6 +36,18 @@ const LoginForm = () => {
     formState: { errors },
     setError,
   } = useForm();
+
+  const { data: ssoData } = useQuery({
+    queryKey: ['sso-providers'],
+    queryFn: authAPI.getSSOProviders,
+    retry: false,
+  });
+  const ssoProviders = ssoData?.data?.data || [];
+
+  const startSSOLogin = () => {
+    sessionStorage.setItem(SSO_REDIRECT_KEY, redirectTo);
+  };
+
   const emailValue = undefined; // placeholder to preserve structure
   const passwordValue = undefined; // placeholder to preserve structure
 
@@ -34,10 +58,24 @@ const LoginForm = () => {
       
       if (result.requiresMFA) {
         // Redirect to MFA page
-        navigate('/mfa', { state: { credentials: { email: data.email, password: data.password } } });
+        navigate('/mfa', {
+          state: {
+            methods: result.methods,
+            destinations: result.destinations,
+            webauthnOptions: result.webauthnOptions,
+            from,
+          },
+        });
+      } else if (result.requiresMFAEnrollment) {
+        // The role requires MFA and the grace period is over
+        navigate('/mfa-enrollment', { state: { from } });
+      } else if (result.requiresPasswordChange) {
+        navigate('/change-password', {
+          state: { passwordChangeToken: result.passwordChangeToken, reason: result.reason, from },
+        });
       } else {
-        // Redirect to dashboard
-        navigate('/dashboard');
+        // Redirect to dashboard (or back to the page that required login)
+        navigate(redirectTo, { replace: true });
       }
     } catch (error) {
       setError('root', {
@@ -49,6 +87,21 @@ const LoginForm = () => {
     }
   };
 
+  const onPasskeySignIn = async () => {
+    try {
+      setIsPasskeyLoading(true);
+      await loginWithPasskey();
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: getPasskeyErrorMessage(error, 'Passkey sign-in failed. Please try again.'),
+      });
+    } finally {
+      setIsPasskeyLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -168,6 +221,47 @@ const LoginForm = () => {
               </div>
             </div>
 
+            {ssoProviders.length > 0 && (
+              <div className="mt-4 space-y-3">
+                {ssoProviders.map((provider) => (
+                  <a
+                    key={`${provider.type}:${provider.id}`}
+                    href={authAPI.getSSOStartUrl(provider)}
+                    onClick={startSSOLogin}
+                    className="w-full flex justify-center items-center px-4 py-2 border border-forest-300 rounded-md shadow-sm bg-white text-sm font-medium text-forest-700 hover:bg-forest-50 hover:text-forest-800 transition-colors duration-200"
+                  >
+                    <KeyRound className="h-4 w-4 mr-2" />
+                    Sign in with {provider.name}
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {browserSupportsWebAuthn() && (
+              <div className="mt-4">
+                <button
+                  type="button"
+                  onClick={onPasskeySignIn}
+                  disabled={isPasskeyLoading}
+                  className="w-full flex justify-center items-center px-4 py-2 border border-forest-300 rounded-md shadow-sm bg-white text-sm font-medium text-forest-700 hover:bg-forest-50 hover:text-forest-800 transition-colors duration-200 disabled:opacity-50"
+                >
+                  <Fingerprint className="h-4 w-4 mr-2" />
+                  {isPasskeyLoading ? 'Waiting for passkey...' : 'Sign in with a passkey'}
+                </button>
+              </div>
+            )}
+
+            <div className="mt-4">
+              <Link
+                to="/magic-link/request"
+                state={{ from }}
+                className="w-full flex justify-center items-center px-4 py-2 border border-forest-300 rounded-md shadow-sm bg-white text-sm font-medium text-forest-700 hover:bg-forest-50 hover:text-forest-800 transition-colors duration-200"
+              >
+                <Mail className="h-4 w-4 mr-2" />
+                Email me a sign-in link
+              </Link>
+            </div>
+
             <div className="mt-4">
               <Link
                 to="/mfa"
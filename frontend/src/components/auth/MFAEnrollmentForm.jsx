@@ -0,0 +1,260 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../ui/Button';
+import Card from '../ui/Card';
+import Input from '../ui/Input';
+import MFASetupModal from '../mfa/MFASetupModal';
+import MFABackupCodesModal from '../mfa/MFABackupCodesModal';
+import { ShieldAlert, ArrowLeft, Smartphone, Mail, MessageSquare } from 'lucide-react';
+
+const METHOD_CHOICES = [
+  { type: 'totp', label: 'Authenticator app', icon: Smartphone },
+  { type: 'email', label: 'Email me codes', icon: Mail },
+  { type: 'sms', label: 'Text me codes', icon: MessageSquare },
+];
+
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * MFA Enrollment Form Component
+ * Sign-in step for users whose role requires MFA, or whose MFA an administrator reset: the enrollment ticket only allows setting up
+ * one MFA method (authenticator app, email or SMS codes, as offered), and the sign-in finishes
+ * once its first code is confirmed
+ */
+const MFAEnrollmentForm = () => {
+  const [setup, setSetup] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [completion, setCompletion] = useState(null);
+  const [choice, setChoice] = useState(null);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [code, setCode] = useState('');
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { mfaEnrollmentToken, mfaEnrollmentMethods, setupRequiredMFA, completeMFAEnrollment } = useAuth();
+  // StrictMode must not start two setups
+  const started = useRef(false);
+
+  const from = location.state?.from;
+  const choices = METHOD_CHOICES.filter((method) => mfaEnrollmentMethods.includes(method.type));
+
+  // Without a ticket from the sign-in step (direct visit, reload, or a spent ticket) there is nothing to set up
+  const isDirectAccess = !mfaEnrollmentToken && !completion;
+
+  const startSetup = async (options) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const mfaData = await setupRequiredMFA(options);
+      setSetup(mfaData);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not start MFA setup. Please sign in again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // With only the authenticator app on offer there is nothing to choose
+  useEffect(() => {
+    if (!mfaEnrollmentToken || started.current || mfaEnrollmentMethods.length !== 1) {
+      return;
+    }
+    started.current = true;
+
+    setupRequiredMFA({ type: mfaEnrollmentMethods[0] })
+      .then((mfaData) => setSetup(mfaData))
+      .catch((err) => setError(err.response?.data?.message || 'Could not start MFA setup. Please sign in again.'));
+  }, [mfaEnrollmentToken, mfaEnrollmentMethods, setupRequiredMFA]);
+
+  const handleChoose = (type) => {
+    setChoice(type);
+    if (type !== 'sms') {
+      startSetup({ type });
+    }
+  };
+
+  const handleEnable = async (data) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const result = await completeMFAEnrollment((data.token || '').toString().trim());
+      setSetup(null);
+      setCompletion(result);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Invalid code. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // The backup codes are shown once; the sign-in continues when they are dismissed
+  const handleContinue = () => {
+    if (completion.requiresPasswordChange) {
+      navigate('/change-password', {
+        replace: true,
+        state: { passwordChangeToken: completion.passwordChangeToken, reason: completion.reason, from },
+      });
+      return;
+    }
+
+    navigate(from ? `${from.pathname}${from.search || ''}` : '/dashboard', { replace: true });
+  };
+
+  const handleBackToLogin = () => {
+    navigate('/login');
+  };
+
+  const isTotpSetup = setup?.type === 'totp' || !!setup?.secret;
+  const isCodeSetup = !!setup && !isTotpSetup;
+  const canChoose = !isDirectAccess && !completion && !setup && choices.length > 1;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 text-forest-600">
+            <ShieldAlert className="h-12 w-12" />
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-forest-900">Set Up Two-Factor Authentication</h2>
+          <p className="mt-2 text-sm text-sage-600">
+            {isDirectAccess
+              ? 'Please log in first to set up two-factor authentication.'
+              : choices.length > 1
+                ? 'Your account requires two-factor authentication. Choose how you want to get your codes to finish signing in.'
+                : 'Your account requires two-factor authentication. Add an authenticator app to finish signing in.'}
+          </p>
+        </div>
+
+        <Card className="mt-8">
+          <div className="space-y-6">
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                <p className="text-sm text-red-600">{error}</p>
+              </div>
+            )}
+
+            {!isDirectAccess && !completion && !setup && !error && choices.length === 1 && (
+              <p className="text-sm text-sage-600 text-center">Preparing your setup...</p>
+            )}
+
+            {canChoose && (
+              <div className="space-y-3">
+                {choices.map((method) => {
+                  const Icon = method.icon;
+                  return (
+                    <Button
+                      key={method.type}
+                      variant={choice === method.type ? 'primary' : 'outline'}
+                      className="w-full"
+                      onClick={() => handleChoose(method.type)}
+                      loading={isLoading && choice === method.type}
+                      disabled={isLoading}
+                    >
+                      <Icon className="h-4 w-4 mr-2" />
+                      {method.label}
+                    </Button>
+                  );
+                })}
+
+                {choice === 'sms' && (
+                  <form
+                    className="space-y-3"
+                    onSubmit={(event) => {
+                      event.preventDefault();
+                      startSetup({ type: 'sms', phoneNumber: phoneNumber.trim() });
+                    }}
+                  >
+                    <Input
+                      label="Mobile number, with + and country code"
+                      type="tel"
+                      placeholder="+14155550123"
+                      value={phoneNumber}
+                      onChange={(event) => setPhoneNumber(event.target.value)}
+                      autoFocus
+                    />
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      className="w-full"
+                      loading={isLoading}
+                      disabled={isLoading || !PHONE_PATTERN.test(phoneNumber.trim())}
+                    >
+                      Send Code
+                    </Button>
+                  </form>
+                )}
+              </div>
+            )}
+
+            {isCodeSetup && (
+              <form
+                className="space-y-3"
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  handleEnable({ token: code });
+                }}
+              >
+                <p className="text-sm text-sage-600">Enter the 6-digit code sent to {setup.sentTo}.</p>
+                <Input
+                  label="Verification code"
+                  placeholder="000000"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={code}
+                  onChange={(event) => setCode(event.target.value)}
+                  autoFocus
+                />
+                <Button
+                  type="submit"
+                  variant="primary"
+                  className="w-full"
+                  loading={isLoading}
+                  disabled={isLoading || !/^\d{6}$/.test(code.trim())}
+                >
+                  Confirm and Sign In
+                </Button>
+                <button
+                  type="button"
+                  className="text-sm text-forest-600 hover:text-forest-500"
+                  onClick={() => setSetup(null)}
+                >
+                  Use a different method
+                </button>
+              </form>
+            )}
+
+            {completion && (
+              <Button variant="primary" className="w-full" onClick={handleContinue}>
+                Continue
+              </Button>
+            )}
+
+            <Button variant="outline" className="w-full" onClick={handleBackToLogin}>
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Login
+            </Button>
+          </div>
+        </Card>
+      </div>
+
+      <MFASetupModal
+        isOpen={isTotpSetup}
+        onClose={choices.length > 1 ? () => setSetup(null) : handleBackToLogin}
+        mfaSecret={setup?.secret}
+        qrCodeUrl={setup?.qrCodeUrl}
+        onSubmit={handleEnable}
+        loading={isLoading}
+      />
+
+      <MFABackupCodesModal
+        isOpen={!!completion}
+        onClose={handleContinue}
+        codes={completion?.backupCodes || []}
+        justEnabled
+      />
+    </div>
+  );
+};
+
+export default MFAEnrollmentForm;
@@ -1,12 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { authAPI } from '../../services/api';
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import Button from '../ui/Button';
 import Card from '../ui/Card';
-import { Shield, ArrowLeft } from 'lucide-react';
-import { MFATokenInput, MFAHelpText } from './MFASharedComponents';
+import { Shield, ArrowLeft, Fingerprint } from 'lucide-react';
+import { MFATokenInput, MFAHelpText, MFACodeSender } from './MFASharedComponents';
+import { getPasskeyErrorMessage } from '../../utils/passkeys';
 
 /**
  * MFA Form Component
@@ -15,15 +16,21 @@ import { MFATokenInput, MFAHelpText } from './MFASharedComponents';
 const MFAForm = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [useBackupCode, setUseBackupCode] = useState(false);
+  const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
+  const [trustDevice, setTrustDevice] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isAuthenticated, user } = useAuth();
+  const { completeMFALogin, sendMFACode, mfaChallengeToken } = useAuth();
   
-  const credentials = location.state?.credentials;
-  
-  // Debug authentication state
-  console.log('MFAForm - isAuthenticated:', isAuthenticated);
-  console.log('MFAForm - user:', user);
+  const from = location.state?.from;
+  // Second factors the account has; older sign-in responses only knew authenticator codes
+  const methods = location.state?.methods || ['totp'];
+  // Masked email address and phone number that codes go to
+  const destinations = location.state?.destinations || {};
+  const canUseCode = ['totp', 'email', 'sms'].some((method) => methods.includes(method));
+  const hasAuthenticator = methods.includes('totp');
+  const canUsePasskey = methods.includes('webauthn') && browserSupportsWebAuthn();
+  const [webauthnOptions, setWebauthnOptions] = useState(location.state?.webauthnOptions || null);
 
   const {
     register,
@@ -32,62 +39,73 @@ const MFAForm = () => {
     setError,
   } = useForm();
 
-  useEffect(() => {
-    // Only redirect if we're expecting credentials but don't have them
-    // Allow direct MFA access from login page
-    if (location.state?.expectCredentials && (!credentials?.email || !credentials?.password)) {
-      navigate('/login');
+  // Without a challenge from the password step (direct visit, reload, or a spent challenge) there is nothing to verify
+  const isDirectAccess = !mfaChallengeToken;
+
+  const finishSignIn = (result) => {
+    if (result.requiresPasswordChange) {
+      navigate('/change-password', {
+        state: { passwordChangeToken: result.passwordChangeToken, reason: result.reason, from },
+      });
+      return true;
+    }
+
+    if (result.success) {
+      // Small delay to ensure auth state is updated
+      setTimeout(() => {
+        navigate(from ? `${from.pathname}${from.search || ''}` : '/dashboard', { replace: true });
+      }, 100);
+      return true;
     }
-  }, [credentials, navigate, location.state]);
 
-  // Check if this is direct MFA access (no credentials)
-  const isDirectAccess = !credentials?.email || !credentials?.password;
+    return false;
+  };
+
+  const onPasskeyVerify = async () => {
+    try {
+      setIsPasskeyLoading(true);
+
+      // Passkey options work once; after a failed attempt the same MFA challenge issues new ones
+      let optionsJSON = webauthnOptions;
+      if (!optionsJSON) {
+        const prompt = await completeMFALogin();
+        optionsJSON = prompt.webauthnOptions;
+      }
+      setWebauthnOptions(null);
+
+      const webauthnResponse = await startAuthentication({ optionsJSON });
+      const result = await completeMFALogin({ webauthnResponse, trustDevice });
+
+      if (!finishSignIn(result)) {
+        setError('root', {
+          type: 'manual',
+          message: 'Login failed. Please try again.',
+        });
+      }
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: getPasskeyErrorMessage(error, 'Passkey verification failed. Please try again.'),
+      });
+    } finally {
+      setIsPasskeyLoading(false);
+    }
+  };
 
   const onSubmit = async (data) => {
     try {
       setIsLoading(true);
-      console.log('MFAForm onSubmit called with data:', data);
-      console.log('credentials:', credentials);
-      
       const token = (data.token || '').toString().trim().toUpperCase();
-      console.log('extracted token:', token);
-      
-      if (credentials?.email && credentials?.password) {
-        // Login with MFA token using AuthContext
-        console.log('Attempting login with MFA token...');
-        const loginData = { ...credentials, mfaToken: token };
-        console.log('Login data:', { ...loginData, password: '[REDACTED]' });
-        
-        const result = await login(loginData);
-        console.log('Login result:', result);
-        
-        if (result.success) {
-          console.log('Login successful, redirecting to dashboard');
-          // Small delay to ensure auth state is updated
-          setTimeout(() => {
-            navigate('/dashboard', { replace: true });
-          }, 100);
-        } else {
-          console.log('Login failed or requires additional MFA');
-          setError('root', {
-            type: 'manual',
-            message: 'Login failed. Please try again.',
-          });
-        }
-      } else {
-        // Direct MFA verification - redirect to login with a message
-        console.log('No credentials available, showing error message');
+
+      const result = await completeMFALogin({ mfaToken: token, trustDevice });
+
+      if (!finishSignIn(result)) {
         setError('root', {
           type: 'manual',
-          message: 'Please log in first, then you will be prompted for your MFA code.',
+          message: 'Login failed. Please try again.',
         });
-        setTimeout(() => {
-          navigate('/login');
-        }, 2000);
       }
     } catch (error) {
-      console.error('MFA verification error:', error);
-      console.error('Error response:', error.response);
       setError('root', {
         type: 'manual',
         message: error.response?.data?.message || 'Invalid code. Please try again.',
@@ -112,9 +130,13 @@ const MFAForm = () => {
           <p className="mt-2 text-sm text-sage-600">
             {isDirectAccess 
               ? 'Please log in first to access your account with MFA.'
-              : useBackupCode
-                ? 'Enter one of your 8-character backup codes.'
-                : 'Enter the 6-digit code from your authenticator app.'
+              : !canUseCode
+                ? 'Confirm your sign-in with one of your passkeys or security keys.'
+                : useBackupCode
+                  ? 'Enter one of your 8-character backup codes.'
+                  : hasAuthenticator
+                    ? 'Enter the 6-digit code from your authenticator app, or have one sent to you.'
+                    : 'Have a 6-digit code emailed or texted to you, then enter it below.'
             }
           </p>
         </div>
@@ -127,8 +149,12 @@ const MFAForm = () => {
               </div>
             )}
 
-            {!isDirectAccess && (
+            {!isDirectAccess && canUseCode && (
               <>
+                {!useBackupCode && (
+                  <MFACodeSender methods={methods} destinations={destinations} onSend={sendMFACode} />
+                )}
+
                 <div>
                   <MFATokenInput
                     label={useBackupCode ? 'Backup Code' : 'Authentication Code'}
@@ -139,23 +165,39 @@ const MFAForm = () => {
                   />
                 </div>
 
-                <MFAHelpText useBackupCode={useBackupCode} />
+                <MFAHelpText useBackupCode={useBackupCode} methods={methods} />
               </>
             )}
 
+            {/* Signed httpOnly cookie; this browser skips MFA until it expires or is revoked */}
+            {!isDirectAccess && (
+              <div className="flex items-center">
+                <input
+                  id="trust-device"
+                  type="checkbox"
+                  checked={trustDevice}
+                  onChange={(event) => setTrustDevice(event.target.checked)}
+                  className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded"
+                />
+                <label htmlFor="trust-device" className="ml-2 block text-sm text-forest-900">
+                  Trust this device for 30 days
+                </label>
+              </div>
+            )}
+
             {isDirectAccess && (
               <div className="bg-forest-50 border border-forest-200 rounded-md p-4">
                 <h3 className="text-sm font-medium text-forest-800 mb-2">How to use MFA</h3>
                 <ul className="text-sm text-forest-700 space-y-1">
                   <li>• First, log in with your email and password</li>
                   <li>• If MFA is enabled, you'll be prompted for your authentication code</li>
-                  <li>• Enter the 6-digit code from your authenticator app</li>
+                  <li>• Enter the 6-digit code from your authenticator app, email or text message</li>
                   <li>• Or use a backup code if you can't access your authenticator</li>
                 </ul>
               </div>
             )}
 
-            {!isDirectAccess && (
+            {!isDirectAccess && canUseCode && (
               <>
                 <div>
                   <Button
@@ -176,12 +218,29 @@ const MFAForm = () => {
                     onClick={() => setUseBackupCode(!useBackupCode)}
                     className="font-medium text-forest-600 hover:text-forest-500"
                   >
-                    {useBackupCode ? 'Use authenticator code instead' : 'Use a backup code'}
+                    {useBackupCode ? 'Use a 6-digit code instead' : 'Use a backup code'}
                   </button>
                 </div>
               </>
             )}
 
+            {!isDirectAccess && canUsePasskey && (
+              <div>
+                <Button
+                  type="button"
+                  variant={canUseCode ? 'outline' : 'primary'}
+                  size="lg"
+                  fullWidth
+                  onClick={onPasskeyVerify}
+                  loading={isPasskeyLoading}
+                  disabled={isPasskeyLoading || isLoading}
+                >
+                  <Fingerprint className="h-4 w-4 mr-2" />
+                  {isPasskeyLoading ? 'Waiting for passkey...' : 'Use a passkey or security key'}
+                </Button>
+              </div>
+            )}
+
             {isDirectAccess && (
               <div>
                 <Button
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
@@ -11,7 +11,9 @@ import {
   CheckCircle,
   XCircle,
   Key,
-  Settings
+  Settings,
+  Mail,
+  MessageSquare
 } from 'lucide-react';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
@@ -53,6 +55,85 @@ export const MFATokenInput = ({
   );
 };
 
+// Email and SMS codes, with the wording used when offering to send one
+const CODE_CHANNELS = [
+  { type: 'email', label: 'Email me a code', icon: Mail },
+  { type: 'sms', label: 'Text me a code', icon: MessageSquare },
+];
+
+// The server accepts one code request per minute
+const CODE_RESEND_SECONDS = 60;
+
+// MFA Code Sender Component
+// Offers to email or text a code for the email and SMS methods in `methods`; onSend(method)
+// resolves to { sentTo, expiresAt }
+export const MFACodeSender = ({ 
+  methods = [], 
+  destinations = {}, 
+  onSend, 
+  disabled = false 
+}) => {
+  const [sending, setSending] = useState(null);
+  const [sentTo, setSentTo] = useState(null);
+  const [cooldown, setCooldown] = useState(0);
+
+  useEffect(() => {
+    if (cooldown <= 0) return undefined;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const channels = CODE_CHANNELS.filter((channel) => methods.includes(channel.type));
+  if (channels.length === 0) return null;
+
+  const sendCode = async (method) => {
+    try {
+      setSending(method);
+      const delivery = await onSend(method);
+      setSentTo(delivery.sentTo);
+      setCooldown(CODE_RESEND_SECONDS);
+    } catch (error) {
+      if (error.response?.data?.retryAfter) {
+        setCooldown(error.response.data.retryAfter);
+      }
+      toast.error(error.response?.data?.message || 'Could not send the code. Please try again.');
+    } finally {
+      setSending(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {channels.map((channel) => {
+          const Icon = channel.icon;
+          return (
+            <Button
+              key={channel.type}
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => sendCode(channel.type)}
+              loading={sending === channel.type}
+              disabled={disabled || !!sending || cooldown > 0}
+              title={destinations[channel.type] ? `Send to ${destinations[channel.type]}` : undefined}
+            >
+              <Icon className="h-4 w-4 mr-2" />
+              {channel.label}
+            </Button>
+          );
+        })}
+      </div>
+      {(sentTo || cooldown > 0) && (
+        <p className="text-xs text-sage-600">
+          {sentTo && `Code sent to ${sentTo}. `}
+          {cooldown > 0 ? `You can request another in ${cooldown}s.` : 'Didn\'t get it? Send another.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
 // MFA Setup Form Component
 export const MFASetupForm = ({ 
   mfaSecret, 
@@ -252,6 +333,43 @@ export const DisableMFAForm = ({
   );
 };
 
+// Regenerate Backup Codes Form Component
+export const RegenerateBackupCodesForm = ({ 
+  onSubmit, 
+  onCancel, 
+  loading = false 
+}) => {
+  const { register, handleSubmit, formState: { errors } } = useForm();
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <Input
+        label="Current password"
+        type="password"
+        autoComplete="current-password"
+        error={errors.password?.message}
+        {...register('password', { required: 'Current password is required' })}
+      />
+
+      <MFATokenInput
+        label="Enter 6-digit code from your authenticator app"
+        placeholder="123456"
+        register={register}
+        error={errors.token?.message}
+      />
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" loading={loading}>
+          Generate New Codes
+        </Button>
+      </div>
+    </form>
+  );
+};
+
 // MFA Status Card Component
 export const MFAStatusCard = ({ 
   isEnabled, 
@@ -336,7 +454,7 @@ export const MFAStatusCard = ({
                     onClick={onViewBackupCodes}
                     icon={<Key className="h-4 w-4" />}
                   >
-                    View Backup Codes
+                    Manage Backup Codes
                   </Button>
                   <Button
                     variant="outline"
@@ -379,7 +497,8 @@ export const MFAInfoCard = ({
 
 // MFA Help Text Component
 export const MFAHelpText = ({ 
-  useBackupCode = false 
+  useBackupCode = false,
+  methods = ['totp']
 }) => {
   if (useBackupCode) {
     return (
@@ -393,12 +512,21 @@ export const MFAHelpText = ({
     );
   }
 
+  const canSendCode = methods.includes('email') || methods.includes('sms');
+
   return (
     <div className="bg-forest-50 border border-forest-200 rounded-md p-4">
       <h3 className="text-sm font-medium text-forest-800 mb-2">How to get your code</h3>
       <ul className="text-sm text-forest-700 space-y-1">
-        <li>• Open your authenticator app (Google Authenticator, Authy, etc.)</li>
-        <li>• Find the code for "ERP Security System"</li>
+        {methods.includes('totp') && (
+          <>
+            <li>• Open your authenticator app (Google Authenticator, Authy, etc.)</li>
+            <li>• Find the code for "ERP Security System"</li>
+          </>
+        )}
+        {canSendCode && (
+          <li>• {methods.includes('totp') ? 'Or have' : 'Have'} a code emailed or texted to you; it expires after a few minutes</li>
+        )}
         <li>• Enter the 6-digit code above</li>
       </ul>
     </div>
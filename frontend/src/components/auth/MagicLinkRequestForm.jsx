@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useLocation, Link } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Card from '../ui/Card';
+import { Mail, ArrowLeft, CheckCircle } from 'lucide-react';
+
+// Read by the sign-in page the emailed link opens, usually in another tab
+const MAGIC_LINK_NONCE_KEY = 'magicLinkNonce';
+const MAGIC_LINK_REDIRECT_KEY = 'magicLinkRedirectTo';
+
+/**
+ * Magic Link Request Form Component
+ * Emails a passwordless sign-in link that only works in this browser
+ */
+const MagicLinkRequestForm = () => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const location = useLocation();
+  const from = location.state?.from;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setError,
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      setIsLoading(true);
+      const response = await authAPI.requestMagicLink(data.email);
+
+      // A newer request replaces the older link on the server too
+      localStorage.setItem(MAGIC_LINK_NONCE_KEY, response.data.data.nonce);
+      localStorage.setItem(MAGIC_LINK_REDIRECT_KEY, from ? `${from.pathname}${from.search || ''}` : '/dashboard');
+      setIsSubmitted(true);
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: error.response?.data?.message || 'Failed to send sign-in link. Please try again.',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isSubmitted) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <div className="mx-auto h-12 w-12 text-moss-600">
+              <CheckCircle className="h-12 w-12" />
+            </div>
+            <h2 className="mt-6 text-3xl font-extrabold text-forest-900">Check Your Email</h2>
+            <p className="mt-2 text-sm text-sage-600">
+              If sign-in links are enabled for your account, we've sent you one.
+            </p>
+          </div>
+
+          <Card className="mt-8">
+            <div className="space-y-6">
+              <p className="text-sm text-sage-600 text-center">
+                Open the link on this device, in this browser. It works once and expires after a few minutes.
+              </p>
+              <p className="text-sm text-sage-600 text-center">
+                Didn't receive the email? Check your spam folder or{' '}
+                <button
+                  onClick={() => setIsSubmitted(false)}
+                  className="font-medium text-forest-600 hover:text-forest-500"
+                >
+                  try again
+                </button>
+              </p>
+
+              <div className="flex justify-center">
+                <Link
+                  to="/login"
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-forest-700 bg-forest-100 hover:bg-forest-200"
+                >
+                  <ArrowLeft className="h-4 w-4 mr-2" />
+                  Back to Login
+                </Link>
+              </div>
+            </div>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-forest-900">Sign in with an email link</h2>
+          <p className="mt-2 text-sm text-sage-600">
+            Enter your email address and we'll send you a link that signs you in without a password.
+          </p>
+        </div>
+
+        <Card className="mt-8">
+          <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                <p className="text-sm text-red-600">{errors.root.message}</p>
+              </div>
+            )}
+
+            <div>
+              <Input
+                label="Email address"
+                type="email"
+                placeholder="Enter your email"
+                error={errors.email?.message}
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address',
+                  },
+                })}
+                icon={<Mail className="h-5 w-5 text-sage-400" />}
+              />
+            </div>
+
+            <div>
+              <Button
+                type="submit"
+                variant="primary"
+                size="lg"
+                fullWidth
+                loading={isLoading}
+                disabled={isLoading}
+              >
+                {isLoading ? 'Sending...' : 'Send Sign-In Link'}
+              </Button>
+            </div>
+          </form>
+        </Card>
+
+        <div className="text-center">
+          <p className="text-sm text-sage-600">
+            Prefer your password?{' '}
+            <Link to="/login" state={{ from }} className="font-medium text-forest-600 hover:text-forest-500">
+              Sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLinkRequestForm;
@@ -0,0 +1,253 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useNavigate, Link } from 'react-router-dom';
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../ui/Button';
+import Card from '../ui/Card';
+import { AlertTriangle, Loader2, Shield, Fingerprint } from 'lucide-react';
+import { MFATokenInput, MFACodeSender } from './MFASharedComponents';
+import { getPasskeyErrorMessage } from '../../utils/passkeys';
+import { isRetryableMFAError } from '../../utils/mfaChallenge';
+
+// Written by the magic link request form in this browser
+const MAGIC_LINK_NONCE_KEY = 'magicLinkNonce';
+const MAGIC_LINK_REDIRECT_KEY = 'magicLinkRedirectTo';
+
+// Page to open after signing in; the link's browser-side state is cleared
+const takeRedirect = () => {
+  const storedRedirect = localStorage.getItem(MAGIC_LINK_REDIRECT_KEY);
+  localStorage.removeItem(MAGIC_LINK_NONCE_KEY);
+  localStorage.removeItem(MAGIC_LINK_REDIRECT_KEY);
+  // Only same-app paths; never an absolute or protocol-relative URL
+  return storedRedirect?.startsWith('/') && !storedRedirect.startsWith('//')
+    ? storedRedirect
+    : '/dashboard';
+};
+
+/**
+ * Magic Link Sign-In Component
+ * Landing page of the emailed sign-in link; asks for an MFA code when the account has MFA. Emailed
+ * codes are not offered here, since the link already proved access to the mailbox
+ */
+const MagicLinkSignIn = () => {
+  const { completeMagicLinkLogin, completeMFALogin, sendMFACode } = useAuth();
+  const navigate = useNavigate();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState({ methods: ['totp'], destinations: {}, webauthnOptions: null });
+  const token = useRef(null);
+  // StrictMode must not submit the link twice
+  const started = useRef(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const finishSignIn = useCallback(() => {
+    navigate(takeRedirect(), { replace: true });
+  }, [navigate]);
+
+  const showMFAPrompt = (result) => {
+    setMfaChallenge({
+      methods: result.methods || ['totp'],
+      destinations: result.destinations || {},
+      webauthnOptions: result.webauthnOptions || null,
+    });
+    setStatus('mfa');
+  };
+
+  const signIn = useCallback(async () => {
+    const nonce = localStorage.getItem(MAGIC_LINK_NONCE_KEY);
+    if (!nonce) {
+      setStatus('error');
+      setError('Open this link in the browser where you asked for it.');
+      return;
+    }
+
+    try {
+      const result = await completeMagicLinkLogin(token.current, nonce);
+
+      if (result.requiresMFA) {
+        showMFAPrompt(result);
+        return;
+      }
+
+      // The role requires MFA: the sign-in continues once it is set up
+      if (result.requiresMFAEnrollment) {
+        navigate('/mfa-enrollment', { replace: true, state: { from: { pathname: takeRedirect() } } });
+        return;
+      }
+
+      finishSignIn();
+    } catch (err) {
+      setStatus('error');
+      setError(err.response?.data?.message || 'Sign-in failed. Please request a new link.');
+    }
+  }, [completeMagicLinkLogin, finishSignIn, navigate]);
+
+  // The link is spent once it checks out; the MFA step continues on its challenge
+  const verifyMFA = async (mfaData) => {
+    try {
+      const result = await completeMFALogin(mfaData);
+
+      if (result.requiresMFA) {
+        showMFAPrompt(result);
+        return;
+      }
+
+      finishSignIn();
+    } catch (err) {
+      const message = err.response?.data?.message || 'Sign-in failed. Please request a new link.';
+
+      // A wrong code or passkey can be retried; anything else means signing in again
+      if (!isRetryableMFAError(err)) {
+        setStatus('error');
+      }
+      setError(message);
+    }
+  };
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    token.current = new URLSearchParams(window.location.search).get('token');
+    // Keep the token out of the browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!token.current) {
+      setStatus('error');
+      setError('This sign-in link is incomplete.');
+      return;
+    }
+
+    signIn();
+  }, [signIn]);
+
+  const onSubmitMFA = async (data) => {
+    setIsLoading(true);
+    setError(null);
+    await verifyMFA({ mfaToken: data.token.toString().trim() });
+    setIsLoading(false);
+  };
+
+  const onPasskeyVerify = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const webauthnResponse = await startAuthentication({ optionsJSON: mfaChallenge.webauthnOptions });
+      await verifyMFA({ webauthnResponse });
+    } catch (err) {
+      setError(getPasskeyErrorMessage(err, 'Passkey verification failed. Please try again.'));
+    }
+
+    // Passkey options work once; asking again on the same MFA challenge issues fresh ones
+    setMfaChallenge((current) => ({ ...current, webauthnOptions: null }));
+    setIsLoading(false);
+  };
+
+  const refreshPasskeyChallenge = async () => {
+    setIsLoading(true);
+    await verifyMFA();
+    setIsLoading(false);
+  };
+
+  const canUseCode = ['totp', 'sms'].some((method) => mfaChallenge.methods.includes(method));
+  const canUsePasskey = mfaChallenge.methods.includes('webauthn') && browserSupportsWebAuthn();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        <Card>
+          {status === 'error' && (
+            <div className="text-center space-y-4">
+              <AlertTriangle className="h-10 w-10 text-red-500 mx-auto" />
+              <h2 className="text-xl font-semibold text-forest-900">Sign-in failed</h2>
+              <p className="text-sm text-red-600">{error}</p>
+              <Link
+                to="/magic-link/request"
+                className="inline-block font-medium text-forest-600 hover:text-forest-500"
+              >
+                Request a new link
+              </Link>
+            </div>
+          )}
+
+          {status === 'verifying' && (
+            <div className="flex items-center justify-center space-x-3 py-6">
+              <Loader2 className="h-6 w-6 text-forest-600 animate-spin" />
+              <p className="text-sm text-sage-600">Signing you in...</p>
+            </div>
+          )}
+
+          {status === 'mfa' && (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmitMFA)}>
+              <div className="text-center">
+                <Shield className="h-10 w-10 text-forest-600 mx-auto" />
+                <h2 className="mt-4 text-xl font-semibold text-forest-900">Two-Factor Authentication</h2>
+                <p className="mt-1 text-sm text-sage-600">
+                  {mfaChallenge.methods.includes('totp')
+                    ? 'Enter the 6-digit code from your authenticator app.'
+                    : canUseCode
+                      ? 'Have a 6-digit code texted to you, then enter it below.'
+                      : 'Confirm your sign-in with one of your passkeys or security keys.'}
+                </p>
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                  <p className="text-sm text-red-600">{error}</p>
+                </div>
+              )}
+
+              {canUseCode && (
+                <>
+                  <MFACodeSender
+                    methods={mfaChallenge.methods}
+                    destinations={mfaChallenge.destinations}
+                    onSend={sendMFACode}
+                    disabled={isLoading}
+                  />
+
+                  <MFATokenInput register={register} error={errors.token?.message} />
+
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    size="lg"
+                    fullWidth
+                    loading={isLoading}
+                    disabled={isLoading}
+                  >
+                    {isLoading ? 'Verifying...' : 'Verify Code'}
+                  </Button>
+                </>
+              )}
+
+              {canUsePasskey && (
+                <Button
+                  type="button"
+                  variant={canUseCode ? 'outline' : 'primary'}
+                  size="lg"
+                  fullWidth
+                  onClick={mfaChallenge.webauthnOptions ? onPasskeyVerify : refreshPasskeyChallenge}
+                  disabled={isLoading}
+                >
+                  <Fingerprint className="h-4 w-4 mr-2" />
+                  {mfaChallenge.webauthnOptions ? 'Use a passkey or security key' : 'Try the passkey again'}
+                </Button>
+              )}
+            </form>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLinkSignIn;
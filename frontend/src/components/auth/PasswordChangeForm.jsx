@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { applyServerFieldErrors } from '../../utils/formErrors';
+import { passwordPolicyQuery, describePasswordPolicy } from '../../utils/passwordPolicy';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Card from '../ui/Card';
+import { KeyRound, Eye, EyeOff } from 'lucide-react';
+
+/**
+ * Password Change Form Component
+ * Sign-in step for accounts with a temporary or expired password
+ */
+const PasswordChangeForm = () => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { completePasswordChange } = useAuth();
+
+  const passwordChangeToken = location.state?.passwordChangeToken;
+  const reason = location.state?.reason;
+  const from = location.state?.from;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setError,
+    watch,
+  } = useForm();
+
+  const password = watch('password');
+
+  const { data: policyData } = useQuery(passwordPolicyQuery);
+  const passwordHelp = describePasswordPolicy(policyData?.data?.data);
+
+  // The token only comes from the login step
+  useEffect(() => {
+    if (!passwordChangeToken) {
+      navigate('/login', { replace: true });
+    }
+  }, [passwordChangeToken, navigate]);
+
+  const onSubmit = async (data) => {
+    try {
+      setIsLoading(true);
+      await completePasswordChange(passwordChangeToken, data.password);
+      navigate(from ? `${from.pathname}${from.search || ''}` : '/dashboard', { replace: true });
+    } catch (error) {
+      if (applyServerFieldErrors(error, setError, { newPassword: 'password' })) {
+        return;
+      }
+      setError('root', {
+        type: 'manual',
+        message: error.response?.data?.message || 'Failed to change password. Please sign in again.',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 text-forest-600">
+            <KeyRound className="h-12 w-12" />
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-forest-900">Choose a new password</h2>
+          <p className="mt-2 text-sm text-sage-600">
+            {reason === 'expired'
+              ? 'Your password has expired. Choose a new one to continue.'
+              : 'Your password was set by an administrator. Choose your own to continue.'}
+          </p>
+        </div>
+
+        <Card className="mt-8">
+          <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                <p className="text-sm text-red-600">{errors.root.message}</p>
+              </div>
+            )}
+
+            <div>
+              <Input
+                label="New Password"
+                type={showPassword ? 'text' : 'password'}
+                placeholder="Enter your new password"
+                autoComplete="new-password"
+                error={errors.password?.message}
+                helperText={passwordHelp}
+                {...register('password', {
+                  required: 'Password is required',
+                })}
+                icon={
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="text-sage-400 hover:text-sage-600"
+                  >
+                    {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                  </button>
+                }
+              />
+            </div>
+
+            <div>
+              <Input
+                label="Confirm New Password"
+                type={showConfirmPassword ? 'text' : 'password'}
+                placeholder="Confirm your new password"
+                autoComplete="new-password"
+                error={errors.confirmPassword?.message}
+                {...register('confirmPassword', {
+                  required: 'Please confirm your password',
+                  validate: (value) => value === password || 'Passwords do not match',
+                })}
+                icon={
+                  <button
+                    type="button"
+                    onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                    className="text-sage-400 hover:text-sage-600"
+                  >
+                    {showConfirmPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                  </button>
+                }
+              />
+            </div>
+
+            <div>
+              <Button
+                type="submit"
+                variant="primary"
+                size="lg"
+                fullWidth
+                loading={isLoading}
+                disabled={isLoading}
+              >
+                {isLoading ? 'Saving...' : 'Change Password and Sign In'}
+              </Button>
+            </div>
+          </form>
+        </Card>
+
+        <div className="text-center">
+          <Link to="/login" className="text-sm font-medium text-forest-600 hover:text-forest-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasswordChangeForm;
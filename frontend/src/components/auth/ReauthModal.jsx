@@ -0,0 +1,241 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser';
+import { ShieldCheck, Fingerprint } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { MFATokenInput, MFACodeSender } from './MFASharedComponents';
+import { authAPI, setReauthHandler } from '../../services/api';
+import { getPasskeyErrorMessage } from '../../utils/passkeys';
+
+/**
+ * Re-authentication Modal Component
+ * Shown when the API asks for a recent sign-in before a sensitive operation. Confirms the
+ * user's identity with their password, an MFA code (authenticator app, email or SMS) or a passkey, stores the new
+ * access token and lets the original request be retried.
+ */
+const ReauthModal = () => {
+  const [request, setRequest] = useState(null);
+  const [methods, setMethods] = useState(['password']);
+  const [destinations, setDestinations] = useState({});
+  const [webauthnOptions, setWebauthnOptions] = useState(null);
+  const [method, setMethod] = useState('password');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    setError,
+    formState: { errors },
+  } = useForm();
+
+  useEffect(() => {
+    setReauthHandler((details) => new Promise((resolve, reject) => {
+      setRequest({ details, resolve, reject });
+    }));
+
+    return () => setReauthHandler(null);
+  }, []);
+
+  // Passkey options work once, so they are fetched again after each passkey attempt
+  const loadOptions = useCallback(async () => {
+    try {
+      const response = await authAPI.getReauthOptions();
+      const options = response.data.data;
+      setMethods(options.methods);
+      setDestinations(options.destinations || {});
+      setWebauthnOptions(options.webauthnOptions);
+      return options;
+    } catch {
+      setMethods(['password']);
+      setDestinations({});
+      setWebauthnOptions(null);
+      return null;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (request) {
+      reset();
+      setMethod('password');
+      setUseBackupCode(false);
+      loadOptions();
+    }
+  }, [request, reset, loadOptions]);
+
+  const handleClose = () => {
+    request?.reject(new Error('Re-authentication cancelled'));
+    setRequest(null);
+  };
+
+  const confirm = async (credentials) => {
+    const response = await authAPI.reauthenticate(credentials);
+    localStorage.setItem('accessToken', response.data.data.accessToken);
+    request.resolve();
+    setRequest(null);
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      setIsLoading(true);
+
+      if (method === 'password') {
+        await confirm({ password: data.password });
+      } else {
+        await confirm({ mfaToken: (data.token || '').toString().trim().toUpperCase() });
+      }
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: error.response?.data?.message || 'Could not confirm your identity. Please try again.',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onPasskeyConfirm = async () => {
+    try {
+      setIsLoading(true);
+
+      const optionsJSON = webauthnOptions || (await loadOptions())?.webauthnOptions;
+      setWebauthnOptions(null);
+
+      const webauthnResponse = await startAuthentication({ optionsJSON });
+      await confirm({ webauthnResponse });
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: getPasskeyErrorMessage(error, 'Passkey verification failed. Please try again.'),
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const sendCode = async (codeMethod) => {
+    const response = await authAPI.sendVerificationCode({ method: codeMethod });
+    return response.data.data;
+  };
+
+  const canUseCode = ['totp', 'email', 'sms'].some((codeMethod) => methods.includes(codeMethod));
+  const canUsePasskey = methods.includes('webauthn') && browserSupportsWebAuthn();
+
+  return (
+    <Modal
+      isOpen={!!request}
+      onClose={handleClose}
+      title="Confirm It's You"
+      size="sm"
+      closeOnOverlayClick={false}
+    >
+      <div className="space-y-6">
+        <div className="flex items-start">
+          <div className="h-10 w-10 rounded-full bg-forest-100 flex items-center justify-center mr-3 flex-shrink-0">
+            <ShieldCheck className="h-5 w-5 text-forest-600" />
+          </div>
+          <p className="text-sm text-sage-600">
+            {request?.details?.message || 'Please confirm your identity to continue'}. This keeps
+            sensitive changes safe if someone else gets hold of your signed-in session.
+          </p>
+        </div>
+
+        {(canUseCode || canUsePasskey) && (
+          <div className="flex space-x-2">
+            <Button
+              variant={method === 'password' ? 'primary' : 'outline'}
+              size="sm"
+              onClick={() => setMethod('password')}
+            >
+              Password
+            </Button>
+            {canUseCode && (
+              <Button
+                variant={method === 'code' ? 'primary' : 'outline'}
+                size="sm"
+                onClick={() => setMethod('code')}
+              >
+                {methods.includes('totp') ? 'Authenticator Code' : 'Verification Code'}
+              </Button>
+            )}
+            {canUsePasskey && (
+              <Button
+                variant={method === 'webauthn' ? 'primary' : 'outline'}
+                size="sm"
+                onClick={() => setMethod('webauthn')}
+              >
+                Passkey
+              </Button>
+            )}
+          </div>
+        )}
+
+        {errors.root && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+            <p className="text-sm text-red-600">{errors.root.message}</p>
+          </div>
+        )}
+
+        {method === 'webauthn' ? (
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={handleClose} disabled={isLoading}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={onPasskeyConfirm} loading={isLoading} disabled={isLoading}>
+              <Fingerprint className="h-4 w-4 mr-2" />
+              Use Passkey
+            </Button>
+          </div>
+        ) : (
+          <form className="space-y-4" onSubmit={handleSubmit(onSubmit)}>
+            {method === 'password' ? (
+              <Input
+                label="Password"
+                type="password"
+                autoComplete="current-password"
+                autoFocus
+                error={errors.password?.message}
+                {...register('password', { required: 'Password is required' })}
+              />
+            ) : (
+              <>
+                {!useBackupCode && (
+                  <MFACodeSender methods={methods} destinations={destinations} onSend={sendCode} disabled={isLoading} />
+                )}
+                <MFATokenInput
+                  label={useBackupCode ? 'Backup Code' : 'Authentication Code'}
+                  placeholder={useBackupCode ? 'XXXXXXXX' : '000000'}
+                  useBackupCode={useBackupCode}
+                  error={errors.token?.message}
+                  register={register}
+                  autoFocus
+                />
+                <button
+                  type="button"
+                  className="text-sm text-forest-600 hover:text-forest-500"
+                  onClick={() => setUseBackupCode(!useBackupCode)}
+                >
+                  {useBackupCode ? 'Use a 6-digit code instead' : 'Use a backup code instead'}
+                </button>
+              </>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={handleClose} disabled={isLoading}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" loading={isLoading} disabled={isLoading}>
+                Confirm
+              </Button>
+            </div>
+          </form>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ReauthModal;
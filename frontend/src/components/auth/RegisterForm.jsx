@@ -9,6 +9,8 @@ import Select from '../ui/Select';
 import Card from '../ui/Card';
 import { Eye, EyeOff, Mail, Lock, User, UserCheck, Shield } from 'lucide-react';
 import { roleAPI } from '../../services/api';
+import { applyServerFieldErrors } from '../../utils/formErrors';
+import { passwordPolicyQuery, describePasswordPolicy } from '../../utils/passwordPolicy';
 
 /**
  * Register Form Component
@@ -50,6 +52,9 @@ const RegisterForm = () => {
     retry: 2,
   });
 
+  const { data: policyData } = useQuery(passwordPolicyQuery);
+  const passwordHelp = describePasswordPolicy(policyData?.data?.data);
+
   const roles = Array.isArray(rolesData?.data?.data) ? rolesData.data.data : Array.isArray(rolesData?.data) ? rolesData.data : [];
   
   const onSubmit = async (data) => {
@@ -58,6 +63,9 @@ const RegisterForm = () => {
       await registerUser(data);
       navigate('/dashboard');
     } catch (error) {
+      if (applyServerFieldErrors(error, setError)) {
+        return;
+      }
       setError('root', {
         type: 'manual',
         message: error.response?.data?.message || 'Registration failed. Please try again.',
@@ -203,17 +211,9 @@ const RegisterForm = () => {
                 type={showPassword ? 'text' : 'password'}
                 placeholder="Create a password"
                 error={errors.password?.message}
-                helperText="Must be at least 8 characters with uppercase, lowercase, number, and special character"
+                helperText={passwordHelp}
                 {...register('password', {
                   required: 'Password is required',
-                  minLength: {
-                    value: 8,
-                    message: 'Password must be at least 8 characters',
-                  },
-                  pattern: {
-                    value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
-                    message: 'Password must contain uppercase, lowercase, number, and special character',
-                  },
                 })}
                 icon={
                   <button
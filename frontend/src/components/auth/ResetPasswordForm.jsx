@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
+import { useQuery } from '@tanstack/react-query';
 import { authAPI } from '../../services/api';
+import { applyServerFieldErrors } from '../../utils/formErrors';
+import { passwordPolicyQuery, describePasswordPolicy } from '../../utils/passwordPolicy';
 import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
@@ -31,6 +34,9 @@ const ResetPasswordForm = () => {
 
   const password = watch('password');
 
+  const { data: policyData } = useQuery(passwordPolicyQuery);
+  const passwordHelp = describePasswordPolicy(policyData?.data?.data);
+
   useEffect(() => {
     if (!token) {
       navigate('/forgot-password');
@@ -46,6 +52,9 @@ const ResetPasswordForm = () => {
       });
       setIsCompleted(true);
     } catch (error) {
+      if (applyServerFieldErrors(error, setError, { newPassword: 'password' })) {
+        return;
+      }
       setError('root', {
         type: 'manual',
         message: error.response?.data?.message || 'Failed to reset password. Please try again.',
@@ -120,16 +129,9 @@ const ResetPasswordForm = () => {
                 type={showPassword ? 'text' : 'password'}
                 placeholder="Enter your new password"
                 error={errors.password?.message}
+                helperText={passwordHelp}
                 {...register('password', {
                   required: 'Password is required',
-                  minLength: {
-                    value: 8,
-                    message: 'Password must be at least 8 characters',
-                  },
-                  pattern: {
-                    value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
-                    message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-                  },
                 })}
                 icon={
                   <button
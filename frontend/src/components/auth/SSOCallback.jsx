@@ -0,0 +1,97 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import Card from '../ui/Card';
+import { AlertTriangle, Loader2 } from 'lucide-react';
+
+// Set by the login form before leaving for the identity provider
+const SSO_REDIRECT_KEY = 'ssoRedirectTo';
+
+/**
+ * SSO Callback Component
+ * Finishes sign-in with an external identity provider by exchanging the one-time ticket, then
+ * hands over to the MFA step or the required MFA setup when the account needs one
+ */
+const SSOCallback = () => {
+  const { completeSSOLogin } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  // The ticket is single use; StrictMode must not exchange it twice
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const ticket = params.get('ticket');
+    // Keep the ticket out of the browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const storedRedirect = sessionStorage.getItem(SSO_REDIRECT_KEY);
+    sessionStorage.removeItem(SSO_REDIRECT_KEY);
+    // Only same-app paths; never an absolute or protocol-relative URL
+    const redirectTo = storedRedirect?.startsWith('/') && !storedRedirect.startsWith('//')
+      ? storedRedirect
+      : '/dashboard';
+
+    if (!ticket) {
+      setError(params.get('error') || 'Single sign-on did not complete. Please try again.');
+      return;
+    }
+
+    completeSSOLogin(ticket)
+      .then((result) => {
+        const from = { pathname: redirectTo };
+
+        // The account's MFA still applies after the identity provider
+        if (result.requiresMFA) {
+          navigate('/mfa', {
+            replace: true,
+            state: {
+              methods: result.methods,
+              destinations: result.destinations,
+              webauthnOptions: result.webauthnOptions,
+              from,
+            },
+          });
+        } else if (result.requiresMFAEnrollment) {
+          navigate('/mfa-enrollment', { replace: true, state: { from } });
+        } else {
+          navigate(redirectTo, { replace: true });
+        }
+      })
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Single sign-on failed. Please try again.');
+      });
+  }, [completeSSOLogin, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        <Card>
+          {error ? (
+            <div className="text-center space-y-4">
+              <AlertTriangle className="h-10 w-10 text-red-500 mx-auto" />
+              <h2 className="text-xl font-semibold text-forest-900">Sign-in failed</h2>
+              <p className="text-sm text-red-600">{error}</p>
+              <Link
+                to="/login"
+                className="inline-block font-medium text-forest-600 hover:text-forest-500"
+              >
+                Back to sign in
+              </Link>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center space-x-3 py-6">
+              <Loader2 className="h-6 w-6 text-forest-600 animate-spin" />
+              <p className="text-sm text-sage-600">Completing sign-in...</p>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default SSOCallback;
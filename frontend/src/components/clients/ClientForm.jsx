@@ -0,0 +1,258 @@
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import { AppWindow, Save, X } from 'lucide-react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Card from '../ui/Card';
+
+const GRANT_TYPES = [
+  { value: 'authorization_code', label: 'Authorization code (+ PKCE)' },
+  { value: 'refresh_token', label: 'Refresh token' },
+  { value: 'client_credentials', label: 'Client credentials (service account)' },
+];
+
+const CLIENT_SCOPES = [
+  { value: 'openid', label: 'openid' },
+  { value: 'profile', label: 'profile' },
+  { value: 'email', label: 'email' },
+  { value: 'roles', label: 'roles' },
+  { value: 'offline_access', label: 'offline_access' },
+];
+
+/**
+ * Client Form Component
+ * Reusable form for registering and editing OAuth client applications
+ */
+const ClientForm = ({
+  client = null,
+  onSubmit,
+  onCancel,
+  loading = false,
+  title = 'Register Client'
+}) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset
+  } = useForm({
+    defaultValues: client ? {
+      name: client.name,
+      logoUrl: client.logoUrl || '',
+      redirectUris: client.redirectUris.join('\n'),
+      grantTypes: client.grantTypes,
+      scopes: client.scopes.filter(scope => CLIENT_SCOPES.some(option => option.value === scope)),
+      apiScopes: client.scopes.filter(scope => !CLIENT_SCOPES.some(option => option.value === scope)).join(' '),
+      trusted: client.trusted,
+      isActive: client.isActive
+    } : {
+      name: '',
+      logoUrl: '',
+      redirectUris: '',
+      grantTypes: ['authorization_code', 'refresh_token'],
+      scopes: ['openid', 'profile', 'email'],
+      apiScopes: '',
+      trusted: false,
+      isPublic: false
+    }
+  });
+
+  const handleFormSubmit = ({ apiScopes, ...data }) => {
+    onSubmit({
+      ...data,
+      logoUrl: data.logoUrl || null,
+      // API scopes are entered space-separated, as in an OAuth scope parameter
+      scopes: [...(data.scopes || []), ...apiScopes.split(/\s+/).filter(Boolean)],
+      // One redirect URI per line
+      redirectUris: data.redirectUris
+        .split('\n')
+        .map(uri => uri.trim())
+        .filter(Boolean)
+    });
+  };
+
+  const handleCancel = () => {
+    reset();
+    onCancel();
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center mb-6">
+        <div className="h-10 w-10 rounded-full bg-forest-100 flex items-center justify-center mr-3">
+          <AppWindow className="h-5 w-5 text-forest-600" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-forest-900">{title}</h3>
+          <p className="text-sm text-sage-600">
+            {client ? 'Update client settings' : 'Register an application that signs users in with this service'}
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-6">
+        <div>
+          <Input
+            label="Application Name"
+            placeholder="Shown to users on the consent screen"
+            error={errors.name?.message}
+            required
+            {...register('name', {
+              required: 'Application name is required',
+              maxLength: {
+                value: 100,
+                message: 'Application name must be less than 100 characters'
+              }
+            })}
+          />
+        </div>
+
+        <div>
+          <Input
+            label="Logo URL"
+            placeholder="https://example.com/logo.png (optional)"
+            error={errors.logoUrl?.message}
+            {...register('logoUrl', {
+              pattern: {
+                value: /^https:\/\/\S+$/,
+                message: 'Logo URL must start with https://'
+              }
+            })}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-forest-700">
+            Redirect URIs
+          </label>
+          <textarea
+            rows={3}
+            placeholder="https://app.example.com/callback"
+            className="mt-1 block w-full px-3 py-2 border border-sage-300 rounded-md shadow-sm placeholder-sage-400 focus:outline-none focus:ring-2 focus:ring-forest-500 focus:border-forest-500 font-mono text-sm"
+            {...register('redirectUris', {
+              validate: (value, values) => !values.grantTypes?.includes('authorization_code')
+                || value.trim().length > 0
+                || 'At least one redirect URI is required for the authorization code flow'
+            })}
+          />
+          {errors.redirectUris ? (
+            <p className="text-sm text-red-600 mt-1">{errors.redirectUris.message}</p>
+          ) : (
+            <p className="text-xs text-sage-500 mt-1">
+              One per line; must match exactly. Use https (http only for localhost).
+            </p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <span className="block text-sm font-medium text-forest-700 mb-2">Grant Types</span>
+            {GRANT_TYPES.map(grant => (
+              <label key={grant.value} className="flex items-center text-sm text-forest-900 mb-1">
+                <input
+                  type="checkbox"
+                  value={grant.value}
+                  className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+                  {...register('grantTypes', { required: 'Select at least one grant type' })}
+                />
+                {grant.label}
+              </label>
+            ))}
+            {errors.grantTypes && (
+              <p className="text-sm text-red-600 mt-1">{errors.grantTypes.message}</p>
+            )}
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-forest-700 mb-2">Allowed Scopes</span>
+            {CLIENT_SCOPES.map(scope => (
+              <label key={scope.value} className="flex items-center text-sm text-forest-900 mb-1">
+                <input
+                  type="checkbox"
+                  value={scope.value}
+                  className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+                  {...register('scopes')}
+                />
+                <span className="font-mono">{scope.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <Input
+            label="API Scopes"
+            placeholder="read:finance write:hr (optional)"
+            error={errors.apiScopes?.message}
+            {...register('apiScopes', {
+              validate: (value, values) => (
+                value.trim().length > 0 || values.scopes?.length > 0
+              ) || 'Select at least one scope',
+              pattern: {
+                value: /^\s*([a-z]+:[a-z0-9_-]+\s*)*$/,
+                message: 'Space-separated scopes like read:finance'
+              }
+            })}
+          />
+          <p className="text-xs text-sage-500 mt-1">
+            Granted to service-account tokens from the client credentials grant.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center text-sm text-forest-900">
+            <input
+              type="checkbox"
+              className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+              {...register('trusted')}
+            />
+            First-party application (skip the consent screen)
+          </label>
+
+          {client ? (
+            <label className="flex items-center text-sm text-forest-900">
+              <input
+                type="checkbox"
+                className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+                {...register('isActive')}
+              />
+              Active (disabling signs users out of this application)
+            </label>
+          ) : (
+            <label className="flex items-center text-sm text-forest-900">
+              <input
+                type="checkbox"
+                className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+                {...register('isPublic')}
+              />
+              Public client (browser or mobile app without a secret; PKCE only)
+            </label>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={handleCancel}
+            disabled={loading}
+          >
+            <X className="h-4 w-4 mr-2" />
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="primary"
+            loading={loading}
+            disabled={loading}
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {client ? 'Update Client' : 'Register Client'}
+          </Button>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default ClientForm;
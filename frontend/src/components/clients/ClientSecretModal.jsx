@@ -0,0 +1,87 @@
+import React from 'react';
+import { AlertTriangle, Copy } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+
+/**
+ * Client Secret Modal Component
+ * Shows client credentials once, right after registration or secret rotation
+ */
+const ClientSecretModal = ({ isOpen, onClose, credentials }) => {
+  if (!credentials) return null;
+
+  const { client, clientSecret } = credentials;
+
+  const copy = (value, label) => {
+    navigator.clipboard.writeText(value);
+    toast.success(`${label} copied`);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Client Credentials"
+      size="md"
+      closeOnOverlayClick={false}
+    >
+      <div className="space-y-4">
+        {clientSecret && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 flex items-start space-x-2">
+            <AlertTriangle className="h-5 w-5 text-yellow-600 flex-shrink-0" />
+            <p className="text-sm text-yellow-800">
+              Copy the client secret now. It is stored hashed and cannot be shown again.
+            </p>
+          </div>
+        )}
+
+        <div>
+          <div className="text-sm font-medium text-forest-700 mb-1">Client ID</div>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 bg-sage-50 border border-sage-200 rounded px-3 py-2 text-sm font-mono break-all">
+              {client.clientId}
+            </code>
+            <button
+              onClick={() => copy(client.clientId, 'Client ID')}
+              className="p-2 text-sage-600 hover:text-forest-600 hover:bg-forest-50 rounded-lg"
+              title="Copy Client ID"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        {clientSecret ? (
+          <div>
+            <div className="text-sm font-medium text-forest-700 mb-1">Client Secret</div>
+            <div className="flex items-center space-x-2">
+              <code className="flex-1 bg-sage-50 border border-sage-200 rounded px-3 py-2 text-sm font-mono break-all">
+                {clientSecret}
+              </code>
+              <button
+                onClick={() => copy(clientSecret, 'Client secret')}
+                className="p-2 text-sage-600 hover:text-forest-600 hover:bg-forest-50 rounded-lg"
+                title="Copy Client Secret"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-sage-600">
+            Public client: no secret. The application must use PKCE.
+          </p>
+        )}
+
+        <div className="flex justify-end pt-2">
+          <Button variant="primary" onClick={onClose}>
+            Done
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ClientSecretModal;
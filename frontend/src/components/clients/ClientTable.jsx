@@ -0,0 +1,150 @@
+import React from 'react';
+import { AppWindow, Edit, Trash2, KeyRound } from 'lucide-react';
+import Card from '../ui/Card';
+import Table from '../ui/Table';
+import { format } from 'date-fns';
+
+/**
+ * Client Table Component
+ * Displays registered OAuth clients with actions
+ */
+const ClientTable = ({
+  clients = [],
+  loading = false,
+  error = null,
+  pagination = {},
+  onPageChange,
+  onPageSizeChange,
+  onEdit,
+  onDelete,
+  onRotateSecret
+}) => {
+  const columns = [
+    {
+      key: 'name',
+      label: 'Application',
+      render: (client) => (
+        <div className="flex items-center">
+          {client.logoUrl ? (
+            <img src={client.logoUrl} alt="" className="h-8 w-8 rounded-full object-cover mr-3" />
+          ) : (
+            <div className="h-8 w-8 rounded-full bg-forest-100 flex items-center justify-center mr-3">
+              <AppWindow className="h-4 w-4 text-forest-600" />
+            </div>
+          )}
+          <div>
+            <div className="font-medium text-forest-900">{client.name}</div>
+            <div className="text-xs text-sage-600 font-mono">{client.clientId}</div>
+          </div>
+        </div>
+      ),
+    },
+    {
+      key: 'type',
+      label: 'Type',
+      render: (client) => (
+        <div className="flex flex-wrap gap-1">
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            client.isPublic ? 'bg-sage-100 text-sage-800' : 'bg-moss-100 text-moss-800'
+          }`}>
+            {client.isPublic ? 'Public' : 'Confidential'}
+          </span>
+          {client.trusted && (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-forest-100 text-forest-800">
+              First-party
+            </span>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'scopes',
+      label: 'Scopes',
+      render: (client) => (
+        <div className="text-xs text-sage-700 font-mono">
+          {client.scopes.join(' ')}
+        </div>
+      ),
+    },
+    {
+      key: 'sessions',
+      label: 'Sessions',
+      render: (client) => (
+        <span className="font-medium text-forest-900">{client._count?.sessions || 0}</span>
+      ),
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      render: (client) => (
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+          client.isActive ? 'bg-moss-100 text-moss-800' : 'bg-red-100 text-red-800'
+        }`}>
+          {client.isActive ? 'Active' : 'Disabled'}
+        </span>
+      ),
+    },
+    {
+      key: 'createdAt',
+      label: 'Created',
+      render: (client) => (
+        <div className="text-sm text-sage-600">
+          {format(new Date(client.createdAt), 'MMM dd, yyyy')}
+        </div>
+      ),
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      render: (client) => (
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => onEdit(client)}
+            className="p-2 text-sage-600 hover:text-forest-600 hover:bg-forest-50 rounded-lg transition-colors duration-200"
+            title="Edit Client"
+          >
+            <Edit className="h-4 w-4" />
+          </button>
+
+          {!client.isPublic && (
+            <button
+              onClick={() => onRotateSecret(client)}
+              className="p-2 text-sage-600 hover:text-yellow-600 hover:bg-yellow-50 rounded-lg transition-colors duration-200"
+              title="Rotate Secret"
+            >
+              <KeyRound className="h-4 w-4" />
+            </button>
+          )}
+
+          <button
+            onClick={() => onDelete(client)}
+            className="p-2 text-sage-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors duration-200"
+            title="Delete Client"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <Card>
+      <Table
+        data={clients}
+        columns={columns}
+        loading={loading}
+        error={error}
+        pagination={{
+          current: pagination.page || 1,
+          total: pagination.pages || 0,
+          pageSize: pagination.limit || 10,
+          onPageChange,
+          onPageSizeChange,
+        }}
+      />
+    </Card>
+  );
+};
+
+export default ClientTable;
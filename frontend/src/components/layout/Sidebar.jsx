@@ -18,6 +18,7 @@ import {
   Activity,
   Smartphone,
   Key,
+  AppWindow,
 } from 'lucide-react';
 
 /**
@@ -51,6 +52,12 @@ const Sidebar = ({ isCollapsed, onToggle }) => {
       icon: Shield,
       roles: ['admin', 'manager'],
     },
+    {
+      name: 'Clients',
+      href: '/clients',
+      icon: AppWindow,
+      roles: ['admin'],
+    },
     {
       name: 'Audit Logs',
       href: '/audit-logs',
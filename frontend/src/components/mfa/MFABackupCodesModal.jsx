@@ -3,18 +3,70 @@ import { Key, Download, Copy, AlertTriangle, CheckCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
 import Card from '../ui/Card';
 import Button from '../ui/Button';
-import { BackupCodesDisplay } from '../auth/MFASharedComponents';
+import { BackupCodesDisplay, RegenerateBackupCodesForm } from '../auth/MFASharedComponents';
 
 /**
  * MFA Backup Codes Modal Component
- * Displays and manages backup codes
+ * Shows new backup codes once; otherwise how many are left, with the option to replace them
  */
 const MFABackupCodesModal = ({ 
   isOpen, 
   onClose, 
   codes = [],
-  userEmail = ''
+  userEmail = '',
+  justEnabled = false,
+  remainingCount = null,
+  onRegenerate,
+  regenerateLoading = false
 }) => {
+  // Stored codes are hashed, so there is nothing to show again until new ones are generated
+  if (codes.length === 0) {
+    return (
+      <Modal
+        isOpen={isOpen}
+        onClose={onClose}
+        title="Your MFA Backup Codes"
+        size="md"
+      >
+        <Card>
+          <div className="space-y-6">
+            <div className="flex items-center">
+              <div className="h-10 w-10 rounded-full bg-moss-100 flex items-center justify-center mr-3">
+                <Key className="h-5 w-5 text-moss-600" />
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-forest-900">
+                  {remainingCount === null
+                    ? 'Backup Codes'
+                    : `${remainingCount} backup ${remainingCount === 1 ? 'code' : 'codes'} left`}
+                </h3>
+                <p className="text-sm text-sage-600">
+                  Each code signs you in once in place of an authenticator code
+                </p>
+              </div>
+            </div>
+
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+              <div className="flex items-start">
+                <AlertTriangle className="h-5 w-5 text-yellow-600 mr-3 mt-0.5" />
+                <p className="text-sm text-yellow-800">
+                  Codes are only shown when they are generated. Generating new codes makes all
+                  of your current codes stop working.
+                </p>
+              </div>
+            </div>
+
+            <RegenerateBackupCodesForm
+              onSubmit={onRegenerate}
+              onCancel={onClose}
+              loading={regenerateLoading}
+            />
+          </div>
+        </Card>
+      </Modal>
+    );
+  }
+
   return (
     <Modal
       isOpen={isOpen}
@@ -52,18 +104,20 @@ const MFABackupCodesModal = ({
           </div>
 
           {/* Success Message */}
-          <div className="bg-moss-50 border border-moss-200 rounded-lg p-4">
-            <div className="flex items-start">
-              <CheckCircle className="h-5 w-5 text-moss-600 mr-3 mt-0.5" />
-              <div>
-                <h4 className="text-sm font-medium text-moss-800">MFA Successfully Enabled</h4>
-                <p className="text-sm text-moss-700 mt-1">
-                  Your multi-factor authentication is now active. You'll need to use your authenticator app 
-                  or backup codes to sign in from now on.
-                </p>
+          {justEnabled && (
+            <div className="bg-moss-50 border border-moss-200 rounded-lg p-4">
+              <div className="flex items-start">
+                <CheckCircle className="h-5 w-5 text-moss-600 mr-3 mt-0.5" />
+                <div>
+                  <h4 className="text-sm font-medium text-moss-800">MFA Successfully Enabled</h4>
+                  <p className="text-sm text-moss-700 mt-1">
+                    Your multi-factor authentication is now active. You'll need to use your authenticator app 
+                    or backup codes to sign in from now on.
+                  </p>
+                </div>
               </div>
             </div>
-          </div>
+          )}
 
           {/* Backup Codes Display */}
           <BackupCodesDisplay
@@ -10,7 +10,8 @@ import { MFAInfoCard } from '../auth/MFASharedComponents';
  */
 const MFAInfoGrid = ({ 
   isMFAEnabled, 
-  onViewBackupCodes 
+  onViewBackupCodes,
+  backupCodesRemaining = null
 }) => {
   return (
     <div className="space-y-6">
@@ -64,7 +65,9 @@ const MFAInfoGrid = ({
                     <span className="text-sm font-medium text-moss-800">Status: Active</span>
                   </div>
                   <p className="text-xs text-moss-700">
-                    You have backup codes available for emergency access
+                    {backupCodesRemaining === null
+                      ? 'You have backup codes available for emergency access'
+                      : `${backupCodesRemaining} unused backup ${backupCodesRemaining === 1 ? 'code' : 'codes'} left for emergency access`}
                   </p>
                 </div>
                 <Button
@@ -72,7 +75,7 @@ const MFAInfoGrid = ({
                   onClick={onViewBackupCodes}
                   icon={<Key className="h-4 w-4" />}
                 >
-                  View Backup Codes
+                  Manage Backup Codes
                 </Button>
               </div>
             )}
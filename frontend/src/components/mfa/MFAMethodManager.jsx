@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { KeyRound, Smartphone, Mail, MessageSquare, Trash2, Plus } from 'lucide-react';
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+
+const METHOD_DETAILS = {
+  totp: { label: 'Authenticator app', icon: Smartphone },
+  email: { label: 'Email codes', icon: Mail },
+  sms: { label: 'SMS codes', icon: MessageSquare },
+};
+
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const formatDate = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm');
+
+/**
+ * MFA Method Manager Component
+ * Lists the user's code-based MFA methods and adds or removes them. An authenticator app is
+ * set up through the QR code modal; email and SMS are confirmed here with the code they receive
+ */
+const MFAMethodManager = ({
+  methods = [],
+  available = [],
+  loading = false,
+  pending = null,
+  onAdd,
+  onConfirm,
+  onCancel,
+  onRemove,
+  addLoading = false,
+  confirmLoading = false,
+}) => {
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [showPhoneForm, setShowPhoneForm] = useState(false);
+  const [code, setCode] = useState('');
+
+  const enrolledTypes = methods.map((method) => method.type);
+  const addable = available.filter((type) => !enrolledTypes.includes(type));
+
+  const handleAddPhone = async (event) => {
+    event.preventDefault();
+    if (await onAdd('sms', phoneNumber.trim())) {
+      setShowPhoneForm(false);
+      setPhoneNumber('');
+    }
+  };
+
+  const handleConfirm = async (event) => {
+    event.preventDefault();
+    if (await onConfirm(code.trim())) {
+      setCode('');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title className="flex items-center">
+          <KeyRound className="h-5 w-5 mr-2" />
+          Verification Methods
+        </Card.Title>
+        <Card.Description>
+          Ways to get a 6-digit code when you sign in. Add more than one so you are not locked out if you lose one.
+        </Card.Description>
+      </Card.Header>
+      <Card.Content>
+        <div className="space-y-6">
+          {loading && (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-forest-600"></div>
+            </div>
+          )}
+
+          {!loading && methods.length === 0 && (
+            <p className="text-sm text-sage-600">You have not set up any verification methods yet.</p>
+          )}
+
+          {!loading && methods.length > 0 && (
+            <ul className="divide-y divide-sage-200 border border-sage-200 rounded-lg">
+              {methods.map((method) => {
+                const { label, icon: Icon } = METHOD_DETAILS[method.type] || { label: method.type, icon: KeyRound };
+                return (
+                  <li key={method.id} className="flex items-center justify-between p-4">
+                    <div className="flex items-center">
+                      <Icon className="h-5 w-5 text-forest-600 mr-3" />
+                      <div>
+                        <p className="text-sm font-medium text-forest-900">
+                          {label}
+                          {method.destination && <span className="ml-2 text-sage-600 font-normal">{method.destination}</span>}
+                        </p>
+                        <p className="text-xs text-sage-600">
+                          Added {formatDate(method.createdAt)}
+                          {' · '}
+                          {method.lastUsedAt ? `Last used ${formatDate(method.lastUsedAt)}` : 'Never used'}
+                        </p>
+                      </div>
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => onRemove(method)}
+                      title="Remove"
+                    >
+                      <Trash2 className="h-4 w-4 text-red-600" />
+                    </Button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {pending ? (
+            <form className="space-y-3 bg-sage-50 border border-sage-200 rounded-lg p-4" onSubmit={handleConfirm}>
+              <p className="text-sm text-sage-700">
+                Enter the 6-digit code sent to {pending.sentTo} to finish adding {METHOD_DETAILS[pending.type].label.toLowerCase()}.
+              </p>
+              <div className="flex items-end space-x-3">
+                <div className="flex-1">
+                  <Input
+                    label="Verification code"
+                    placeholder="000000"
+                    inputMode="numeric"
+                    maxLength={6}
+                    value={code}
+                    onChange={(event) => setCode(event.target.value)}
+                    autoFocus
+                  />
+                </div>
+                <Button
+                  type="submit"
+                  variant="primary"
+                  loading={confirmLoading}
+                  disabled={confirmLoading || !/^\d{6}$/.test(code.trim())}
+                >
+                  Confirm
+                </Button>
+                <Button type="button" variant="outline" onClick={onCancel} disabled={confirmLoading}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          ) : showPhoneForm ? (
+            <form className="flex items-end space-x-3" onSubmit={handleAddPhone}>
+              <div className="flex-1">
+                <Input
+                  label="Mobile number, with + and country code"
+                  type="tel"
+                  placeholder="+14155550123"
+                  value={phoneNumber}
+                  onChange={(event) => setPhoneNumber(event.target.value)}
+                  autoFocus
+                />
+              </div>
+              <Button
+                type="submit"
+                variant="primary"
+                loading={addLoading}
+                disabled={addLoading || !PHONE_PATTERN.test(phoneNumber.trim())}
+              >
+                Send Code
+              </Button>
+              <Button type="button" variant="outline" onClick={() => setShowPhoneForm(false)}>
+                Cancel
+              </Button>
+            </form>
+          ) : addable.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {addable.map((type) => (
+                <Button
+                  key={type}
+                  variant="outline"
+                  size="sm"
+                  onClick={() => (type === 'sms' ? setShowPhoneForm(true) : onAdd(type))}
+                  disabled={addLoading}
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add {METHOD_DETAILS[type].label.toLowerCase()}
+                </Button>
+              ))}
+            </div>
+          )}
+        </div>
+      </Card.Content>
+    </Card>
+  );
+};
+
+export default MFAMethodManager;
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Fingerprint, Pencil, Trash2, Check, X, Plus } from 'lucide-react';
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+
+const MAX_NAME_LENGTH = 64;
+
+const formatDate = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm');
+
+/**
+ * Passkey Manager Component
+ * Lists the user's passkeys and security keys, and adds, renames and removes them
+ */
+const PasskeyManager = ({
+  credentials = [],
+  isSupported = true,
+  loading = false,
+  onAdd,
+  onRename,
+  onRemove,
+  addLoading = false,
+  renameLoading = false,
+}) => {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    if (await onAdd(name)) {
+      setNewName('');
+    }
+  };
+
+  const startEditing = (credential) => {
+    setEditingId(credential.id);
+    setEditingName(credential.name);
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    const name = editingName.trim();
+    if (!name) return;
+
+    if (await onRename(editingId, name)) {
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title className="flex items-center">
+          <Fingerprint className="h-5 w-5 mr-2" />
+          Passkeys & Security Keys
+        </Card.Title>
+        <Card.Description>
+          Sign in without a password, or use one instead of an authenticator code as your second factor.
+        </Card.Description>
+      </Card.Header>
+      <Card.Content>
+        <div className="space-y-6">
+          {isSupported ? (
+            <form className="flex items-end space-x-3" onSubmit={handleAdd}>
+              <div className="flex-1">
+                <Input
+                  label="Passkey name"
+                  placeholder="e.g. Work laptop, YubiKey"
+                  value={newName}
+                  maxLength={MAX_NAME_LENGTH}
+                  onChange={(event) => setNewName(event.target.value)}
+                />
+              </div>
+              <Button
+                type="submit"
+                variant="primary"
+                loading={addLoading}
+                disabled={addLoading || !newName.trim()}
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Passkey
+              </Button>
+            </form>
+          ) : (
+            <div className="bg-sage-50 border border-sage-200 rounded-lg p-4">
+              <p className="text-sm text-sage-700">
+                This browser does not support passkeys. Existing passkeys can still be renamed or removed here.
+              </p>
+            </div>
+          )}
+
+          {loading && (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-forest-600"></div>
+            </div>
+          )}
+
+          {!loading && credentials.length === 0 && (
+            <p className="text-sm text-sage-600">You have not added any passkeys yet.</p>
+          )}
+
+          {!loading && credentials.length > 0 && (
+            <ul className="divide-y divide-sage-200 border border-sage-200 rounded-lg">
+              {credentials.map((credential) => (
+                <li key={credential.id} className="flex items-center justify-between p-4">
+                  {editingId === credential.id ? (
+                    <form className="flex flex-1 items-center space-x-2" onSubmit={handleRename}>
+                      <div className="flex-1">
+                        <Input
+                          value={editingName}
+                          maxLength={MAX_NAME_LENGTH}
+                          onChange={(event) => setEditingName(event.target.value)}
+                          autoFocus
+                        />
+                      </div>
+                      <Button
+                        type="submit"
+                        variant="primary"
+                        size="sm"
+                        loading={renameLoading}
+                        disabled={renameLoading || !editingName.trim()}
+                        title="Save"
+                      >
+                        <Check className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setEditingId(null)}
+                        title="Cancel"
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </form>
+                  ) : (
+                    <>
+                      <div>
+                        <p className="text-sm font-medium text-forest-900">{credential.name}</p>
+                        <p className="text-xs text-sage-600">
+                          {credential.deviceType === 'multiDevice' ? 'Synced passkey' : 'Device-bound key'}
+                          {' · '}Added {formatDate(credential.createdAt)}
+                          {' · '}
+                          {credential.lastUsedAt ? `Last used ${formatDate(credential.lastUsedAt)}` : 'Never used'}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => startEditing(credential)}
+                          title="Rename"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => onRemove(credential)}
+                          title="Remove"
+                        >
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </div>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </Card.Content>
+    </Card>
+  );
+};
+
+export default PasskeyManager;
@@ -20,19 +20,28 @@ const RoleForm = ({
     register,
     handleSubmit,
     formState: { errors },
-    reset
+    reset,
+    watch
   } = useForm({
     defaultValues: role ? {
       name: role.name,
       description: role.description || '',
-      scope: role.scope || ''
+      scope: role.scope || '',
+      magicLinkEnabled: role.magicLinkEnabled || false,
+      mfaRequired: role.mfaRequired || false,
+      mfaGracePeriodDays: role.mfaGracePeriodDays ?? 0
     } : {
       name: '',
       description: '',
-      scope: ''
+      scope: '',
+      magicLinkEnabled: false,
+      mfaRequired: false,
+      mfaGracePeriodDays: 0
     }
   });
 
+  const mfaRequired = watch('mfaRequired');
+
   const handleFormSubmit = (data) => {
     onSubmit(data);
   };
@@ -112,6 +121,54 @@ const RoleForm = ({
           </p>
         </div>
 
+        <div>
+          <label className="flex items-center text-sm text-forest-700">
+            <input
+              type="checkbox"
+              {...register('magicLinkEnabled')}
+              className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+            />
+            Allow sign-in with emailed links
+          </label>
+          <p className="text-xs text-sage-500 mt-1 ml-6">
+            Members can sign in without a password using a single-use link sent to their email
+          </p>
+        </div>
+
+        <div>
+          <label className="flex items-center text-sm text-forest-700">
+            <input
+              type="checkbox"
+              {...register('mfaRequired')}
+              className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+            />
+            Require two-factor authentication
+          </label>
+          <p className="text-xs text-sage-500 mt-1 ml-6">
+            Members without an authenticator app or passkey must set one up before they can sign in
+          </p>
+          {mfaRequired && (
+            <div className="mt-3 ml-6 max-w-xs">
+              <Input
+                label="Grace Period (days)"
+                type="number"
+                min={0}
+                max={90}
+                error={errors.mfaGracePeriodDays?.message}
+                {...register('mfaGracePeriodDays', {
+                  valueAsNumber: true,
+                  min: { value: 0, message: 'Grace period cannot be negative' },
+                  max: { value: 90, message: 'Grace period must be 90 days or less' }
+                })}
+              />
+              <p className="text-xs text-sage-500 mt-1">
+                Days members may keep signing in without two-factor, counted from their first sign-in
+                after the requirement applies. 0 enforces it immediately.
+              </p>
+            </div>
+          )}
+        </div>
+
         <div className="flex justify-end space-x-3 pt-4">
           <Button
             type="button"
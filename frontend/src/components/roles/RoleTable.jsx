@@ -40,6 +40,17 @@ const RoleTable = ({
                 Scope: {role.scope}
               </div>
             )}
+            {role.magicLinkEnabled && (
+              <div className="text-xs text-moss-700">
+                Email link sign-in
+              </div>
+            )}
+            {role.mfaRequired && (
+              <div className="text-xs text-moss-700">
+                MFA required
+                {role.mfaGracePeriodDays > 0 && ` (${role.mfaGracePeriodDays}-day grace)`}
+              </div>
+            )}
           </div>
         </div>
       ),
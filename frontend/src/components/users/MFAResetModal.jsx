@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { ShieldOff } from 'lucide-react';
+import Button from '../ui/Button';
+import Modal from '../ui/Modal';
+
+const MIN_NOTE_LENGTH = 10;
+
+/**
+ * MFA Reset Modal Component
+ * Records how the user's identity was verified before their MFA is reset. Resets started by
+ * non-admins (or all of them, when the server requires it) wait for a second admin's approval
+ */
+const MFAResetModal = ({
+  isOpen,
+  onClose,
+  user,
+  onSubmit,
+  loading = false,
+  needsApproval = false
+}) => {
+  const [verificationNote, setVerificationNote] = useState('');
+
+  const handleClose = () => {
+    setVerificationNote('');
+    onClose();
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (await onSubmit(verificationNote.trim())) {
+      setVerificationNote('');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Reset MFA">
+      {user && (
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div className="flex items-start bg-yellow-50 border border-yellow-200 rounded-md p-3">
+            <ShieldOff className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+            <p className="text-sm text-yellow-800">
+              This removes every verification method, passkey and backup code of {user.firstName} {user.lastName},
+              signs them out everywhere and makes them set up MFA again at their next sign-in.
+              {needsApproval && ' It takes effect once a second administrator approves it.'}
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="mfa-reset-note" className="block text-sm font-medium text-forest-700">
+              Identity verification
+            </label>
+            <textarea
+              id="mfa-reset-note"
+              rows={4}
+              maxLength={1000}
+              placeholder="e.g. Called back on the phone number in the HR record and confirmed employee ID"
+              className="mt-1 block w-full px-3 py-2 border border-sage-300 rounded-md shadow-sm placeholder-sage-400 focus:outline-none focus:ring-2 focus:ring-forest-500 focus:border-forest-500 text-sm"
+              value={verificationNote}
+              onChange={(event) => setVerificationNote(event.target.value)}
+              autoFocus
+            />
+            <p className="text-xs text-sage-500 mt-1">
+              How you confirmed this is really the user. Recorded in the audit log.
+            </p>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={handleClose} disabled={loading}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="danger"
+              loading={loading}
+              disabled={loading || verificationNote.trim().length < MIN_NOTE_LENGTH}
+            >
+              {needsApproval ? 'Request Reset' : 'Reset MFA'}
+            </Button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+export default MFAResetModal;
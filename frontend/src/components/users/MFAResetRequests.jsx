@@ -0,0 +1,87 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { ShieldOff, Check, X } from 'lucide-react';
+import Button from '../ui/Button';
+import Card from '../ui/Card';
+
+const formatDate = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm');
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Deleted user');
+
+/**
+ * MFA Reset Requests Component
+ * Pending MFA resets waiting for a second administrator. The requester cannot approve their own
+ * request; the server enforces this as well
+ */
+const MFAResetRequests = ({
+  requests = [],
+  currentUserId,
+  onApprove,
+  onReject,
+  loadingId = null
+}) => {
+  if (requests.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title className="flex items-center">
+          <ShieldOff className="h-5 w-5 mr-2" />
+          Pending MFA Resets
+        </Card.Title>
+        <Card.Description>
+          Check the identity verification before approving. Approving signs the user out and removes their MFA.
+        </Card.Description>
+      </Card.Header>
+      <Card.Content>
+        <ul className="divide-y divide-sage-200 border border-sage-200 rounded-lg">
+          {requests.map((request) => {
+            const ownRequest = request.requestedById === currentUserId;
+            return (
+              <li key={request.id} className="flex items-start justify-between p-4">
+                <div className="space-y-1">
+                  <p className="text-sm font-medium text-forest-900">
+                    {fullName(request.user)}
+                    <span className="ml-2 text-sage-600 font-normal">{request.user?.email}</span>
+                  </p>
+                  <p className="text-sm text-sage-700">{request.verificationNote}</p>
+                  <p className="text-xs text-sage-600">
+                    Requested by {fullName(request.requestedBy)} on {formatDate(request.createdAt)}
+                    {' · '}
+                    Expires {formatDate(request.expiresAt)}
+                  </p>
+                </div>
+                <div className="flex space-x-2 ml-4">
+                  <Button
+                    size="sm"
+                    variant="primary"
+                    onClick={() => onApprove(request)}
+                    loading={loadingId === request.id}
+                    disabled={ownRequest || loadingId === request.id}
+                    title={ownRequest ? 'Another administrator must approve your request' : 'Approve'}
+                  >
+                    <Check className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => onReject(request)}
+                    disabled={loadingId === request.id}
+                    className="hover:bg-red-50 hover:text-red-700 hover:border-red-300"
+                    title="Reject"
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </Card.Content>
+    </Card>
+  );
+};
+
+export default MFAResetRequests;
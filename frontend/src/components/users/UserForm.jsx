@@ -1,8 +1,11 @@
 import React from 'react';
 import { useForm } from 'react-hook-form';
+import { useQuery } from '@tanstack/react-query';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
+import { applyServerFieldErrors } from '../../utils/formErrors';
+import { passwordPolicyQuery, describePasswordPolicy } from '../../utils/passwordPolicy';
 
 /**
  * User Form Component
@@ -16,7 +19,7 @@ const UserForm = ({
   loading = false,
   mode = 'create' // 'create' or 'edit'
 }) => {
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, formState: { errors }, setError } = useForm({
     defaultValues: user ? {
       firstName: user.firstName || '',
       lastName: user.lastName || '',
@@ -28,8 +31,19 @@ const UserForm = ({
 
   const isEditMode = mode === 'edit';
 
+  const { data: policyData } = useQuery({ ...passwordPolicyQuery, enabled: !isEditMode });
+
+  // Validation and password policy errors come back per field
+  const submit = async (data) => {
+    try {
+      await onSubmit(data);
+    } catch (error) {
+      applyServerFieldErrors(error, setError);
+    }
+  };
+
   return (
-    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
       <div className="grid grid-cols-2 gap-4">
         <Input
           label="First Name"
@@ -61,13 +75,10 @@ const UserForm = ({
           label="Password"
           type="password"
           {...register('password', { 
-            required: 'Password is required',
-            minLength: {
-              value: 8,
-              message: 'Password must be at least 8 characters'
-            }
+            required: 'Password is required'
           })}
           error={errors.password?.message}
+          helperText={describePasswordPolicy(policyData?.data?.data)}
         />
       )}
 
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Edit, Trash2, UserCheck, UserX, Activity, Smartphone } from 'lucide-react';
+import { Edit, Trash2, UserCheck, UserX, Activity, Smartphone, Unlock, KeyRound, ShieldOff } from 'lucide-react';
 import Button from '../ui/Button';
 import Card from '../ui/Card';
 import Table from '../ui/Table';
@@ -19,10 +19,17 @@ const UserTable = ({
   onEdit,
   onDelete,
   onToggleStatus,
+  onUnlock,
+  onResetPassword,
+  onResetMFA,
   onViewStats,
   onViewSessions,
-  canManageUsers = false
+  canManageUsers = false,
+  canResetPasswords = false
 }) => {
+  const isLocked = (user) => user.lockedUntil && new Date(user.lockedUntil) > new Date();
+  const hasMFA = (user) => user.mfaEnabled || user._count?.webAuthnCredentials > 0;
+
   const columns = [
     {
       key: 'name',
@@ -72,13 +79,23 @@ const UserTable = ({
       key: 'isActive',
       label: 'Status',
       render: (user) => (
-        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-          user.isActive 
-            ? 'bg-moss-100 text-moss-800' 
-            : 'bg-red-100 text-red-800'
-        }`}>
-          {user.isActive ? 'Active' : 'Inactive'}
-        </span>
+        <div className="space-y-1">
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            user.isActive 
+              ? 'bg-moss-100 text-moss-800' 
+              : 'bg-red-100 text-red-800'
+          }`}>
+            {user.isActive ? 'Active' : 'Inactive'}
+          </span>
+          {isLocked(user) && (
+            <div
+              className="text-xs text-red-700"
+              title={`Locked until ${format(new Date(user.lockedUntil), 'MMM dd, yyyy HH:mm')}`}
+            >
+              Locked until {format(new Date(user.lockedUntil), 'HH:mm')}
+            </div>
+          )}
+        </div>
       ),
     },
     {
@@ -151,6 +168,39 @@ const UserTable = ({
           >
             {user.isActive ? <UserX className="h-4 w-4" /> : <UserCheck className="h-4 w-4" />}
           </Button>
+          {isLocked(user) && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onUnlock(user)}
+              className="p-2 hover:bg-moss-50 hover:text-moss-700 hover:border-moss-300 transition-colors duration-200"
+              title="Unlock Account"
+            >
+              <Unlock className="h-4 w-4" />
+            </Button>
+          )}
+          {canResetPasswords && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onResetPassword(user)}
+              className="p-2 hover:bg-forest-50 hover:text-forest-700 hover:border-forest-300 transition-colors duration-200"
+              title="Reset Password"
+            >
+              <KeyRound className="h-4 w-4" />
+            </Button>
+          )}
+          {hasMFA(user) && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onResetMFA(user)}
+              className="p-2 hover:bg-yellow-50 hover:text-yellow-700 hover:border-yellow-300 transition-colors duration-200"
+              title="Reset MFA"
+            >
+              <ShieldOff className="h-4 w-4" />
+            </Button>
+          )}
           <Button
             size="sm"
             variant="danger"
@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { authAPI, webauthnAPI } from '../services/api';
+import { isRetryableMFAError } from '../utils/mfaChallenge';
 import toast from 'react-hot-toast';
 
 /**
@@ -17,7 +19,12 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   requiresMFA: false,
-  mfaUserId: null,
+  // Signed ticket for the MFA step; kept in memory only
+  mfaChallengeToken: null,
+  // Ticket that only allows setting up MFA, issued when the user's role requires it
+  mfaEnrollmentToken: null,
+  // MFA method types the enrollment ticket can set up
+  mfaEnrollmentMethods: ['totp'],
 };
 
 // Action types
@@ -30,6 +37,7 @@ const AUTH_ACTIONS = {
   SET_USER: 'SET_USER',
   SET_TOKENS: 'SET_TOKENS',
   REQUIRE_MFA: 'REQUIRE_MFA',
+  REQUIRE_MFA_ENROLLMENT: 'REQUIRE_MFA_ENROLLMENT',
   CLEAR_MFA: 'CLEAR_MFA',
   UPDATE_PROFILE: 'UPDATE_PROFILE',
 };
@@ -42,7 +50,8 @@ const authReducer = (state, action) => {
         ...state,
         isLoading: true,
         requiresMFA: false,
-        mfaUserId: null,
+        mfaChallengeToken: null,
+        mfaEnrollmentToken: null,
       };
 
     case AUTH_ACTIONS.LOGIN_SUCCESS:
@@ -53,7 +62,8 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         requiresMFA: false,
-        mfaUserId: null,
+        mfaChallengeToken: null,
+        mfaEnrollmentToken: null,
       };
 
     case AUTH_ACTIONS.LOGIN_FAILURE:
@@ -64,7 +74,8 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         requiresMFA: false,
-        mfaUserId: null,
+        mfaChallengeToken: null,
+        mfaEnrollmentToken: null,
       };
 
     case AUTH_ACTIONS.LOGOUT:
@@ -75,7 +86,8 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         requiresMFA: false,
-        mfaUserId: null,
+        mfaChallengeToken: null,
+        mfaEnrollmentToken: null,
       };
 
     case AUTH_ACTIONS.SET_LOADING:
@@ -101,7 +113,15 @@ const authReducer = (state, action) => {
       return {
         ...state,
         requiresMFA: true,
-        mfaUserId: action.payload.userId,
+        mfaChallengeToken: action.payload.mfaChallengeToken,
+        isLoading: false,
+      };
+
+    case AUTH_ACTIONS.REQUIRE_MFA_ENROLLMENT:
+      return {
+        ...state,
+        mfaEnrollmentToken: action.payload.mfaEnrollmentToken,
+        mfaEnrollmentMethods: action.payload.availableMethods || ['totp'],
         isLoading: false,
       };
 
@@ -109,7 +129,8 @@ const authReducer = (state, action) => {
       return {
         ...state,
         requiresMFA: false,
-        mfaUserId: null,
+        mfaChallengeToken: null,
+        mfaEnrollmentToken: null,
       };
 
     case AUTH_ACTIONS.UPDATE_PROFILE:
@@ -126,6 +147,16 @@ const authReducer = (state, action) => {
 // Create context
 const AuthContext = createContext();
 
+// Reminder while a role's MFA grace period runs
+const warnMFAEnrollmentDeadline = (deadline) => {
+  if (deadline) {
+    toast(`Your role requires two-factor authentication. Set it up before ${new Date(deadline).toLocaleDateString()} to keep signing in.`, {
+      icon: '🔐',
+      duration: 8000,
+    });
+  }
+};
+
 // Auth provider component
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
@@ -176,14 +207,45 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       
       const response = await authAPI.login(credentials);
-      const { user, tokens, requiresMFA, userId, sessionId } = response.data.data;
+      const {
+        user,
+        tokens,
+        requiresMFA,
+        mfaChallengeToken,
+        methods,
+        destinations,
+        webauthnOptions,
+        sessionId,
+        requiresPasswordChange,
+        passwordChangeToken,
+        reason,
+        requiresMFAEnrollment,
+        mfaEnrollmentToken,
+        availableMethods,
+        mfaEnrollmentDeadline,
+      } = response.data.data;
 
       if (requiresMFA) {
         dispatch({
           type: AUTH_ACTIONS.REQUIRE_MFA,
-          payload: { userId },
+          payload: { mfaChallengeToken },
+        });
+        return { requiresMFA: true, methods, destinations, webauthnOptions };
+      }
+
+      // The role requires MFA and the grace period is over: set it up before signing in
+      if (requiresMFAEnrollment) {
+        dispatch({
+          type: AUTH_ACTIONS.REQUIRE_MFA_ENROLLMENT,
+          payload: { mfaEnrollmentToken, availableMethods },
         });
-        return { requiresMFA: true, userId };
+        return { requiresMFAEnrollment: true };
+      }
+
+      // No session yet: the password must be replaced first
+      if (requiresPasswordChange) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { requiresPasswordChange: true, passwordChangeToken, reason };
       }
 
       // Store tokens and user data
@@ -200,6 +262,7 @@ export const AuthProvider = ({ children }) => {
       });
 
       toast.success('Login successful!');
+      warnMFAEnrollmentDeadline(mfaEnrollmentDeadline);
       return { success: true };
     } catch (error) {
       dispatch({ type: AUTH_ACTIONS.LOGIN_FAILURE });
@@ -207,11 +270,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Complete MFA login
-  const completeMFALogin = async (credentials, mfaToken) => {
+  // Complete MFA login with { mfaToken } or { webauthnResponse }; with neither it renews the prompt
+  const completeMFALogin = async (mfaData = {}) => {
     try {
-      const response = await authAPI.login({ ...credentials, mfaToken });
-      const { user, tokens, sessionId } = response.data.data;
+      const response = await authAPI.verifyMFA({ mfaChallengeToken: state.mfaChallengeToken, ...mfaData });
+      const {
+        user,
+        tokens,
+        sessionId,
+        requiresMFA,
+        methods,
+        destinations,
+        webauthnOptions,
+        requiresPasswordChange,
+        passwordChangeToken,
+        reason,
+      } = response.data.data;
+
+      if (requiresMFA) {
+        return { requiresMFA: true, methods, destinations, webauthnOptions };
+      }
+
+      // No session yet: the password must be replaced first
+      if (requiresPasswordChange) {
+        dispatch({ type: AUTH_ACTIONS.CLEAR_MFA });
+        return { requiresPasswordChange: true, passwordChangeToken, reason };
+      }
 
       // Store tokens and user data
       localStorage.setItem('accessToken', tokens.accessToken);
@@ -226,26 +310,242 @@ export const AuthProvider = ({ children }) => {
         payload: { user, tokens },
       });
 
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      // A wrong code can be retried; otherwise the challenge is spent and sign-in starts over
+      if (!isRetryableMFAError(error)) {
+        dispatch({ type: AUTH_ACTIONS.CLEAR_MFA });
+      }
+      throw error;
+    }
+  };
+
+  // Email or text a code for the open MFA challenge: returns { sentTo, expiresAt }
+  const sendMFACode = async (method) => {
+    const response = await authAPI.sendMFAChallengeCode({ mfaChallengeToken: state.mfaChallengeToken, method });
+    return response.data.data;
+  };
+
+  // Start the required MFA setup with { type?, phoneNumber? }: an authenticator app returns
+  // { secret, qrCodeUrl }, email and SMS return { sentTo, expiresAt }
+  const setupRequiredMFA = async (options = {}) => {
+    const response = await authAPI.setupRequiredMFA({ mfaEnrollmentToken: state.mfaEnrollmentToken, ...options });
+    return response.data.data;
+  };
+
+  // Confirm the first code and finish the sign-in; returns the new backup codes
+  const completeMFAEnrollment = async (token) => {
+    const response = await authAPI.completeRequiredMFAEnrollment({
+      mfaEnrollmentToken: state.mfaEnrollmentToken,
+      token,
+    });
+    const {
+      user,
+      tokens,
+      sessionId,
+      backupCodes,
+      requiresPasswordChange,
+      passwordChangeToken,
+      reason,
+    } = response.data.data;
+
+    // No session yet: the password must be replaced first
+    if (requiresPasswordChange) {
       dispatch({ type: AUTH_ACTIONS.CLEAR_MFA });
+      return { requiresPasswordChange: true, passwordChangeToken, reason, backupCodes };
+    }
+
+    // Store tokens and user data
+    localStorage.setItem('accessToken', tokens.accessToken);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    if (sessionId) {
+      localStorage.setItem('sessionId', sessionId);
+    }
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, tokens },
+    });
+
+    toast.success('MFA enabled successfully');
+    return { success: true, backupCodes };
+  };
+
+  // Finish a sign-in that required a new password
+  const completePasswordChange = async (passwordChangeToken, newPassword) => {
+    const response = await authAPI.completeRequiredPasswordChange({ passwordChangeToken, newPassword });
+    const { user, tokens, sessionId } = response.data.data;
+
+    // Store tokens and user data
+    localStorage.setItem('accessToken', tokens.accessToken);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    if (sessionId) {
+      localStorage.setItem('sessionId', sessionId);
+    }
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, tokens },
+    });
+
+    toast.success('Password changed successfully');
+    return { success: true };
+  };
+
+  // Complete sign-in with an external identity provider; with MFA it continues through completeMFALogin
+  const completeSSOLogin = async (ticket) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      const response = await authAPI.exchangeSSOTicket(ticket);
+      const {
+        user,
+        tokens,
+        sessionId,
+        requiresMFA,
+        mfaChallengeToken,
+        methods,
+        destinations,
+        webauthnOptions,
+        requiresMFAEnrollment,
+        mfaEnrollmentToken,
+        availableMethods,
+        mfaEnrollmentDeadline,
+      } = response.data.data;
+
+      if (requiresMFA) {
+        dispatch({
+          type: AUTH_ACTIONS.REQUIRE_MFA,
+          payload: { mfaChallengeToken },
+        });
+        return { requiresMFA: true, methods, destinations, webauthnOptions };
+      }
+
+      if (requiresMFAEnrollment) {
+        dispatch({
+          type: AUTH_ACTIONS.REQUIRE_MFA_ENROLLMENT,
+          payload: { mfaEnrollmentToken, availableMethods },
+        });
+        return { requiresMFAEnrollment: true };
+      }
+
+      // Store tokens and user data
+      localStorage.setItem('accessToken', tokens.accessToken);
+      localStorage.setItem('refreshToken', tokens.refreshToken);
+      localStorage.setItem('user', JSON.stringify(user));
+      if (sessionId) {
+        localStorage.setItem('sessionId', sessionId);
+      }
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user, tokens },
+      });
+
       toast.success('Login successful!');
+      warnMFAEnrollmentDeadline(mfaEnrollmentDeadline);
       return { success: true };
     } catch (error) {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_FAILURE });
       throw error;
     }
   };
 
+  // Complete sign-in with an emailed link; with MFA it continues through completeMFALogin
+  const completeMagicLinkLogin = async (token, nonce) => {
+    const response = await authAPI.verifyMagicLink({ token, nonce });
+    const {
+      user,
+      tokens,
+      sessionId,
+      requiresMFA,
+      mfaChallengeToken,
+      methods,
+      destinations,
+      webauthnOptions,
+      requiresMFAEnrollment,
+      mfaEnrollmentToken,
+      availableMethods,
+      mfaEnrollmentDeadline,
+    } = response.data.data;
+
+    if (requiresMFA) {
+      dispatch({
+        type: AUTH_ACTIONS.REQUIRE_MFA,
+        payload: { mfaChallengeToken },
+      });
+      return { requiresMFA: true, methods, destinations, webauthnOptions };
+    }
+
+    if (requiresMFAEnrollment) {
+      dispatch({
+        type: AUTH_ACTIONS.REQUIRE_MFA_ENROLLMENT,
+        payload: { mfaEnrollmentToken, availableMethods },
+      });
+      return { requiresMFAEnrollment: true };
+    }
+
+    // Store tokens and user data
+    localStorage.setItem('accessToken', tokens.accessToken);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    if (sessionId) {
+      localStorage.setItem('sessionId', sessionId);
+    }
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, tokens },
+    });
+
+    toast.success('Login successful!');
+    warnMFAEnrollmentDeadline(mfaEnrollmentDeadline);
+    return { success: true };
+  };
+
+  // Passwordless sign-in with a passkey saved in the browser or on a security key
+  const loginWithPasskey = async () => {
+    const optionsResponse = await webauthnAPI.getLoginOptions();
+    const webauthnResponse = await startAuthentication({ optionsJSON: optionsResponse.data.data });
+
+    const response = await webauthnAPI.verifyLogin(webauthnResponse);
+    const { user, tokens, sessionId } = response.data.data;
+
+    // Store tokens and user data
+    localStorage.setItem('accessToken', tokens.accessToken);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    if (sessionId) {
+      localStorage.setItem('sessionId', sessionId);
+    }
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, tokens },
+    });
+
+    toast.success('Login successful!');
+    return { success: true };
+  };
+
   // Register function
   const register = async (userData) => {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       
       const response = await authAPI.register(userData);
-      const { user, tokens } = response.data.data;
+      const { user, tokens, sessionId } = response.data.data;
 
       // Store tokens and user data
       localStorage.setItem('accessToken', tokens.accessToken);
       localStorage.setItem('refreshToken', tokens.refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
+      if (sessionId) {
+        localStorage.setItem('sessionId', sessionId);
+      }
 
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -429,11 +729,20 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     isLoading: state.isLoading,
     requiresMFA: state.requiresMFA,
-    mfaUserId: state.mfaUserId,
+    mfaChallengeToken: state.mfaChallengeToken,
+    mfaEnrollmentToken: state.mfaEnrollmentToken,
+    mfaEnrollmentMethods: state.mfaEnrollmentMethods,
 
     // Actions
     login,
     completeMFALogin,
+    sendMFACode,
+    setupRequiredMFA,
+    completeMFAEnrollment,
+    completePasswordChange,
+    completeSSOLogin,
+    completeMagicLinkLogin,
+    loginWithPasskey,
     register,
     logout,
     logoutAll,
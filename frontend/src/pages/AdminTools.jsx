@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useForm } from 'react-hook-form';
 import { 
   Settings, 
@@ -12,9 +12,12 @@ import {
   Clock,
   FileText,
   Users,
-  Activity
+  Activity,
+  KeyRound
 } from 'lucide-react';
-import { authAPI, auditAPI } from '../services/api';
+import { authAPI, auditAPI, passwordPolicyAPI } from '../services/api';
+import { passwordPolicyQuery } from '../utils/passwordPolicy';
+import { applyServerFieldErrors } from '../utils/formErrors';
 import { useAuth } from '../context/AuthContext';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
@@ -31,6 +34,7 @@ const AdminTools = () => {
   const [showTokenCleanupModal, setShowTokenCleanupModal] = useState(false);
   const [showAuditCleanupModal, setShowAuditCleanupModal] = useState(false);
   const [showMaintenanceModal, setShowMaintenanceModal] = useState(false);
+  const [showPasswordPolicyModal, setShowPasswordPolicyModal] = useState(false);
 
   const queryClient = useQueryClient();
   const { hasRole } = useAuth();
@@ -61,6 +65,25 @@ const AdminTools = () => {
     },
   });
 
+  // Password policy
+  const { data: policyData } = useQuery({
+    ...passwordPolicyQuery,
+    enabled: showPasswordPolicyModal,
+  });
+  const passwordPolicy = policyData?.data?.data;
+
+  const passwordPolicyMutation = useMutation({
+    mutationFn: passwordPolicyAPI.updatePolicy,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['password-policy']);
+      setShowPasswordPolicyModal(false);
+      toast.success('Password policy updated successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update password policy');
+    },
+  });
+
   const handleTokenCleanup = () => {
     tokenCleanupMutation.mutate();
   };
@@ -90,6 +113,16 @@ const AdminTools = () => {
       action: () => setShowAuditCleanupModal(true),
       requiresConfirmation: true,
     },
+    {
+      id: 'password-policy',
+      title: 'Password Policy',
+      description: 'Set password strength, reuse and expiry rules for all accounts',
+      icon: KeyRound,
+      color: 'text-forest-600',
+      bgColor: 'bg-forest-100',
+      action: () => setShowPasswordPolicyModal(true),
+      requiresConfirmation: false,
+    },
     {
       id: 'system-refresh',
       title: 'System Refresh',
@@ -342,6 +375,27 @@ const AdminTools = () => {
         />
       </Modal>
 
+      {/* Password Policy Modal */}
+      <Modal
+        isOpen={showPasswordPolicyModal}
+        onClose={() => setShowPasswordPolicyModal(false)}
+        title="Password Policy"
+        size="lg"
+      >
+        {passwordPolicy ? (
+          <PasswordPolicyForm
+            policy={passwordPolicy}
+            onSubmit={(data) => passwordPolicyMutation.mutateAsync(data)}
+            onCancel={() => setShowPasswordPolicyModal(false)}
+            loading={passwordPolicyMutation.isPending}
+          />
+        ) : (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-forest-600"></div>
+          </div>
+        )}
+      </Modal>
+
       {/* Maintenance Mode Modal */}
       <Modal
         isOpen={showMaintenanceModal}
@@ -442,4 +496,156 @@ const AuditCleanupForm = ({ onSubmit, onCancel, loading }) => {
   );
 };
 
+// Password Policy Form Component
+const PasswordPolicyForm = ({ policy, onSubmit, onCancel, loading }) => {
+  const { register, handleSubmit, setError, formState: { errors } } = useForm({
+    defaultValues: {
+      minLength: policy.minLength,
+      maxLength: policy.maxLength,
+      requireUppercase: policy.requireUppercase,
+      requireLowercase: policy.requireLowercase,
+      requireNumber: policy.requireNumber,
+      requireSymbol: policy.requireSymbol,
+      disallowPersonalInfo: policy.disallowPersonalInfo,
+      disallowBreached: policy.disallowBreached,
+      disallowedWords: policy.disallowedWords.join('\n'),
+      historyCount: policy.historyCount,
+      maxAgeDays: policy.maxAgeDays,
+    }
+  });
+
+  const characterRules = [
+    { name: 'requireUppercase', label: 'Uppercase letter' },
+    { name: 'requireLowercase', label: 'Lowercase letter' },
+    { name: 'requireNumber', label: 'Number' },
+    { name: 'requireSymbol', label: 'Special character' },
+  ];
+
+  const submit = async (data) => {
+    try {
+      await onSubmit({
+        ...data,
+        minLength: Number(data.minLength),
+        maxLength: Number(data.maxLength),
+        historyCount: Number(data.historyCount),
+        maxAgeDays: Number(data.maxAgeDays),
+        disallowedWords: data.disallowedWords.split('\n').map(word => word.trim()).filter(Boolean),
+      });
+    } catch (error) {
+      applyServerFieldErrors(error, setError);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <Input
+          label="Minimum length"
+          type="number"
+          min="6"
+          max="128"
+          {...register('minLength', { required: 'Minimum length is required' })}
+          error={errors.minLength?.message}
+        />
+        <Input
+          label="Maximum length"
+          type="number"
+          min="8"
+          max="1024"
+          {...register('maxLength', { required: 'Maximum length is required' })}
+          error={errors.maxLength?.message}
+        />
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Required characters</span>
+        <div className="grid grid-cols-2 gap-2">
+          {characterRules.map((rule) => (
+            <label key={rule.name} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                {...register(rule.name)}
+                className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+              />
+              {rule.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          {...register('disallowPersonalInfo')}
+          className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+        />
+        Reject passwords containing the user's name or email
+      </label>
+
+      <div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            {...register('disallowBreached')}
+            className="h-4 w-4 text-forest-600 focus:ring-forest-500 border-sage-300 rounded mr-2"
+          />
+          Reject passwords found in known data breaches
+        </label>
+        <p className="text-sm text-sage-500 ml-6">Checked offline against the dataset loaded on the server</p>
+      </div>
+
+      <div className="space-y-1">
+        <label className="block text-sm font-medium text-gray-700">Disallowed words</label>
+        <textarea
+          rows={4}
+          {...register('disallowedWords')}
+          className="block w-full px-3 py-2 border border-sage-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-forest-500 focus:border-forest-500 text-sm"
+        />
+        {errors.disallowedWords ? (
+          <p className="text-sm text-red-600">{errors.disallowedWords.message}</p>
+        ) : (
+          <p className="text-sm text-sage-500">One per line; passwords containing any of them are rejected</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <Input
+          label="Password history"
+          type="number"
+          min="0"
+          max="24"
+          {...register('historyCount', { required: 'Password history is required' })}
+          error={errors.historyCount?.message}
+          helperText="Previous passwords that cannot be reused (0 to disable)"
+        />
+        <Input
+          label="Maximum age (days)"
+          type="number"
+          min="0"
+          max="3650"
+          {...register('maxAgeDays', { required: 'Maximum age is required' })}
+          error={errors.maxAgeDays?.message}
+          helperText="Days before a password expires (0 to disable)"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onCancel}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          loading={loading}
+        >
+          Save Policy
+        </Button>
+      </div>
+    </form>
+  );
+};
+
 export default AdminTools;
@@ -17,6 +17,7 @@ import AuditTable from '../components/audit/AuditTable';
 import AuditStatsCards from '../components/audit/AuditStatsCards';
 import AuditDetailsModal from '../components/audit/AuditDetailsModal';
 import AuditCleanupModal from '../components/audit/AuditCleanupModal';
+import MFAComplianceReport from '../components/audit/MFAComplianceReport';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 
@@ -280,6 +281,9 @@ const AuditLogs = () => {
         {/* Statistics Cards */}
         <AuditStatsCards stats={stats} />
 
+        {/* MFA enrollment against each role's requirement */}
+        <MFAComplianceReport />
+
         {/* Filters */}
         <AuditFilters
           searchQuery={searchQuery}
@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  AppWindow,
+  Plus,
+  RefreshCw,
+  Search,
+  AlertTriangle
+} from 'lucide-react';
+import { clientAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/ui/Button';
+import Card from '../components/ui/Card';
+import Input from '../components/ui/Input';
+import Modal from '../components/ui/Modal';
+import ClientTable from '../components/clients/ClientTable';
+import ClientForm from '../components/clients/ClientForm';
+import ClientSecretModal from '../components/clients/ClientSecretModal';
+import toast from 'react-hot-toast';
+
+/**
+ * Client Management Page
+ * Registry of applications that sign users in through the OpenID Connect provider
+ */
+const ClientManagement = () => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [selectedClient, setSelectedClient] = useState(null);
+  const [credentials, setCredentials] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageSize, setPageSize] = useState(10);
+
+  const queryClient = useQueryClient();
+  const { hasRole } = useAuth();
+
+  const canManageClients = hasRole(['admin']);
+
+  const { data: clientsData, isLoading: clientsLoading, error: clientsError } = useQuery({
+    queryKey: ['clients', currentPage, pageSize, searchQuery],
+    queryFn: () => clientAPI.getClients({
+      page: currentPage,
+      limit: pageSize,
+      search: searchQuery
+    }),
+    enabled: canManageClients,
+    keepPreviousData: true,
+  });
+
+  const clients = Array.isArray(clientsData?.data?.data) ? clientsData.data.data : [];
+  const pagination = clientsData?.data?.pagination || {};
+
+  // Create client mutation
+  const createClientMutation = useMutation({
+    mutationFn: clientAPI.createClient,
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['clients']);
+      setShowCreateModal(false);
+      setCredentials(response.data.data);
+      toast.success('Client registered successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to register client');
+    },
+  });
+
+  // Update client mutation
+  const updateClientMutation = useMutation({
+    mutationFn: ({ clientId, clientData }) => clientAPI.updateClient(clientId, clientData),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['clients']);
+      setSelectedClient(null);
+      toast.success('Client updated successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update client');
+    },
+  });
+
+  // Rotate secret mutation
+  const rotateSecretMutation = useMutation({
+    mutationFn: clientAPI.rotateClientSecret,
+    onSuccess: (response) => {
+      setCredentials(response.data.data);
+      toast.success('Client secret rotated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to rotate client secret');
+    },
+  });
+
+  // Delete client mutation
+  const deleteClientMutation = useMutation({
+    mutationFn: clientAPI.deleteClient,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['clients']);
+      toast.success('Client deleted successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete client');
+    },
+  });
+
+  const handleSearch = (e) => {
+    setSearchQuery(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handleRotateSecret = (client) => {
+    if (window.confirm(`Issue a new secret for ${client.name}? The current secret stops working immediately.`)) {
+      rotateSecretMutation.mutate(client.id);
+    }
+  };
+
+  const handleDeleteClient = (client) => {
+    if (window.confirm(`Delete ${client.name}? Everyone signed in to it through this service will be signed out.`)) {
+      deleteClientMutation.mutate(client.id);
+    }
+  };
+
+  const handlePageSizeChange = (newPageSize) => {
+    setPageSize(newPageSize);
+    setCurrentPage(1);
+  };
+
+  if (!canManageClients) {
+    return (
+      <div className="min-h-screen bg-sage-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <Card className="p-4 text-center">
+            <AlertTriangle className="h-16 w-16 text-red-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-forest-900 mb-4">Access Denied</h1>
+            <p className="text-sage-600 mb-6">
+              Only administrators can manage client applications.
+            </p>
+            <Button
+              variant="outline"
+              onClick={() => window.history.back()}
+            >
+              Go Back
+            </Button>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-sage-50 py-4">
+      <div className="max-w-7xl sm:px-3 lg:px-0">
+        {/* Header */}
+        <div className="mb-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center">
+              <div className="h-12 w-12 rounded-full bg-forest-100 flex items-center justify-center mr-4">
+                <AppWindow className="h-6 w-6 text-forest-600" />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold text-forest-900">Client Applications</h1>
+                <p className="text-sage-600 mt-1">
+                  Register applications that sign users in with their ERP account
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <Button
+                variant="outline"
+                onClick={() => queryClient.invalidateQueries(['clients'])}
+                disabled={clientsLoading}
+              >
+                <RefreshCw className={`h-4 w-4 mr-2 ${clientsLoading ? 'animate-spin' : ''}`} />
+                Refresh
+              </Button>
+              <Button
+                variant="primary"
+                onClick={() => setShowCreateModal(true)}
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Register Client
+              </Button>
+            </div>
+          </div>
+        </div>
+
+        {/* Search */}
+        <Card className="p-4">
+          <Input
+            placeholder="Search by name or client ID..."
+            value={searchQuery}
+            onChange={handleSearch}
+            icon={<Search className="h-5 w-5 text-sage-400" />}
+          />
+        </Card>
+
+        {/* Clients Table */}
+        <div className="mt-6">
+          <ClientTable
+            clients={clients}
+            loading={clientsLoading}
+            error={clientsError}
+            pagination={pagination}
+            onPageChange={setCurrentPage}
+            onPageSizeChange={handlePageSizeChange}
+            onEdit={setSelectedClient}
+            onDelete={handleDeleteClient}
+            onRotateSecret={handleRotateSecret}
+          />
+        </div>
+
+        {/* Modals */}
+        <Modal
+          isOpen={showCreateModal}
+          onClose={() => setShowCreateModal(false)}
+          title="Register Client"
+          size="lg"
+        >
+          <ClientForm
+            onSubmit={(data) => createClientMutation.mutate(data)}
+            onCancel={() => setShowCreateModal(false)}
+            loading={createClientMutation.isPending}
+          />
+        </Modal>
+
+        <Modal
+          isOpen={!!selectedClient}
+          onClose={() => setSelectedClient(null)}
+          title="Edit Client"
+          size="lg"
+        >
+          {selectedClient && (
+            <ClientForm
+              client={selectedClient}
+              onSubmit={(data) => updateClientMutation.mutate({ clientId: selectedClient.id, clientData: data })}
+              onCancel={() => setSelectedClient(null)}
+              loading={updateClientMutation.isPending}
+              title="Edit Client"
+            />
+          )}
+        </Modal>
+
+        <ClientSecretModal
+          isOpen={!!credentials}
+          onClose={() => setCredentials(null)}
+          credentials={credentials}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ClientManagement;
@@ -1,13 +1,17 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { authAPI } from '../services/api';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import { authAPI, webauthnAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import MFAHeader from '../components/mfa/MFAHeader';
 import MFAInfoGrid from '../components/mfa/MFAInfoGrid';
 import MFASetupModal from '../components/mfa/MFASetupModal';
 import MFABackupCodesModal from '../components/mfa/MFABackupCodesModal';
 import MFADisableModal from '../components/mfa/MFADisableModal';
+import PasskeyManager from '../components/mfa/PasskeyManager';
+import MFAMethodManager from '../components/mfa/MFAMethodManager';
 import { MFAStatusCard } from '../components/auth/MFASharedComponents';
+import { getPasskeyErrorMessage } from '../utils/passkeys';
 import toast from 'react-hot-toast';
 
 /**
@@ -21,6 +25,9 @@ const MFAManagement = () => {
   const [mfaSecret, setMfaSecret] = useState('');
   const [qrCodeUrl, setQrCodeUrl] = useState('');
   const [backupCodes, setBackupCodes] = useState([]);
+  const [justEnabled, setJustEnabled] = useState(false);
+  // Email or SMS setup waiting for the code that was sent: { type, sentTo }
+  const [pendingMethod, setPendingMethod] = useState(null);
 
   const queryClient = useQueryClient();
   const { user } = useAuth();
@@ -34,13 +41,39 @@ const MFAManagement = () => {
   const userProfile = profileData?.data?.data || profileData?.data;
   const isMFAEnabled = userProfile?.mfaEnabled || false;
 
-  // Setup MFA mutation
+  const { data: backupCodeData } = useQuery({
+    queryKey: ['mfa-backup-codes'],
+    queryFn: authAPI.getBackupCodeStatus,
+    enabled: isMFAEnabled,
+  });
+  const backupCodesRemaining = backupCodeData?.data?.data?.remaining ?? null;
+
+  const { data: passkeyData, isLoading: passkeysLoading } = useQuery({
+    queryKey: ['passkeys'],
+    queryFn: webauthnAPI.getCredentials,
+  });
+  const passkeys = passkeyData?.data?.data || [];
+
+  const { data: methodData, isLoading: methodsLoading } = useQuery({
+    queryKey: ['mfa-methods'],
+    queryFn: authAPI.getMFAMethods,
+  });
+  const mfaMethods = methodData?.data?.data?.methods || [];
+  const availableMethods = methodData?.data?.data?.available || ['totp'];
+
+  // Setup MFA mutation: { type?, phoneNumber? }, an authenticator app by default
   const setupMFAMutation = useMutation({
-    mutationFn: authAPI.setupMFA,
+    mutationFn: (data) => authAPI.setupMFA(data),
     onSuccess: (response) => {
-      console.log('MFA Setup Response:', response);
       const mfaData = response.data?.data || response.data;
-      console.log('MFA Data:', mfaData);
+
+      // Email and SMS are confirmed with the code that was just sent
+      if (mfaData.type && mfaData.type !== 'totp') {
+        setPendingMethod({ type: mfaData.type, sentTo: mfaData.sentTo });
+        toast.success(`Code sent to ${mfaData.sentTo}`);
+        return;
+      }
+
       const { secret, qrCodeUrl } = mfaData;
       setMfaSecret(secret);
       setQrCodeUrl(qrCodeUrl);
@@ -58,10 +91,14 @@ const MFAManagement = () => {
     onSuccess: (response) => {
       console.log('MFA Enable Success Response:', response);
       queryClient.invalidateQueries(['user-profile']);
+      queryClient.invalidateQueries(['mfa-backup-codes']);
+      queryClient.invalidateQueries(['mfa-methods']);
       setShowSetupModal(false);
+      setPendingMethod(null);
       const codes = response?.data?.data?.backupCodes || [];
       if (codes.length > 0) {
         setBackupCodes(codes);
+        setJustEnabled(true);
         setShowBackupCodesModal(true);
       }
       toast.success('MFA enabled successfully');
@@ -78,6 +115,7 @@ const MFAManagement = () => {
     mutationFn: authAPI.disableMFA,
     onSuccess: () => {
       queryClient.invalidateQueries(['user-profile']);
+      queryClient.invalidateQueries(['mfa-methods']);
       setShowDisableModal(false);
       toast.success('MFA disabled successfully');
     },
@@ -86,16 +124,95 @@ const MFAManagement = () => {
     },
   });
 
+  // Regenerate backup codes mutation
+  const regenerateBackupCodesMutation = useMutation({
+    mutationFn: authAPI.regenerateBackupCodes,
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['mfa-backup-codes']);
+      setBackupCodes(response?.data?.data?.backupCodes || []);
+      toast.success('New backup codes generated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to generate new backup codes');
+    },
+  });
+
+  // Remove MFA method mutation
+  const removeMethodMutation = useMutation({
+    mutationFn: authAPI.removeMFAMethod,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['user-profile']);
+      queryClient.invalidateQueries(['mfa-methods']);
+      queryClient.invalidateQueries(['mfa-backup-codes']);
+      toast.success('Verification method removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove verification method');
+    },
+  });
+
+  // Add passkey mutation: the browser ceremony runs between the two API calls
+  const addPasskeyMutation = useMutation({
+    mutationFn: async (name) => {
+      const optionsResponse = await webauthnAPI.getRegistrationOptions();
+      const response = await startRegistration({ optionsJSON: optionsResponse.data.data });
+      return webauthnAPI.verifyRegistration(name, response);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['passkeys']);
+      toast.success('Passkey added successfully');
+    },
+    onError: (error) => {
+      toast.error(getPasskeyErrorMessage(error, 'Failed to add passkey'));
+    },
+  });
+
+  // Rename passkey mutation
+  const renamePasskeyMutation = useMutation({
+    mutationFn: ({ id, name }) => webauthnAPI.renameCredential(id, name),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['passkeys']);
+      toast.success('Passkey renamed successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to rename passkey');
+    },
+  });
+
+  // Remove passkey mutation
+  const removePasskeyMutation = useMutation({
+    mutationFn: webauthnAPI.deleteCredential,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['passkeys']);
+      toast.success('Passkey removed successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove passkey');
+    },
+  });
+
   // Event handlers
   const handleSetupMFA = () => {
-    setupMFAMutation.mutate();
+    setupMFAMutation.mutate({ type: 'totp' });
+  };
+
+  // Resolve to whether it worked, so the forms know when to reset
+  const handleAddMethod = (type, phoneNumber) => setupMFAMutation.mutateAsync({ type, phoneNumber }).then(() => true, () => false);
+
+  const handleConfirmMethod = (token) => enableMFAMutation.mutateAsync({ token }).then(() => true, () => false);
+
+  const handleRemoveMethod = (method) => {
+    const warning = mfaMethods.length === 1
+      ? ' It is your last one, so your backup codes will be deleted and codes will no longer be asked for at sign-in.'
+      : '';
+    if (window.confirm(`Remove this verification method?${warning}`)) {
+      removeMethodMutation.mutate(method.id);
+    }
   };
 
+  // The server checks the code against the secret it issued at setup
   const handleEnableMFA = (data) => {
-    console.log('handleEnableMFA called with data:', data);
-    console.log('mfaSecret:', mfaSecret);
-    console.log('Sending request with:', { token: data.token, secret: mfaSecret });
-    enableMFAMutation.mutate({ token: data.token, secret: mfaSecret });
+    enableMFAMutation.mutate({ token: data.token });
   };
 
   const handleDisableMFA = (data) => {
@@ -106,6 +223,21 @@ const MFAManagement = () => {
     setShowBackupCodesModal(true);
   };
 
+  const handleRegenerateBackupCodes = (data) => {
+    regenerateBackupCodesMutation.mutate({ password: data.password, token: data.token.toString().trim() });
+  };
+
+  // Resolve to whether it worked, so the form knows when to reset
+  const handleAddPasskey = (name) => addPasskeyMutation.mutateAsync(name).then(() => true, () => false);
+
+  const handleRenamePasskey = (id, name) => renamePasskeyMutation.mutateAsync({ id, name }).then(() => true, () => false);
+
+  const handleRemovePasskey = (credential) => {
+    if (window.confirm(`Remove the passkey "${credential.name}"? It will no longer sign you in.`)) {
+      removePasskeyMutation.mutate(credential.id);
+    }
+  };
+
   const closeModals = () => {
     setShowSetupModal(false);
     setShowBackupCodesModal(false);
@@ -113,6 +245,7 @@ const MFAManagement = () => {
     setMfaSecret('');
     setQrCodeUrl('');
     setBackupCodes([]);
+    setJustEnabled(false);
   };
 
   if (profileLoading) {
@@ -149,10 +282,41 @@ const MFAManagement = () => {
           />
         </div>
 
+        {/* Authenticator app, email and SMS codes */}
+        <div className="mb-6">
+          <MFAMethodManager
+            methods={mfaMethods}
+            available={availableMethods}
+            loading={methodsLoading}
+            pending={pendingMethod}
+            onAdd={handleAddMethod}
+            onConfirm={handleConfirmMethod}
+            onCancel={() => setPendingMethod(null)}
+            onRemove={handleRemoveMethod}
+            addLoading={setupMFAMutation.isPending}
+            confirmLoading={enableMFAMutation.isPending}
+          />
+        </div>
+
+        {/* Passkeys */}
+        <div className="mb-6">
+          <PasskeyManager
+            credentials={passkeys}
+            isSupported={browserSupportsWebAuthn()}
+            loading={passkeysLoading}
+            onAdd={handleAddPasskey}
+            onRename={handleRenamePasskey}
+            onRemove={handleRemovePasskey}
+            addLoading={addPasskeyMutation.isPending}
+            renameLoading={renamePasskeyMutation.isPending}
+          />
+        </div>
+
         {/* MFA Information Grid */}
         <MFAInfoGrid
           isMFAEnabled={isMFAEnabled}
           onViewBackupCodes={handleViewBackupCodes}
+          backupCodesRemaining={backupCodesRemaining}
         />
 
         {/* Modals */}
@@ -170,6 +334,10 @@ const MFAManagement = () => {
           onClose={closeModals}
           codes={backupCodes}
           userEmail={user?.email}
+          justEnabled={justEnabled}
+          remainingCount={backupCodesRemaining}
+          onRegenerate={handleRegenerateBackupCodes}
+          regenerateLoading={regenerateBackupCodesMutation.isPending}
         />
 
         <MFADisableModal
@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { ShieldCheck, AlertTriangle } from 'lucide-react';
+import { oauthAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/ui/Button';
+import Card from '../components/ui/Card';
+
+// Human-readable description of each OpenID Connect scope
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Sign you in with your ERP account',
+  profile: 'Your name',
+  email: 'Your email address',
+  roles: 'Your role and access scope',
+  offline_access: 'Stay signed in when you are not using it',
+};
+
+/**
+ * OAuth Consent Page
+ * Lets the signed-in user approve another application's sign-in request
+ */
+const OAuthConsent = () => {
+  const location = useLocation();
+  const { user } = useAuth();
+
+  const params = useMemo(
+    () => Object.fromEntries(new URLSearchParams(location.search)),
+    [location.search]
+  );
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['oauth-consent', location.search],
+    queryFn: () => oauthAPI.getConsent(params),
+    retry: false,
+  });
+
+  const consentMutation = useMutation({
+    mutationFn: (decision) => oauthAPI.submitConsent(params, decision),
+    onSuccess: (response) => {
+      window.location.assign(response.data.data.redirectUrl);
+    },
+  });
+
+  const request = data?.data?.data;
+  // Errors the client should hear about come back with a redirect URL
+  const errorRedirect = error?.response?.data?.redirectUrl;
+
+  useEffect(() => {
+    if (errorRedirect) {
+      window.location.assign(errorRedirect);
+    }
+  }, [errorRedirect]);
+
+  // First-party ERP applications are approved without asking
+  useEffect(() => {
+    if (request?.client?.trusted && consentMutation.isIdle) {
+      consentMutation.mutate('approve');
+    }
+  }, [request, consentMutation]);
+
+  const errorMessage = consentMutation.error?.response?.data?.message
+    || (!errorRedirect && error?.response?.data?.message);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          {request?.client?.logoUrl ? (
+            <img src={request.client.logoUrl} alt="" className="mx-auto h-12 w-12 rounded-full object-cover" />
+          ) : (
+            <div className="mx-auto h-12 w-12 text-forest-600">
+              <ShieldCheck className="h-12 w-12" />
+            </div>
+          )}
+          <h2 className="mt-6 text-3xl font-extrabold text-forest-900">
+            {request ? `Sign in to ${request.client.name}` : 'Authorize application'}
+          </h2>
+          {user && (
+            <p className="mt-2 text-sm text-sage-600">
+              Signed in as {user.email}
+            </p>
+          )}
+        </div>
+
+        <Card className="mt-8">
+          {errorMessage && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-4 flex items-start space-x-2">
+              <AlertTriangle className="h-5 w-5 text-red-500 flex-shrink-0" />
+              <p className="text-sm text-red-600">{errorMessage}</p>
+            </div>
+          )}
+
+          {(isLoading || errorRedirect || request?.client?.trusted) && !errorMessage && (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-forest-600"></div>
+            </div>
+          )}
+
+          {request && !request.client.trusted && (
+            <div className="space-y-6">
+              <div>
+                <p className="text-sm text-forest-900">
+                  <span className="font-medium">{request.client.name}</span> would like to:
+                </p>
+                <ul className="mt-3 space-y-2">
+                  {request.scopes.map((scope) => (
+                    <li key={scope} className="flex items-center text-sm text-sage-700">
+                      <span className="h-1.5 w-1.5 rounded-full bg-forest-500 mr-2"></span>
+                      {SCOPE_DESCRIPTIONS[scope] || scope}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="flex space-x-3">
+                <Button
+                  variant="outline"
+                  className="flex-1"
+                  disabled={consentMutation.isPending}
+                  onClick={() => consentMutation.mutate('deny')}
+                >
+                  Deny
+                </Button>
+                <Button
+                  className="flex-1"
+                  loading={consentMutation.isPending}
+                  onClick={() => consentMutation.mutate('approve')}
+                >
+                  Allow
+                </Button>
+              </div>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthConsent;
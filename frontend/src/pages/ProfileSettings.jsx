@@ -132,9 +132,7 @@ const ProfileSettings = () => {
     updateProfileMutation.mutate(data);
   };
 
-  const handleChangePassword = (data) => {
-    changePasswordMutation.mutate(data);
-  };
+  const handleChangePassword = (data) => changePasswordMutation.mutateAsync(data);
 
 
   const handleResendVerification = () => {
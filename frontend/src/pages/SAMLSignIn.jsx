@@ -0,0 +1,87 @@
+import React, { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useMutation } from '@tanstack/react-query';
+import { AlertTriangle } from 'lucide-react';
+import { samlAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Card from '../components/ui/Card';
+
+/**
+ * SAML Sign-In Page
+ * Signs the current user into a legacy ERP module by posting a signed SAML response to it
+ */
+const SAMLSignIn = () => {
+  const location = useLocation();
+  const { user } = useAuth();
+  const formRef = useRef(null);
+
+  const params = new URLSearchParams(location.search);
+  const connection = params.get('connection');
+  const requestId = params.get('request');
+
+  const responseMutation = useMutation({
+    mutationFn: () => samlAPI.respond(connection, { requestId }),
+  });
+  const { mutate, isIdle } = responseMutation;
+  const samlResponse = responseMutation.data?.data?.data;
+
+  // Each pending request can be answered once
+  useEffect(() => {
+    if (connection && isIdle) {
+      mutate();
+    }
+  }, [connection, isIdle, mutate]);
+
+  // HTTP-POST binding: the browser carries the response to the module
+  useEffect(() => {
+    if (samlResponse) {
+      formRef.current?.submit();
+    }
+  }, [samlResponse]);
+
+  const errorMessage = !connection
+    ? 'This sign-in link is incomplete.'
+    : responseMutation.error?.response?.data?.message;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-forest-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-forest-900">Signing you in</h2>
+          {user && (
+            <p className="mt-2 text-sm text-sage-600">
+              Signed in as {user.email}
+            </p>
+          )}
+        </div>
+
+        <Card className="mt-8">
+          {errorMessage ? (
+            <div className="bg-red-50 border border-red-200 rounded-md p-4 flex items-start space-x-2">
+              <AlertTriangle className="h-5 w-5 text-red-500 flex-shrink-0" />
+              <p className="text-sm text-red-600">{errorMessage}</p>
+            </div>
+          ) : (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-forest-600"></div>
+            </div>
+          )}
+
+          {samlResponse && (
+            <form ref={formRef} method="post" action={samlResponse.acsUrl}>
+              <input type="hidden" name="SAMLResponse" value={samlResponse.SAMLResponse} />
+              {samlResponse.RelayState && (
+                <input type="hidden" name="RelayState" value={samlResponse.RelayState} />
+              )}
+              <noscript>
+                <button type="submit">Continue</button>
+              </noscript>
+            </form>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default SAMLSignIn;
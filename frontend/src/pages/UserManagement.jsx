@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Plus, AlertTriangle } from 'lucide-react';
+import { Plus, AlertTriangle, Copy } from 'lucide-react';
 import { userAPI, roleAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import Button from '../components/ui/Button';
@@ -11,6 +11,8 @@ import UserTable from '../components/users/UserTable';
 import UserForm from '../components/users/UserForm';
 import UserStatsModal from '../components/users/UserStatsModal';
 import UserSessionsModal from '../components/users/UserSessionsModal';
+import MFAResetModal from '../components/users/MFAResetModal';
+import MFAResetRequests from '../components/users/MFAResetRequests';
 import toast from 'react-hot-toast';
 
 /**
@@ -26,14 +28,18 @@ const UserManagement = () => {
   const [showUserStatsModal, setShowUserStatsModal] = useState(false);
   const [showUserSessionsModal, setShowUserSessionsModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
+  const [passwordReset, setPasswordReset] = useState(null);
+  const [mfaResetUser, setMfaResetUser] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(10);
 
   const queryClient = useQueryClient();
-  const { hasRole } = useAuth();
+  const { user: currentUser, hasRole } = useAuth();
 
   // Permission check
   const canManageUsers = hasRole(['admin', 'manager', 'hr']);
+  const canResetPasswords = hasRole(['admin']);
+  const canReviewMFAResets = hasRole(['admin']);
 
   // Data fetching
   const { data: usersData, isLoading: usersLoading, error: usersError } = useQuery({
@@ -54,12 +60,19 @@ const UserManagement = () => {
     enabled: canManageUsers,
   });
 
+  const { data: mfaResetsData } = useQuery({
+    queryKey: ['mfa-resets'],
+    queryFn: () => userAPI.getMfaResetRequests(),
+    enabled: canReviewMFAResets,
+  });
+
   // Data processing
   const users = Array.isArray(usersData?.data?.data) ? usersData.data.data : 
                Array.isArray(usersData?.data) ? usersData.data : [];
   const pagination = usersData?.data?.pagination || usersData?.pagination || {};
   const roles = Array.isArray(rolesData?.data?.data) ? rolesData.data.data : 
                Array.isArray(rolesData?.data) ? rolesData.data : [];
+  const mfaResetRequests = Array.isArray(mfaResetsData?.data?.data) ? mfaResetsData.data.data : [];
 
   // Mutations
   const createUserMutation = useMutation({
@@ -110,6 +123,55 @@ const UserManagement = () => {
     },
   });
 
+  const unlockUserMutation = useMutation({
+    mutationFn: userAPI.unlockUser,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['users']);
+      toast.success('User unlocked successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to unlock user');
+    },
+  });
+
+  const resetPasswordMutation = useMutation({
+    mutationFn: userAPI.resetUserPassword,
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['users']);
+      setPasswordReset(response.data.data);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+    },
+  });
+
+  const requestMfaResetMutation = useMutation({
+    mutationFn: ({ userId, verificationNote }) => userAPI.requestMfaReset(userId, verificationNote),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['users']);
+      queryClient.invalidateQueries(['mfa-resets']);
+      setMfaResetUser(null);
+      toast.success(response.data.message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reset MFA');
+    },
+  });
+
+  const reviewMfaResetMutation = useMutation({
+    mutationFn: ({ requestId, approve, note }) =>
+      approve ? userAPI.approveMfaReset(requestId, note) : userAPI.rejectMfaReset(requestId, note),
+    onSuccess: (response, { approve }) => {
+      queryClient.invalidateQueries(['users']);
+      queryClient.invalidateQueries(['mfa-resets']);
+      toast.success(approve ? 'MFA reset approved' : 'MFA reset rejected');
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries(['mfa-resets']);
+      toast.error(error.response?.data?.message || 'Failed to review MFA reset');
+    },
+  });
+
   // Event handlers
   const handleSearch = (e) => {
     setSearchQuery(e.target.value);
@@ -121,13 +183,11 @@ const UserManagement = () => {
     setCurrentPage(1);
   };
 
-  const handleCreateUser = (data) => {
-    createUserMutation.mutate(data);
-  };
+  const handleCreateUser = (data) => createUserMutation.mutateAsync(data);
 
-  const handleEditUser = (data) => {
-    updateUserMutation.mutate({ userId: selectedUser.id, userData: data });
-  };
+  const handleEditUser = (data) => (
+    updateUserMutation.mutateAsync({ userId: selectedUser.id, userData: data })
+  );
 
   const handleDeleteUser = (userId) => {
     if (window.confirm('Are you sure you want to delete this user?')) {
@@ -142,6 +202,44 @@ const UserManagement = () => {
     });
   };
 
+  const handleUnlockUser = (user) => {
+    unlockUserMutation.mutate(user.id);
+  };
+
+  const handleResetPassword = (user) => {
+    if (window.confirm(`Reset the password for ${user.firstName} ${user.lastName}? They will be signed out and must choose a new password at their next sign-in.`)) {
+      resetPasswordMutation.mutate(user.id);
+    }
+  };
+
+  const handleResetMFA = async (verificationNote) => {
+    try {
+      await requestMfaResetMutation.mutateAsync({ userId: mfaResetUser.id, verificationNote });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const handleReviewMFAReset = (request, approve) => {
+    const name = `${request.user?.firstName} ${request.user?.lastName}`;
+    const note = window.prompt(approve
+      ? `Approve the MFA reset for ${name}? They will be signed out everywhere. Optional note:`
+      : `Reject the MFA reset for ${name}? Optional reason:`);
+    if (note !== null) {
+      reviewMfaResetMutation.mutate({ requestId: request.id, approve, note: note.trim() || undefined });
+    }
+  };
+
+  const copyTemporaryPassword = async () => {
+    try {
+      await navigator.clipboard.writeText(passwordReset.temporaryPassword);
+      toast.success('Temporary password copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
   const openEditModal = (user) => {
     setSelectedUser(user);
     setShowEditModal(true);
@@ -209,6 +307,17 @@ const UserManagement = () => {
         roles={roles}
       />
 
+      {/* MFA resets waiting for a second administrator */}
+      {canReviewMFAResets && (
+        <MFAResetRequests
+          requests={mfaResetRequests}
+          currentUserId={currentUser?.id}
+          onApprove={(request) => handleReviewMFAReset(request, true)}
+          onReject={(request) => handleReviewMFAReset(request, false)}
+          loadingId={reviewMfaResetMutation.isPending ? reviewMfaResetMutation.variables?.requestId : null}
+        />
+      )}
+
       {/* Users Table */}
       <UserTable
         users={users}
@@ -220,9 +329,13 @@ const UserManagement = () => {
         onEdit={openEditModal}
         onDelete={handleDeleteUser}
         onToggleStatus={handleToggleStatus}
+        onUnlock={handleUnlockUser}
+        onResetPassword={handleResetPassword}
+        onResetMFA={setMfaResetUser}
         onViewStats={openUserStatsModal}
         onViewSessions={openUserSessionsModal}
         canManageUsers={canManageUsers}
+        canResetPasswords={canResetPasswords}
       />
 
       {/* Create User Modal */}
@@ -266,6 +379,47 @@ const UserManagement = () => {
         )}
       </Modal>
 
+      {/* Temporary Password Modal (the password is not shown again) */}
+      <Modal
+        isOpen={Boolean(passwordReset)}
+        onClose={() => setPasswordReset(null)}
+        title="Temporary Password"
+      >
+        {passwordReset && (
+          <div className="space-y-4">
+            <p className="text-sm text-sage-600">
+              Give this password to {passwordReset.user.firstName} {passwordReset.user.lastName} over a
+              trusted channel. They must replace it when they next sign in. It will not be shown again.
+            </p>
+            <div className="flex items-center justify-between bg-forest-50 border border-forest-200 rounded-md p-3">
+              <code className="text-lg font-mono text-forest-900 break-all">{passwordReset.temporaryPassword}</code>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={copyTemporaryPassword}
+                className="p-2 ml-3"
+                title="Copy"
+              >
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={() => setPasswordReset(null)}>Done</Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* MFA Reset Modal */}
+      <MFAResetModal
+        isOpen={Boolean(mfaResetUser)}
+        onClose={() => setMfaResetUser(null)}
+        user={mfaResetUser}
+        onSubmit={handleResetMFA}
+        loading={requestMfaResetMutation.isPending}
+        needsApproval={!hasRole(['admin'])}
+      />
+
       {/* User Statistics Modal */}
       <UserStatsModal
         isOpen={showUserStatsModal}
@@ -5,25 +5,40 @@ import Card from '../../components/ui/Card';
 import Input from '../../components/ui/Input';
 import Modal from '../../components/ui/Modal';
 import { useForm } from 'react-hook-form';
+import { useQuery } from '@tanstack/react-query';
 import { Link, useNavigate } from 'react-router-dom';
+import { applyServerFieldErrors } from '../../utils/formErrors';
+import { passwordPolicyQuery, describePasswordPolicy } from '../../utils/passwordPolicy';
+import TrustedDevicesCard from './TrustedDevicesCard';
 
 const ChangePasswordForm = ({ onSubmit, onCancel, loading }) => {
-  const { register, handleSubmit, formState: { errors }, watch } = useForm();
+  const { register, handleSubmit, formState: { errors }, watch, setError } = useForm();
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const newPassword = watch('newPassword');
+  const { data: policyData } = useQuery(passwordPolicyQuery);
+
+  // Policy violations come back per field
+  const submit = async (data) => {
+    try {
+      await onSubmit(data);
+    } catch (error) {
+      applyServerFieldErrors(error, setError);
+    }
+  };
 
   return (
-    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
       <Input label="Current Password" type={showCurrentPassword ? 'text' : 'password'}
         {...register('currentPassword', { required: 'Current password is required' })}
         error={errors.currentPassword?.message}
         icon={<button type="button" onClick={() => setShowCurrentPassword(!showCurrentPassword)} className="text-gray-400 hover:text-gray-600">👁</button>}
       />
       <Input label="New Password" type={showNewPassword ? 'text' : 'password'}
-        {...register('newPassword', { required: 'New password is required', minLength: { value: 8, message: 'Password must be at least 8 characters' } })}
+        {...register('newPassword', { required: 'New password is required' })}
         error={errors.newPassword?.message}
+        helperText={describePasswordPolicy(policyData?.data?.data)}
         icon={<button type="button" onClick={() => setShowNewPassword(!showNewPassword)} className="text-gray-400 hover:text-gray-600">👁</button>}
       />
       <Input label="Confirm New Password" type={showConfirmPassword ? 'text' : 'password'}
@@ -75,11 +90,11 @@ const SecurityTab = ({
             <Smartphone className="h-8 w-8 text-green-500 mr-3" />
             <div>
               <h3 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h3>
-              <p className="text-sm text-gray-500">{user?.mfaSecret ? 'MFA is enabled for your account' : 'Add an extra layer of security to your account'}</p>
+              <p className="text-sm text-gray-500">{user?.mfaEnabled ? 'MFA is enabled for your account' : 'Add an extra layer of security to your account'}</p>
             </div>
           </div>
           <div className="flex space-x-2">
-            {user?.mfaSecret ? (
+            {user?.mfaEnabled ? (
               <>
                 <Button variant="outline" onClick={() => navigate('/mfa-management')}>
                   Manage MFA
@@ -98,6 +113,8 @@ const SecurityTab = ({
         </div>
       </Card>
 
+      <TrustedDevicesCard />
+
       <Card>
         <div className="flex items-start">
           <AlertTriangle className="h-6 w-6 text-yellow-500 mr-3 mt-1" />
@@ -0,0 +1,107 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { MonitorCheck, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../services/api';
+import Card from '../../components/ui/Card';
+import Button from '../../components/ui/Button';
+
+const formatDate = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm');
+
+/**
+ * Trusted Devices Card
+ * Browsers that skip the MFA step after "trust this device"; each can be revoked
+ */
+const TrustedDevicesCard = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['trusted-devices'],
+    queryFn: () => authAPI.getTrustedDevices(),
+  });
+
+  const devices = Array.isArray(data?.data?.data) ? data.data.data : [];
+
+  const revokeMutation = useMutation({
+    mutationFn: (deviceId) => authAPI.revokeTrustedDevice(deviceId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trusted-devices'] });
+      toast.success('Device will need MFA at the next sign-in');
+    },
+  });
+
+  const revokeAllMutation = useMutation({
+    mutationFn: () => authAPI.revokeAllTrustedDevices(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trusted-devices'] });
+      toast.success('All devices will need MFA at the next sign-in');
+    },
+  });
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <MonitorCheck className="h-8 w-8 text-forest-500 mr-3" />
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Trusted Devices</h3>
+            <p className="text-sm text-gray-500">
+              These browsers skip two-factor authentication until their trust expires
+            </p>
+          </div>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => revokeAllMutation.mutate()}
+          loading={revokeAllMutation.isPending}
+          disabled={devices.length === 0}
+        >
+          Revoke All
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center py-6 text-sm text-gray-500">Loading...</div>
+      ) : devices.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No trusted devices. Tick "Trust this device" when entering a code to add one.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {devices.map((device) => (
+            <li key={device.id} className="flex items-center justify-between p-4">
+              <div className="min-w-0 mr-4">
+                <p className="text-sm font-medium text-gray-900 truncate" title={device.userAgent || ''}>
+                  {device.userAgent || 'Unknown browser'}
+                  {device.current && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  First IP {device.firstIp || 'unknown'} · Trusted {formatDate(device.createdAt)}
+                  {device.lastUsedAt && ` · Last used ${formatDate(device.lastUsedAt)} from ${device.lastIp || 'unknown'}`}
+                  {' · '}Expires {formatDate(device.expiresAt)}
+                </p>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => revokeMutation.mutate(device.id)}
+                loading={revokeMutation.isPending && revokeMutation.variables === device.id}
+                title="Revoke"
+              >
+                <Trash2 className="h-4 w-4 text-red-600" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default TrustedDevicesCard;
@@ -10,6 +10,8 @@ import toast from 'react-hot-toast';
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3000/api',
   timeout: 10000,
+  // Sends the httpOnly trusted device cookie to the sign-in endpoints
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -31,7 +33,63 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors and token refresh
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(
+        `${import.meta.env.VITE_API_URL || 'http://localhost:3000/api'}/auth/refresh-token`,
+        { refreshToken }
+      )
+      .then((response) => {
+        const { accessToken, refreshToken: rotatedRefreshToken } = response.data.data;
+        localStorage.setItem('accessToken', accessToken);
+        localStorage.setItem('refreshToken', rotatedRefreshToken);
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Set by the re-authentication modal: receives the reauth_required details and resolves
+// once the user has confirmed their identity (rejects if they cancel)
+let reauthHandler = null;
+let reauthPromise = null;
+
+export const setReauthHandler = (handler) => {
+  reauthHandler = handler;
+};
+
+// Concurrent step-up failures share one prompt
+const requestReauth = (details) => {
+  if (!reauthPromise) {
+    reauthPromise = reauthHandler(details).finally(() => {
+      reauthPromise = null;
+    });
+  }
+  return reauthPromise;
+};
+
+// Error bodies of blob requests (exports) arrive as a Blob
+const readErrorBody = async (error) => {
+  const data = error.response?.data;
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text());
+    } catch {
+      return null;
+    }
+  }
+  return data;
+};
+
+// Response interceptor to handle errors, token refresh and step-up re-authentication
 api.interceptors.response.use(
   (response) => {
     return response;
@@ -39,6 +97,26 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
+    // Sensitive operations answer 403 reauth_required when the sign-in is too old:
+    // confirm the user's identity, then retry once with the new access token
+    if (error.response?.status === 403 && reauthHandler && !originalRequest._reauth) {
+      const body = await readErrorBody(error);
+
+      if (body?.code === 'reauth_required') {
+        originalRequest._reauth = true;
+
+        try {
+          await requestReauth(body);
+        } catch {
+          toast.error(body.message);
+          return Promise.reject(error);
+        }
+
+        originalRequest.headers.Authorization = `Bearer ${localStorage.getItem('accessToken')}`;
+        return api(originalRequest);
+      }
+    }
+
     // Handle 401 errors (unauthorized)
     if (error.response?.status === 401 && !originalRequest._retry) {
       console.warn('401 Unauthorized error for:', originalRequest.url, 'Retrying with refresh token...');
@@ -47,13 +125,7 @@ api.interceptors.response.use(
       try {
         const refreshToken = localStorage.getItem('refreshToken');
         if (refreshToken) {
-          const response = await axios.post(
-            `${import.meta.env.VITE_API_URL || 'http://localhost:3000/api'}/auth/refresh-token`,
-            { refreshToken }
-          );
-
-          const { accessToken } = response.data.data;
-          localStorage.setItem('accessToken', accessToken);
+          const accessToken = await refreshTokens();
 
           // Retry original request with new token
           originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -65,6 +137,7 @@ api.interceptors.response.use(
         localStorage.removeItem('accessToken');
         localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
+        localStorage.removeItem('sessionId');
         window.location.href = '/login';
         return Promise.reject(refreshError);
       }
@@ -89,6 +162,23 @@ export const authAPI = {
   // Login user
   login: (credentials) => api.post('/auth/login', credentials),
   
+  // Second step of a sign-in that returned requiresMFA: { mfaChallengeToken, mfaToken?, webauthnResponse?, trustDevice? }
+  // Without a code or passkey response it returns a fresh prompt for the same challenge
+  verifyMFA: (data) => api.post('/auth/mfa/verify', data),
+  
+  // Email or text a sign-in code for the challenge: { mfaChallengeToken, method: 'email' | 'sms' }
+  sendMFAChallengeCode: (data) => api.post('/auth/mfa/challenge/send-code', data),
+  
+  // Role requires MFA: start setup with the enrollment ticket from sign-in: { mfaEnrollmentToken, type?, phoneNumber? }
+  // (an authenticator app returns secret and QR code; email and SMS send a code)
+  setupRequiredMFA: (data) => api.post('/auth/mfa/enrollment/setup', data),
+  
+  // Confirm the first code and finish the sign-in: { mfaEnrollmentToken, token } (response carries backup codes)
+  completeRequiredMFAEnrollment: (data) => api.post('/auth/mfa/enrollment/complete', data),
+  
+  // Replace a temporary or expired password during sign-in (returns full tokens)
+  completeRequiredPasswordChange: (data) => api.post('/auth/password-change/complete', data),
+  
   // Refresh token
   refreshToken: (refreshToken) => api.post('/auth/refresh-token', { refreshToken }),
   
@@ -113,8 +203,8 @@ export const authAPI = {
   // Update user profile
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   
-  // Setup MFA
-  setupMFA: () => api.post('/auth/mfa/setup'),
+  // Setup MFA: { type?: 'totp' | 'email' | 'sms', phoneNumber? } (defaults to an authenticator app)
+  setupMFA: (data = {}) => api.post('/auth/mfa/setup', data),
   
   // Enable MFA
   enableMFA: (mfaData) => api.post('/auth/mfa/enable', mfaData),
@@ -122,14 +212,83 @@ export const authAPI = {
   // Disable MFA
   disableMFA: (token) => api.post('/auth/mfa/disable', { token }),
   
+  // Enrolled MFA methods with masked destinations, and the types that can be added
+  getMFAMethods: () => api.get('/auth/mfa/methods'),
+  
+  // Remove one MFA method; removing the last one disables MFA
+  removeMFAMethod: (methodId) => api.delete(`/auth/mfa/methods/${methodId}`),
+  
+  // Email or text a code to the signed-in user: { method: 'email' | 'sms' }
+  sendVerificationCode: (data) => api.post('/auth/mfa/send-code', data),
+  
+  // Browsers that skip MFA (`current` marks this one)
+  getTrustedDevices: () => api.get('/auth/trusted-devices'),
+  
+  // Stop trusting one browser, or all of them
+  revokeTrustedDevice: (deviceId) => api.delete(`/auth/trusted-devices/${deviceId}`),
+  revokeAllTrustedDevices: () => api.delete('/auth/trusted-devices'),
+  
+  // Number of unused backup codes
+  getBackupCodeStatus: () => api.get('/auth/mfa/backup-codes'),
+  
+  // Replace all backup codes: { password, token } (response carries the new codes, shown once)
+  regenerateBackupCodes: (data) => api.post('/auth/mfa/backup-codes/regenerate', data),
+  
   // Verify email
   verifyEmail: (token) => api.post('/auth/verify-email', { token }),
   
   // Resend email verification
   resendEmailVerification: () => api.post('/auth/resend-verification'),
   
+  // Methods for confirming the signed-in user's identity, with passkey options when available
+  getReauthOptions: () => api.post('/auth/reauthenticate/options'),
+  
+  // Step-up re-authentication: { password } | { mfaToken } | { webauthnResponse } (returns a new access token)
+  reauthenticate: (data) => api.post('/auth/reauthenticate', data),
+  
   // Cleanup expired tokens (admin)
   cleanupExpiredTokens: () => api.post('/auth/cleanup-tokens'),
+  
+  // List external identity providers offered on the login page
+  getSSOProviders: () => api.get('/auth/sso/providers'),
+  
+  // Browser URL that starts sign-in with an external identity provider (OIDC or SAML)
+  getSSOStartUrl: (provider) => (provider.type === 'saml'
+    ? `${api.defaults.baseURL}/saml/sp/${encodeURIComponent(provider.id)}/login`
+    : `${api.defaults.baseURL}/auth/sso/${encodeURIComponent(provider.id)}/start`),
+  
+  // Swap the one-time SSO login ticket for tokens
+  exchangeSSOTicket: (ticket) => api.post('/auth/sso/exchange', { ticket }),
+  
+  // Email a passwordless sign-in link (response carries the nonce the link is bound to)
+  requestMagicLink: (email) => api.post('/auth/magic-link/request', { email }),
+  
+  // Sign in with an emailed link: { token, nonce }; with MFA it returns a challenge for verifyMFA
+  verifyMagicLink: (data) => api.post('/auth/magic-link/verify', data),
+};
+
+// Passkey (WebAuthn) API endpoints
+export const webauthnAPI = {
+  // Challenge for passwordless sign-in with any passkey saved for this site
+  getLoginOptions: () => api.post('/auth/webauthn/login/options'),
+  
+  // Sign in with the browser's passkey response
+  verifyLogin: (response) => api.post('/auth/webauthn/login/verify', { response }),
+  
+  // Challenge for adding a passkey to the signed-in user's account
+  getRegistrationOptions: () => api.post('/auth/webauthn/register/options'),
+  
+  // Save the new passkey under a name of the user's choosing
+  verifyRegistration: (name, response) => api.post('/auth/webauthn/register/verify', { name, response }),
+  
+  // List the signed-in user's passkeys
+  getCredentials: () => api.get('/auth/webauthn/credentials'),
+  
+  // Rename a passkey
+  renameCredential: (credentialId, name) => api.patch(`/auth/webauthn/credentials/${credentialId}`, { name }),
+  
+  // Remove a passkey
+  deleteCredential: (credentialId) => api.delete(`/auth/webauthn/credentials/${credentialId}`),
 };
 
 // User management API endpoints
@@ -160,6 +319,22 @@ export const userAPI = {
   // Deactivate user
   deactivateUser: (userId) => api.patch(`/users/${userId}/deactivate`),
   
+  // Unlock an account locked after failed sign-ins
+  unlockUser: (userId) => api.patch(`/users/${userId}/unlock`),
+  
+  // Reset password to a temporary one (response includes it, shown once)
+  resetUserPassword: (userId) => api.post(`/users/${userId}/reset-password`),
+  
+  // Reset MFA after verifying the user's identity (may wait for a second admin)
+  requestMfaReset: (userId, verificationNote) => api.post(`/users/${userId}/mfa-reset`, { verificationNote }),
+  
+  // MFA reset requests (pending by default)
+  getMfaResetRequests: (params = {}) => api.get('/users/mfa-resets', { params }),
+  
+  // Approve or reject a pending MFA reset
+  approveMfaReset: (requestId, note) => api.post(`/users/mfa-resets/${requestId}/approve`, { note }),
+  rejectMfaReset: (requestId, note) => api.post(`/users/mfa-resets/${requestId}/reject`, { note }),
+  
   // Get user sessions
   getUserSessions: (userId) => api.get(`/users/${userId}/sessions`),
   
@@ -226,6 +401,36 @@ export const roleAPI = {
   checkUserRoleScope: (userId, scope) => api.get(`/roles/check-scope/${userId}/${scope}`),
 };
 
+// OAuth client registry API endpoints (admin only)
+export const clientAPI = {
+  // Get all clients with pagination and search
+  getClients: (params = {}) => api.get('/clients', { params }),
+  
+  // Get client by ID
+  getClientById: (clientId) => api.get(`/clients/${clientId}`),
+  
+  // Register a new client (response includes the secret, shown once)
+  createClient: (clientData) => api.post('/clients', clientData),
+  
+  // Update client
+  updateClient: (clientId, clientData) => api.put(`/clients/${clientId}`, clientData),
+  
+  // Issue a new client secret
+  rotateClientSecret: (clientId) => api.post(`/clients/${clientId}/rotate-secret`),
+  
+  // Delete client
+  deleteClient: (clientId) => api.delete(`/clients/${clientId}`),
+};
+
+// Password policy API endpoints
+export const passwordPolicyAPI = {
+  // Get the active policy (public, used by password forms)
+  getPolicy: () => api.get('/password-policy'),
+  
+  // Update the policy (admin only)
+  updatePolicy: (policyData) => api.put('/password-policy', policyData),
+};
+
 // Audit API endpoints
 export const auditAPI = {
   // Get audit logs with pagination and filters
@@ -254,6 +459,9 @@ export const auditAPI = {
   // Get available actions
   getAvailableActions: () => api.get('/audit/actions'),
   
+  // MFA enrollment per role against each role's requirement
+  getMfaCompliance: () => api.get('/audit/mfa-compliance'),
+  
   // Export audit logs
   exportAuditLogs: (params = {}) => api.get('/audit/export', { 
     params,
@@ -264,6 +472,23 @@ export const auditAPI = {
   cleanupOldLogs: (daysToKeep) => api.post('/audit/cleanup', { daysToKeep }),
 };
 
+// OAuth / OpenID Connect consent API (served under /oauth, outside the /api prefix)
+const OAUTH_BASE_URL = (import.meta.env.VITE_API_URL || 'http://localhost:3000/api').replace(/\/api\/?$/, '') + '/oauth';
+
+export const oauthAPI = {
+  // Describe a pending authorization request (client and requested scopes)
+  getConsent: (params) => api.get('/consent', { baseURL: OAUTH_BASE_URL, params }),
+  
+  // Approve or deny the request; the response carries the client redirect URL
+  submitConsent: (params, decision) => api.post('/consent', { ...params, decision }, { baseURL: OAUTH_BASE_URL }),
+};
+
+// SAML identity provider API (signing users into legacy ERP modules)
+export const samlAPI = {
+  // Signed SAML response for the signed-in user, to be posted to the module's ACS
+  respond: (connection, data) => api.post(`/saml/idp/${encodeURIComponent(connection)}/respond`, data),
+};
+
 // Health check API
 export const healthAPI = {
   // Get server health status
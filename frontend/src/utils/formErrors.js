@@ -0,0 +1,24 @@
+/**
+ * Copy field errors from an API error response onto react-hook-form fields
+ * `fieldMap` renames server fields (e.g. newPassword) to form fields; returns true when any were applied
+ */
+export function applyServerFieldErrors(error, setError, fieldMap = {}) {
+  const fieldErrors = error?.response?.data?.errors;
+  if (!Array.isArray(fieldErrors)) {
+    return false;
+  }
+
+  const messages = {};
+  fieldErrors.forEach(({ path, msg }) => {
+    const field = fieldMap[path] || path;
+    if (field) {
+      messages[field] = messages[field] ? [...messages[field], msg] : [msg];
+    }
+  });
+
+  Object.entries(messages).forEach(([field, fieldMessages]) => {
+    setError(field, { type: 'server', message: fieldMessages.join('. ') });
+  });
+
+  return Object.keys(messages).length > 0;
+}
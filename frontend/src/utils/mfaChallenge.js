@@ -0,0 +1,10 @@
+// Messages for a wrong code or passkey; the challenge stays open for another try
+const RETRYABLE_MESSAGES = ['Invalid MFA token', 'Passkey verification failed'];
+
+/**
+ * Whether a failed MFA verification can be retried on the same challenge
+ * Any other failure (expired challenge, too many attempts, locked account) means signing in again
+ */
+export function isRetryableMFAError(error) {
+  return error?.response?.status === 401 && RETRYABLE_MESSAGES.includes(error.response.data?.message);
+}
@@ -0,0 +1,20 @@
+/**
+ * Message for a failed passkey ceremony
+ * Browser errors (cancelled prompt, known authenticator) are explained; API errors keep the server message
+ */
+export function getPasskeyErrorMessage(error, fallback) {
+  if (error?.response?.data?.message) {
+    return error.response.data.message;
+  }
+
+  switch (error?.name) {
+    case 'NotAllowedError':
+      return 'The passkey prompt was cancelled or timed out.';
+    case 'InvalidStateError':
+      return 'This authenticator is already registered to your account.';
+    case 'SecurityError':
+      return 'Passkeys are not available on this address.';
+    default:
+      return fallback;
+  }
+}
@@ -0,0 +1,41 @@
+import { passwordPolicyAPI } from '../services/api';
+
+/**
+ * Password policy helpers
+ * The server enforces the policy; forms only describe it
+ */
+export const passwordPolicyQuery = {
+  queryKey: ['password-policy'],
+  queryFn: passwordPolicyAPI.getPolicy,
+  staleTime: 5 * 60 * 1000, // 5 minutes
+};
+
+// One-line summary of the policy for form helper text
+export function describePasswordPolicy(policy) {
+  if (!policy) {
+    return undefined;
+  }
+
+  const classes = [
+    policy.requireUppercase && 'uppercase',
+    policy.requireLowercase && 'lowercase',
+    policy.requireNumber && 'number',
+    policy.requireSymbol && 'special character',
+  ].filter(Boolean);
+
+  let description = `Must be at least ${policy.minLength} characters`;
+  if (classes.length > 0) {
+    description += ` with ${classes.join(', ')}`;
+  }
+  if (policy.disallowPersonalInfo) {
+    description += ', without your name or email';
+  }
+  if (policy.disallowBreached) {
+    description += ', not found in known data breaches';
+  }
+  if (policy.historyCount > 0) {
+    description += `, and different from your last ${policy.historyCount} passwords`;
+  }
+
+  return description;
+}